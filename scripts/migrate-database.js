@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * 💾 Agentic Boardroom - Database Migrations
+ * Applies pending storage migrations for the configured STORAGE_DRIVER
+ */
+
+require('dotenv').config();
+const Store = require('../src/storage/Store');
+
+async function main() {
+  const store = Store.fromEnv();
+  console.log(`💾 Running migrations (${store.driver})`);
+
+  try {
+    const applied = await store.migrate();
+    if (applied.length === 0) {
+      console.log('✅ Schema is up to date');
+    } else {
+      applied.forEach(id => console.log(`✅ Applied ${id}`));
+    }
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
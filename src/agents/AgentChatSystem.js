@@ -3,144 +3,189 @@
  * Direct communication system between users and AI agents
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const EventEmitter = require('events');
+const ManifestLoader = require('./ManifestLoader');
+const { ManifestValidationError } = require('./ManifestLoader');
+const PolicyLoader = require('../policies/PolicyLoader');
+const ProviderRegistry = require('../providers/ProviderRegistry');
+const Store = require('../storage/Store');
+const AuditLog = require('../audit/AuditLog');
+const AgentMemory = require('../memory/AgentMemory');
+const { ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors/ApiError');
 
 class AgentChatSystem extends EventEmitter {
-  constructor(authSystem, aiProviders) {
+  constructor(authSystem, aiProviders, options = {}) {
     super();
     this.authSystem = authSystem;
-    this.aiProviders = aiProviders;
-    this.conversations = new Map(); // conversationId -> conversation
-    this.agentProfiles = this.initializeAgentProfiles();
+    this.aiProviders = aiProviders || new ProviderRegistry();
+    this.manifestLoader = options.manifestLoader || new ManifestLoader({ teamsDir: options.teamsDir });
+    this.policyLoader = options.policyLoader || new PolicyLoader({ policyFile: options.policyFile });
+    this.store = options.store || (authSystem && authSystem.store) || new Store();
+    this.conversations = this.store.repository('conversations'); // conversationId -> conversation
+    this.auditLog = options.auditLog || (authSystem && authSystem.auditLog) || new AuditLog({ store: this.store });
+    this.configVersion = null;
+    this.configSnapshots = new Map(); // configVersion -> { agentProfiles, policies }
+    this.lastConfigReload = null;
+    this.applyConfig(this.loadConfig());
     this.activeConnections = new Map(); // userId -> websocket connections
+    this.pendingResponses = new Map(); // conversationId -> { controller, messageId, userId }
+    this.clock = options.clock || Date.now;
+    // Deleted conversations can be restored for this long, then they are purged
+    this.retentionMs = options.retentionMs || Number(process.env.CONVERSATION_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+    this.memory = new AgentMemory(this, { clock: options.clock });
   }
 
   /**
-   * Initialize agent profiles with personalities and capabilities
+   * Initialize agent profiles from the teams/*.yaml Employee manifests
    */
   initializeAgentProfiles() {
-    return {
-      'ceo': {
-        name: 'CEO Agent',
-        title: 'Chief Executive Officer',
-        personality: 'Strategic, visionary, decisive',
-        avatar: '👔',
-        description: 'I focus on strategic planning, high-level decisions, and organizational vision.',
-        capabilities: ['Strategic Planning', 'Decision Making', 'Vision Setting', 'Stakeholder Management'],
-        greeting: "Hello! I'm your CEO Agent. I'm here to help with strategic decisions and high-level planning. What strategic challenge can I help you with today?",
-        model: 'gpt-4o',
-        temperature: 0.3,
-        systemPrompt: `You are the CEO Agent of an AI-powered organization. You are strategic, visionary, and decisive. Focus on high-level business strategy, organizational vision, and executive decision-making. Keep responses professional but approachable.`
-      },
-      'cto': {
-        name: 'CTO Agent',
-        title: 'Chief Technology Officer',
-        personality: 'Technical, innovative, systematic',
-        avatar: '🔧',
-        description: 'I handle technical architecture, engineering decisions, and technology strategy.',
-        capabilities: ['Technical Architecture', 'Engineering Leadership', 'Innovation Strategy', 'System Design'],
-        greeting: "Hi there! I'm your CTO Agent. I specialize in technical architecture and engineering strategy. What technical challenge can I help you solve?",
-        model: 'claude-3-sonnet',
-        temperature: 0.2,
-        systemPrompt: `You are the CTO Agent focused on technical excellence and innovation. You provide expert guidance on software architecture, engineering best practices, and technology strategy. Be precise and technically accurate while remaining accessible.`
-      },
-      'cfo': {
-        name: 'CFO Agent',
-        title: 'Chief Financial Officer',
-        personality: 'Analytical, precise, risk-aware',
-        avatar: '💰',
-        description: 'I manage financial planning, budgets, and provide financial analysis and insights.',
-        capabilities: ['Financial Analysis', 'Budget Management', 'Risk Assessment', 'Investment Planning'],
-        greeting: "Welcome! I'm your CFO Agent. I'm here to help with financial planning, budget analysis, and investment decisions. What financial matter can I assist you with?",
-        model: 'gpt-4o',
-        temperature: 0.1,
-        systemPrompt: `You are the CFO Agent responsible for financial strategy and analysis. Provide accurate financial insights, budget guidance, and risk assessments. Be thorough and data-driven in your responses.`
-      },
-      'research_director': {
-        name: 'Research Director',
-        title: 'Director of Research & Intelligence',
-        personality: 'Analytical, thorough, insightful',
-        avatar: '🔬',
-        description: 'I conduct deep research, market analysis, and generate strategic insights.',
-        capabilities: ['Market Research', 'Data Analysis', 'Trend Analysis', 'Competitive Intelligence'],
-        greeting: "Hello! I'm your Research Director. I specialize in deep analysis and market intelligence. What would you like me to research for you?",
-        model: 'gemini-1.5-pro',
-        temperature: 0.4,
-        systemPrompt: `You are the Research Director focused on comprehensive analysis and insights. Provide thorough research, market intelligence, and data-driven recommendations. Be detailed and evidence-based.`
-      },
-      'innovation_lead': {
-        name: 'Innovation Lead',
-        title: 'Lead Innovation Officer',
-        personality: 'Creative, energetic, forward-thinking',
-        avatar: '💡',
-        description: 'I drive innovation, creative problem-solving, and breakthrough thinking.',
-        capabilities: ['Innovation Strategy', 'Creative Problem Solving', 'Ideation', 'Prototype Development'],
-        greeting: "Hey! I'm your Innovation Lead. I love tackling creative challenges and generating breakthrough ideas. What innovation opportunity can we explore together?",
-        model: 'gpt-4o',
-        temperature: 0.8,
-        systemPrompt: `You are the Innovation Lead focused on creative solutions and breakthrough thinking. Generate innovative ideas, challenge assumptions, and provide creative problem-solving approaches. Be energetic and inspiring.`
-      },
-      'quality_assurance': {
-        name: 'Quality Assurance Director',
-        title: 'Director of Quality Assurance',
-        personality: 'Meticulous, systematic, quality-focused',
-        avatar: '✅',
-        description: 'I ensure quality standards, conduct reviews, and maintain excellence across all operations.',
-        capabilities: ['Quality Control', 'Process Improvement', 'Code Review', 'Standards Compliance'],
-        greeting: "Good day! I'm your Quality Assurance Director. I'm dedicated to maintaining the highest standards of quality. How can I help ensure excellence in your work?",
-        model: 'claude-3-sonnet',
-        temperature: 0.2,
-        systemPrompt: `You are the Quality Assurance Director focused on excellence and continuous improvement. Provide detailed quality assessments, process improvements, and standards guidance. Be thorough and quality-focused.`
-      },
-      'meeting_facilitator': {
-        name: 'Meeting Facilitator',
-        title: 'Senior Meeting Facilitator',
-        personality: 'Organized, diplomatic, efficient',
-        avatar: '🎯',
-        description: 'I help organize meetings, facilitate discussions, and ensure productive outcomes.',
-        capabilities: ['Meeting Planning', 'Facilitation', 'Conflict Resolution', 'Action Item Tracking'],
-        greeting: "Hello! I'm your Meeting Facilitator. I'm here to help make your meetings more productive and efficient. What meeting or discussion can I help you with?",
-        model: 'gemini-1.5-flash',
-        temperature: 0.5,
-        systemPrompt: `You are the Meeting Facilitator focused on productive and efficient meetings. Help with meeting planning, facilitation techniques, and ensuring positive outcomes. Be organized and diplomatic.`
-      },
-      'culture_champion': {
-        name: 'Culture Champion',
-        title: 'Chief Culture Officer',
-        personality: 'Empathetic, inspiring, people-focused',
-        avatar: '🌟',
-        description: 'I focus on team culture, employee engagement, and creating a positive work environment.',
-        capabilities: ['Culture Development', 'Team Building', 'Employee Engagement', 'Diversity & Inclusion'],
-        greeting: "Hi there! I'm your Culture Champion. I'm passionate about creating amazing team experiences and building strong culture. How can I help enhance your team's culture?",
-        model: 'claude-3-opus',
-        temperature: 0.6,
-        systemPrompt: `You are the Culture Champion focused on building positive team culture and employee engagement. Provide guidance on team building, culture development, and creating inclusive environments. Be empathetic and inspiring.`
-      },
-      'company_mascot': {
-        name: 'Company Mascot',
-        title: 'Chief Happiness Officer',
-        personality: 'Fun, energetic, uplifting',
-        avatar: '🎭',
-        description: 'I bring joy, humor, and positive energy to brighten everyone\'s day!',
-        capabilities: ['Mood Boosting', 'Team Motivation', 'Fun Activities', 'Stress Relief'],
-        greeting: "Hey there, superstar! 🌟 I'm your Company Mascot, here to bring some sunshine to your day! What can I do to put a smile on your face?",
-        model: 'gpt-4o',
-        temperature: 0.9,
-        systemPrompt: `You are the Company Mascot focused on bringing joy and positive energy. Be upbeat, encouraging, and fun while remaining professional. Use appropriate humor and motivational language.`
-      },
-      'document_analyst': {
-        name: 'Document Analyst',
-        title: 'Senior Document Intelligence Officer',
-        personality: 'Thorough, precise, detail-oriented',
-        avatar: '📄',
-        description: 'I specialize in analyzing documents, extracting insights, and processing large amounts of text.',
-        capabilities: ['Document Analysis', 'Text Processing', 'Information Extraction', 'Summary Generation'],
-        greeting: "Hello! I'm your Document Analyst. I excel at processing and analyzing documents of all types. What documents would you like me to help you with?",
-        model: 'gemini-1.5-pro',
-        temperature: 0.3,
-        systemPrompt: `You are the Document Analyst specialized in processing and analyzing documents. Provide detailed analysis, extract key insights, and summarize complex information clearly. Be thorough and accurate.`
+    return this.manifestLoader.load();
+  }
+
+  /**
+   * Parse and validate manifests and governance policies without applying them.
+   * Errors from both sources are reported together.
+   */
+  loadConfig() {
+    const errors = [];
+    const config = {};
+    const sources = {
+      agentProfiles: () => this.initializeAgentProfiles(),
+      policies: () => this.policyLoader.load()
+    };
+
+    for (const [key, load] of Object.entries(sources)) {
+      try {
+        config[key] = load();
+      } catch (error) {
+        if (!(error instanceof ManifestValidationError)) throw error;
+        errors.push(...error.errors);
+      }
+    }
+
+    for (const profile of Object.values(config.agentProfiles || {})) {
+      if (!this.aiProviders.hasModel(profile.model, profile.provider)) {
+        errors.push({
+          file: profile.manifestFile,
+          path: 'spec.model',
+          reason: `Model "${profile.model}" is not declared for provider "${profile.provider}" in configs/model-providers.yaml`
+        });
       }
+    }
+
+    if (errors.length > 0) {
+      throw new ManifestValidationError(errors);
+    }
+
+    return config;
+  }
+
+  /**
+   * Content hash of a configuration. Conversations are stored with it, so unlike
+   * a counter it still names the same configuration after a restart.
+   */
+  static configHash(config) {
+    const sortKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+      : value);
+    return crypto.createHash('sha256').update(JSON.stringify(config, sortKeys)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Swap in a validated configuration as a new immutable snapshot
+   */
+  applyConfig({ agentProfiles, policies }) {
+    const snapshot = Object.freeze({
+      version: AgentChatSystem.configHash({ agentProfiles, policies }),
+      agentProfiles,
+      policies,
+      loadedAt: new Date()
+    });
+
+    this.configSnapshots.set(snapshot.version, snapshot);
+    this.configVersion = snapshot.version;
+    this.agentProfiles = snapshot.agentProfiles;
+    this.governancePolicies = snapshot.policies;
+    this.pruneConfigSnapshots();
+
+    return snapshot;
+  }
+
+  /**
+   * Re-read manifests and policies, applying them only if all of them validate
+   */
+  reloadConfig() {
+    const previous = this.configSnapshots.get(this.configVersion);
+
+    let config;
+    try {
+      config = this.loadConfig();
+    } catch (error) {
+      const errors = error.errors || [{ file: '', path: '', reason: error.message }];
+      this.lastConfigReload = { success: false, version: this.configVersion, at: new Date(), errors };
+      this.emit('configReloadFailed', { version: this.configVersion, errors });
+      throw error;
+    }
+
+    const snapshot = this.applyConfig(config);
+    const previousAgents = Object.keys(previous.agentProfiles);
+    const currentAgents = Object.keys(snapshot.agentProfiles);
+    const event = {
+      version: snapshot.version,
+      previousVersion: previous.version,
+      agents: currentAgents,
+      added: currentAgents.filter(id => !previousAgents.includes(id)),
+      removed: previousAgents.filter(id => !currentAgents.includes(id)),
+      loadedAt: snapshot.loadedAt
+    };
+
+    this.lastConfigReload = { success: true, version: snapshot.version, at: snapshot.loadedAt, errors: [] };
+    this.emit('configReloaded', event);
+
+    return { success: true, ...event };
+  }
+
+  /**
+   * Drop snapshots no longer referenced by an active conversation
+   */
+  pruneConfigSnapshots() {
+    const inUse = new Set([this.configVersion]);
+    for (const conversation of this.conversations.values()) {
+      if (conversation.status === 'active') {
+        inUse.add(conversation.configVersion);
+      }
+    }
+
+    for (const version of this.configSnapshots.keys()) {
+      if (!inUse.has(version)) {
+        this.configSnapshots.delete(version);
+      }
+    }
+  }
+
+  /**
+   * Resolve the agent profile from the configuration a conversation started with
+   */
+  getAgentProfile(conversation) {
+    const snapshot = this.configSnapshots.get(conversation.configVersion);
+    const profiles = snapshot ? snapshot.agentProfiles : this.agentProfiles;
+    return profiles[conversation.agentId];
+  }
+
+  /**
+   * Describe the active configuration and the outcome of the last reload
+   */
+  getConfigStatus() {
+    const current = this.configSnapshots.get(this.configVersion);
+    return {
+      version: this.configVersion,
+      loadedAt: current.loadedAt,
+      agents: Object.keys(current.agentProfiles).length,
+      policyVersion: current.policies.version,
+      retainedVersions: Array.from(this.configSnapshots.keys()),
+      lastReload: this.lastConfigReload
     };
   }
 
@@ -150,12 +195,12 @@ class AgentChatSystem extends EventEmitter {
   async startConversation(userId, agentId, initialMessage = null) {
     // Verify user can access this agent
     if (!this.authSystem.canAccessAgent(userId, agentId)) {
-      throw new Error('Access denied to this agent');
+      throw new ForbiddenError('Access denied to this agent', 'agent_access_denied');
     }
 
     const agent = this.agentProfiles[agentId];
     if (!agent) {
-      throw new Error('Agent not found');
+      throw new NotFoundError('Agent not found', 'agent_not_found');
     }
 
     const conversationId = uuidv4();
@@ -164,15 +209,18 @@ class AgentChatSystem extends EventEmitter {
       userId,
       agentId,
       agentName: agent.name,
-      startedAt: new Date(),
-      lastActivity: new Date(),
+      title: null,
+      configVersion: this.configVersion,
+      startedAt: new Date(this.clock()),
+      lastActivity: new Date(this.clock()),
       messages: [],
       context: {
         userPreferences: {},
         conversationSummary: '',
         activeTopics: []
       },
-      status: 'active'
+      status: 'active',
+      archived: false
     };
 
     // Add greeting message
@@ -206,6 +254,15 @@ class AgentChatSystem extends EventEmitter {
     }
 
     this.conversations.set(conversationId, conversation);
+    this.auditLog.record({
+      action: 'conversation.started',
+      actor: { type: 'user', id: userId },
+      target: { type: 'conversation', id: conversationId },
+      details: { agentId }
+    });
+    if (initialMessage) {
+      this.auditAgentResponse(conversation, conversation.messages[conversation.messages.length - 1]);
+    }
 
     // Emit conversation started event
     this.emit('conversationStarted', { conversationId, userId, agentId });
@@ -221,17 +278,14 @@ class AgentChatSystem extends EventEmitter {
    * Send a message in an existing conversation
    */
   async sendMessage(userId, conversationId, message) {
-    const conversation = this.conversations.get(conversationId);
-    if (!conversation) {
-      throw new Error('Conversation not found');
-    }
+    const conversation = this.findChattableConversation(userId, conversationId);
 
-    if (conversation.userId !== userId) {
-      throw new Error('Access denied to this conversation');
+    if (conversation.status !== 'active') {
+      throw new ConflictError('Conversation is not active', 'conversation_inactive');
     }
 
-    if (conversation.status !== 'active') {
-      throw new Error('Conversation is not active');
+    if (this.pendingResponses.has(conversationId)) {
+      throw new ConflictError('A response is already in progress for this conversation', 'response_in_progress');
     }
 
     // Add user message
@@ -246,11 +300,18 @@ class AgentChatSystem extends EventEmitter {
 
     // Generate agent response
     const agentResponse = await this.generateAgentResponse(conversation, message);
+
+    // Purged while the agent was replying: saving now would bring it back
+    if (!this.conversations.has(conversationId)) {
+      throw new NotFoundError('Conversation not found', 'conversation_not_found');
+    }
     conversation.messages.push(agentResponse);
 
     // Update conversation metadata
-    conversation.lastActivity = new Date();
+    conversation.lastActivity = new Date(this.clock());
     this.updateConversationContext(conversation, message);
+    this.conversations.set(conversationId, conversation);
+    this.auditAgentResponse(conversation, agentResponse);
 
     // Emit message sent event
     this.emit('messageSent', { 
@@ -259,6 +320,7 @@ class AgentChatSystem extends EventEmitter {
       message: userMessage, 
       response: agentResponse 
     });
+    this.emit('messageComplete', { conversationId, userId, message: agentResponse });
 
     // Send real-time update to connected clients
     this.broadcastToUser(userId, {
@@ -275,46 +337,80 @@ class AgentChatSystem extends EventEmitter {
   }
 
   /**
-   * Generate agent response using appropriate AI model
+   * Generate agent response using appropriate AI model.
+   * Emits 'messageDelta' for each streamed chunk; a cancelled response keeps its partial content.
    */
   async generateAgentResponse(conversation, userMessage) {
-    const agent = this.agentProfiles[conversation.agentId];
+    const agent = this.getAgentProfile(conversation);
     const conversationHistory = conversation.messages.slice(-10); // Last 10 messages for context
 
     // Build context for AI model
     const context = this.buildConversationContext(conversation, conversationHistory);
-    
+
+    const messageId = uuidv4();
+    const controller = new AbortController();
+    this.pendingResponses.set(conversation.id, { controller, messageId, userId: conversation.userId });
+
+    let content = '';
     try {
-      // Call appropriate AI provider based on agent's model
-      const response = await this.callAIProvider(agent.model, {
+      // Stream from the AI provider serving the agent's model
+      const stream = this.streamAIProvider(agent.model, {
+        provider: agent.provider,
         systemPrompt: agent.systemPrompt,
         context,
         userMessage,
         temperature: agent.temperature,
         agentPersonality: agent.personality
-      });
+      }, controller.signal);
+
+      let response = {};
+      for await (const chunk of stream) {
+        if (controller.signal.aborted) break;
+        if (chunk.done) {
+          response = chunk;
+          continue;
+        }
+
+        content += chunk.delta;
+        this.emit('messageDelta', {
+          conversationId: conversation.id,
+          userId: conversation.userId,
+          messageId,
+          delta: chunk.delta
+        });
+      }
+
+      if (controller.signal.aborted) {
+        return this.buildTruncatedMessage(conversation, agent, messageId, content);
+      }
 
       const agentMessage = {
-        id: uuidv4(),
+        id: messageId,
         type: 'agent',
         agentId: conversation.agentId,
-        content: response.content,
+        content,
         timestamp: new Date(),
         metadata: {
           model: agent.model,
+          provider: response.provider,
           confidence: response.confidence || 0.8,
           processingTime: response.processingTime || 0,
-          tokens: response.tokens || 0
+          tokens: response.tokens || 0,
+          usage: response.usage
         }
       };
 
       return agentMessage;
     } catch (error) {
+      if (controller.signal.aborted) {
+        return this.buildTruncatedMessage(conversation, agent, messageId, content);
+      }
+
       console.error('Error generating agent response:', error);
       
       // Return fallback response
       return {
-        id: uuidv4(),
+        id: messageId,
         type: 'agent',
         agentId: conversation.agentId,
         content: "I apologize, but I'm experiencing some technical difficulties right now. Please try again in a moment.",
@@ -324,15 +420,60 @@ class AgentChatSystem extends EventEmitter {
           fallback: true
         }
       };
+    } finally {
+      this.pendingResponses.delete(conversation.id);
     }
   }
 
+  /**
+   * Agent message holding whatever was streamed before cancellation
+   */
+  buildTruncatedMessage(conversation, agent, messageId, content) {
+    return {
+      id: messageId,
+      type: 'agent',
+      agentId: conversation.agentId,
+      content,
+      timestamp: new Date(),
+      metadata: {
+        model: agent.model,
+        truncated: true,
+        cancelled: true
+      }
+    };
+  }
+
+  /**
+   * Abort the response currently being generated for a conversation
+   */
+  cancelMessage(userId, conversationId) {
+    const pending = this.pendingResponses.get(conversationId);
+    if (!pending) {
+      return { success: false, message: 'No response in progress' };
+    }
+
+    if (pending.userId !== userId) {
+      throw new ForbiddenError('Access denied to this conversation', 'conversation_access_denied');
+    }
+
+    pending.controller.abort();
+    this.emit('messageCancelled', { conversationId, userId, messageId: pending.messageId });
+
+    return {
+      success: true,
+      conversationId,
+      messageId: pending.messageId,
+      message: 'Response cancelled'
+    };
+  }
+
   /**
    * Build conversation context for AI model
    */
   buildConversationContext(conversation, messages) {
-    const agent = this.agentProfiles[conversation.agentId];
-    
+    const agent = this.getAgentProfile(conversation);
+    const lastUserMessage = messages.filter(msg => msg.type === 'user').pop();
+
     return {
       agentRole: agent.title,
       agentPersonality: agent.personality,
@@ -343,72 +484,174 @@ class AgentChatSystem extends EventEmitter {
         content: msg.content,
         timestamp: msg.timestamp
       })),
-      activeTopics: conversation.context.activeTopics
+      activeTopics: conversation.context.activeTopics,
+      // Long-term memories about this user that are relevant to what they just said
+      memories: lastUserMessage
+        ? this.memory.recall(conversation, lastUserMessage.content, messages.map(msg => msg.id))
+        : []
     };
   }
 
   /**
-   * Call appropriate AI provider
+   * Call the provider adapter serving the agent's model
    */
-  async callAIProvider(model, params) {
-    // Mock implementation - replace with actual AI provider calls
-    const providers = {
-      'gpt-4o': () => this.callOpenAI(params),
-      'claude-3-sonnet': () => this.callAnthropic(params),
-      'claude-3-opus': () => this.callAnthropic(params),
-      'gemini-1.5-pro': () => this.callGoogleVertex(params),
-      'gemini-1.5-flash': () => this.callGoogleVertex(params)
+  async callAIProvider(model, params, signal = undefined) {
+    return this.aiProviders.complete(model, this.buildProviderRequest(params), params.provider, { signal });
+  }
+
+  /**
+   * Stream from the provider adapter serving the agent's model
+   */
+  streamAIProvider(model, params, signal = undefined) {
+    return this.aiProviders.stream(model, this.buildProviderRequest(params), params.provider, { signal });
+  }
+
+  /**
+   * Translate agent context into the provider-neutral request shape
+   */
+  buildProviderRequest(params) {
+    return {
+      systemPrompt: this.buildSystemPrompt(params.systemPrompt, params.context),
+      messages: params.context.recentMessages.map(msg => ({
+        role: msg.type === 'user' ? 'user' : 'assistant',
+        content: msg.content
+      })),
+      temperature: params.temperature
     };
+  }
 
-    const provider = providers[model];
-    if (!provider) {
-      throw new Error(`Unsupported AI model: ${model}`);
+  /**
+   * Combine the agent's system prompt with conversation context
+   */
+  buildSystemPrompt(systemPrompt, context) {
+    const sections = [
+      systemPrompt,
+      `Role: ${context.agentRole}. Personality: ${context.agentPersonality}.`,
+      `Capabilities: ${context.capabilities.join(', ')}.`
+    ];
+    if (context.conversationSummary) {
+      sections.push(`Conversation summary: ${context.conversationSummary}`);
+    }
+    if (context.activeTopics.length > 0) {
+      sections.push(`Active topics: ${context.activeTopics.join(', ')}.`);
+    }
+    if (context.memories && context.memories.length > 0) {
+      sections.push(`What you remember about this user from earlier conversations:\n${context.memories.map(memory => `- ${memory.content}`).join('\n')}`);
     }
+    return sections.join('\n\n');
+  }
 
-    const startTime = Date.now();
-    const response = await provider();
-    const processingTime = Date.now() - startTime;
+  /**
+   * Largest spend (USD) the agent may authorize, from its manifest's approvals.spend_usd
+   */
+  spendAuthority(agentId) {
+    const agent = this.agentProfiles[agentId];
+    return agent && agent.approvals ? agent.approvals.spend_usd : 0;
+  }
 
-    return {
-      ...response,
-      processingTime
-    };
+  /**
+   * Generate a one-off reply from an agent, in character, outside any conversation
+   */
+  async respondAs(agentId, instructions, prompt) {
+    const agent = this.agentProfiles[agentId];
+    if (!agent) {
+      throw new NotFoundError('Agent not found', 'agent_not_found');
+    }
+
+    const response = await this.aiProviders.complete(agent.model, {
+      systemPrompt: [
+        agent.systemPrompt,
+        `Role: ${agent.title}. Capabilities: ${agent.capabilities.join(', ')}.`,
+        instructions
+      ].join('\n\n'),
+      messages: [{ role: 'user', content: prompt }],
+      temperature: agent.temperature
+    }, agent.provider);
+
+    this.auditLog.record({
+      action: 'agent.response',
+      actor: { type: 'agent', id: agentId },
+      details: {
+        conversationId: null,
+        model: agent.model,
+        provider: response.provider,
+        tokens: response.tokens || 0,
+        usage: response.usage || null
+      }
+    });
+    return response;
   }
 
   /**
-   * Mock OpenAI API call
+   * Audit an agent message with its model and token counts
    */
-  async callOpenAI(params) {
-    // Mock response - replace with actual OpenAI API call
-    return {
-      content: `[OpenAI Response] I understand you're asking about "${params.userMessage}". As your ${params.context.agentRole}, I'd be happy to help with that. Let me provide you with a thoughtful response based on my expertise.`,
-      confidence: 0.85,
-      tokens: 150
-    };
+  auditAgentResponse(conversation, message) {
+    const metadata = message.metadata || {};
+    this.auditLog.record({
+      action: 'agent.response',
+      actor: { type: 'agent', id: conversation.agentId },
+      target: { type: 'conversation', id: conversation.id },
+      details: {
+        conversationId: conversation.id,
+        userId: conversation.userId,
+        messageId: message.id,
+        model: metadata.model || null,
+        provider: metadata.provider || null,
+        tokens: metadata.tokens || 0,
+        usage: metadata.usage || null,
+        truncated: Boolean(metadata.truncated),
+        fallback: Boolean(metadata.fallback)
+      }
+    });
   }
 
   /**
-   * Mock Anthropic API call
+   * Ask an agent for its position on a decision: approve, reject or abstain with a rationale
    */
-  async callAnthropic(params) {
-    // Mock response - replace with actual Anthropic API call
+  async solicitPosition(agentId, decision) {
+    const agent = this.agentProfiles[agentId];
+    if (!agent) {
+      throw new NotFoundError('Agent not found', 'agent_not_found');
+    }
+
+    const lines = [
+      `Decision: ${decision.title || decision.description}`,
+      `Category: ${decision.category || 'uncategorized'}`
+    ];
+    if (decision.title && decision.description) {
+      lines.push(`Details: ${decision.description}`);
+    }
+    if (decision.budget !== undefined && decision.budget !== null) {
+      lines.push(`Budget: $${decision.budget}`);
+    }
+    for (const vote of decision.votes) {
+      lines.push(`${vote.agentName} voted ${vote.position}: ${vote.rationale}`);
+    }
+
+    const response = await this.respondAs(
+      agentId,
+      'You are reviewing a decision for the boardroom. Start your reply with APPROVE, REJECT or ABSTAIN, then explain your rationale in a few sentences.',
+      lines.join('\n')
+    );
+
     return {
-      content: `[Claude Response] Thank you for your question about "${params.userMessage}". In my role as ${params.context.agentRole}, I can offer detailed insights on this topic. Let me break this down for you systematically.`,
-      confidence: 0.88,
-      tokens: 120
+      ...AgentChatSystem.parsePosition(response.content),
+      model: agent.model,
+      provider: response.provider
     };
   }
 
   /**
-   * Mock Google Vertex AI call
+   * Read the vote keyword the agent was asked to start its reply with (optionally in **bold**);
+   * a reply that does not start with one counts as an abstention
    */
-  async callGoogleVertex(params) {
-    // Mock response - replace with actual Google Vertex AI call
-    return {
-      content: `[Gemini Response] I see you're interested in "${params.userMessage}". As your ${params.context.agentRole}, I can provide comprehensive analysis and actionable recommendations on this matter.`,
-      confidence: 0.82,
-      tokens: 140
-    };
+  static parsePosition(content) {
+    const match = /^\s*\**(APPROVE|REJECT|ABSTAIN)\b\**[:.\-\s]*/i.exec(content);
+    if (!match) {
+      return { position: 'abstain', rationale: content.trim() };
+    }
+
+    return { position: match[1].toLowerCase(), rationale: content.slice(match[0].length).trim() };
   }
 
   /**
@@ -448,12 +691,12 @@ class AgentChatSystem extends EventEmitter {
    */
   getConversation(userId, conversationId) {
     const conversation = this.conversations.get(conversationId);
-    if (!conversation) {
-      throw new Error('Conversation not found');
+    if (!conversation || conversation.deletedAt) {
+      throw new NotFoundError('Conversation not found', 'conversation_not_found');
     }
 
-    if (conversation.userId !== userId) {
-      throw new Error('Access denied to this conversation');
+    if (conversation.userId !== userId && !this.authSystem.hasPermission(userId, 'conversations:read:any')) {
+      throw new ForbiddenError('Access denied to this conversation', 'conversation_access_denied');
     }
 
     return {
@@ -463,12 +706,29 @@ class AgentChatSystem extends EventEmitter {
   }
 
   /**
-   * Get all conversations for a user
-  */
-  getUserConversations(userId, limit = 50, offset = 0) {
-    const allUserConversations = Array.from(this.conversations.values())
-      .filter(conv => conv.userId === userId)
-      .sort((a, b) => b.lastActivity - a.lastActivity);
+   * A user's conversations, most recent activity first.
+   * Filters: `status` ('active' | 'ended'), `agentId`, last activity between `from` and `to`, and
+   * `archived` (archived conversations are left out unless it is true). `deleted: true` lists the
+   * deleted conversations that can still be restored instead.
+   */
+  getUserConversations(userId, { status, agentId, from, to, archived = false, deleted = false, limit = 50, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw ValidationError.field(Number.isNaN(fromTime) ? 'from' : 'to', 'Invalid time range');
+    }
+    this.purgeExpiredConversations();
+
+    const allUserConversations = this.conversations.filter(conv => {
+      const lastActivity = new Date(conv.lastActivity).getTime();
+      return conv.userId === userId &&
+        Boolean(conv.deletedAt) === deleted &&
+        (deleted || Boolean(conv.archived) === archived) &&
+        (!status || conv.status === status) &&
+        (!agentId || conv.agentId === agentId) &&
+        (fromTime === null || lastActivity >= fromTime) &&
+        (toTime === null || lastActivity <= toTime);
+    }).sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
 
     const paginatedConversations = allUserConversations.slice(offset, offset + limit);
 
@@ -480,36 +740,240 @@ class AgentChatSystem extends EventEmitter {
   }
 
   /**
-   * End a conversation
+   * One of the user's conversations; deleted conversations are only found with `includeDeleted`
    */
-  endConversation(userId, conversationId) {
+  findOwnConversation(userId, conversationId, { includeDeleted = false } = {}) {
     const conversation = this.conversations.get(conversationId);
-    if (!conversation) {
-      throw new Error('Conversation not found');
+    if (!conversation || (conversation.deletedAt && !includeDeleted)) {
+      throw new NotFoundError('Conversation not found', 'conversation_not_found');
     }
 
     if (conversation.userId !== userId) {
-      throw new Error('Access denied to this conversation');
+      throw new ForbiddenError('Access denied to this conversation', 'conversation_access_denied');
     }
 
+    return conversation;
+  }
+
+  /**
+   * The user's own conversation, provided they may still talk to its agent. Grants expire and roles
+   * change, so this is checked on every message rather than only when the conversation starts.
+   */
+  findChattableConversation(userId, conversationId) {
+    const conversation = this.findOwnConversation(userId, conversationId);
+    if (!this.authSystem.canAccessAgent(userId, conversation.agentId)) {
+      throw new ForbiddenError('Access denied to this agent', 'agent_access_denied');
+    }
+    return conversation;
+  }
+
+  /**
+   * End a conversation. It stays readable and can be reopened.
+   */
+  endConversation(userId, conversationId) {
+    const conversation = this.findOwnConversation(userId, conversationId);
+    if (conversation.status === 'ended') {
+      throw new ConflictError('Conversation is already ended', 'conversation_ended');
+    }
+
+    this.abortPendingResponse(conversationId);
     conversation.status = 'ended';
-    conversation.endedAt = new Date();
+    conversation.endedAt = new Date(this.clock());
+    this.saveLifecycleChange(conversation, 'ended', { messageCount: conversation.messages.length });
 
     this.emit('conversationEnded', { conversationId, userId });
 
     return {
       success: true,
+      conversation: this.sanitizeConversation(conversation),
       message: 'Conversation ended successfully'
     };
   }
 
+  /**
+   * Make an ended conversation active again
+   */
+  reopenConversation(userId, conversationId) {
+    const conversation = this.findOwnConversation(userId, conversationId);
+    if (conversation.status !== 'ended') {
+      throw new ConflictError('Conversation is not ended', 'conversation_active');
+    }
+
+    conversation.status = 'active';
+    conversation.endedAt = null;
+    conversation.lastActivity = new Date(this.clock());
+    this.saveLifecycleChange(conversation, 'reopened');
+
+    return {
+      success: true,
+      conversation: this.sanitizeConversation(conversation),
+      message: 'Conversation reopened'
+    };
+  }
+
+  /**
+   * Archive a conversation, or bring it back with `archived = false`. Archived conversations are
+   * left out of the conversation list unless asked for; they can still be read and continued.
+   */
+  archiveConversation(userId, conversationId, archived = true) {
+    const conversation = this.findOwnConversation(userId, conversationId);
+
+    conversation.archived = archived;
+    conversation.archivedAt = archived ? new Date(this.clock()) : null;
+    this.saveLifecycleChange(conversation, archived ? 'archived' : 'unarchived');
+
+    return {
+      success: true,
+      conversation: this.sanitizeConversation(conversation),
+      message: archived ? 'Conversation archived' : 'Conversation unarchived'
+    };
+  }
+
+  /**
+   * Give a conversation a title; an empty title clears it
+   */
+  renameConversation(userId, conversationId, title) {
+    const conversation = this.findOwnConversation(userId, conversationId);
+
+    conversation.title = title || null;
+    this.saveLifecycleChange(conversation, 'renamed', { title: conversation.title });
+
+    return {
+      success: true,
+      conversation: this.sanitizeConversation(conversation),
+      message: 'Conversation renamed'
+    };
+  }
+
+  /**
+   * Delete a conversation. It can be restored until `purgeAfter`, then it is purged.
+   */
+  deleteConversation(userId, conversationId) {
+    this.purgeExpiredConversations();
+    const conversation = this.findOwnConversation(userId, conversationId);
+
+    this.abortPendingResponse(conversationId);
+    const now = this.clock();
+    conversation.deletedAt = new Date(now);
+    conversation.purgeAfter = new Date(now + this.retentionMs);
+    this.saveLifecycleChange(conversation, 'deleted', { purgeAfter: conversation.purgeAfter });
+
+    return {
+      success: true,
+      conversationId,
+      purgeAfter: conversation.purgeAfter,
+      message: 'Conversation deleted'
+    };
+  }
+
+  /**
+   * Bring back a deleted conversation that has not been purged yet
+   */
+  restoreConversation(userId, conversationId) {
+    this.purgeExpiredConversations();
+    const conversation = this.findOwnConversation(userId, conversationId, { includeDeleted: true });
+    if (!conversation.deletedAt) {
+      throw new ConflictError('Conversation is not deleted', 'conversation_not_deleted');
+    }
+
+    conversation.deletedAt = null;
+    conversation.purgeAfter = null;
+    this.saveLifecycleChange(conversation, 'restored');
+
+    return {
+      success: true,
+      conversation: this.sanitizeConversation(conversation),
+      message: 'Conversation restored'
+    };
+  }
+
+  /**
+   * Erase a conversation and its messages now, whether or not it was deleted first
+   */
+  purgeConversation(userId, conversationId) {
+    const conversation = this.findOwnConversation(userId, conversationId, { includeDeleted: true });
+
+    this.abortPendingResponse(conversationId);
+    this.conversations.delete(conversationId);
+    this.recordPurge(conversation, { type: 'user', id: userId });
+
+    return {
+      success: true,
+      conversationId,
+      message: 'Conversation purged'
+    };
+  }
+
+  /**
+   * Erase deleted conversations whose retention window has passed
+   */
+  purgeExpiredConversations() {
+    const now = this.clock();
+    const expired = this.conversations.filter(conv => conv.deletedAt && new Date(conv.purgeAfter).getTime() <= now);
+    for (const conversation of expired) {
+      this.conversations.delete(conversation.id);
+      this.recordPurge(conversation, { type: 'system' });
+    }
+    return expired.length;
+  }
+
+  recordPurge(conversation, actor) {
+    this.auditLog.record({
+      action: 'conversation.purged',
+      actor,
+      target: { type: 'conversation', id: conversation.id },
+      details: { agentId: conversation.agentId, messageCount: conversation.messages.length }
+    });
+    this.emit('conversationPurged', { conversationId: conversation.id, userId: conversation.userId });
+  }
+
+  /**
+   * Store a lifecycle change, audit it as `conversation.<action>` and emit 'conversationUpdated'
+   */
+  saveLifecycleChange(conversation, action, details = {}) {
+    this.conversations.set(conversation.id, conversation);
+    this.auditLog.record({
+      action: `conversation.${action}`,
+      actor: { type: 'user', id: conversation.userId },
+      target: { type: 'conversation', id: conversation.id },
+      details: { agentId: conversation.agentId, ...details }
+    });
+    this.emit('conversationUpdated', {
+      conversationId: conversation.id,
+      userId: conversation.userId,
+      action,
+      conversation: this.sanitizeConversation(conversation)
+    });
+  }
+
+  abortPendingResponse(conversationId) {
+    const pending = this.pendingResponses.get(conversationId);
+    if (pending) {
+      pending.controller.abort();
+    }
+  }
+
+  /**
+   * Erase every conversation a user had (account deletion)
+   */
+  deleteUserConversations(userId) {
+    let deleted = 0;
+    for (const conversation of this.conversations.filter(conv => conv.userId === userId)) {
+      this.abortPendingResponse(conversation.id);
+      this.conversations.delete(conversation.id);
+      this.emit('conversationPurged', { conversationId: conversation.id, userId });
+      deleted++;
+    }
+    return deleted;
+  }
+
   /**
    * Get available agents for user
    */
   getAvailableAgents(userId) {
     const user = this.authSystem.users.get(userId);
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found', 'user_not_found');
     }
 
     const availableAgents = {};
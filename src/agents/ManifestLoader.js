@@ -0,0 +1,232 @@
+/**
+ * 📜 Agentic Boardroom - Employee Manifest Loader
+ * Builds agent profiles from the teams/*.yaml Employee manifests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const YAML = require('yaml');
+
+const DEFAULT_TEAMS_DIR = path.join(__dirname, '../../teams');
+
+const employeeSchema = Joi.object({
+  apiVersion: Joi.string().valid('v1').required(),
+  kind: Joi.string().valid('Employee').required(),
+  metadata: Joi.object({
+    name: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).required(),
+    version: Joi.string().required(),
+    team: Joi.string().required()
+  }).unknown(true).required(),
+  spec: Joi.object({
+    role: Joi.string().required(),
+    description: Joi.string().required(),
+    persona: Joi.object({
+      display_name: Joi.string(),
+      avatar: Joi.string(),
+      personality: Joi.string(),
+      capabilities: Joi.array().items(Joi.string()),
+      greeting: Joi.string(),
+      system_prompt: Joi.string()
+    }),
+    objectives: Joi.array().items(Joi.string()).default([]),
+    kpis: Joi.array().items(Joi.string()).default([]),
+    model: Joi.object({
+      provider: Joi.string().required(),
+      name: Joi.string().required(),
+      temperature: Joi.number().min(0).max(2).required()
+    }).unknown(true).required(),
+    autonomy: Joi.string().valid('low', 'medium', 'high', 'supreme').required(),
+    approvals: Joi.object({
+      spend_usd: Joi.number().min(0).required()
+    }).pattern(Joi.string(), Joi.boolean()).required(),
+    tools: Joi.array().items(
+      Joi.object({ name: Joi.string().required() }).unknown(true)
+    ).default([]),
+    memory: Joi.object({
+      vector_namespace: Joi.string().required(),
+      retention_days: Joi.number().integer().min(0).required()
+    }).unknown(true).required(),
+    policies: Joi.object().default({}),
+    integrations: Joi.array().items(Joi.string()).default([])
+  }).unknown(true).required()
+}).unknown(true);
+
+/**
+ * Raised when one or more YAML manifests fail to parse or validate.
+ * Each entry in `errors` is `{ file, path, reason }`.
+ */
+class ManifestValidationError extends Error {
+  constructor(errors) {
+    const summary = errors
+      .map(e => `${e.file}${e.path ? ` (${e.path})` : ''}: ${e.reason}`)
+      .join('; ');
+    super(`Invalid manifests: ${summary}`);
+    this.name = 'ManifestValidationError';
+    this.errors = errors;
+  }
+}
+
+class ManifestLoader {
+  constructor(options = {}) {
+    this.teamsDir = options.teamsDir || DEFAULT_TEAMS_DIR;
+  }
+
+  /**
+   * Load, validate and convert every manifest under the teams directory.
+   * Throws ManifestValidationError listing every problem found.
+   */
+  load() {
+    const errors = [];
+    const profiles = {};
+    const sources = {};
+
+    for (const file of this.listManifestFiles()) {
+      const relativeFile = path.relative(path.dirname(this.teamsDir), file);
+      const { manifest, errors: fileErrors } = this.parseFile(file, relativeFile);
+
+      if (fileErrors.length > 0) {
+        errors.push(...fileErrors);
+        continue;
+      }
+
+      const agentId = ManifestLoader.agentIdFor(manifest);
+      if (sources[agentId]) {
+        errors.push({
+          file: relativeFile,
+          path: 'metadata.name',
+          reason: `Duplicate agent id "${agentId}" (already defined in ${sources[agentId]})`
+        });
+        continue;
+      }
+
+      sources[agentId] = relativeFile;
+      profiles[agentId] = this.buildProfile(agentId, manifest, relativeFile);
+    }
+
+    if (errors.length > 0) {
+      throw new ManifestValidationError(errors);
+    }
+
+    return profiles;
+  }
+
+  /**
+   * List manifest files, one directory level deep (teams/<team>/<agent>.yaml)
+   */
+  listManifestFiles() {
+    if (!fs.existsSync(this.teamsDir)) {
+      throw new ManifestValidationError([
+        { file: this.teamsDir, path: '', reason: 'Teams directory not found' }
+      ]);
+    }
+
+    const files = [];
+    const teams = fs.readdirSync(this.teamsDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name)
+      .sort();
+
+    for (const team of teams) {
+      const teamDir = path.join(this.teamsDir, team);
+      for (const name of fs.readdirSync(teamDir).sort()) {
+        if (/\.ya?ml$/.test(name)) {
+          files.push(path.join(teamDir, name));
+        }
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Parse and validate a single manifest file
+   */
+  parseFile(file, relativeFile = file) {
+    let document;
+    try {
+      document = YAML.parseDocument(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { manifest: null, errors: [{ file: relativeFile, path: '', reason: error.message }] };
+    }
+
+    if (document.errors.length > 0) {
+      return {
+        manifest: null,
+        errors: document.errors.map(err => ({
+          file: relativeFile,
+          path: err.linePos ? `line ${err.linePos[0].line}` : '',
+          reason: err.message.split('\n')[0]
+        }))
+      };
+    }
+
+    return this.validateManifest(document.toJS(), relativeFile);
+  }
+
+  /**
+   * Validate a parsed manifest against the Employee schema
+   */
+  validateManifest(manifest, file) {
+    const { value, error } = employeeSchema.validate(manifest, { abortEarly: false });
+    if (!error) {
+      return { manifest: value, errors: [] };
+    }
+
+    return {
+      manifest: null,
+      errors: error.details.map(detail => ({
+        file,
+        path: detail.path.join('.'),
+        reason: detail.message
+      }))
+    };
+  }
+
+  /**
+   * Convert a validated manifest into the profile shape used by AgentChatSystem
+   */
+  buildProfile(agentId, manifest, file) {
+    const { metadata, spec } = manifest;
+    const persona = spec.persona || {};
+    const name = persona.display_name || spec.role;
+
+    return {
+      id: agentId,
+      name,
+      title: spec.role,
+      personality: persona.personality || 'Professional, helpful, focused',
+      avatar: persona.avatar || '🤖',
+      description: spec.description,
+      capabilities: persona.capabilities || spec.tools.map(tool => tool.name),
+      greeting: persona.greeting ||
+        `Hello! I'm your ${name}. ${spec.description}. How can I help you today?`,
+      model: spec.model.name,
+      provider: spec.model.provider,
+      temperature: spec.model.temperature,
+      systemPrompt: persona.system_prompt ||
+        `You are the ${spec.role} of an AI-powered organization. ${spec.description}. ` +
+        `Your objectives: ${spec.objectives.join('; ')}.`,
+      team: metadata.team,
+      version: metadata.version,
+      objectives: spec.objectives,
+      kpis: spec.kpis,
+      autonomy: spec.autonomy,
+      approvals: spec.approvals,
+      tools: spec.tools.map(tool => tool.name),
+      memory: spec.memory,
+      policies: spec.policies,
+      manifestFile: file
+    };
+  }
+
+  /**
+   * Derive the agent id used by roles and routes ("ceo-agent" -> "ceo")
+   */
+  static agentIdFor(manifest) {
+    return manifest.metadata.name.replace(/-agent$/, '').replace(/-/g, '_');
+  }
+}
+
+module.exports = ManifestLoader;
+module.exports.ManifestValidationError = ManifestValidationError;
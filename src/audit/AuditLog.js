@@ -0,0 +1,146 @@
+/**
+ * 📜 Agentic Boardroom - Audit Log
+ * Append-only, hash-chained record of auth, agent, decision and approval events
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Store = require('../storage/Store');
+const { ValidationError } = require('../errors/ApiError');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * JSON with object keys sorted, so hashes survive storage backends that reorder keys
+ */
+function canonicalJson(value) {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+class AuditLog extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new Store();
+    this.records = this.store.repository('audit_log'); // sequence -> record
+    this.head = null; // { sequence, hash } of the newest record, read lazily after hydration
+  }
+
+  /**
+   * Hash of a record's content chained to the previous record's hash
+   */
+  static hashRecord(record) {
+    const content = { ...record };
+    delete content.hash;
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+  }
+
+  getHead() {
+    if (!this.head) {
+      this.head = { sequence: 0, hash: GENESIS_HASH };
+      for (const record of this.records.values()) {
+        if (record.sequence > this.head.sequence) {
+          this.head = { sequence: record.sequence, hash: record.hash };
+        }
+      }
+    }
+    return this.head;
+  }
+
+  /**
+   * Append an event. Records are never updated or removed.
+   * @param {string} entry.action - dotted event name, e.g. "auth.login.failure"
+   * @param {object} entry.actor - { type: 'user' | 'agent' | 'system', id }
+   */
+  record({ action, actor = { type: 'system' }, target = null, details = {} }) {
+    const head = this.getHead();
+    const record = {
+      sequence: head.sequence + 1,
+      timestamp: new Date(),
+      action,
+      actor,
+      target,
+      details,
+      previousHash: head.hash
+    };
+    record.hash = AuditLog.hashRecord(record);
+
+    this.records.set(String(record.sequence), record);
+    this.head = { sequence: record.sequence, hash: record.hash };
+    this.emit('recorded', record);
+    return record;
+  }
+
+  /**
+   * Re-hash the chain; reports the first record that was altered, removed or reordered
+   */
+  verify() {
+    const records = Array.from(this.records.values()).sort((a, b) => a.sequence - b.sequence);
+    let previousHash = GENESIS_HASH;
+
+    for (const [index, record] of records.entries()) {
+      let reason = null;
+      if (record.sequence !== index + 1) {
+        reason = `Missing record before sequence ${record.sequence}`;
+      } else if (record.previousHash !== previousHash) {
+        reason = 'Chain link does not match the previous record';
+      } else if (AuditLog.hashRecord(record) !== record.hash) {
+        reason = 'Record content does not match its hash';
+      }
+
+      if (reason) {
+        return { valid: false, checked: index, brokenAt: record.sequence, reason };
+      }
+      previousHash = record.hash;
+    }
+
+    return { valid: true, checked: records.length };
+  }
+
+  /**
+   * Filter by actor id, action (exact, or a prefix ending in "*") and time range, newest first
+   */
+  query({ actor, action, from, to, limit = 100, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw ValidationError.field(Number.isNaN(fromTime) ? 'from' : 'to', 'Invalid time range');
+    }
+
+    let matchesAction = () => true;
+    if (action && action.endsWith('*')) {
+      matchesAction = name => name.startsWith(action.slice(0, -1));
+    } else if (action) {
+      matchesAction = name => name === action;
+    }
+
+    const records = this.records.filter(record => {
+      const time = new Date(record.timestamp).getTime();
+      return (!actor || (record.actor && record.actor.id === actor)) &&
+        matchesAction(record.action) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime);
+    }).sort((a, b) => b.sequence - a.sequence);
+
+    return {
+      success: true,
+      records: records.slice(offset, offset + limit),
+      total: records.length
+    };
+  }
+}
+
+module.exports = AuditLog;
+module.exports.canonicalJson = canonicalJson;
@@ -0,0 +1,127 @@
+/**
+ * 🎟️ Agentic Boardroom - Account Tokens
+ * Signed, single-use tokens for email verification and password reset links
+ */
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const ApiError = require('../errors/ApiError');
+
+const PURPOSES = {
+  email_verification: {
+    ttlMs: () => Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60 * 60 * 1000
+  },
+  password_reset: {
+    ttlMs: () => Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * 60 * 1000
+  }
+};
+
+class AccountTokens {
+  /**
+   * @param {AuthSystem} authSystem - signing secret and organization
+   * @param {Function} options.clock - returns the current time in ms; fixed in tests
+   */
+  constructor(authSystem, options = {}) {
+    this.authSystem = authSystem;
+    this.store = options.store || authSystem.store;
+    this.clock = options.clock || Date.now;
+    // Only outstanding tokens are kept; using or replacing one deletes its record
+    this.tokens = this.store.repository('account_tokens'); // tokenId -> outstanding token
+  }
+
+  /**
+   * Sign a new token for a user. Older tokens of the same purpose stop working.
+   */
+  issue(user, purpose) {
+    const definition = PURPOSES[purpose];
+    if (!definition) {
+      throw new Error(`Unknown account token purpose: ${purpose}`);
+    }
+    this.revoke(user.id, purpose);
+    this.cleanupExpired();
+
+    const now = this.clock();
+    const record = {
+      id: uuidv4(),
+      userId: user.id,
+      purpose,
+      createdAt: new Date(now),
+      expiresAt: new Date(now + definition.ttlMs())
+    };
+    this.tokens.set(record.id, record);
+
+    const token = jwt.sign(
+      {
+        purpose,
+        sub: user.id,
+        orgId: this.authSystem.organizationId,
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(record.expiresAt.getTime() / 1000)
+      },
+      this.authSystem.jwtSecret,
+      { jwtid: record.id }
+    );
+    return { token, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Check a token's signature, purpose and expiry without using it; returns its record
+   */
+  verify(token, purpose) {
+    let claims;
+    try {
+      claims = jwt.verify(String(token || ''), this.authSystem.jwtSecret, { clockTimestamp: Math.floor(this.clock() / 1000) });
+    } catch (error) {
+      throw new ApiError('Invalid or expired token', 'invalid_token');
+    }
+
+    const record = this.tokens.get(claims.jti);
+    if (!record || claims.purpose !== purpose || record.purpose !== purpose ||
+      claims.orgId !== this.authSystem.organizationId || record.userId !== claims.sub) {
+      throw new ApiError('Invalid or expired token', 'invalid_token');
+    }
+    if (new Date(record.expiresAt).getTime() <= this.clock()) {
+      this.tokens.delete(record.id);
+      throw new ApiError('Invalid or expired token', 'invalid_token');
+    }
+    return record;
+  }
+
+  /**
+   * Verify a token and use it up, so the same link never works twice
+   */
+  consume(token, purpose) {
+    const record = this.verify(token, purpose);
+    this.tokens.delete(record.id);
+    return record;
+  }
+
+  /**
+   * Drop a user's outstanding tokens, optionally only those for one purpose
+   */
+  revoke(userId, purpose = null) {
+    const outstanding = this.tokens.filter(record =>
+      record.userId === userId && (!purpose || record.purpose === purpose));
+    for (const record of outstanding) {
+      this.tokens.delete(record.id);
+    }
+    return outstanding.length;
+  }
+
+  /**
+   * Drop records of tokens that expired without being used
+   */
+  cleanupExpired() {
+    for (const record of this.tokens.filter(candidate => new Date(candidate.expiresAt).getTime() <= this.clock())) {
+      this.tokens.delete(record.id);
+    }
+  }
+
+  removeUser(userId) {
+    this.revoke(userId);
+  }
+}
+
+AccountTokens.PURPOSES = Object.keys(PURPOSES);
+
+module.exports = AccountTokens;
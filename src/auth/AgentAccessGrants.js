@@ -0,0 +1,255 @@
+/**
+ * 🎟️ Agentic Boardroom - Agent Access Grants
+ * Per-user allow/deny grants layered over role agentAccess, and the access-request flow
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors/ApiError');
+
+const EFFECTS = ['allow', 'deny'];
+const DEFAULT_REQUEST_DAYS = 30;
+const MAX_REQUEST_DAYS = 365;
+
+class AgentAccessGrants {
+  /**
+   * @param {AuthSystem} authSystem - users, permissions and the audit log
+   */
+  constructor(authSystem, options = {}) {
+    this.authSystem = authSystem;
+    this.store = options.store || authSystem.store;
+    this.grants = this.store.repository('agent_grants'); // grantId -> grant
+    this.requests = this.store.repository('agent_access_requests'); // requestId -> access request
+  }
+
+  /**
+   * Active grants for a user and agent; a deny outranks an allow
+   */
+  effectiveGrant(userId, agentId, now = new Date()) {
+    const active = this.grants.filter(grant =>
+      grant.userId === userId && grant.agentId === agentId && this.isActive(grant, now));
+    return active.find(grant => grant.effect === 'deny') || active[0] || null;
+  }
+
+  isActive(grant, now = new Date()) {
+    return !grant.revokedAt && (!grant.expiresAt || new Date(grant.expiresAt) > now);
+  }
+
+  /**
+   * Allow or deny one agent for one user, optionally until `expiresAt` (agents:grant)
+   */
+  grant(adminUserId, targetUserId, { agentId, effect = 'allow', expiresAt = null, justification = '' } = {}) {
+    this.authSystem.requireAdminTarget(adminUserId, targetUserId, 'agents:grant');
+    return this.issue({
+      userId: targetUserId,
+      agentId,
+      effect,
+      expiresAt,
+      justification,
+      grantedBy: adminUserId,
+      requestId: null
+    });
+  }
+
+  issue({ userId, agentId, effect, expiresAt, justification, grantedBy, requestId }) {
+    if (!agentId || typeof agentId !== 'string') {
+      throw ValidationError.field('agentId', 'agentId is required');
+    }
+    if (!EFFECTS.includes(effect)) {
+      throw ValidationError.field('effect', 'effect must be allow or deny');
+    }
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (Number.isNaN(expiry.getTime()) || expiry <= new Date())) {
+      throw ValidationError.field('expiresAt', 'expiresAt must be a future date');
+    }
+
+    const grant = {
+      id: uuidv4(),
+      userId,
+      agentId,
+      effect,
+      justification: justification || '',
+      grantedBy,
+      requestId,
+      expiresAt: expiry,
+      createdAt: new Date(),
+      revokedAt: null,
+      revokedBy: null
+    };
+    this.grants.set(grant.id, grant);
+    this.authSystem.auditLog.record({
+      action: 'agent_access.granted',
+      actor: { type: 'user', id: grantedBy },
+      target: { type: 'user', id: userId },
+      details: { grantId: grant.id, agentId, effect, expiresAt: expiry, justification: grant.justification, requestId }
+    });
+
+    return { success: true, grant, performedBy: grantedBy };
+  }
+
+  /**
+   * Revoke a grant; it stays on record
+   */
+  revoke(adminUserId, grantId) {
+    const grant = this.grants.get(grantId);
+    if (!grant) {
+      throw new NotFoundError('Grant not found', 'grant_not_found');
+    }
+    this.authSystem.requireAdminTarget(adminUserId, grant.userId, 'agents:grant');
+    if (grant.revokedAt) {
+      throw new ConflictError('Grant is already revoked', 'grant_revoked');
+    }
+
+    grant.revokedAt = new Date();
+    grant.revokedBy = adminUserId;
+    this.grants.set(grant.id, grant);
+    this.authSystem.auditLog.record({
+      action: 'agent_access.revoked',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'user', id: grant.userId },
+      details: { grantId, agentId: grant.agentId, effect: grant.effect }
+    });
+
+    return { success: true, grant, performedBy: adminUserId };
+  }
+
+  /**
+   * A user's grants, newest first, split into active and inactive (expired or revoked)
+   */
+  listGrants(userId) {
+    const now = new Date();
+    const grants = this.grants.filter(grant => grant.userId === userId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      success: true,
+      active: grants.filter(grant => this.isActive(grant, now)),
+      inactive: grants.filter(grant => !this.isActive(grant, now))
+    };
+  }
+
+  /**
+   * Ask for access to an agent the user's role does not include
+   */
+  requestAccess(userId, { agentId, justification, durationDays = DEFAULT_REQUEST_DAYS } = {}) {
+    if (!agentId) {
+      throw ValidationError.field('agentId', 'agentId is required');
+    }
+    if (!justification) {
+      throw ValidationError.field('justification', 'A justification is required');
+    }
+    if (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > MAX_REQUEST_DAYS) {
+      throw ValidationError.field('durationDays', `durationDays must be between 1 and ${MAX_REQUEST_DAYS}`);
+    }
+    if (this.authSystem.canAccessAgent(userId, agentId)) {
+      throw new ConflictError('You already have access to this agent', 'agent_access_exists');
+    }
+    if (this.requests.find(request =>
+      request.userId === userId && request.agentId === agentId && request.status === 'pending')) {
+      throw new ConflictError('An access request for this agent is already pending', 'access_request_pending');
+    }
+
+    const request = {
+      id: uuidv4(),
+      userId,
+      agentId,
+      justification,
+      durationDays,
+      status: 'pending',
+      reviewedBy: null,
+      reviewNote: null,
+      grantId: null,
+      createdAt: new Date(),
+      reviewedAt: null
+    };
+    this.requests.set(request.id, request);
+    this.authSystem.auditLog.record({
+      action: 'agent_access.requested',
+      actor: { type: 'user', id: userId },
+      target: { type: 'access_request', id: request.id },
+      details: { agentId, durationDays, justification }
+    });
+
+    return { success: true, request };
+  }
+
+  /**
+   * Approve (issuing a time-limited grant) or reject a pending request.
+   * Reviewers need access_requests:approve and access to the agent themselves.
+   */
+  review(reviewerId, requestId, approve, note = '') {
+    const request = this.requests.get(requestId);
+    if (!request) {
+      throw new NotFoundError('Access request not found', 'access_request_not_found');
+    }
+    if (request.status !== 'pending') {
+      throw new ConflictError(`Access request is already ${request.status}`, 'access_request_reviewed');
+    }
+    if (!this.authSystem.hasPermission(reviewerId, 'access_requests:approve')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+    if (reviewerId === request.userId) {
+      throw new ForbiddenError('You cannot review your own access request', 'self_review_denied');
+    }
+    if (approve && !this.authSystem.canAccessAgent(reviewerId, request.agentId)) {
+      throw new ForbiddenError('You can only approve access to agents you can access', 'permission_denied');
+    }
+
+    request.status = approve ? 'approved' : 'rejected';
+    request.reviewedBy = reviewerId;
+    request.reviewNote = note || null;
+    request.reviewedAt = new Date();
+
+    if (approve) {
+      const { grant } = this.issue({
+        userId: request.userId,
+        agentId: request.agentId,
+        effect: 'allow',
+        expiresAt: new Date(Date.now() + request.durationDays * 24 * 60 * 60 * 1000),
+        justification: request.justification,
+        grantedBy: reviewerId,
+        requestId
+      });
+      request.grantId = grant.id;
+    }
+
+    this.requests.set(request.id, request);
+    this.authSystem.auditLog.record({
+      action: `agent_access.${request.status}`,
+      actor: { type: 'user', id: reviewerId },
+      target: { type: 'access_request', id: request.id },
+      details: { userId: request.userId, agentId: request.agentId, note: request.reviewNote }
+    });
+
+    return { success: true, request, performedBy: reviewerId };
+  }
+
+  /**
+   * The user's own requests, or every request for reviewers
+   */
+  listRequests(userId, filters = {}, limit = 50, offset = 0) {
+    const reviewer = this.authSystem.hasPermission(userId, 'access_requests:approve');
+    const requests = this.requests.filter(request =>
+      (reviewer || request.userId === userId) && (!filters.status || request.status === filters.status))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return {
+      success: true,
+      requests: requests.slice(offset, offset + limit),
+      total: requests.length
+    };
+  }
+
+  /**
+   * Drop every grant and request of a deleted user
+   */
+  removeUser(userId) {
+    for (const grant of this.grants.filter(candidate => candidate.userId === userId)) {
+      this.grants.delete(grant.id);
+    }
+    for (const request of this.requests.filter(candidate => candidate.userId === userId)) {
+      this.requests.delete(request.id);
+    }
+  }
+}
+
+module.exports = AgentAccessGrants;
@@ -0,0 +1,276 @@
+/**
+ * 🗝️ Agentic Boardroom - API Keys
+ * Scoped, expiring keys for services and bots, owned by a user or a service account
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { isValidPermission, matchesPermission } = require('./permissions');
+const { UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors/ApiError');
+
+const KEY_PREFIX = 'abk';
+const KEY_PATTERN = /^abk_([0-9a-f]{16})_([0-9a-f]{64})$/;
+const MAX_ROTATION_GRACE_MINUTES = 24 * 60;
+
+const hashSecret = (value) => crypto.createHash('sha256').update(value).digest('hex');
+// The key a request authenticated with, for the permission checks it reaches (see actingWith)
+const requestKey = new AsyncLocalStorage();
+
+class ApiKeys {
+  /**
+   * Whether a bearer token is an API key rather than a JWT
+   */
+  static isApiKey(token) {
+    return String(token || '').startsWith(`${KEY_PREFIX}_`);
+  }
+
+  /**
+   * @param {AuthSystem} authSystem - owners, permissions and the audit log
+   * @param {Function} options.clock - returns the current time in ms; fixed in tests
+   */
+  constructor(authSystem, options = {}) {
+    this.authSystem = authSystem;
+    this.store = options.store || authSystem.store;
+    this.clock = options.clock || Date.now;
+    this.defaultTtlDays = options.defaultTtlDays || Number(process.env.API_KEY_DEFAULT_TTL_DAYS || 90);
+    this.maxTtlDays = options.maxTtlDays || Number(process.env.API_KEY_MAX_TTL_DAYS || 365);
+    // Only hashes of the secrets are stored; the full key is shown once
+    this.keys = this.store.repository('api_keys'); // keyId -> key
+  }
+
+  /**
+   * Create a key for yourself (api_keys:manage:own) or for another user or service account
+   * (api_keys:manage:any). `scopes` are permission patterns and `agents` the agent ids the key
+   * may talk to (`['*']` for any the owner can reach). The actor must hold every scope.
+   */
+  create(actorId, { ownerId = actorId, name, scopes, agents = ['*'], expiresInDays } = {}) {
+    const owner = this.requireManager(actorId, ownerId);
+    if (!name || typeof name !== 'string') {
+      throw ValidationError.field('name', 'API key name is required');
+    }
+    if (!Array.isArray(scopes) || !scopes.length || !scopes.every(isValidPermission)) {
+      throw ValidationError.field('scopes', 'API key scopes must be a non-empty list of permissions');
+    }
+    const ungranted = scopes.filter(scope => !this.authSystem.hasPermission(actorId, scope));
+    if (ungranted.length > 0) {
+      throw new ForbiddenError('Cannot grant API key scopes you do not hold', 'permission_denied', { scopes: ungranted });
+    }
+    if (!Array.isArray(agents) || !agents.length || !agents.every(agent => typeof agent === 'string' && agent)) {
+      throw ValidationError.field('agents', 'API key agents must be a non-empty list of agent ids or "*"');
+    }
+    const ttlDays = expiresInDays === undefined ? this.defaultTtlDays : Number(expiresInDays);
+    if (!(ttlDays > 0) || ttlDays > this.maxTtlDays) {
+      throw ValidationError.field('expiresInDays', `API keys must expire within ${this.maxTtlDays} days`);
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = this.clock();
+    const apiKey = {
+      id,
+      name,
+      ownerId: owner.id,
+      scopes: [...new Set(scopes)],
+      agents: [...new Set(agents)],
+      secretHash: hashSecret(secret),
+      previousSecretHash: null,
+      previousSecretExpiresAt: null,
+      createdAt: new Date(now),
+      createdBy: actorId,
+      expiresAt: new Date(now + ttlDays * 24 * 60 * 60 * 1000),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      rotatedAt: null,
+      revokedAt: null
+    };
+    this.keys.set(id, apiKey);
+    this.authSystem.auditLog.record({
+      action: 'api_key.created',
+      actor: { type: 'user', id: actorId },
+      target: { type: 'api_key', id },
+      details: { ownerId: owner.id, name, scopes: apiKey.scopes, agents: apiKey.agents, expiresAt: apiKey.expiresAt }
+    });
+
+    return { success: true, apiKey: this.sanitize(apiKey), key: `${KEY_PREFIX}_${id}_${secret}` };
+  }
+
+  /**
+   * Replace a key's secret; the old secret keeps working for `graceMinutes` (default none)
+   * so running services can be redeployed with the new one
+   */
+  rotate(actorId, keyId, { graceMinutes = 0 } = {}) {
+    const apiKey = this.requireKey(actorId, keyId);
+    if (apiKey.revokedAt || this.isExpired(apiKey)) {
+      throw new ConflictError('API key is revoked or expired', 'api_key_inactive');
+    }
+    const grace = Number(graceMinutes);
+    if (!(grace >= 0) || grace > MAX_ROTATION_GRACE_MINUTES) {
+      throw ValidationError.field('graceMinutes', `Rotation grace must be between 0 and ${MAX_ROTATION_GRACE_MINUTES} minutes`);
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = this.clock();
+    Object.assign(apiKey, {
+      previousSecretHash: grace ? apiKey.secretHash : null,
+      previousSecretExpiresAt: grace ? new Date(now + grace * 60 * 1000) : null,
+      secretHash: hashSecret(secret),
+      rotatedAt: new Date(now)
+    });
+    this.keys.set(apiKey.id, apiKey);
+    this.authSystem.auditLog.record({
+      action: 'api_key.rotated',
+      actor: { type: 'user', id: actorId },
+      target: { type: 'api_key', id: apiKey.id },
+      details: { ownerId: apiKey.ownerId, graceMinutes: grace }
+    });
+
+    return { success: true, apiKey: this.sanitize(apiKey), key: `${KEY_PREFIX}_${apiKey.id}_${secret}` };
+  }
+
+  revoke(actorId, keyId) {
+    const apiKey = this.requireKey(actorId, keyId);
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date(this.clock());
+      this.keys.set(apiKey.id, apiKey);
+      this.authSystem.auditLog.record({
+        action: 'api_key.revoked',
+        actor: { type: 'user', id: actorId },
+        target: { type: 'api_key', id: apiKey.id },
+        details: { ownerId: apiKey.ownerId }
+      });
+    }
+    return { success: true, apiKey: this.sanitize(apiKey) };
+  }
+
+  /**
+   * Keys of one owner, or every key for api_keys:manage:any (`?ownerId=&status=active|revoked|expired`)
+   */
+  list(actorId, { ownerId, status } = {}) {
+    if (ownerId !== actorId && !this.authSystem.hasPermission(actorId, 'api_keys:manage:any')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+
+    const apiKeys = this.keys
+      .filter(apiKey => (!ownerId || apiKey.ownerId === ownerId) && (!status || this.statusOf(apiKey) === status))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(apiKey => {
+        const owner = this.authSystem.users.get(apiKey.ownerId);
+        return {
+          ...this.sanitize(apiKey),
+          owner: owner ? { id: owner.id, email: owner.email, name: owner.firstName, isServiceAccount: Boolean(owner.isServiceAccount) } : null
+        };
+      });
+    return { success: true, apiKeys, total: apiKeys.length };
+  }
+
+  /**
+   * Resolve a presented key to its record and active owner, recording when and from where it was used
+   */
+  authenticate(rawKey, { ip } = {}) {
+    const match = KEY_PATTERN.exec(String(rawKey || ''));
+    const apiKey = match ? this.keys.get(match[1]) : null;
+    if (!apiKey || !this.matchesSecret(apiKey, match[2]) || apiKey.revokedAt || this.isExpired(apiKey)) {
+      throw new UnauthorizedError('Invalid or expired API key', 'invalid_api_key');
+    }
+    const owner = this.authSystem.users.get(apiKey.ownerId);
+    if (!owner || !owner.isActive) {
+      throw new UnauthorizedError('Invalid or expired API key', 'invalid_api_key');
+    }
+
+    apiKey.lastUsedAt = new Date(this.clock());
+    apiKey.lastUsedIp = ip || null;
+    this.keys.set(apiKey.id, apiKey);
+    return { apiKey, user: owner };
+  }
+
+  matchesSecret(apiKey, secret) {
+    const presented = Buffer.from(hashSecret(secret));
+    if (crypto.timingSafeEqual(presented, Buffer.from(apiKey.secretHash))) {
+      return true;
+    }
+    return Boolean(apiKey.previousSecretHash) &&
+      new Date(apiKey.previousSecretExpiresAt).getTime() > this.clock() &&
+      crypto.timingSafeEqual(presented, Buffer.from(apiKey.previousSecretHash));
+  }
+
+  /**
+   * Whether a key's scopes cover a permission; the owner must hold it as well
+   */
+  allows(apiKey, permission) {
+    return apiKey.scopes.some(scope => matchesPermission(scope, permission));
+  }
+
+  /**
+   * Run `fn` on behalf of a key: until it settles, AuthSystem.hasPermission and canAccessAgent
+   * for the key's owner also require the key's scopes and agents, however deep in a subsystem they are
+   */
+  actingWith(apiKey, fn) {
+    return requestKey.run({ apiKeys: this, apiKey }, fn);
+  }
+
+  /**
+   * The key the current request acts through for this user, if any
+   */
+  actingKey(userId) {
+    const context = requestKey.getStore();
+    return context && context.apiKeys === this && context.apiKey.ownerId === userId ? context.apiKey : null;
+  }
+
+  allowsAgent(apiKey, agentId) {
+    return apiKey.agents.includes('*') || apiKey.agents.includes(agentId);
+  }
+
+  isExpired(apiKey) {
+    return new Date(apiKey.expiresAt).getTime() <= this.clock();
+  }
+
+  statusOf(apiKey) {
+    if (apiKey.revokedAt) return 'revoked';
+    return this.isExpired(apiKey) ? 'expired' : 'active';
+  }
+
+  /**
+   * The owner whose keys the actor may manage: their own, or, with api_keys:manage:any, those of
+   * anyone who holds no permission the actor lacks (see AuthSystem.requireAdminTarget)
+   */
+  requireManager(actorId, ownerId) {
+    if (ownerId !== actorId) {
+      return this.authSystem.requireAdminTarget(actorId, ownerId, 'api_keys:manage:any');
+    }
+    const owner = this.authSystem.users.get(ownerId);
+    if (!owner) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    if (!this.authSystem.hasPermission(actorId, 'api_keys:manage:own')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+    return owner;
+  }
+
+  requireKey(actorId, keyId) {
+    const apiKey = this.keys.get(keyId);
+    if (!apiKey) {
+      throw new NotFoundError('API key not found', 'api_key_not_found');
+    }
+    this.requireManager(actorId, apiKey.ownerId);
+    return apiKey;
+  }
+
+  /**
+   * Drop every key a deleted user owned
+   */
+  removeUser(userId) {
+    for (const apiKey of this.keys.filter(candidate => candidate.ownerId === userId)) {
+      this.keys.delete(apiKey.id);
+    }
+  }
+
+  sanitize(apiKey) {
+    const sanitized = { ...apiKey, prefix: `${KEY_PREFIX}_${apiKey.id}`, status: this.statusOf(apiKey) };
+    delete sanitized.secretHash;
+    delete sanitized.previousSecretHash;
+    return sanitized;
+  }
+}
+
+module.exports = ApiKeys;
@@ -3,99 +3,408 @@
  * User authentication, registration, and role-based access control
  */
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const Store = require('../storage/Store');
+const AuditLog = require('../audit/AuditLog');
+const AgentAccessGrants = require('./AgentAccessGrants');
+const TwoFactorAuth = require('./TwoFactorAuth');
+const LoginThrottle = require('./LoginThrottle');
+const PasswordPolicy = require('./PasswordPolicy');
+const AccountTokens = require('./AccountTokens');
+const ApiKeys = require('./ApiKeys');
+const Mailer = require('../mail/Mailer');
+const OrganizationSystem = require('../organizations/OrganizationSystem');
+const { PERMISSIONS, isValidPermission, matchesPermission } = require('./permissions');
+const ApiError = require('../errors/ApiError');
+const { UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, ValidationError, ServiceUnavailableError } = require('../errors/ApiError');
+
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Characters per chat message: custom roles default to the employee limit, no role may exceed the cap
+const DEFAULT_MAX_MESSAGE_LENGTH = 4000;
+const MAX_MESSAGE_LENGTH = 100000;
+const OWN_PERMISSIONS = [
+  'profile:*:own', 'agents:read', 'conversations:create', 'conversations:*:own', 'memories:*:own', 'access_requests:create'
+];
 
 class AuthSystem {
-  constructor() {
-    this.users = new Map(); // In production, use database
-    this.sessions = new Map();
-    this.roles = this.initializeRoles();
+  constructor(options = {}) {
+    this.organizationId = options.organizationId || OrganizationSystem.DEFAULT_ID;
+    this.store = options.store || new Store();
+    this.users = this.store.repository('users');
+    this.sessions = this.store.repository('sessions');
+    this.auditLog = options.auditLog || new AuditLog({ store: this.store });
+    this.agentGrants = new AgentAccessGrants(this, { store: this.store });
+    this.roleDefinitions = this.store.repository('roles'); // roleId -> custom or edited role
+    // Built-in roles that must sign in with a second factor
+    this.twoFactorRequiredRoles = options.twoFactorRequiredRoles ||
+      (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean);
+    this.defaultRoles = this.initializeRoles();
+    this.twoFactor = new TwoFactorAuth(this, { store: this.store, clock: options.clock });
+    this.rateLimit = new LoginThrottle(this, { store: this.store, clock: options.clock, ...options.loginThrottle });
+    this.passwordPolicy = options.passwordPolicy || new PasswordPolicy();
+    this.accountTokens = new AccountTokens(this, { store: this.store, clock: options.clock });
+    this.mailer = options.mailer || Mailer.fromEnv();
+    this.apiKeys = new ApiKeys(this, { store: this.store, clock: options.clock });
     this.jwtSecret = process.env.JWT_SECRET || 'agentic-boardroom-secret';
+    this.accessTokenTtl = options.accessTokenTtl || process.env.ACCESS_TOKEN_TTL || '15m';
+    this.refreshTokenTtlMs = options.refreshTokenTtlMs ||
+      Number(process.env.REFRESH_TOKEN_TTL_DAYS || 7) * 24 * 60 * 60 * 1000;
   }
 
   /**
    * Initialize role-based access control system
    */
   initializeRoles() {
-    return {
+    const roles = {
       'super_admin': {
         name: 'Super Administrator',
         permissions: ['*'], // All permissions
         description: 'Full system access and control',
         agentAccess: ['overlord', 'all_agents'],
-        spendingLimit: 1000000
+        spendingLimit: 1000000,
+        maxMessageLength: 32000
       },
       'executive': {
         name: 'Executive',
         permissions: [
-          'view_all_agents',
-          'interact_with_executives',
-          'approve_decisions',
-          'view_analytics',
-          'manage_budgets'
+          ...OWN_PERMISSIONS,
+          'decisions:create',
+          'decisions:read:any',
+          'decisions:approve',
+          'spend:create',
+          'spend:read:own',
+          'spend:review',
+          'budgets:approve',
+          'meetings:create',
+          'meetings:*:own',
+          'analytics:read',
+          'system:read',
+          'access_requests:approve'
         ],
         description: 'C-level executive access',
         agentAccess: ['ceo', 'cto', 'cfo', 'document_analyst'],
-        spendingLimit: 100000
+        spendingLimit: 100000,
+        maxMessageLength: 16000
       },
       'manager': {
         name: 'Manager',
         permissions: [
-          'view_team_agents',
-          'assign_tasks',
-          'view_reports',
-          'interact_with_assigned_agents'
+          ...OWN_PERMISSIONS,
+          'decisions:create',
+          'decisions:read:own',
+          'spend:create',
+          'spend:read:own',
+          'meetings:create',
+          'meetings:*:own',
+          'analytics:read'
         ],
         description: 'Team management access',
         agentAccess: ['research_director', 'innovation_lead', 'quality_assurance'],
-        spendingLimit: 10000
+        spendingLimit: 10000,
+        maxMessageLength: 8000
       },
       'employee': {
         name: 'Employee',
         permissions: [
-          'view_dashboard',
-          'interact_with_support_agents',
-          'create_tasks',
-          'view_own_reports'
+          ...OWN_PERMISSIONS,
+          'decisions:create',
+          'decisions:read:own',
+          'spend:create',
+          'spend:read:own',
+          'meetings:create',
+          'meetings:*:own'
         ],
         description: 'Standard employee access',
         agentAccess: ['meeting_facilitator', 'culture_champion', 'company_mascot'],
-        spendingLimit: 1000
+        spendingLimit: 1000,
+        maxMessageLength: 4000
       },
       'guest': {
         name: 'Guest',
-        permissions: [
-          'view_dashboard',
-          'view_public_reports'
-        ],
+        permissions: [...OWN_PERMISSIONS],
         description: 'Limited read-only access',
         agentAccess: ['company_mascot'],
-        spendingLimit: 0
+        spendingLimit: 0,
+        maxMessageLength: 1000
       }
     };
+
+    for (const [roleId, role] of Object.entries(roles)) {
+      role.requireTwoFactor = this.twoFactorRequiredRoles.includes(roleId);
+    }
+    return roles;
   }
 
   /**
-   * User registration with role assignment
+   * Built-in roles overlaid with the custom and edited roles in storage
    */
-  async register(userData) {
-    const { email, password, firstName, lastName, role = 'employee', department } = userData;
+  get roles() {
+    const roles = { ...this.defaultRoles };
+    for (const [roleId, role] of this.roleDefinitions.entries()) {
+      roles[roleId] = role;
+    }
+    return roles;
+  }
+
+  /**
+   * List roles with whether each is built in
+   */
+  listRoles() {
+    return {
+      success: true,
+      roles: Object.entries(this.roles).map(([id, role]) => ({
+        id,
+        ...role,
+        builtIn: Boolean(this.defaultRoles[id]),
+        members: this.users.filter(user => user.role === id).length
+      })),
+      permissions: PERMISSIONS
+    };
+  }
+
+  /**
+   * Create a custom role (roles:manage)
+   */
+  createRole(adminUserId, definition = {}) {
+    this.requireRoleManager(adminUserId);
+    const { id } = definition;
+    if (!ROLE_ID_PATTERN.test(id || '')) {
+      throw ValidationError.field('id', 'Role id must be lowercase letters, digits or underscores');
+    }
+    if (this.roles[id]) {
+      throw new ConflictError('Role already exists', 'role_exists');
+    }
+
+    const role = this.validateRole(adminUserId, {
+      name: definition.name,
+      description: definition.description || '',
+      permissions: definition.permissions || [],
+      agentAccess: definition.agentAccess || [],
+      spendingLimit: definition.spendingLimit || 0,
+      requireTwoFactor: definition.requireTwoFactor || false,
+      maxMessageLength: definition.maxMessageLength || DEFAULT_MAX_MESSAGE_LENGTH
+    });
+    role.createdAt = new Date();
+    role.updatedAt = role.createdAt;
+    this.roleDefinitions.set(id, role);
+    this.auditLog.record({
+      action: 'role.created',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'role', id },
+      details: { permissions: role.permissions, agentAccess: role.agentAccess }
+    });
+
+    return { success: true, role: { id, ...role }, performedBy: adminUserId };
+  }
+
+  /**
+   * Copy an existing role under a new id, optionally with overrides
+   */
+  cloneRole(adminUserId, sourceRoleId, overrides = {}) {
+    const source = this.roles[sourceRoleId];
+    if (!source) {
+      throw new NotFoundError('Role not found', 'role_not_found');
+    }
+
+    return this.createRole(adminUserId, {
+      name: `${source.name} (copy)`,
+      description: source.description,
+      permissions: source.permissions,
+      agentAccess: source.agentAccess,
+      spendingLimit: source.spendingLimit,
+      requireTwoFactor: source.requireTwoFactor,
+      maxMessageLength: source.maxMessageLength,
+      ...overrides
+    });
+  }
+
+  /**
+   * Edit a role's name, description, permissions, agentAccess, spendingLimit, requireTwoFactor or maxMessageLength.
+   * Members pick up the change immediately. Only requireTwoFactor can change on super_admin.
+   */
+  updateRole(adminUserId, roleId, updates = {}) {
+    this.requireRoleManager(adminUserId);
+    const current = this.roles[roleId];
+    if (!current) {
+      throw new NotFoundError('Role not found', 'role_not_found');
+    }
+    const editable = ['name', 'description', 'permissions', 'agentAccess', 'spendingLimit', 'requireTwoFactor', 'maxMessageLength'];
+    const changes = {};
+    for (const key of editable) {
+      if (updates[key] !== undefined) {
+        changes[key] = updates[key];
+      }
+    }
+    if (roleId === 'super_admin' && Object.keys(changes).some(key => key !== 'requireTwoFactor')) {
+      throw new ForbiddenError('The super_admin role cannot be modified', 'role_protected');
+    }
+
+    const role = this.validateRole(adminUserId, { ...current, ...changes });
+    role.updatedAt = new Date();
+    this.roleDefinitions.set(roleId, role);
+    const members = this.syncRoleMembers(roleId);
+    this.auditLog.record({
+      action: 'role.updated',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'role', id: roleId },
+      details: { changes, members }
+    });
+
+    return { success: true, role: { id: roleId, ...role }, members, performedBy: adminUserId };
+  }
+
+  /**
+   * Delete a custom role that no user holds
+   */
+  deleteRole(adminUserId, roleId) {
+    this.requireRoleManager(adminUserId);
+    if (this.defaultRoles[roleId]) {
+      throw new ForbiddenError('Built-in roles cannot be deleted', 'role_protected');
+    }
+    if (!this.roleDefinitions.has(roleId)) {
+      throw new NotFoundError('Role not found', 'role_not_found');
+    }
+    const members = this.users.filter(user => user.role === roleId).length;
+    if (members > 0) {
+      throw new ConflictError(`Role is assigned to ${members} user(s)`, 'role_in_use');
+    }
+
+    this.roleDefinitions.delete(roleId);
+    this.auditLog.record({
+      action: 'role.deleted',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'role', id: roleId }
+    });
+
+    return { success: true, roleId, performedBy: adminUserId };
+  }
+
+  requireRoleManager(adminUserId) {
+    if (!this.users.get(adminUserId) || !this.hasPermission(adminUserId, 'roles:manage')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+  }
+
+  /**
+   * Check a role definition; admins cannot grant permissions they do not hold themselves
+   */
+  validateRole(adminUserId, role) {
+    if (!role.name || typeof role.name !== 'string') {
+      throw ValidationError.field('name', 'Role name is required');
+    }
+    if (!Array.isArray(role.permissions) || !role.permissions.every(isValidPermission)) {
+      throw ValidationError.field('permissions', 'Permissions must be "resource:action[:scope]" strings');
+    }
+    if (!Array.isArray(role.agentAccess) || !role.agentAccess.every(agentId => ROLE_ID_PATTERN.test(agentId))) {
+      throw ValidationError.field('agentAccess', 'agentAccess must be a list of agent ids');
+    }
+    if (typeof role.spendingLimit !== 'number' || role.spendingLimit < 0) {
+      throw ValidationError.field('spendingLimit', 'spendingLimit must be a non-negative number');
+    }
+    if (role.requireTwoFactor !== undefined && typeof role.requireTwoFactor !== 'boolean') {
+      throw ValidationError.field('requireTwoFactor', 'requireTwoFactor must be a boolean');
+    }
+    const maxMessageLength = role.maxMessageLength === undefined ? DEFAULT_MAX_MESSAGE_LENGTH : role.maxMessageLength;
+    if (!Number.isInteger(maxMessageLength) || maxMessageLength < 1 || maxMessageLength > MAX_MESSAGE_LENGTH) {
+      throw ValidationError.field('maxMessageLength', `maxMessageLength must be an integer between 1 and ${MAX_MESSAGE_LENGTH}`);
+    }
+
+    const ungranted = role.permissions.filter(permission => !this.hasPermission(adminUserId, permission));
+    if (ungranted.length > 0) {
+      throw new ForbiddenError(`Cannot grant permissions you do not hold: ${ungranted.join(', ')}`, 'permission_denied');
+    }
+
+    return {
+      name: role.name,
+      description: role.description || '',
+      permissions: [...new Set(role.permissions)],
+      agentAccess: [...new Set(role.agentAccess)],
+      spendingLimit: role.spendingLimit,
+      requireTwoFactor: Boolean(role.requireTwoFactor),
+      maxMessageLength
+    };
+  }
+
+  /**
+   * Copy a role's current grants onto every user holding it
+   */
+  syncRoleMembers(roleId) {
+    const role = this.roles[roleId];
+    let members = 0;
+    for (const user of this.users.filter(candidate => candidate.role === roleId)) {
+      user.permissions = role.permissions;
+      user.agentAccess = role.agentAccess;
+      user.spendingLimit = role.spendingLimit;
+      user.updatedAt = new Date();
+      this.users.set(user.id, user);
+      members++;
+    }
+    return members;
+  }
+
+  /**
+   * Explain a user's effective permissions against the permission catalog
+   */
+  explainPermissions(requesterId, userId = requesterId) {
+    if (requesterId !== userId && !this.hasPermission(requesterId, 'users:manage')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+
+    const granted = this.getGrantedPermissions(user);
+    return {
+      success: true,
+      userId,
+      role: { id: user.role, name: this.roles[user.role] ? this.roles[user.role].name : null },
+      granted,
+      agentAccess: user.agentAccess,
+      agentGrants: this.agentGrants.listGrants(userId).active,
+      spendingLimit: user.spendingLimit,
+      permissions: Object.entries(PERMISSIONS).map(([permission, description]) => {
+        const grantedBy = granted.find(pattern => matchesPermission(pattern, permission)) || null;
+        return { permission, description, allowed: grantedBy !== null, grantedBy };
+      })
+    };
+  }
+
+  /**
+   * User registration. New users get the employee role; `options.role` is for accounts the server
+   * creates on an admin's behalf, never for anything a visitor sent.
+   * `options.seeded` is for accounts the server creates with a well-known password: it skips the
+   * password policy and the verification mail, and the caller must force a password change.
+   */
+  async register(userData, options = {}) {
+    const { email, password, firstName, lastName, department } = userData;
+    const { role = 'employee' } = options;
 
     // Validate input
-    if (!email || !password || !firstName || !lastName) {
-      throw new Error('Missing required fields');
+    const missing = ['email', 'password', 'firstName', 'lastName'].filter(field => !userData[field]);
+    if (missing.length > 0) {
+      throw new ValidationError(missing.map(field => ({ path: field, message: `${field} is required` })));
+    }
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      throw ValidationError.field('email', 'Invalid email address');
     }
 
     // Check if user already exists
     if (this.findUserByEmail(email)) {
-      throw new Error('User already exists');
+      throw new ConflictError('User already exists', 'user_exists');
     }
 
     // Validate role
-    if (!this.roles[role]) {
-      throw new Error('Invalid role specified');
+    const roleDefinition = this.roles[role];
+    if (!roleDefinition) {
+      throw ValidationError.field('role', 'Invalid role specified');
+    }
+    if (!options.seeded) {
+      this.passwordPolicy.validate(password);
     }
 
     // Hash password
@@ -110,12 +419,13 @@ class AuthSystem {
       lastName,
       role,
       department,
-      permissions: this.roles[role].permissions,
-      agentAccess: this.roles[role].agentAccess,
-      spendingLimit: this.roles[role].spendingLimit,
+      permissions: roleDefinition.permissions,
+      agentAccess: roleDefinition.agentAccess,
+      spendingLimit: roleDefinition.spendingLimit,
       createdAt: new Date(),
       lastLogin: null,
       isActive: true,
+      emailVerified: false,
       preferences: {
         theme: 'light',
         notifications: true,
@@ -124,6 +434,15 @@ class AuthSystem {
     };
 
     this.users.set(user.id, user);
+    this.auditLog.record({
+      action: 'user.registered',
+      actor: { type: 'user', id: user.id },
+      target: { type: 'user', id: user.id },
+      details: { email: user.email, role }
+    });
+    if (!options.seeded) {
+      await this.sendVerificationEmail(user);
+    }
     
     return {
       success: true,
@@ -133,79 +452,274 @@ class AuthSystem {
   }
 
   /**
-   * User login with JWT token generation
+   * User login with JWT token generation.
+   * `context.ip` feeds the per-IP failure counter alongside the per-account one.
    */
-  async login(email, password) {
+  async login(email, password, context = {}) {
+    this.rateLimit.check({ email, ip: context.ip });
     const user = this.findUserByEmail(email);
     
     if (!user) {
-      throw new Error('Invalid credentials');
+      this.recordLoginFailure(email, null, 'unknown_user', context);
+      throw new UnauthorizedError('Invalid credentials', 'invalid_credentials');
     }
 
     if (!user.isActive) {
-      throw new Error('Account is deactivated');
+      this.recordLoginFailure(email, user.id, 'deactivated', context);
+      throw new UnauthorizedError('Account is deactivated', 'account_deactivated');
     }
 
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password);
     if (!isValidPassword) {
-      throw new Error('Invalid credentials');
+      this.recordLoginFailure(email, user.id, 'invalid_password', context);
+      throw new UnauthorizedError('Invalid credentials', 'invalid_credentials');
+    }
+
+    // Enrolled users, and users whose role requires 2FA, finish with completeLogin
+    if (this.twoFactor.isEnabled(user.id) || this.twoFactor.isRequired(user)) {
+      return this.twoFactor.createChallenge(user);
+    }
+
+    return this.startSession(user);
+  }
+
+  /**
+   * Second login step: a TOTP or recovery code for a `verify` challenge, or the first
+   * code from the new secret for an `enroll` challenge (which also returns recovery codes)
+   */
+  completeLogin(challengeToken, code, context = {}) {
+    const challenge = this.twoFactor.getChallenge(challengeToken);
+    const user = this.users.get(challenge.userId);
+    if (!user || !user.isActive) {
+      this.twoFactor.challenges.delete(challenge.id);
+      throw new UnauthorizedError('Invalid or expired two-factor challenge', 'invalid_challenge');
+    }
+    this.rateLimit.check({ email: user.email, ip: context.ip });
+
+    let recoveryCodes = null;
+    try {
+      if (challenge.purpose === 'enroll') {
+        ({ recoveryCodes } = this.twoFactor.confirmEnrollment(user.id, code));
+      } else {
+        this.twoFactor.requireCode(user.id, code);
+      }
+    } catch (error) {
+      this.twoFactor.recordChallengeFailure(challenge);
+      this.recordLoginFailure(user.email, user.id, 'invalid_2fa_code', context);
+      throw error;
+    }
+
+    this.twoFactor.challenges.delete(challenge.id);
+    const result = this.startSession(user, { twoFactor: true });
+    return recoveryCodes ? { ...result, recoveryCodes } : result;
+  }
+
+  /**
+   * Secret and otpauth URI for a user who must enroll before their first 2FA login
+   */
+  beginLoginEnrollment(challengeToken) {
+    const challenge = this.twoFactor.getChallenge(challengeToken);
+    if (challenge.purpose !== 'enroll') {
+      throw new ConflictError('Two-factor authentication is already enabled', 'two_factor_enabled');
     }
+    return this.twoFactor.beginEnrollment(challenge.userId);
+  }
+
+  /**
+   * Open a session for a fully authenticated user. Only now is the account's failure counter
+   * cleared, so a correct password alone never resets it ahead of the second factor.
+   */
+  startSession(user, details = {}) {
+    this.rateLimit.recordSuccess({ email: user.email });
 
     // Update last login
     user.lastLogin = new Date();
+    this.users.set(user.id, user);
+    this.cleanupExpiredSessions();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        email: user.email,
-        role: user.role,
-        permissions: user.permissions
-      },
-      this.jwtSecret,
-      { expiresIn: '24h' }
-    );
-
-    // Create session
+    // A session is one refresh token family; it lives until the refresh token expires
     const sessionId = uuidv4();
-    this.sessions.set(sessionId, {
+    const session = {
+      id: sessionId,
       userId: user.id,
-      token,
+      refreshTokenHash: null,
+      previousRefreshTokenHash: null,
       createdAt: new Date(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      lastRefreshedAt: null,
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlMs)
+    };
+    const refreshToken = this.rotateRefreshToken(session);
+    this.auditLog.record({
+      action: 'auth.login.success',
+      actor: { type: 'user', id: user.id },
+      details: { email: user.email, sessionId, ...details }
     });
 
     return {
       success: true,
-      token,
+      token: this.signAccessToken(user, sessionId),
+      refreshToken,
       sessionId,
       user: this.sanitizeUser(user),
-      expiresIn: '24h'
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresAt: session.expiresAt,
+      passwordChangeRequired: Boolean(user.mustChangePassword)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a rotated refresh token.
+   * Presenting the token it replaced revokes the whole session; only that one
+   * generation is remembered, since a client holding an older token has already
+   * had it rotated out from under it.
+   */
+  refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = secret ? this.sessions.get(sessionId) : null;
+    if (!session || this.isSessionExpired(session)) {
+      throw new UnauthorizedError('Invalid refresh token', 'invalid_refresh_token');
+    }
+
+    const tokenHash = AuthSystem.hashToken(refreshToken);
+    if (tokenHash === session.previousRefreshTokenHash) {
+      this.sessions.delete(sessionId);
+      this.auditLog.record({
+        action: 'auth.refresh.reuse_detected',
+        actor: { type: 'user', id: session.userId },
+        details: { sessionId }
+      });
+      throw new UnauthorizedError('Refresh token reuse detected; session revoked', 'refresh_token_reused');
+    }
+    if (tokenHash !== session.refreshTokenHash) {
+      throw new UnauthorizedError('Invalid refresh token', 'invalid_refresh_token');
+    }
+
+    const user = this.users.get(session.userId);
+    if (!user || !user.isActive) {
+      this.sessions.delete(sessionId);
+      throw new UnauthorizedError('User not found or inactive', 'account_inactive');
+    }
+
+    session.previousRefreshTokenHash = tokenHash;
+    session.lastRefreshedAt = new Date();
+    const nextRefreshToken = this.rotateRefreshToken(session);
+
+    return {
+      success: true,
+      token: this.signAccessToken(user, sessionId),
+      refreshToken: nextRefreshToken,
+      sessionId,
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresAt: session.expiresAt
     };
   }
 
+  /**
+   * Short-lived JWT bound to a session, so revoking the session revokes the token
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions,
+        sessionId,
+        orgId: this.organizationId
+      },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Issue the session's next refresh token ("<sessionId>.<secret>"); only its hash is stored
+   */
+  rotateRefreshToken(session) {
+    const refreshToken = `${session.id}.${crypto.randomBytes(32).toString('hex')}`;
+    session.refreshTokenHash = AuthSystem.hashToken(refreshToken);
+    this.sessions.set(session.id, session);
+    return refreshToken;
+  }
+
+  /**
+   * The organization an access token claims, read without verifying it; callers
+   * must still verify the token with that organization's AuthSystem
+   */
+  static organizationOf(token) {
+    const decoded = jwt.decode(token);
+    return (decoded && decoded.orgId) || OrganizationSystem.DEFAULT_ID;
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  isSessionExpired(session) {
+    return new Date(session.expiresAt) < new Date();
+  }
+
   /**
    * Logout and invalidate session
    */
   logout(sessionId) {
     if (this.sessions.has(sessionId)) {
+      const session = this.sessions.get(sessionId);
       this.sessions.delete(sessionId);
+      this.auditLog.record({
+        action: 'auth.logout',
+        actor: { type: 'user', id: session.userId },
+        details: { sessionId }
+      });
       return { success: true, message: 'Logged out successfully' };
     }
     return { success: false, message: 'Session not found' };
   }
 
   /**
-   * Verify JWT token and return user
+   * Revoke every session of a user ("log out all devices")
+   */
+  logoutAll(userId) {
+    const revokedSessions = this.revokeUserSessions(userId);
+    this.auditLog.record({
+      action: 'auth.logout_all',
+      actor: { type: 'user', id: userId },
+      details: { revokedSessions }
+    });
+    return { success: true, revokedSessions, message: 'Logged out of all sessions' };
+  }
+
+  revokeUserSessions(userId, exceptSessionId = null) {
+    let revokedSessions = 0;
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.userId === userId && sessionId !== exceptSessionId) {
+        this.sessions.delete(sessionId);
+        revokedSessions++;
+      }
+    }
+    return revokedSessions;
+  }
+
+  /**
+   * Verify JWT token and its session, and return user. A failure carries a `code`:
+   * `token_expired` means refresh and retry, anything else means sign in again.
    */
   async verifyToken(token) {
     try {
-      const decoded = jwt.verify(token, this.jwtSecret);
+      const decoded = AuthSystem.decodeAccessToken(token, this.jwtSecret);
+      if ((decoded.orgId || OrganizationSystem.DEFAULT_ID) !== this.organizationId) {
+        throw new UnauthorizedError('Token belongs to another organization', 'token_invalid');
+      }
       const user = this.users.get(decoded.userId);
       
       if (!user || !user.isActive) {
-        throw new Error('User not found or inactive');
+        throw new UnauthorizedError('User not found or inactive', 'account_inactive');
+      }
+
+      const session = decoded.sessionId && this.sessions.get(decoded.sessionId);
+      if (!session || session.userId !== user.id || this.isSessionExpired(session)) {
+        throw new UnauthorizedError('Session expired or revoked', 'session_revoked');
       }
 
       return {
@@ -216,22 +730,54 @@ class AuthSystem {
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code
       };
     }
   }
 
   /**
-   * Check if user has specific permission
+   * The claims of a signed access token, or an UnauthorizedError saying whether it expired or is invalid
+   */
+  static decodeAccessToken(token, secret) {
+    try {
+      return jwt.verify(token, secret);
+    } catch (error) {
+      throw error instanceof jwt.TokenExpiredError
+        ? new UnauthorizedError('Access token expired', 'token_expired')
+        : new UnauthorizedError('Invalid token', 'token_invalid');
+    }
+  }
+
+  /**
+   * Check if user has specific permission. During a request made with an API key the key's
+   * scopes must cover it as well.
    */
   hasPermission(userId, permission) {
     const user = this.users.get(userId);
     if (!user) return false;
 
-    // Super admin has all permissions
-    if (user.permissions.includes('*')) return true;
-    
-    return user.permissions.includes(permission);
+    const apiKey = this.apiKeys.actingKey(userId);
+    if (apiKey && !this.apiKeys.allows(apiKey, permission)) return false;
+
+    return this.getGrantedPermissions(user).some(granted => matchesPermission(granted, permission));
+  }
+
+  /**
+   * Permission patterns granted by the user's role as currently defined
+   */
+  getGrantedPermissions(user) {
+    const role = this.roles[user.role];
+    return role ? role.permissions : user.permissions;
+  }
+
+  /**
+   * Longest chat message a user's role may send, in characters
+   */
+  messageLimitFor(userId) {
+    const user = this.users.get(userId);
+    const role = user && this.roles[user.role];
+    return (role && role.maxMessageLength) || DEFAULT_MAX_MESSAGE_LENGTH;
   }
 
   /**
@@ -241,6 +787,13 @@ class AuthSystem {
     const user = this.users.get(userId);
     if (!user) return false;
 
+    const apiKey = this.apiKeys.actingKey(userId);
+    if (apiKey && !this.apiKeys.allowsAgent(apiKey, agentName)) return false;
+
+    // Per-user grants and denies override the role
+    const grant = this.agentGrants.effectiveGrant(userId, agentName);
+    if (grant) return grant.effect === 'allow';
+
     // Super admin can access all agents
     if (user.agentAccess.includes('all_agents')) return true;
     
@@ -253,7 +806,7 @@ class AuthSystem {
   async updateProfile(userId, updates) {
     const user = this.users.get(userId);
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found', 'user_not_found');
     }
 
     const allowedUpdates = ['firstName', 'lastName', 'department', 'preferences'];
@@ -267,6 +820,7 @@ class AuthSystem {
 
     // Update user data
     Object.assign(user, updateData, { updatedAt: new Date() });
+    this.users.set(user.id, user);
 
     return {
       success: true,
@@ -278,115 +832,451 @@ class AuthSystem {
   /**
    * Change user password
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId = null) {
     const user = this.users.get(userId);
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    if (!currentPassword || !newPassword) {
+      throw ValidationError.field(currentPassword ? 'newPassword' : 'currentPassword', 'Current and new password are required');
     }
+    if (currentPassword === newPassword) {
+      throw ValidationError.field('newPassword', 'New password must differ from the current password');
+    }
+    this.passwordPolicy.validate(newPassword, 'newPassword');
 
     // Verify current password
     const isValidPassword = await bcrypt.compare(currentPassword, user.password);
     if (!isValidPassword) {
-      throw new Error('Current password is incorrect');
+      throw ValidationError.field('currentPassword', 'Current password is incorrect');
     }
 
     // Hash new password
     const hashedPassword = await bcrypt.hash(newPassword, 12);
     user.password = hashedPassword;
+    user.mustChangePassword = false;
     user.updatedAt = new Date();
+    this.users.set(user.id, user);
+
+    // Sign out every other device that knew the old password, and void reset links sent for it
+    const revokedSessions = this.revokeUserSessions(user.id, currentSessionId);
+    this.accountTokens.revoke(user.id, 'password_reset');
+    this.auditLog.record({
+      action: 'user.password_changed',
+      actor: { type: 'user', id: user.id },
+      target: { type: 'user', id: user.id },
+      details: { revokedSessions }
+    });
 
     return {
       success: true,
+      revokedSessions,
       message: 'Password changed successfully'
     };
   }
 
   /**
-   * Admin function to update user role
+   * Make a user choose a new password before using anything else (e.g. a seeded account)
    */
-  updateUserRole(adminUserId, targetUserId, newRole) {
-    const admin = this.users.get(adminUserId);
-    const targetUser = this.users.get(targetUserId);
+  requirePasswordChange(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    user.mustChangePassword = true;
+    user.updatedAt = new Date();
+    this.users.set(user.id, user);
+    return { success: true, userId };
+  }
 
-    if (!admin || !targetUser) {
-      throw new Error('User not found');
+  /**
+   * Mail a link that proves the user owns their email address. A mail failure is logged,
+   * not thrown, so registration still succeeds and the user can ask for another link.
+   */
+  async sendVerificationEmail(user) {
+    const { token, expiresAt } = this.accountTokens.issue(user, 'email_verification');
+    try {
+      await this.mailer.send({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'Confirm your email address for the Agentic Boardroom by opening this link:',
+          this.mailer.link('/verify-email', { token, organization: this.linkOrganization() }),
+          '',
+          `The link works once and expires at ${expiresAt.toISOString()}.`
+        ].join('\n'),
+        tags: ['email_verification']
+      });
+      return true;
+    } catch (error) {
+      console.error(`❌ Failed to send verification email to ${user.email}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Send a fresh verification link; earlier links stop working
+   */
+  async resendVerificationEmail(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    if (user.emailVerified) {
+      throw new ConflictError('Email address is already verified', 'email_verified');
     }
+    if (!await this.sendVerificationEmail(user)) {
+      throw new ServiceUnavailableError('Verification email could not be sent', 'mail_unavailable');
+    }
+    return { success: true, message: 'Verification email sent' };
+  }
+
+  /**
+   * Mark the email address verified with a token from a verification link
+   */
+  verifyEmail(token) {
+    const record = this.accountTokens.consume(token, 'email_verification');
+    const user = this.users.get(record.userId);
+    if (!user) {
+      throw new ApiError('Invalid or expired token', 'invalid_token');
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    this.users.set(user.id, user);
+    this.auditLog.record({
+      action: 'user.email_verified',
+      actor: { type: 'user', id: user.id },
+      target: { type: 'user', id: user.id },
+      details: { email: user.email }
+    });
+
+    return { success: true, user: this.sanitizeUser(user), message: 'Email address verified' };
+  }
+
+  /**
+   * Mail a password reset link to an active account. The answer is the same whether or not
+   * the account exists, and the mail is sent in the background so timing does not tell either.
+   */
+  requestPasswordReset(email, context = {}) {
+    const user = typeof email === 'string' ? this.findUserByEmail(email) : null;
+    this.auditLog.record({
+      action: 'auth.password_reset.requested',
+      actor: { type: 'user', id: user ? user.id : null },
+      details: { email: String(email || '').toLowerCase(), ip: context.ip || null, found: Boolean(user && user.isActive) }
+    });
 
-    // Check admin permissions
-    if (!this.hasPermission(adminUserId, '*') && admin.role !== 'super_admin') {
-      throw new Error('Insufficient permissions');
+    if (user && user.isActive) {
+      const { token, expiresAt } = this.accountTokens.issue(user, 'password_reset');
+      this.mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          'Someone asked to reset the password for your Agentic Boardroom account. To choose a new one, open:',
+          this.mailer.link('/reset-password', { token, organization: this.linkOrganization() }),
+          '',
+          `The link works once and expires at ${expiresAt.toISOString()}.`,
+          'If you did not ask for this, ignore this email; your password has not changed.'
+        ].join('\n'),
+        tags: ['password_reset']
+      }).catch(error => console.error(`❌ Failed to send password reset email to ${user.email}:`, error.message));
     }
 
-    if (!this.roles[newRole]) {
-      throw new Error('Invalid role specified');
+    return { success: true, message: 'If an account exists for that address, a reset link has been sent' };
+  }
+
+  /**
+   * Set a new password with a token from a reset link; every session is signed out
+   */
+  async resetPassword(token, newPassword, context = {}) {
+    const record = this.accountTokens.verify(token, 'password_reset');
+    const user = this.users.get(record.userId);
+    if (!user || !user.isActive) {
+      throw new ApiError('Invalid or expired token', 'invalid_token');
+    }
+    // Checked before the token is used up, so a rejected password can be retried with the same link
+    this.passwordPolicy.validate(newPassword, 'newPassword');
+    this.accountTokens.consume(token, 'password_reset');
+
+    user.password = await bcrypt.hash(newPassword, 12);
+    user.mustChangePassword = false;
+    // Only the owner of the mailbox could have followed the link
+    user.emailVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    user.updatedAt = new Date();
+    this.users.set(user.id, user);
+
+    const revokedSessions = this.revokeUserSessions(user.id);
+    this.auditLog.record({
+      action: 'user.password_reset',
+      actor: { type: 'user', id: user.id },
+      target: { type: 'user', id: user.id },
+      details: { revokedSessions, ip: context.ip || null }
+    });
+
+    return { success: true, revokedSessions, message: 'Password reset successfully' };
+  }
+
+  /**
+   * Organization named in emailed links, so the app sends follow-up requests to the right tenant
+   */
+  linkOrganization() {
+    return this.organizationId === OrganizationSystem.DEFAULT_ID ? null : this.organizationId;
+  }
+
+  /**
+   * Create a service account: a user without a password or email that acts only through
+   * API keys. Its role must not grant permissions the admin does not hold.
+   */
+  createServiceAccount(adminUserId, { name, role, department } = {}) {
+    if (!this.users.has(adminUserId) || !this.hasPermission(adminUserId, 'users:manage')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+    if (!name || typeof name !== 'string') {
+      throw ValidationError.field('name', 'Service account name is required');
+    }
+    const roleDefinition = this.roles[role];
+    if (!roleDefinition) {
+      throw ValidationError.field('role', 'Invalid role specified');
+    }
+    if (!roleDefinition.permissions.every(permission => this.hasPermission(adminUserId, permission))) {
+      throw new ForbiddenError('Cannot assign a role with permissions you do not hold', 'permission_denied');
+    }
+
+    const user = {
+      id: uuidv4(),
+      email: null,
+      password: null,
+      firstName: name,
+      lastName: 'Service Account',
+      role,
+      department,
+      permissions: roleDefinition.permissions,
+      agentAccess: roleDefinition.agentAccess,
+      spendingLimit: roleDefinition.spendingLimit,
+      createdAt: new Date(),
+      createdBy: adminUserId,
+      lastLogin: null,
+      isActive: true,
+      isServiceAccount: true
+    };
+    this.users.set(user.id, user);
+    this.auditLog.record({
+      action: 'user.service_account_created',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'user', id: user.id },
+      details: { name, role }
+    });
+
+    return { success: true, user: this.sanitizeUser(user) };
+  }
+
+  /**
+   * Admin function to update user role
+   */
+  updateUserRole(adminUserId, targetUserId, newRole) {
+    const targetUser = this.requireAdminTarget(adminUserId, targetUserId);
+    const role = this.roles[newRole];
+
+    if (!role) {
+      throw ValidationError.field('role', 'Invalid role specified');
+    }
+    if (!role.permissions.every(permission => this.hasPermission(adminUserId, permission))) {
+      throw new ForbiddenError('Cannot assign a role with permissions you do not hold', 'permission_denied');
     }
 
     // Update user role and permissions
+    const previousRole = targetUser.role;
     targetUser.role = newRole;
-    targetUser.permissions = this.roles[newRole].permissions;
-    targetUser.agentAccess = this.roles[newRole].agentAccess;
-    targetUser.spendingLimit = this.roles[newRole].spendingLimit;
+    targetUser.permissions = role.permissions;
+    targetUser.agentAccess = role.agentAccess;
+    targetUser.spendingLimit = role.spendingLimit;
     targetUser.updatedAt = new Date();
+    this.users.set(targetUser.id, targetUser);
+    this.auditLog.record({
+      action: 'user.role_changed',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'user', id: targetUserId },
+      details: { from: previousRole, to: newRole }
+    });
 
     return {
       success: true,
       user: this.sanitizeUser(targetUser),
+      performedBy: adminUserId,
       message: 'User role updated successfully'
     };
   }
 
   /**
-   * Get all users (admin only)
+   * Get all users (admin only), optionally searched by name, email or department
    */
-  getAllUsers(adminUserId) {
+  getAllUsers(adminUserId, { search, role, status, type, limit = Infinity, offset = 0 } = {}) {
     const admin = this.users.get(adminUserId);
-    if (!admin || !this.hasPermission(adminUserId, '*')) {
-      throw new Error('Insufficient permissions');
+    if (!admin || !this.hasPermission(adminUserId, 'users:manage')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
     }
 
+    const term = search ? String(search).toLowerCase() : null;
+    const users = this.users.filter(user =>
+      (!term || [user.email, user.firstName, user.lastName, user.department]
+        .some(field => field && String(field).toLowerCase().includes(term))) &&
+      (!role || user.role === role) &&
+      (!status || (status === 'active') === user.isActive) &&
+      (!type || (type === 'service_account') === Boolean(user.isServiceAccount)))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
     return {
       success: true,
-      users: Array.from(this.users.values()).map(user => this.sanitizeUser(user)),
-      total: this.users.size
+      users: users.slice(offset, offset + limit).map(user => this.sanitizeUser(user)),
+      total: users.length
     };
   }
 
+  /**
+   * Look up a user for an admin (admin only)
+   */
+  getUserForAdmin(adminUserId, targetUserId) {
+    const targetUser = this.requireAdminTarget(adminUserId, targetUserId, 'users:manage', { readOnly: true });
+    const { enabled, required } = this.twoFactor.status(targetUserId);
+    return { success: true, user: this.sanitizeUser(targetUser), twoFactor: { enabled, required } };
+  }
+
   /**
    * Deactivate user account
    */
   deactivateUser(adminUserId, targetUserId) {
-    const admin = this.users.get(adminUserId);
-    const targetUser = this.users.get(targetUserId);
-
-    if (!admin || !targetUser) {
-      throw new Error('User not found');
-    }
-
-    if (!this.hasPermission(adminUserId, '*')) {
-      throw new Error('Insufficient permissions');
+    const targetUser = this.requireAdminTarget(adminUserId, targetUserId);
+    if (targetUserId === adminUserId) {
+      throw new ForbiddenError('Administrators cannot deactivate their own account', 'self_action_denied');
     }
 
     targetUser.isActive = false;
     targetUser.updatedAt = new Date();
+    this.users.set(targetUser.id, targetUser);
 
     // Invalidate all sessions for this user
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (session.userId === targetUserId) {
-        this.sessions.delete(sessionId);
-      }
-    }
+    const revokedSessions = this.revokeUserSessions(targetUserId);
+    this.auditLog.record({
+      action: 'user.deactivated',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'user', id: targetUserId },
+      details: { revokedSessions }
+    });
 
     return {
       success: true,
+      user: this.sanitizeUser(targetUser),
+      revokedSessions,
+      performedBy: adminUserId,
       message: 'User deactivated successfully'
     };
   }
 
+  /**
+   * Reactivate a deactivated user account
+   */
+  reactivateUser(adminUserId, targetUserId) {
+    const targetUser = this.requireAdminTarget(adminUserId, targetUserId);
+    if (targetUser.isActive) {
+      throw new ConflictError('User is already active', 'user_active');
+    }
+
+    targetUser.isActive = true;
+    targetUser.updatedAt = new Date();
+    this.users.set(targetUser.id, targetUser);
+    this.auditLog.record({
+      action: 'user.reactivated',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'user', id: targetUserId }
+    });
+
+    return {
+      success: true,
+      user: this.sanitizeUser(targetUser),
+      performedBy: adminUserId,
+      message: 'User reactivated successfully'
+    };
+  }
+
+  /**
+   * Delete a user account and its sessions. Callers erase or anonymize data held by other systems.
+   * The append-only audit log keeps its records about the user, including any email addresses they carry.
+   */
+  deleteUser(adminUserId, targetUserId) {
+    this.requireAdminTarget(adminUserId, targetUserId);
+    if (targetUserId === adminUserId) {
+      throw new ForbiddenError('Administrators cannot delete their own account', 'self_action_denied');
+    }
+
+    const revokedSessions = this.revokeUserSessions(targetUserId);
+    this.agentGrants.removeUser(targetUserId);
+    this.twoFactor.removeUser(targetUserId);
+    this.accountTokens.removeUser(targetUserId);
+    this.apiKeys.removeUser(targetUserId);
+    this.users.delete(targetUserId);
+    this.auditLog.record({
+      action: 'user.deleted',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'user', id: targetUserId },
+      details: { revokedSessions }
+    });
+
+    return {
+      success: true,
+      userId: targetUserId,
+      revokedSessions,
+      performedBy: adminUserId,
+      message: 'User deleted successfully'
+    };
+  }
+
+  /**
+   * Check admin permission and return the target user. Unless `readOnly`, the admin must also hold
+   * every permission the target holds, so a delegated admin cannot act on anyone above them.
+   */
+  requireAdminTarget(adminUserId, targetUserId, permission = 'users:manage', { readOnly = false } = {}) {
+    const admin = this.users.get(adminUserId);
+    const targetUser = this.users.get(targetUserId);
+
+    if (!admin || !targetUser) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+
+    if (!this.hasPermission(adminUserId, permission)) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+
+    const beyond = readOnly ? [] : this.getGrantedPermissions(targetUser)
+      .filter(granted => !this.hasPermission(adminUserId, granted));
+    if (beyond.length > 0) {
+      throw new ForbiddenError('Cannot manage a user who holds permissions you do not hold', 'permission_denied');
+    }
+
+    return targetUser;
+  }
+
+  /**
+   * Audit a failed login attempt
+   */
+  recordLoginFailure(email, userId, reason, context = {}) {
+    this.auditLog.record({
+      action: 'auth.login.failure',
+      actor: { type: 'user', id: userId },
+      details: { email: String(email).toLowerCase(), reason, ip: context.ip || null }
+    });
+    this.rateLimit.recordFailure({ email, ip: context.ip, userId });
+  }
+
   /**
    * Helper function to find user by email
    */
   findUserByEmail(email) {
-    return Array.from(this.users.values()).find(user => user.email === email.toLowerCase());
+    return this.users.find(user => user.email === email.toLowerCase());
   }
 
   /**
@@ -403,7 +1293,7 @@ class AuthSystem {
   cleanupExpiredSessions() {
     const now = new Date();
     for (const [sessionId, session] of this.sessions.entries()) {
-      if (session.expiresAt < now) {
+      if (new Date(session.expiresAt) < now) {
         this.sessions.delete(sessionId);
       }
     }
@@ -436,4 +1326,6 @@ class AuthSystem {
   }
 }
 
+AuthSystem.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
 module.exports = AuthSystem;
\ No newline at end of file
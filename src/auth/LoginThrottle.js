@@ -0,0 +1,185 @@
+/**
+ * 🚦 Agentic Boardroom - Login Throttle
+ * Per-account and per-IP failed-login counters with progressive delays and temporary lockout
+ */
+
+const { ForbiddenError, RateLimitedError } = require('../errors/ApiError');
+
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+class LoginThrottle {
+  /**
+   * @param {AuthSystem} authSystem - users, admin checks and the audit log
+   * @param {Function} options.clock - returns the current time in ms; fixed in tests
+   */
+  constructor(authSystem, options = {}) {
+    this.authSystem = authSystem;
+    this.store = options.store || authSystem.store;
+    this.clock = options.clock || Date.now;
+    this.maxFailures = options.maxFailures || Number(process.env.LOGIN_MAX_FAILURES || 5);
+    this.maxIpFailures = options.maxIpFailures || Number(process.env.LOGIN_MAX_IP_FAILURES || 20);
+    this.lockoutMs = options.lockoutMs || Number(process.env.LOGIN_LOCKOUT_MINUTES || 15) * 60 * 1000;
+    this.attempts = this.store.repository('login_attempts'); // email or ip:<address> -> failure counter
+    this.lockouts = this.store.repository('login_lockouts'); // email or ip:<address> -> active lockout
+  }
+
+  keysFor({ email, ip }) {
+    const keys = [];
+    if (email) keys.push(String(email).toLowerCase());
+    if (ip) keys.push(`ip:${ip}`);
+    return keys;
+  }
+
+  /**
+   * Wait before the next attempt: nothing for the first failures, then doubling up to 30 seconds
+   */
+  delayFor(failures) {
+    if (failures <= FREE_ATTEMPTS) {
+      return 0;
+    }
+    return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+  }
+
+  /**
+   * Counter for a key, dropped once no failure has happened for a lockout period
+   */
+  getAttempts(key) {
+    const attempts = this.attempts.get(key);
+    if (attempts && this.clock() - new Date(attempts.lastFailureAt).getTime() > this.lockoutMs) {
+      this.attempts.delete(key);
+      return null;
+    }
+    return attempts || null;
+  }
+
+  getLockout(key) {
+    const lockout = this.lockouts.get(key);
+    if (lockout && new Date(lockout.lockedUntil).getTime() <= this.clock()) {
+      this.lockouts.delete(key);
+      this.attempts.delete(key);
+      return null;
+    }
+    return lockout || null;
+  }
+
+  /**
+   * Refuse an attempt while the account or IP is locked out or the account is waiting out its delay.
+   * Throws a RateLimitedError whose `retryAfter` is in seconds.
+   */
+  check(context) {
+    const now = this.clock();
+    for (const key of this.keysFor(context)) {
+      const lockout = this.getLockout(key);
+      if (lockout) {
+        this.authSystem.auditLog.record({
+          action: 'auth.login.failure',
+          actor: { type: 'user', id: lockout.userId || null },
+          details: { email: context.email ? String(context.email).toLowerCase() : null, ip: context.ip || null, reason: 'locked_out' }
+        });
+        this.reject('Too many failed login attempts; try again later', new Date(lockout.lockedUntil).getTime() - now, 'locked_out');
+      }
+
+      // Delays are per account; a shared office IP only locks once it reaches its own limit
+      const attempts = key.startsWith('ip:') ? null : this.getAttempts(key);
+      const delay = attempts ? this.delayFor(attempts.failures) : 0;
+      const waitMs = attempts ? new Date(attempts.lastFailureAt).getTime() + delay - now : 0;
+      if (waitMs > 0) {
+        this.reject('Too many login attempts; slow down', waitMs);
+      }
+    }
+  }
+
+  reject(message, waitMs, code = 'rate_limited') {
+    throw new RateLimitedError(message, Math.max(1, Math.ceil(waitMs / 1000)), code);
+  }
+
+  /**
+   * Count a failed attempt against the account and the IP, locking whichever hits its limit
+   */
+  recordFailure({ email, ip, userId = null }) {
+    const now = new Date(this.clock());
+    for (const key of this.keysFor({ email, ip })) {
+      const attempts = this.getAttempts(key) || { key, failures: 0, firstFailureAt: now };
+      attempts.failures++;
+      attempts.lastFailureAt = now;
+      this.attempts.set(key, attempts);
+
+      const isIp = key.startsWith('ip:');
+      if (attempts.failures >= (isIp ? this.maxIpFailures : this.maxFailures) && !this.lockouts.has(key)) {
+        this.lock(key, { type: isIp ? 'ip' : 'account', userId: isIp ? null : userId, failures: attempts.failures });
+      }
+    }
+  }
+
+  lock(key, { type, userId, failures }) {
+    const lockout = {
+      key,
+      type,
+      userId,
+      failures,
+      lockedAt: new Date(this.clock()),
+      lockedUntil: new Date(this.clock() + this.lockoutMs)
+    };
+    this.lockouts.set(key, lockout);
+    this.authSystem.auditLog.record({
+      action: type === 'ip' ? 'auth.lockout.ip' : 'auth.lockout',
+      actor: { type: 'system' },
+      target: type === 'ip' ? { type: 'ip', id: key.slice(3) } : { type: 'user', id: userId },
+      details: { key, failures, lockedUntil: lockout.lockedUntil }
+    });
+  }
+
+  /**
+   * A successful sign-in clears the account's counter; the IP counter only decays with time
+   */
+  recordSuccess({ email }) {
+    this.attempts.delete(String(email).toLowerCase());
+  }
+
+  /**
+   * Active lockouts, soonest to expire first
+   */
+  listLockouts() {
+    const lockouts = Array.from(this.lockouts.keys())
+      .map(key => this.getLockout(key))
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.lockedUntil) - new Date(b.lockedUntil));
+    return { success: true, lockouts };
+  }
+
+  /**
+   * Lift an account lockout and reset its counter (users:manage)
+   */
+  unlockUser(adminUserId, targetUserId) {
+    const targetUser = this.authSystem.requireAdminTarget(adminUserId, targetUserId);
+    return this.unlock(adminUserId, targetUser.email, { type: 'user', id: targetUserId });
+  }
+
+  /**
+   * Lift an IP lockout and reset its counter (users:manage)
+   */
+  unlockIp(adminUserId, ip) {
+    if (!this.authSystem.hasPermission(adminUserId, 'users:manage')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+    return this.unlock(adminUserId, `ip:${ip}`, { type: 'ip', id: ip });
+  }
+
+  unlock(adminUserId, key, target) {
+    const wasLocked = Boolean(this.getLockout(key));
+    this.lockouts.delete(key);
+    this.attempts.delete(key);
+    this.authSystem.auditLog.record({
+      action: 'auth.unlocked',
+      actor: { type: 'user', id: adminUserId },
+      target,
+      details: { key, wasLocked }
+    });
+
+    return { success: true, key, wasLocked, performedBy: adminUserId };
+  }
+}
+
+module.exports = LoginThrottle;
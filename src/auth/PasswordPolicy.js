@@ -0,0 +1,91 @@
+/**
+ * 🔏 Agentic Boardroom - Password Policy
+ * Length, character-class and breached-password rules for new passwords
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('../errors/ApiError');
+
+const DEFAULT_BREACHED_LIST = path.join(__dirname, '../../configs/breached-passwords.txt');
+// bcrypt ignores everything past 72 bytes, so longer passwords would be silently truncated
+const MAX_LENGTH = 72;
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+class PasswordPolicy {
+  /**
+   * @param {number} options.minLength - PASSWORD_MIN_LENGTH, default 12
+   * @param {number} options.minCharacterClasses - how many of lowercase, uppercase, digits and symbols (PASSWORD_MIN_CHARACTER_CLASSES, default 3)
+   * @param {string} options.breachedListFile - newline-separated passwords to refuse (PASSWORD_BREACHED_LIST)
+   */
+  constructor(options = {}) {
+    this.minLength = options.minLength || Number(process.env.PASSWORD_MIN_LENGTH || 12);
+    this.minCharacterClasses = options.minCharacterClasses !== undefined
+      ? options.minCharacterClasses
+      : Number(process.env.PASSWORD_MIN_CHARACTER_CLASSES || 3);
+    this.breachedListFile = options.breachedListFile || process.env.PASSWORD_BREACHED_LIST || DEFAULT_BREACHED_LIST;
+    this.breached = PasswordPolicy.loadBreachedList(this.breachedListFile);
+  }
+
+  /**
+   * Read a breached-password list: one password per line, `#` comments, compared case-insensitively
+   */
+  static loadBreachedList(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Breached password list not found: ${file}`);
+    }
+    return new Set(fs.readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#')));
+  }
+
+  /**
+   * Every rule a password breaks, as readable messages; empty when it is acceptable
+   */
+  check(password) {
+    if (typeof password !== 'string' || !password) {
+      return ['is required'];
+    }
+
+    const problems = [];
+    if (password.length < this.minLength) {
+      problems.push(`must be at least ${this.minLength} characters`);
+    }
+    if (Buffer.byteLength(password) > MAX_LENGTH) {
+      problems.push(`must be at most ${MAX_LENGTH} bytes`);
+    }
+    if (CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length < this.minCharacterClasses) {
+      problems.push(`must mix at least ${this.minCharacterClasses} of lowercase letters, uppercase letters, digits and symbols`);
+    }
+    if (this.breached.has(password.toLowerCase())) {
+      problems.push('appears in a list of breached passwords');
+    }
+    return problems;
+  }
+
+  /**
+   * Throw a ValidationError when a password breaks the policy, with one `errors` entry per broken
+   * rule under `field`
+   */
+  validate(password, field = 'password') {
+    const problems = this.check(password);
+    if (problems.length) {
+      throw new ValidationError(problems.map(problem => ({ path: field, message: `Password ${problem}` })), `Password ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * The rules, for clients that show them before the user picks a password
+   */
+  describe() {
+    return {
+      minLength: this.minLength,
+      maxLength: MAX_LENGTH,
+      minCharacterClasses: this.minCharacterClasses,
+      breachedPasswordCheck: true
+    };
+  }
+}
+
+module.exports = PasswordPolicy;
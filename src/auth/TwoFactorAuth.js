@@ -0,0 +1,296 @@
+/**
+ * 🔑 Agentic Boardroom - Two-Factor Authentication
+ * TOTP enrollment, recovery codes and the second step of login
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const totp = require('./totp');
+const ApiError = require('../errors/ApiError');
+const { UnauthorizedError, ForbiddenError, NotFoundError, ConflictError } = require('../errors/ApiError');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const hashSecret = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+class TwoFactorAuth {
+  /**
+   * @param {AuthSystem} authSystem - users, roles and the audit log
+   * @param {Function} options.clock - returns the current time in ms; fixed in tests
+   */
+  constructor(authSystem, options = {}) {
+    this.authSystem = authSystem;
+    this.store = options.store || authSystem.store;
+    this.clock = options.clock || Date.now;
+    this.issuer = options.issuer || process.env.TWO_FACTOR_ISSUER || 'Agentic Boardroom';
+    // Secrets live apart from user records so sanitized users can never carry them
+    this.enrollments = this.store.repository('two_factor'); // userId -> enrollment
+    this.challenges = this.store.repository('login_challenges'); // challengeId -> pending second step
+  }
+
+  isEnabled(userId) {
+    const enrollment = this.enrollments.get(userId);
+    return Boolean(enrollment && enrollment.enabled);
+  }
+
+  /**
+   * Whether the user's role forces two-factor authentication
+   */
+  isRequired(user) {
+    const role = this.authSystem.roles[user.role];
+    return Boolean(role && role.requireTwoFactor);
+  }
+
+  status(userId) {
+    const user = this.authSystem.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    const enrollment = this.enrollments.get(userId);
+    return {
+      success: true,
+      enabled: this.isEnabled(userId),
+      required: this.isRequired(user),
+      enabledAt: enrollment && enrollment.enabled ? enrollment.enabledAt : null,
+      recoveryCodesRemaining: enrollment && enrollment.enabled ? enrollment.recoveryCodeHashes.length : 0
+    };
+  }
+
+  /**
+   * Generate a new secret; it takes effect once confirmed with a code from the app
+   */
+  beginEnrollment(userId) {
+    const user = this.authSystem.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    if (this.isEnabled(userId)) {
+      throw new ConflictError('Two-factor authentication is already enabled', 'two_factor_enabled');
+    }
+
+    const secret = totp.generateSecret();
+    this.enrollments.set(userId, {
+      userId,
+      enabled: false,
+      secret: null,
+      pendingSecret: secret,
+      lastUsedCounter: null,
+      recoveryCodeHashes: [],
+      enabledAt: null
+    });
+
+    return {
+      success: true,
+      secret,
+      otpauthUri: totp.otpauthUri({ secret, account: user.email, issuer: this.issuer })
+    };
+  }
+
+  /**
+   * Turn two-factor on with a code from the pending secret; returns one-time recovery codes
+   */
+  confirmEnrollment(userId, code) {
+    const enrollment = this.enrollments.get(userId);
+    if (!enrollment || !enrollment.pendingSecret) {
+      throw new ConflictError('No two-factor enrollment in progress', 'two_factor_not_pending');
+    }
+    const counter = totp.verifyCode(enrollment.pendingSecret, code, { time: this.clock() });
+    if (counter === null) {
+      throw new ApiError('Invalid two-factor code', 'invalid_two_factor_code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    Object.assign(enrollment, {
+      enabled: true,
+      secret: enrollment.pendingSecret,
+      pendingSecret: null,
+      lastUsedCounter: counter,
+      recoveryCodeHashes: recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode)),
+      enabledAt: new Date(this.clock())
+    });
+    this.enrollments.set(userId, enrollment);
+    this.authSystem.auditLog.record({
+      action: 'user.2fa_enabled',
+      actor: { type: 'user', id: userId },
+      target: { type: 'user', id: userId }
+    });
+
+    return { success: true, recoveryCodes };
+  }
+
+  /**
+   * Check a TOTP code or a recovery code. TOTP codes cannot be replayed and
+   * recovery codes work once.
+   */
+  verify(userId, code) {
+    const enrollment = this.enrollments.get(userId);
+    if (!enrollment || !enrollment.enabled) {
+      return false;
+    }
+
+    const counter = totp.verifyCode(enrollment.secret, code, { time: this.clock() });
+    if (counter !== null) {
+      if (enrollment.lastUsedCounter !== null && counter <= enrollment.lastUsedCounter) {
+        return false;
+      }
+      enrollment.lastUsedCounter = counter;
+      this.enrollments.set(userId, enrollment);
+      return true;
+    }
+
+    const index = enrollment.recoveryCodeHashes.indexOf(this.hashRecoveryCode(code));
+    if (index === -1) {
+      return false;
+    }
+    enrollment.recoveryCodeHashes.splice(index, 1);
+    this.enrollments.set(userId, enrollment);
+    this.authSystem.auditLog.record({
+      action: 'auth.2fa.recovery_code_used',
+      actor: { type: 'user', id: userId },
+      details: { remaining: enrollment.recoveryCodeHashes.length }
+    });
+    return true;
+  }
+
+  requireCode(userId, code) {
+    if (!this.verify(userId, code)) {
+      throw new ApiError('Invalid two-factor code', 'invalid_two_factor_code');
+    }
+  }
+
+  /**
+   * Replace every recovery code; needs a current code
+   */
+  regenerateRecoveryCodes(userId, code) {
+    this.requireCode(userId, code);
+    const enrollment = this.enrollments.get(userId);
+    const recoveryCodes = this.generateRecoveryCodes();
+    enrollment.recoveryCodeHashes = recoveryCodes.map(recoveryCode => this.hashRecoveryCode(recoveryCode));
+    this.enrollments.set(userId, enrollment);
+    this.authSystem.auditLog.record({
+      action: 'user.2fa_recovery_codes_regenerated',
+      actor: { type: 'user', id: userId },
+      target: { type: 'user', id: userId }
+    });
+
+    return { success: true, recoveryCodes };
+  }
+
+  /**
+   * Turn two-factor off with a current code, unless the user's role requires it
+   */
+  disable(userId, code) {
+    const user = this.authSystem.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    if (this.isRequired(user)) {
+      throw new ForbiddenError('Two-factor authentication is required for your role', 'two_factor_required');
+    }
+    this.requireCode(userId, code);
+
+    this.enrollments.delete(userId);
+    this.authSystem.auditLog.record({
+      action: 'user.2fa_disabled',
+      actor: { type: 'user', id: userId },
+      target: { type: 'user', id: userId }
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Admin reset for a lost device; the user re-enrolls at next login if their role requires it
+   */
+  reset(adminUserId, targetUserId) {
+    this.authSystem.requireAdminTarget(adminUserId, targetUserId);
+    const existed = this.enrollments.delete(targetUserId);
+    const revokedSessions = this.authSystem.revokeUserSessions(targetUserId);
+    this.authSystem.auditLog.record({
+      action: 'user.2fa_reset',
+      actor: { type: 'user', id: adminUserId },
+      target: { type: 'user', id: targetUserId },
+      details: { wasEnabled: existed, revokedSessions }
+    });
+
+    return { success: true, userId: targetUserId, revokedSessions, performedBy: adminUserId };
+  }
+
+  /**
+   * Start the second login step for a user whose password checked out.
+   * `enroll` challenges are for users whose role requires 2FA but who have not set it up.
+   */
+  createChallenge(user) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const challenge = {
+      id: uuidv4(),
+      userId: user.id,
+      purpose: this.isEnabled(user.id) ? 'verify' : 'enroll',
+      secretHash: hashSecret(secret),
+      attempts: 0,
+      expiresAt: new Date(this.clock() + CHALLENGE_TTL_MS)
+    };
+    this.challenges.set(challenge.id, challenge);
+
+    return {
+      success: true,
+      twoFactorRequired: true,
+      enrollmentRequired: challenge.purpose === 'enroll',
+      challengeToken: `${challenge.id}.${secret}`,
+      expiresAt: challenge.expiresAt
+    };
+  }
+
+  /**
+   * Look up a live challenge from its token
+   */
+  getChallenge(challengeToken) {
+    const [challengeId, secret] = String(challengeToken || '').split('.');
+    const challenge = secret ? this.challenges.get(challengeId) : null;
+    if (!challenge || challenge.secretHash !== hashSecret(secret)) {
+      throw new UnauthorizedError('Invalid or expired two-factor challenge', 'invalid_challenge');
+    }
+    if (new Date(challenge.expiresAt).getTime() <= this.clock()) {
+      this.challenges.delete(challenge.id);
+      throw new UnauthorizedError('Invalid or expired two-factor challenge', 'invalid_challenge');
+    }
+    return challenge;
+  }
+
+  /**
+   * Count a wrong code against a challenge; it is dropped after too many
+   */
+  recordChallengeFailure(challenge) {
+    challenge.attempts++;
+    if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      this.challenges.delete(challenge.id);
+    } else {
+      this.challenges.set(challenge.id, challenge);
+    }
+  }
+
+  /**
+   * Drop a user's enrollment and pending challenges
+   */
+  removeUser(userId) {
+    this.enrollments.delete(userId);
+    for (const challenge of this.challenges.filter(candidate => candidate.userId === userId)) {
+      this.challenges.delete(challenge.id);
+    }
+  }
+
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+  }
+
+  hashRecoveryCode(code) {
+    return hashSecret(String(code || '').trim().toLowerCase());
+  }
+}
+
+module.exports = TwoFactorAuth;
@@ -0,0 +1,96 @@
+/**
+ * 🛡️ Agentic Boardroom - Permission Catalog
+ * Resource-scoped permission strings ("resource:action[:scope]") and wildcard matching
+ */
+
+// Every permission a route or subsystem checks, with what it allows
+const PERMISSIONS = {
+  'profile:read:own': 'View your own profile and effective permissions',
+  'profile:write:own': 'Update your own profile and password',
+  'agents:read': 'List the agents you can talk to',
+  'agents:grant': 'Grant or deny individual users access to agents',
+  'access_requests:create': 'Ask for access to an agent outside your role',
+  'access_requests:approve': 'Approve or reject agent access requests for agents you can access',
+  'conversations:create': 'Start conversations with accessible agents',
+  'conversations:read:own': 'Read your own conversations',
+  'conversations:read:any': 'Read any user\'s conversations',
+  'conversations:write:own': 'Send, stream and cancel messages in your own conversations, and end, reopen, archive and rename them',
+  'conversations:delete:own': 'Delete, restore and purge your own conversations',
+  'memories:read:own': 'See what agents remember about you',
+  'memories:delete:own': 'Delete what agents remember about you',
+  'decisions:create': 'Propose decisions',
+  'decisions:read:own': 'Read decisions you proposed',
+  'decisions:read:any': 'Read every decision',
+  'decisions:approve': 'Resolve escalated decisions and approve executive-tier spend',
+  'spend:create': 'Submit and cancel your own spend requests',
+  'spend:read:own': 'Read your own spend requests and budget',
+  'spend:read:any': 'Read every spend request',
+  'spend:review': 'Approve or reject spend requests within your tier authority',
+  'budgets:approve': 'Approve CFO-tier spend',
+  'budgets:approve:board': 'Approve board-tier spend',
+  'meetings:create': 'Convene boardroom meetings',
+  'meetings:read:own': 'Read meetings you organized',
+  'meetings:read:any': 'Read every meeting',
+  'meetings:write:own': 'End meetings you organized',
+  'analytics:read': 'View system metrics',
+  'system:read': 'View system, configuration and agent status',
+  'system:config': 'Reload agent manifests and governance policies',
+  'users:manage': 'List, edit, deactivate and delete users',
+  'roles:manage': 'Create, clone, edit and delete roles',
+  'audit:read': 'Query and verify the audit log',
+  'api_keys:manage:own': 'Create, rotate and revoke your own API keys',
+  'api_keys:manage:any': 'List every API key, and create, rotate and revoke keys for other users and service accounts',
+  'organizations:manage': 'Create, edit and deactivate organizations (from the default organization only)'
+};
+
+// Flat permission names from before resource scoping
+const LEGACY_PERMISSIONS = {
+  approve_decisions: 'decisions:approve',
+  manage_budgets: 'budgets:approve',
+  view_analytics: 'analytics:read',
+  view_all_agents: 'agents:read',
+  view_team_agents: 'agents:read'
+};
+
+const PERMISSION_PATTERN = /^(\*|[a-z_]+(:([a-z_]+|\*)){0,2})$/;
+
+function normalizePermission(permission) {
+  return LEGACY_PERMISSIONS[permission] || permission;
+}
+
+function isValidPermission(permission) {
+  return typeof permission === 'string' &&
+    (PERMISSION_PATTERN.test(permission) || Boolean(LEGACY_PERMISSIONS[permission]));
+}
+
+/**
+ * Whether a granted pattern covers a required permission.
+ * "*" matches one segment, or everything after it when it is the last segment;
+ * an ":any" grant also covers the ":own" form of the same permission.
+ */
+function matchesPermission(granted, required) {
+  const grantedParts = normalizePermission(granted).split(':');
+  const requiredParts = normalizePermission(required).split(':');
+
+  const covers = (parts) => {
+    for (const [index, part] of grantedParts.entries()) {
+      if (part === '*' && index === grantedParts.length - 1) return true;
+      if (index >= parts.length || (part !== '*' && part !== parts[index])) return false;
+    }
+    return grantedParts.length === parts.length;
+  };
+
+  if (covers(requiredParts)) return true;
+  if (requiredParts[requiredParts.length - 1] === 'own') {
+    return covers([...requiredParts.slice(0, -1), 'any']);
+  }
+  return false;
+}
+
+module.exports = {
+  PERMISSIONS,
+  LEGACY_PERMISSIONS,
+  normalizePermission,
+  isValidPermission,
+  matchesPermission
+};
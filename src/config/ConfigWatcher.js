@@ -0,0 +1,89 @@
+/**
+ * 👀 Agentic Boardroom - Configuration Watcher
+ * Debounced file watching for agent manifests and governance policies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+class ConfigWatcher extends EventEmitter {
+  /**
+   * @param {string[]} targets - directories (watched one level deep) or files
+   */
+  constructor(targets, options = {}) {
+    super();
+    this.targets = targets;
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : 300;
+    this.watchers = new Map(); // watched directory -> fs.FSWatcher
+    this.pendingFiles = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Start watching all targets
+   */
+  start() {
+    for (const target of this.targets) {
+      if (!fs.existsSync(target)) continue;
+
+      if (fs.statSync(target).isDirectory()) {
+        this.watchDirectory(target, () => true);
+        for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+          if (entry.isDirectory()) {
+            this.watchDirectory(path.join(target, entry.name), name => /\.ya?ml$/.test(name));
+          }
+        }
+      } else {
+        // Watch the parent directory: editors often replace files instead of writing in place
+        const basename = path.basename(target);
+        this.watchDirectory(path.dirname(target), name => name === basename);
+      }
+    }
+  }
+
+  /**
+   * Re-scan targets so newly created team directories are watched
+   */
+  refresh() {
+    this.stop();
+    this.start();
+  }
+
+  /**
+   * Stop all watchers and pending notifications
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pendingFiles.clear();
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+  }
+
+  watchDirectory(directory, accepts) {
+    if (this.watchers.has(directory)) return;
+
+    const watcher = fs.watch(directory, (eventType, filename) => {
+      if (!filename || !accepts(filename)) return;
+      this.schedule(path.join(directory, filename));
+    });
+    watcher.on('error', (error) => this.emit('error', error));
+    this.watchers.set(directory, watcher);
+  }
+
+  schedule(file) {
+    this.pendingFiles.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const files = Array.from(this.pendingFiles);
+      this.pendingFiles.clear();
+      this.timer = null;
+      this.emit('change', files);
+    }, this.debounceMs);
+  }
+}
+
+module.exports = ConfigWatcher;
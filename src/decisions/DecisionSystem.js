@@ -0,0 +1,324 @@
+/**
+ * 🗳️ Agentic Boardroom - Decision Consensus System
+ * Decision lifecycle, agent votes, governance approval thresholds and escalation
+ */
+
+const EventEmitter = require('events');
+const { ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors/ApiError');
+
+const STATUSES = ['proposed', 'under_review', 'approved', 'rejected', 'escalated'];
+
+// Routing categories governed by policies/governance-policies.yaml decision_matrix
+const CATEGORY_DOMAINS = {
+  strategic_planning: 'strategic_decisions',
+  technical_architecture: 'technical_decisions',
+  financial_decisions: 'financial_decisions'
+};
+
+/**
+ * Approval thresholds: each returns 'approved', 'rejected' or 'deadlock'
+ */
+const THRESHOLD_RULES = {
+  // Every participant must agree; an abstention blocks consensus
+  executive_consensus: ({ votes }) => {
+    if (votes.every(vote => vote.position === 'approve')) return 'approved';
+    if (votes.every(vote => vote.position === 'reject')) return 'rejected';
+    return 'deadlock';
+  },
+
+  // The authority decides, but needs sign-off from every reviewer; a reviewer rejection blocks
+  technical_review: ({ votes, authority }) => {
+    const authorityVote = votes.find(vote => vote.agentId === authority);
+    const reviews = votes.filter(vote => vote.agentId !== authority);
+
+    if (reviews.some(vote => vote.position === 'reject')) return 'rejected';
+    if (authorityVote && authorityVote.position === 'reject') return 'rejected';
+    if (authorityVote && authorityVote.position === 'approve' &&
+        reviews.every(vote => vote.position === 'approve')) return 'approved';
+    return 'deadlock';
+  },
+
+  simple_majority: ({ votes }) => {
+    const approvals = votes.filter(vote => vote.position === 'approve').length;
+    const rejections = votes.filter(vote => vote.position === 'reject').length;
+    if (approvals > rejections) return 'approved';
+    if (rejections > approvals) return 'rejected';
+    return 'deadlock';
+  }
+};
+
+class DecisionSystem extends EventEmitter {
+  /**
+   * @param {AgentChatSystem} agentChatSystem - solicits agent positions and provides policies
+   * @param {DecisionRouter} decisionRouter - chooses the authority and required consensus
+   */
+  constructor(agentChatSystem, decisionRouter, options = {}) {
+    super();
+    this.agentChatSystem = agentChatSystem;
+    this.authSystem = agentChatSystem.authSystem;
+    this.decisionRouter = decisionRouter;
+    this.store = options.store || agentChatSystem.store;
+    this.decisions = this.store.repository('decisions'); // decisionId -> decision
+    this.auditLog = options.auditLog || agentChatSystem.auditLog;
+  }
+
+  /**
+   * Route a decision request and record it as proposed
+   */
+  propose(userId, request = {}) {
+    const { routing } = this.decisionRouter.route(userId, request);
+    const authority = routing.agent.id;
+    const now = new Date();
+
+    const decision = {
+      id: routing.id,
+      title: request.title || null,
+      description: request.description || null,
+      category: routing.category,
+      urgency: routing.urgency,
+      budget: request.budget !== undefined ? request.budget : null,
+      proposedBy: userId,
+      authority,
+      participants: [authority, ...routing.requiredConsensus.filter(agentId => agentId !== authority)],
+      threshold: this.approvalThreshold(routing.category),
+      status: 'proposed',
+      votes: [],
+      escalationPath: routing.escalationPath,
+      escalations: [],
+      resolution: null,
+      routing: {
+        router: routing.router,
+        score: routing.score,
+        triggers: routing.triggers,
+        explanation: routing.explanation
+      },
+      history: [{ status: 'proposed', at: now }],
+      createdAt: now,
+      updatedAt: now,
+      decidedAt: null
+    };
+
+    this.decisions.set(decision.id, decision);
+    this.auditLog.record({
+      action: 'decision.proposed',
+      actor: { type: 'user', id: userId },
+      target: { type: 'decision', id: decision.id },
+      details: { category: decision.category, authority, budget: decision.budget }
+    });
+    this.emit('decisionUpdated', { decision });
+
+    return { success: true, decision, routing };
+  }
+
+  /**
+   * Governance approval_threshold for the decision's category
+   */
+  approvalThreshold(category) {
+    const domain = CATEGORY_DOMAINS[category];
+    const matrix = (this.agentChatSystem.governancePolicies || {}).decision_matrix || {};
+    const threshold = domain && matrix[domain] && matrix[domain].approval_threshold;
+    return THRESHOLD_RULES[threshold] ? threshold : 'simple_majority';
+  }
+
+  /**
+   * Collect each participant's position, apply the threshold and escalate on deadlock
+   */
+  async review(decisionId) {
+    const decision = this.decisions.get(decisionId);
+    if (!decision) {
+      throw new NotFoundError('Decision not found', 'decision_not_found');
+    }
+    if (decision.status !== 'proposed') {
+      throw new ConflictError(`Decision is already ${decision.status}`, 'decision_closed');
+    }
+
+    this.transition(decision, 'under_review');
+
+    for (const agentId of decision.participants) {
+      await this.recordPosition(decision, agentId, agentId === decision.authority ? 'authority' : 'consensus');
+    }
+
+    const outcome = THRESHOLD_RULES[decision.threshold](decision);
+    if (outcome !== 'deadlock') {
+      this.transition(decision, outcome, `${decision.threshold} reached`);
+      return { success: true, decision };
+    }
+
+    await this.escalate(decision);
+    return { success: true, decision };
+  }
+
+  /**
+   * Walk the escalation path; the first agent that takes a side settles the deadlock
+   */
+  async escalate(decision) {
+    const steps = decision.escalationPath
+      .filter(step => !step.agentId || !decision.participants.includes(step.agentId));
+
+    for (const [index, step] of steps.entries()) {
+      decision.escalations.push({ level: index + 1, to: step.name, agentId: step.agentId, at: new Date() });
+      this.transition(decision, 'escalated', `Deadlock escalated to ${step.name}`);
+
+      if (!step.agentId) {
+        // Not an agent (e.g. the board): wait for a human resolution
+        return;
+      }
+
+      const vote = await this.recordPosition(decision, step.agentId, 'escalation');
+      if (vote.position !== 'abstain') {
+        this.transition(decision, vote.position === 'approve' ? 'approved' : 'rejected', `Settled by ${vote.agentName}`);
+        return;
+      }
+    }
+
+    if (steps.length === 0) {
+      this.transition(decision, 'escalated', 'Deadlock with no escalation path');
+    }
+  }
+
+  /**
+   * Ask one agent for its position and record the vote
+   */
+  async recordPosition(decision, agentId, role) {
+    const profile = this.agentChatSystem.agentProfiles[agentId];
+    let position;
+    try {
+      position = await this.agentChatSystem.solicitPosition(agentId, decision);
+    } catch (error) {
+      position = { position: 'abstain', rationale: `No position recorded: ${error.message}` };
+    }
+
+    // An agent cannot approve more than its manifest lets it spend
+    const authority = this.agentChatSystem.spendAuthority(agentId);
+    if (position.position === 'approve' && decision.budget !== null && decision.budget > authority) {
+      position = {
+        position: 'abstain',
+        rationale: `${position.rationale} (approval exceeds spend authority of $${authority})`.trim()
+      };
+    }
+
+    const vote = {
+      agentId,
+      agentName: profile ? profile.name : agentId,
+      role,
+      position: position.position,
+      rationale: position.rationale,
+      votedAt: new Date()
+    };
+    decision.votes.push(vote);
+    this.save(decision);
+    this.auditLog.record({
+      action: 'decision.vote',
+      actor: { type: 'agent', id: agentId },
+      target: { type: 'decision', id: decision.id },
+      details: { role, position: vote.position, model: position.model || null }
+    });
+    this.emit('decisionVote', { decisionId: decision.id, vote });
+    return vote;
+  }
+
+  /**
+   * Settle an escalated decision (users with the decisions:approve permission)
+   */
+  resolve(userId, decisionId, outcome, rationale = '') {
+    const decision = this.decisions.get(decisionId);
+    if (!decision) {
+      throw new NotFoundError('Decision not found', 'decision_not_found');
+    }
+    if (!this.authSystem.hasPermission(userId, 'decisions:approve')) {
+      throw new ForbiddenError('Insufficient permissions', 'permission_denied');
+    }
+    if (decision.status !== 'escalated') {
+      throw new ConflictError('Only escalated decisions can be resolved', 'decision_not_escalated');
+    }
+    if (!['approved', 'rejected'].includes(outcome)) {
+      throw ValidationError.field('outcome', 'Outcome must be approved or rejected');
+    }
+
+    decision.resolution = { resolvedBy: userId, outcome, rationale, resolvedAt: new Date() };
+    this.transition(decision, outcome, rationale || 'Resolved by user', { type: 'user', id: userId });
+
+    return { success: true, decision };
+  }
+
+  /**
+   * Get a decision visible to the user
+   */
+  getDecision(userId, decisionId) {
+    const decision = this.decisions.get(decisionId);
+    if (!decision) {
+      throw new NotFoundError('Decision not found', 'decision_not_found');
+    }
+    if (!this.canView(userId, decision)) {
+      throw new ForbiddenError('Access denied to this decision', 'decision_access_denied');
+    }
+
+    return { success: true, decision };
+  }
+
+  /**
+   * List decisions visible to the user, newest first
+   */
+  listDecisions(userId, filters = {}, limit = 50, offset = 0) {
+    const decisions = this.decisions.filter(decision =>
+      this.canView(userId, decision) && (!filters.status || decision.status === filters.status))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      success: true,
+      decisions: decisions.slice(offset, offset + limit),
+      total: decisions.length
+    };
+  }
+
+  /**
+   * Remove a deleted user's id from the decisions they proposed or resolved.
+   * The decisions themselves are the organization's record and are kept.
+   */
+  anonymizeUser(userId) {
+    const decisions = this.decisions.filter(decision => decision.proposedBy === userId ||
+      (decision.resolution && decision.resolution.resolvedBy === userId));
+    for (const decision of decisions) {
+      if (decision.proposedBy === userId) {
+        decision.proposedBy = null;
+      }
+      if (decision.resolution && decision.resolution.resolvedBy === userId) {
+        decision.resolution.resolvedBy = null;
+      }
+      this.save(decision);
+    }
+    return decisions.length;
+  }
+
+  canView(userId, decision) {
+    return decision.proposedBy === userId || this.authSystem.hasPermission(userId, 'decisions:read:any');
+  }
+
+  transition(decision, status, note = undefined, actor = { type: 'system' }) {
+    if (!STATUSES.includes(status)) {
+      throw ValidationError.field('status', `Unknown decision status: ${status}`);
+    }
+
+    this.auditLog.record({
+      action: `decision.${status}`,
+      actor,
+      target: { type: 'decision', id: decision.id },
+      details: { from: decision.status, note: note || null }
+    });
+    decision.status = status;
+    decision.history.push({ status, at: new Date(), note });
+    if (status === 'approved' || status === 'rejected') {
+      decision.decidedAt = new Date();
+    }
+    this.save(decision);
+    this.emit('decisionUpdated', { decision });
+  }
+
+  save(decision) {
+    decision.updatedAt = new Date();
+    this.decisions.set(decision.id, decision);
+  }
+}
+
+module.exports = DecisionSystem;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,289 @@
+/**
+ * 📘 Agentic Boardroom - OpenAPI Generator
+ * Builds an OpenAPI 3 document from the registered Express routes and their Joi schemas
+ */
+
+const { routes, events } = require('../validation/schemas');
+const responses = require('../validation/responses');
+
+const OPENAPI_VERSION = '3.0.3';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const TAGS = {
+  auth: 'Authentication',
+  agents: 'Agents',
+  conversations: 'Conversations',
+  search: 'Search',
+  memories: 'Memories',
+  'agent-access': 'Agent Access',
+  decisions: 'Decisions',
+  'spend-requests': 'Spend Requests',
+  meetings: 'Meetings',
+  admin: 'Administration',
+  audit: 'Audit',
+  organizations: 'Organizations',
+  system: 'System',
+  'openapi.json': 'Documentation'
+};
+const STRING_FORMATS = { email: 'email', ip: 'ip', uri: 'uri', guid: 'uuid' };
+
+class OpenApiGenerator {
+  /**
+   * @param {Object} options.routes - route schemas keyed by `METHOD /path`; defaults to validation/schemas
+   * @param {Object} options.events - socket event schemas, listed under `x-socket-events`
+   * @param {Object} options.info - the document's `info` block
+   * @param {string} options.basePath - where the router is mounted, the document's server URL
+   */
+  constructor(options = {}) {
+    this.routes = options.routes || routes;
+    this.events = options.events || events;
+    this.basePath = options.basePath || '/api/v1';
+    this.info = options.info || {
+      title: 'Agentic Boardroom API',
+      version: '2.0.0',
+      description: 'AI-powered organizational management: agents, decisions, spend approvals, meetings and administration.'
+    };
+  }
+
+  /**
+   * Document every route registered on an Express router. Routes behind `authenticate` need a
+   * bearer token; a requirePermission middleware is recognised by its `permission` property.
+   * Throws when a route has no schema, so an undocumented route cannot ship.
+   */
+  generate(router, { authenticate } = {}) {
+    const components = {};
+    const paths = {};
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        continue;
+      }
+      const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+      for (const method of METHODS.filter(candidate => layer.route.methods[candidate])) {
+        const key = `${method.toUpperCase()} ${layer.route.path}`;
+        const schema = this.routes[key];
+        if (!schema || !schema.summary || !schema.response) {
+          throw new Error(`Route is not documented: ${key}`);
+        }
+        const pathname = OpenApiGenerator.openApiPath(layer.route.path);
+        paths[pathname] = paths[pathname] || {};
+        paths[pathname][method] = this.operation(key, schema, handlers, { authenticate, components });
+      }
+    }
+
+    const errorSchemas = {
+      Error: OpenApiGenerator.toJsonSchema(responses.error, components),
+      ValidationError: OpenApiGenerator.toJsonSchema(responses.validationError, components)
+    };
+
+    return {
+      openapi: OPENAPI_VERSION,
+      info: this.info,
+      servers: [{ url: this.basePath }],
+      tags: [...new Set(Object.values(TAGS))].map(name => ({ name })),
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            description: `An access token from ${this.basePath}/auth/login, or an API key (abk_...)`
+          }
+        },
+        parameters: {
+          OrganizationId: {
+            name: 'X-Organization-Id',
+            in: 'header',
+            required: false,
+            description: 'Organization to act in; defaults to the request subdomain, then the default organization',
+            schema: { type: 'string' }
+          }
+        },
+        schemas: { ...components, ...errorSchemas }
+      },
+      'x-socket-events': Object.fromEntries(Object.entries(this.events)
+        .map(([event, eventSchema]) => [event, { payload: OpenApiGenerator.toJsonSchema(eventSchema, components) }]))
+    };
+  }
+
+  operation(key, schema, handlers, { authenticate, components }) {
+    const [method, routePath] = key.split(' ');
+    const secured = Boolean(authenticate) && handlers.includes(authenticate);
+    const permission = handlers.map(handler => handler.permission).find(Boolean);
+    const segment = routePath.split('/')[1];
+
+    const operation = {
+      operationId: OpenApiGenerator.operationId(method, routePath),
+      summary: schema.summary,
+      tags: [TAGS[segment] || segment],
+      parameters: [
+        { $ref: '#/components/parameters/OrganizationId' },
+        ...OpenApiGenerator.parameters(schema.params, 'path', components),
+        ...OpenApiGenerator.parameters(schema.query, 'query', components)
+      ]
+    };
+    if (permission) {
+      operation.description = `Requires the \`${permission}\` permission.`;
+      operation['x-required-permission'] = permission;
+    }
+    if (schema.body) {
+      const body = OpenApiGenerator.toJsonSchema(schema.body, components);
+      operation.requestBody = {
+        required: Boolean(body.required || body.anyOf || body.minProperties),
+        content: { 'application/json': { schema: body } }
+      };
+    }
+    operation.security = secured ? [{ bearerAuth: [] }] : [];
+
+    const contentType = schema.contentType || 'application/json';
+    const error = (description, name = 'Error') => ({
+      description,
+      content: { 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } }
+    });
+    operation.responses = {
+      [schema.status || 200]: {
+        description: 'Success',
+        content: { [contentType]: { schema: OpenApiGenerator.toJsonSchema(schema.response, components) } }
+      },
+      400: error('The request was refused'),
+      422: error('The params, query or body failed validation', 'ValidationError')
+    };
+    if (secured) {
+      operation.responses[401] = error('Missing, invalid or expired credentials');
+      operation.responses[403] = error('Insufficient permissions, or a password change is required');
+    }
+    if (routePath.includes('/:')) {
+      operation.responses[404] = error('The resource does not exist');
+    }
+    return operation;
+  }
+
+  /**
+   * `/agents/:agentId/chat` -> `/agents/{agentId}/chat`
+   */
+  static openApiPath(expressPath) {
+    return expressPath.replace(/:(\w+)/g, '{$1}');
+  }
+
+  /**
+   * `POST /agents/:agentId/chat` -> `postAgentsByAgentIdChat`
+   */
+  static operationId(method, expressPath) {
+    const words = expressPath.split(/[/\-.]/).filter(Boolean)
+      .map(word => (word.startsWith(':') ? `by-${word.slice(1)}` : word))
+      .flatMap(word => word.split('-'));
+    return method.toLowerCase() + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+  }
+
+  /**
+   * One OpenAPI parameter per key of a params or query object schema
+   */
+  static parameters(schema, location, components) {
+    if (!schema) {
+      return [];
+    }
+    const description = schema.describe();
+    return Object.entries(description.keys || {}).map(([name, key]) => ({
+      name,
+      in: location,
+      required: location === 'path' || (key.flags || {}).presence === 'required',
+      schema: OpenApiGenerator.fromDescription(key, components)
+    }));
+  }
+
+  /**
+   * JSON Schema (the OpenAPI 3.0 dialect) for a Joi schema; schemas with an `.id()` are added to
+   * `components` once and referenced
+   */
+  static toJsonSchema(schema, components = {}) {
+    return OpenApiGenerator.fromDescription(schema.describe(), components);
+  }
+
+  static fromDescription(description, components) {
+    const flags = description.flags || {};
+    if (flags.id) {
+      if (!components[flags.id]) {
+        components[flags.id] = {}; // reserve the name before recursing
+        components[flags.id] = OpenApiGenerator.fromDescription({ ...description, flags: { ...flags, id: undefined } }, components);
+      }
+      return { $ref: `#/components/schemas/${flags.id}` };
+    }
+
+    const rules = Object.fromEntries((description.rules || []).map(rule => [rule.name, rule.args || {}]));
+    const allowed = description.allow || [];
+    const json = {};
+
+    switch (description.type) {
+      case 'string':
+        json.type = 'string';
+        if (rules.min) json.minLength = rules.min.limit;
+        if (rules.max) json.maxLength = rules.max.limit;
+        if (rules.length) json.minLength = json.maxLength = rules.length.limit;
+        if (rules.pattern) json.pattern = String(rules.pattern.regex).replace(/^\/|\/[a-z]*$/g, '');
+        for (const [rule, format] of Object.entries(STRING_FORMATS)) {
+          if (rules[rule]) json.format = format;
+        }
+        break;
+      case 'number':
+        json.type = rules.integer ? 'integer' : 'number';
+        if (rules.min) json.minimum = rules.min.limit;
+        if (rules.max) json.maximum = rules.max.limit;
+        if (rules.sign && rules.sign.sign === 'positive') {
+          json.minimum = 0;
+          json.exclusiveMinimum = true;
+        }
+        break;
+      case 'boolean':
+        json.type = 'boolean';
+        break;
+      case 'date':
+        json.type = 'string';
+        json.format = 'date-time';
+        break;
+      case 'array': {
+        json.type = 'array';
+        const items = (description.items || []).map(item => OpenApiGenerator.fromDescription(item, components));
+        json.items = items.length > 1 ? { oneOf: items } : items[0] || {};
+        if (rules.min) json.minItems = rules.min.limit;
+        if (rules.max) json.maxItems = rules.max.limit;
+        break;
+      }
+      case 'object': {
+        json.type = 'object';
+        const keys = Object.entries(description.keys || {});
+        if (keys.length) {
+          json.properties = Object.fromEntries(keys.map(([name, key]) => [name, OpenApiGenerator.fromDescription(key, components)]));
+          const required = keys.filter(([, key]) => (key.flags || {}).presence === 'required').map(([name]) => name);
+          if (required.length) json.required = required;
+        }
+        if (description.patterns) {
+          json.additionalProperties = OpenApiGenerator.fromDescription(description.patterns[0].rule, components);
+        } else if (keys.length && !flags.unknown) {
+          json.additionalProperties = false;
+        }
+        if (rules.min) json.minProperties = rules.min.limit;
+        for (const dependency of (description.dependencies || []).filter(candidate => candidate.rel === 'or')) {
+          json.anyOf = dependency.peers.map(peer => ({ required: [peer] }));
+        }
+        break;
+      }
+      case 'alternatives':
+        json.oneOf = description.matches.map(match => OpenApiGenerator.fromDescription(match.schema, components));
+        break;
+      default:
+        break;
+    }
+
+    if (flags.only) {
+      json.enum = allowed.filter(value => value !== null);
+    }
+    if (allowed.includes(null)) {
+      json.nullable = true;
+    }
+    if (flags.description) {
+      json.description = flags.description;
+    }
+    return json;
+  }
+}
+
+module.exports = OpenApiGenerator;
@@ -0,0 +1,107 @@
+/**
+ * 🚫 Agentic Boardroom - API Errors
+ * Typed errors carrying an HTTP status and a stable machine-readable code
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {string} message - shown to the caller
+   * @param {string} code - stable snake_case code clients can branch on, e.g. `conversation_not_found`
+   * @param {Object} details - extra fields for the error response, e.g. `{ retryAfter }`
+   */
+  constructor(message, code = 'bad_request', details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = 400;
+    this.code = code;
+    this.details = details;
+  }
+
+  /**
+   * The error response body: `{ success: false, error, code, ...details }`
+   */
+  toJSON() {
+    return { success: false, error: this.message, code: this.code, ...this.details };
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message = 'Authentication required', code = 'unauthorized', details = {}) {
+    super(message, code, details);
+    this.name = 'UnauthorizedError';
+    this.status = 401;
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'Insufficient permissions', code = 'forbidden', details = {}) {
+    super(message, code, details);
+    this.name = 'ForbiddenError';
+    this.status = 403;
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Not found', code = 'not_found', details = {}) {
+    super(message, code, details);
+    this.name = 'NotFoundError';
+    this.status = 404;
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message, code = 'conflict', details = {}) {
+    super(message, code, details);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
+class ValidationError extends ApiError {
+  /**
+   * @param {Array<{path: string, message: string}>} errors - one entry per rejected field
+   * @param {string} message - defaults to every entry's message
+   */
+  constructor(errors, message = `Invalid request: ${errors.map(error => error.message).join('; ')}`) {
+    super(message, 'validation_failed', { errors });
+    this.name = 'ValidationError';
+    this.status = 422;
+    this.errors = errors;
+  }
+
+  /**
+   * A ValidationError for a single field, keeping the field's message as the error message
+   */
+  static field(path, message) {
+    return new ValidationError([{ path, message }], message);
+  }
+}
+
+class ServiceUnavailableError extends ApiError {
+  constructor(message = 'Service unavailable', code = 'service_unavailable', details = {}) {
+    super(message, code, details);
+    this.name = 'ServiceUnavailableError';
+    this.status = 503;
+  }
+}
+
+class RateLimitedError extends ApiError {
+  /**
+   * @param {number} retryAfter - seconds until the caller may try again (sent as Retry-After)
+   */
+  constructor(message, retryAfter, code = 'rate_limited') {
+    super(message, code, { retryAfter });
+    this.name = 'RateLimitedError';
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = ApiError;
+module.exports.UnauthorizedError = UnauthorizedError;
+module.exports.ForbiddenError = ForbiddenError;
+module.exports.NotFoundError = NotFoundError;
+module.exports.ConflictError = ConflictError;
+module.exports.ValidationError = ValidationError;
+module.exports.RateLimitedError = RateLimitedError;
+module.exports.ServiceUnavailableError = ServiceUnavailableError;
@@ -0,0 +1,376 @@
+/**
+ * 💰 Agentic Boardroom - Spend Approval Engine
+ * Enforces governance spending tiers, per-role budgets and agent spend authority
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors/ApiError');
+
+// Who may approve each governance tier: an agent first, then any human with the permission
+const APPROVAL_ROUTES = {
+  auto_approved: { agent: null, permission: null },
+  cfo_approval: { agent: 'cfo', permission: 'budgets:approve' },
+  executive_approval: { agent: 'ceo', permission: 'decisions:approve' },
+  board_approval: { agent: null, permission: 'budgets:approve:board' }
+};
+
+const OPEN_STATUSES = ['pending_approval'];
+
+class SpendApprovalEngine extends EventEmitter {
+  /**
+   * @param {AgentChatSystem} agentChatSystem - governance policies and agent approvals
+   * @param {object} options.exchangeRates - currency -> USD rate (defaults to USD only)
+   */
+  constructor(agentChatSystem, options = {}) {
+    super();
+    this.agentChatSystem = agentChatSystem;
+    this.authSystem = agentChatSystem.authSystem;
+    this.store = options.store || agentChatSystem.store;
+    this.spendRequests = this.store.repository('spend_requests'); // requestId -> spend request
+    this.exchangeRates = options.exchangeRates || { USD: 1 };
+    this.auditLog = options.auditLog || agentChatSystem.auditLog;
+  }
+
+  /**
+   * Parse a governance amount such as "≤ $1,000", "$1,001 - $25,000" or "> $100,000"
+   */
+  static parseAmountRange(text) {
+    const amounts = (text.match(/\$[\d,]+(?:\.\d+)?/g) || [])
+      .map(amount => Number(amount.replace(/[$,]/g, '')));
+
+    if (amounts.length === 2) return { min: amounts[0], max: amounts[1] };
+    if (amounts.length === 1 && /[≤<]/.test(text)) return { min: 0, max: amounts[0] };
+    if (amounts.length === 1 && /[≥>]/.test(text)) return { min: amounts[0], max: Infinity };
+    throw new Error(`Unrecognized spending limit amount: ${text}`);
+  }
+
+  /**
+   * Spending tiers from the active governance policies, lowest first
+   */
+  getTiers() {
+    const financial = this.agentChatSystem.governancePolicies.decision_matrix.financial_decisions;
+    if (!financial || !financial.spending_limits) {
+      throw new Error('Governance policies define no spending limits');
+    }
+
+    return financial.spending_limits.map(limit => ({
+      approval: limit.approval,
+      label: limit.amount,
+      ...SpendApprovalEngine.parseAmountRange(limit.amount)
+    }));
+  }
+
+  /**
+   * Find the lowest tier whose upper bound covers a USD amount
+   */
+  resolveTier(amountUsd) {
+    const tiers = this.getTiers();
+    return tiers.find(tier => amountUsd <= tier.max) || tiers[tiers.length - 1];
+  }
+
+  /**
+   * Start and end of the budget period (calendar month) containing `date`
+   */
+  static budgetPeriod(date = new Date()) {
+    return {
+      start: new Date(date.getFullYear(), date.getMonth(), 1),
+      end: new Date(date.getFullYear(), date.getMonth() + 1, 1)
+    };
+  }
+
+  /**
+   * Spend committed by a user in the current period against their role's spendingLimit
+   */
+  getBudget(userId, date = new Date()) {
+    const user = this.authSystem.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+
+    const period = SpendApprovalEngine.budgetPeriod(date);
+    const inPeriod = this.spendRequests.filter(request =>
+      request.requestedBy === userId && request.createdAt >= period.start && request.createdAt < period.end);
+    const sum = status => inPeriod
+      .filter(request => request.status === status)
+      .reduce((total, request) => total + request.amountUsd, 0);
+
+    const approved = sum('approved');
+    const pending = sum('pending_approval');
+    return {
+      limit: user.spendingLimit,
+      approved,
+      pending,
+      committed: approved + pending,
+      remaining: Math.max(0, user.spendingLimit - approved - pending),
+      periodStart: period.start,
+      periodEnd: period.end
+    };
+  }
+
+  /**
+   * Submit a spend request; it is auto-approved or routed to the tier's approvers
+   */
+  submit(userId, { amount, purpose, currency = 'USD' } = {}) {
+    const budgetBefore = this.getBudget(userId);
+    if (typeof amount !== 'number' || !(amount > 0)) {
+      throw ValidationError.field('amount', 'Amount must be a positive number');
+    }
+    if (!purpose) {
+      throw ValidationError.field('purpose', 'Purpose is required');
+    }
+    const rate = this.exchangeRates[currency];
+    if (!rate) {
+      throw ValidationError.field('currency', `Unsupported currency: ${currency}`);
+    }
+
+    const amountUsd = Math.round(amount * rate * 100) / 100;
+    const budgetExceeded = amountUsd > budgetBefore.remaining;
+    let tier = this.resolveTier(amountUsd);
+
+    // Over-budget spend is never auto-approved
+    if (budgetExceeded && tier.approval === 'auto_approved') {
+      const tiers = this.getTiers();
+      const index = tiers.findIndex(candidate => candidate.approval === tier.approval);
+      tier = tiers[Math.min(index + 1, tiers.length - 1)];
+    }
+
+    const route = APPROVAL_ROUTES[tier.approval] || APPROVAL_ROUTES.board_approval;
+    const now = new Date();
+    const spendRequest = {
+      id: uuidv4(),
+      requestedBy: userId,
+      amount,
+      currency,
+      amountUsd,
+      purpose,
+      tier: tier.approval,
+      tierRange: tier.label,
+      budgetExceeded,
+      approvers: {
+        agent: route.agent,
+        permission: route.permission
+      },
+      status: 'pending_approval',
+      approvedBy: null,
+      auditTrail: [],
+      createdAt: now,
+      updatedAt: now,
+      decidedAt: null
+    };
+
+    this.audit(spendRequest, 'submitted', { type: 'user', id: userId }, { amount, currency, amountUsd, purpose });
+    this.auditLog.record({
+      action: 'spend.submitted',
+      actor: { type: 'user', id: userId },
+      target: { type: 'spend_request', id: spendRequest.id },
+      details: { amountUsd, tier: tier.approval, budgetExceeded }
+    });
+    this.audit(spendRequest, 'tier_resolved', { type: 'system' }, {
+      tier: tier.approval,
+      range: tier.label,
+      budgetRemaining: budgetBefore.remaining,
+      budgetExceeded
+    });
+
+    if (tier.approval === 'auto_approved') {
+      this.decide(spendRequest, 'approved', { type: 'system' }, 'Within auto-approval limit and budget');
+    } else {
+      this.audit(spendRequest, 'routed', { type: 'system' }, spendRequest.approvers);
+      this.save(spendRequest);
+    }
+
+    return { success: true, spendRequest, budget: this.getBudget(userId) };
+  }
+
+  /**
+   * Ask the tier's agent to approve; it may only authorize up to its approvals.spend_usd
+   */
+  async requestAgentApproval(requestId) {
+    const spendRequest = this.spendRequests.get(requestId);
+    if (!spendRequest) {
+      throw new NotFoundError('Spend request not found', 'spend_request_not_found');
+    }
+
+    const agentId = spendRequest.approvers.agent;
+    if (!OPEN_STATUSES.includes(spendRequest.status) || !agentId || !this.agentChatSystem.agentProfiles[agentId]) {
+      return { success: true, spendRequest };
+    }
+
+    const authority = this.agentChatSystem.spendAuthority(agentId);
+    const actor = { type: 'agent', id: agentId };
+    if (spendRequest.amountUsd > authority) {
+      this.audit(spendRequest, 'agent_skipped', actor, { reason: `Exceeds spend authority of $${authority}` });
+      this.save(spendRequest);
+      return { success: true, spendRequest };
+    }
+
+    let position;
+    try {
+      position = await this.agentChatSystem.solicitPosition(agentId, {
+        title: `Spend request: ${spendRequest.purpose}`,
+        description: `${spendRequest.amount} ${spendRequest.currency} requested (${spendRequest.tierRange} tier)`,
+        category: 'financial_decisions',
+        budget: spendRequest.amountUsd,
+        votes: []
+      });
+    } catch (error) {
+      position = { position: 'abstain', rationale: `No position recorded: ${error.message}` };
+    }
+
+    // A human may have decided while the agent was thinking
+    if (!OPEN_STATUSES.includes(spendRequest.status)) {
+      return { success: true, spendRequest };
+    }
+
+    this.audit(spendRequest, 'agent_position', actor, position);
+    if (position.position === 'approve') {
+      this.decide(spendRequest, 'approved', actor, position.rationale);
+    } else if (position.position === 'reject') {
+      this.decide(spendRequest, 'rejected', actor, position.rationale);
+    } else {
+      this.save(spendRequest); // left for a human approver
+    }
+
+    return { success: true, spendRequest };
+  }
+
+  /**
+   * Check whether a user may decide a spend request
+   */
+  canApprove(userId, spendRequest) {
+    const user = this.authSystem.users.get(userId);
+    if (!user || user.id === spendRequest.requestedBy || !spendRequest.approvers.permission) {
+      return false;
+    }
+    return this.authSystem.hasPermission(userId, spendRequest.approvers.permission) &&
+      user.spendingLimit >= spendRequest.amountUsd;
+  }
+
+  /**
+   * Approve or reject a pending spend request as a human approver
+   */
+  review(userId, requestId, approve, note = '') {
+    const spendRequest = this.spendRequests.get(requestId);
+    if (!spendRequest) {
+      throw new NotFoundError('Spend request not found', 'spend_request_not_found');
+    }
+    if (!OPEN_STATUSES.includes(spendRequest.status)) {
+      throw new ConflictError(`Spend request is already ${spendRequest.status}`, 'spend_request_closed');
+    }
+    if (!this.canApprove(userId, spendRequest)) {
+      throw new ForbiddenError('Insufficient approval authority for this spend request', 'approval_authority_exceeded');
+    }
+
+    this.decide(spendRequest, approve ? 'approved' : 'rejected', { type: 'user', id: userId }, note);
+    return { success: true, spendRequest };
+  }
+
+  /**
+   * Withdraw a pending spend request (requester only)
+   */
+  cancel(userId, requestId) {
+    const spendRequest = this.spendRequests.get(requestId);
+    if (!spendRequest) {
+      throw new NotFoundError('Spend request not found', 'spend_request_not_found');
+    }
+    if (spendRequest.requestedBy !== userId) {
+      throw new ForbiddenError('Access denied to this spend request', 'spend_request_access_denied');
+    }
+    if (!OPEN_STATUSES.includes(spendRequest.status)) {
+      throw new ConflictError(`Spend request is already ${spendRequest.status}`, 'spend_request_closed');
+    }
+
+    this.decide(spendRequest, 'cancelled', { type: 'user', id: userId }, 'Withdrawn by requester');
+    return { success: true, spendRequest };
+  }
+
+  /**
+   * Get a spend request visible to the requester or an eligible approver
+   */
+  getSpendRequest(userId, requestId) {
+    const spendRequest = this.spendRequests.get(requestId);
+    if (!spendRequest) {
+      throw new NotFoundError('Spend request not found', 'spend_request_not_found');
+    }
+    if (!this.canView(userId, spendRequest)) {
+      throw new ForbiddenError('Access denied to this spend request', 'spend_request_access_denied');
+    }
+    return { success: true, spendRequest };
+  }
+
+  /**
+   * List the user's own spend requests and those awaiting their approval
+   */
+  listSpendRequests(userId, filters = {}, limit = 50, offset = 0) {
+    const spendRequests = this.spendRequests.filter(request =>
+      this.canView(userId, request) && (!filters.status || request.status === filters.status))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      success: true,
+      spendRequests: spendRequests.slice(offset, offset + limit),
+      total: spendRequests.length
+    };
+  }
+
+  canView(userId, spendRequest) {
+    return spendRequest.requestedBy === userId || this.canApprove(userId, spendRequest) ||
+      this.authSystem.hasPermission(userId, 'spend:read:any');
+  }
+
+  decide(spendRequest, status, actor, note) {
+    spendRequest.status = status;
+    spendRequest.decidedAt = new Date();
+    if (status === 'approved') {
+      spendRequest.approvedBy = actor;
+    }
+    this.audit(spendRequest, status, actor, { note });
+    this.auditLog.record({
+      action: `spend.${status}`,
+      actor,
+      target: { type: 'spend_request', id: spendRequest.id },
+      details: { amountUsd: spendRequest.amountUsd, tier: spendRequest.tier, note: note || null }
+    });
+    this.save(spendRequest);
+  }
+
+  /**
+   * Withdraw a deleted user's open requests and remove their id from every request they made,
+   * reviewed or appear in. Decided requests are kept as financial records.
+   */
+  anonymizeUser(userId) {
+    const isUser = actor => Boolean(actor) && actor.type === 'user' && actor.id === userId;
+    const spendRequests = this.spendRequests.filter(request => request.requestedBy === userId ||
+      request.auditTrail.some(entry => isUser(entry.actor)));
+
+    for (const spendRequest of spendRequests) {
+      if (spendRequest.requestedBy === userId && OPEN_STATUSES.includes(spendRequest.status)) {
+        this.decide(spendRequest, 'cancelled', { type: 'system' }, 'Requester account deleted');
+      }
+      if (spendRequest.requestedBy === userId) {
+        spendRequest.requestedBy = null;
+      }
+      if (isUser(spendRequest.approvedBy)) {
+        spendRequest.approvedBy = { type: 'user', id: null };
+      }
+      for (const entry of spendRequest.auditTrail.filter(entry => isUser(entry.actor))) {
+        entry.actor = { type: 'user', id: null };
+      }
+      this.save(spendRequest);
+    }
+    return spendRequests.length;
+  }
+
+  audit(spendRequest, action, actor, details = {}) {
+    spendRequest.auditTrail.push({ action, actor, details, at: new Date() });
+  }
+
+  save(spendRequest) {
+    spendRequest.updatedAt = new Date();
+    this.spendRequests.set(spendRequest.id, spendRequest);
+    this.emit('spendRequestUpdated', { spendRequest });
+  }
+}
+
+module.exports = SpendApprovalEngine;
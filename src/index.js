@@ -14,11 +14,45 @@ const socketIo = require('socket.io');
 require('dotenv').config();
 
 const AuthSystem = require('./auth/AuthSystem');
+const PasswordPolicy = require('./auth/PasswordPolicy');
+const ApiKeys = require('./auth/ApiKeys');
+const Mailer = require('./mail/Mailer');
 const AgentChatSystem = require('./agents/AgentChatSystem');
+const ConfigWatcher = require('./config/ConfigWatcher');
+const DecisionRouter = require('./orchestration/DecisionRouter');
+const DecisionSystem = require('./decisions/DecisionSystem');
+const SpendApprovalEngine = require('./finance/SpendApprovalEngine');
+const MeetingSystem = require('./meetings/MeetingSystem');
+const ConversationSearch = require('./search/ConversationSearch');
+const Store = require('./storage/Store');
+const AuditLog = require('./audit/AuditLog');
+const OrganizationSystem = require('./organizations/OrganizationSystem');
+const RequestValidator = require('./validation/RequestValidator');
+const OpenApiGenerator = require('./docs/OpenApiGenerator');
+const ApiError = require('./errors/ApiError');
+const { UnauthorizedError, ForbiddenError, NotFoundError, ValidationError, RateLimitedError } = require('./errors/ApiError');
+
+// The API is served under its version; the unversioned /api paths are deprecated aliases
+const API_VERSION_PATH = '/api/v1';
+
+// Routes a user who must change their password can still reach (paths within the API router)
+const PASSWORD_CHANGE_ROUTES = [
+  'POST /auth/change-password',
+  'POST /auth/logout',
+  'POST /auth/logout-all',
+  'GET /auth/profile'
+];
+
+// Routes that need a signed-in user: API keys never manage sessions, passwords, 2FA or keys
+const API_KEY_EXCLUDED_ROUTES = ['/auth/', '/admin/api-keys', '/admin/service-accounts'];
+
+// Agent chat events relayed to the streams of the conversation they belong to
+const RESPONSE_STREAM_EVENTS = ['messageDelta', 'messageComplete', 'messageCancelled'];
 
 class AgenticBoardroomServer {
   constructor() {
     this.app = express();
+    this.api = express.Router();
     this.server = http.createServer(this.app);
     this.io = socketIo(this.server, {
       cors: {
@@ -28,13 +62,98 @@ class AgenticBoardroomServer {
     });
     
     this.port = process.env.PORT || 3000;
-    this.authSystem = new AuthSystem();
-    this.agentChatSystem = new AgentChatSystem(this.authSystem);
+    this.store = Store.fromEnv();
+    const auditLog = new AuditLog({ store: this.store });
+    this.organizations = new OrganizationSystem({ store: this.store, auditLog });
+    // Shared by every organization
+    this.mailer = Mailer.fromEnv();
+    this.passwordPolicy = new PasswordPolicy();
+    this.validator = new RequestValidator();
+    this.tenants = new Map(); // organizationId -> that organization's subsystems
+    this.watchingConfig = false;
+    this.purgingMemory = false;
+
+    // The default organization keeps the unprefixed collections and is exposed directly
+    this.defaultTenant = this.createTenant(this.organizations.defaultOrganization(), { auditLog });
+    this.authSystem = this.defaultTenant.authSystem;
+    this.agentChatSystem = this.defaultTenant.agentChatSystem;
+    this.decisionRouter = this.defaultTenant.decisionRouter;
+    this.decisionSystem = this.defaultTenant.decisionSystem;
+    this.spendApprovalEngine = this.defaultTenant.spendApprovalEngine;
+    this.meetingSystem = this.defaultTenant.meetingSystem;
+    this.conversationSearch = this.defaultTenant.conversationSearch;
     
     this.initializeMiddleware();
     this.initializeRoutes();
     this.initializeWebSocket();
-    this.createDefaultAdmin();
+    this.ready = this.initializeStorage();
+  }
+
+  /**
+   * Run migrations, load persisted data, then seed the default admin
+   */
+  async initializeStorage() {
+    await this.store.initialize();
+    this.organizations.ensureDefault();
+    for (const organization of this.organizations.list()) {
+      if (!this.tenants.has(organization.id)) {
+        await this.createTenant(organization).store.loaded();
+      }
+    }
+    await this.createDefaultAdmin();
+  }
+
+  /**
+   * Build an organization's subsystems over its own storage namespace and agent configuration
+   */
+  createTenant(organization, options = {}) {
+    const isDefault = organization.id === OrganizationSystem.DEFAULT_ID;
+    const store = isDefault ? this.store : this.store.scope(organization.id);
+    const tenant = { organizationId: organization.id, store };
+    tenant.responseStreams = new Map(); // conversationId -> Set of (event, data) listeners
+
+    tenant.authSystem = new AuthSystem({
+      store,
+      organizationId: organization.id,
+      auditLog: options.auditLog,
+      mailer: this.mailer,
+      passwordPolicy: this.passwordPolicy
+    });
+    tenant.agentChatSystem = new AgentChatSystem(tenant.authSystem, undefined, {
+      store,
+      ...this.organizations.configPaths(organization)
+    });
+    tenant.decisionRouter = new DecisionRouter(tenant.agentChatSystem);
+    tenant.decisionSystem = new DecisionSystem(tenant.agentChatSystem, tenant.decisionRouter, { store });
+    tenant.spendApprovalEngine = new SpendApprovalEngine(tenant.agentChatSystem, { store });
+    tenant.meetingSystem = new MeetingSystem(tenant.agentChatSystem, { store });
+    tenant.conversationSearch = new ConversationSearch(tenant.agentChatSystem);
+
+    this.tenants.set(organization.id, tenant);
+    this.forwardTenantEvents(tenant);
+    if (this.watchingConfig) {
+      this.watchTenantConfig(tenant);
+    }
+    if (this.purgingMemory) {
+      tenant.agentChatSystem.memory.startPurgeJob();
+    }
+    return tenant;
+  }
+
+  /**
+   * The subsystems of an active organization
+   */
+  getTenant(organizationId) {
+    const organization = this.organizations.get(organizationId) ||
+      (organizationId === OrganizationSystem.DEFAULT_ID ? this.organizations.defaultOrganization() : null);
+    const tenant = this.tenants.get(organizationId);
+    if (!organization || !tenant) {
+      throw new NotFoundError('Organization not found', 'organization_not_found');
+    }
+    if (!organization.isActive) {
+      throw new ForbiddenError('Organization is inactive', 'organization_inactive');
+    }
+    return tenant;
   }
 
   /**
@@ -54,6 +173,12 @@ class AgenticBoardroomServer {
       }
     }));
     
+    // Behind a reverse proxy, TRUST_PROXY makes req.ip the client address (login throttling is per IP)
+    if (process.env.TRUST_PROXY) {
+      const trustProxy = process.env.TRUST_PROXY;
+      this.app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+    }
+
     this.app.use(cors());
     this.app.use(compression());
     this.app.use(morgan('combined'));
@@ -62,16 +187,21 @@ class AgenticBoardroomServer {
 
     // Serve static files
     this.app.use('/static', express.static(path.join(__dirname, '../ui')));
+
+    // Every API request runs against one organization's subsystems
+    this.app.use('/api', this.resolveTenant);
   }
 
   /**
    * Initialize API routes
    */
   initializeRoutes() {
-    // Health check
+    // Health check; 503 while storage writes are failing
     this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'healthy',
+      const storage = this.store.health();
+      res.status(storage.healthy ? 200 : 503).json({
+        status: storage.healthy ? 'healthy' : 'degraded',
+        storage,
         timestamp: new Date().toISOString(),
         version: '2.0.0',
         system: 'agentic-boardroom',
@@ -102,129 +232,1151 @@ class AgenticBoardroomServer {
       });
     });
 
-    // Authentication routes
-    this.setupAuthRoutes();
-    
-    // Agent interaction routes
-    this.setupAgentRoutes();
-    
-    // System management routes
-    this.setupSystemRoutes();
-  }
+    // Authentication routes
+    this.setupAuthRoutes();
+    
+    // Agent interaction routes
+    this.setupAgentRoutes();
+
+    // Conversation lifecycle routes
+    this.setupConversationRoutes();
+
+    // Conversation search routes
+    this.setupSearchRoutes();
+
+    // Agent memory routes
+    this.setupMemoryRoutes();
+
+    // Agent access request routes
+    this.setupAgentAccessRoutes();
+
+    // Decision routing routes
+    this.setupDecisionRoutes();
+
+    // Spend approval routes
+    this.setupSpendRoutes();
+
+    // Boardroom meeting routes
+    this.setupMeetingRoutes();
+
+    // User administration routes
+    this.setupAdminRoutes();
+
+    // Audit log routes
+    this.setupAuditRoutes();
+
+    // Organization (tenant) routes
+    this.setupOrganizationRoutes();
+    
+    // System management routes
+    this.setupSystemRoutes();
+
+    // API reference routes
+    this.setupDocsRoutes();
+
+    this.app.use(API_VERSION_PATH, this.api);
+    this.app.use('/api', this.deprecatedApiAlias, this.api);
+    this.app.use('/api', (req, res, next) => next(new NotFoundError(`No route for ${req.method} ${req.originalUrl}`, 'route_not_found')));
+    this.app.use(this.handleError);
+  }
+
+  /**
+   * Setup authentication routes
+   */
+  setupAuthRoutes() {
+    // User registration
+    this.api.post('/auth/register', this.validateRequest, async (req, res, next) => {
+      try {
+        const result = await req.tenant.authSystem.register(req.body);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // User login
+    this.api.post('/auth/login', this.validateRequest, async (req, res, next) => {
+      try {
+        const { email, password } = req.body;
+        const result = await req.tenant.authSystem.login(email, password, { ip: req.ip });
+        res.json(result);
+      } catch (error) {
+        next(this.signInError(error));
+      }
+    });
+
+    // Password rules, for showing before the user picks a password
+    this.api.get('/auth/password-policy', this.validateRequest, (req, res) => {
+      res.json({ success: true, policy: req.tenant.authSystem.passwordPolicy.describe() });
+    });
+
+    // Confirm the email address with the token from a verification link
+    this.api.post('/auth/verify-email', this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.verifyEmail(req.body.token);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Send a new verification link to the signed-in user
+    this.api.post('/auth/verify-email/resend', this.authenticateToken, this.requirePermission('profile:write:own'), this.validateRequest, async (req, res, next) => {
+      try {
+        const result = await req.tenant.authSystem.resendVerificationEmail(req.user.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Mail a reset link; the response never reveals whether the account exists
+    this.api.post('/auth/forgot-password', this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.requestPasswordReset(req.body.email, { ip: req.ip });
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Choose a new password with the token from a reset link
+    this.api.post('/auth/reset-password', this.validateRequest, async (req, res, next) => {
+      try {
+        const { token, newPassword } = req.body;
+        const result = await req.tenant.authSystem.resetPassword(token, newPassword, { ip: req.ip });
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Exchange a refresh token for a new access token; refresh tokens rotate on every use
+    this.api.post('/auth/refresh', this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.refresh(req.body.refreshToken);
+        res.json(result);
+      } catch (error) {
+        next(this.signInError(error));
+      }
+    });
+
+    // Second login step for users with two-factor authentication
+    this.api.post('/auth/2fa/login', this.validateRequest, (req, res, next) => {
+      try {
+        const { challengeToken, code } = req.body;
+        const result = req.tenant.authSystem.completeLogin(challengeToken, code, { ip: req.ip });
+        res.json(result);
+      } catch (error) {
+        next(this.signInError(error));
+      }
+    });
+
+    // Secret for users whose role requires 2FA but who have not enrolled yet
+    this.api.post('/auth/2fa/login/enroll', this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.beginLoginEnrollment(req.body.challengeToken);
+        res.json(result);
+      } catch (error) {
+        next(this.signInError(error));
+      }
+    });
+
+    // Own two-factor status
+    this.api.get('/auth/2fa', this.authenticateToken, this.requirePermission('profile:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        res.json(req.tenant.authSystem.twoFactor.status(req.user.userId));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Start enrolling: returns the secret and otpauth URI for an authenticator app
+    this.api.post('/auth/2fa/enroll', this.authenticateToken, this.requirePermission('profile:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.twoFactor.beginEnrollment(req.user.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Finish enrolling with a code from the app; returns recovery codes once
+    this.api.post('/auth/2fa/confirm', this.authenticateToken, this.requirePermission('profile:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.twoFactor.confirmEnrollment(req.user.userId, req.body.code);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Replace recovery codes
+    this.api.post('/auth/2fa/recovery-codes', this.authenticateToken, this.requirePermission('profile:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.twoFactor.regenerateRecoveryCodes(req.user.userId, req.body.code);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Turn two-factor off (refused when the role requires it)
+    this.api.post('/auth/2fa/disable', this.authenticateToken, this.requirePermission('profile:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.twoFactor.disable(req.user.userId, req.body.code);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Own API keys
+    this.api.get('/auth/api-keys', this.authenticateToken, this.requirePermission('api_keys:manage:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.apiKeys.list(req.user.userId, { ownerId: req.user.userId, status: req.query.status });
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Create an API key (`ownerId` for another user or a service account needs api_keys:manage:any);
+    // the key itself is only returned here
+    this.api.post('/auth/api-keys', this.authenticateToken, this.requirePermission('api_keys:manage:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.apiKeys.create(req.user.userId, req.body);
+        res.status(201).json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Replace a key's secret, optionally keeping the old one valid for `graceMinutes`
+    this.api.post('/auth/api-keys/:keyId/rotate', this.authenticateToken, this.requirePermission('api_keys:manage:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.apiKeys.rotate(req.user.userId, req.params.keyId, req.body);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Revoke a key
+    this.api.delete('/auth/api-keys/:keyId', this.authenticateToken, this.requirePermission('api_keys:manage:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.apiKeys.revoke(req.user.userId, req.params.keyId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // User logout (revokes the session the access token belongs to); needs no permission
+    this.api.post('/auth/logout', this.authenticateToken, this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.logout(req.user.sessionId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Log out of all devices
+    this.api.post('/auth/logout-all', this.authenticateToken, this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.logoutAll(req.user.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Change own password; other sessions are signed out
+    this.api.post('/auth/change-password', this.authenticateToken, this.requirePermission('profile:write:own'), this.validateRequest, async (req, res, next) => {
+      try {
+        const { currentPassword, newPassword } = req.body;
+        const result = await req.tenant.authSystem.changePassword(
+          req.user.userId, currentPassword, newPassword, req.user.sessionId
+        );
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Explain effective permissions (?userId= for another user needs users:manage)
+    this.api.get('/auth/permissions', this.authenticateToken, this.requirePermission('profile:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.explainPermissions(req.user.userId, req.query.userId || req.user.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Get user profile
+    this.api.get('/auth/profile', this.authenticateToken, this.requirePermission('profile:read:own'), this.validateRequest, (req, res, next) => {
+      const user = req.tenant.authSystem.users.get(req.user.userId);
+      if (!user) {
+        return next(new NotFoundError('User not found', 'user_not_found'));
+      }
+      res.json({ success: true, user: req.tenant.authSystem.sanitizeUser(user) });
+    });
+
+    // Update user profile
+    this.api.put('/auth/profile', this.authenticateToken, this.requirePermission('profile:write:own'), this.validateRequest, async (req, res, next) => {
+      try {
+        const result = await req.tenant.authSystem.updateProfile(req.user.userId, req.body);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Setup agent interaction routes
+   */
+  setupAgentRoutes() {
+    // Get available agents for user
+    this.api.get('/agents', this.authenticateToken, this.requirePermission('agents:read'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.getAvailableAgents(req.user.userId);
+        if (req.apiKey) {
+          result.agents = Object.fromEntries(Object.entries(result.agents)
+            .filter(([agentId]) => req.tenant.authSystem.apiKeys.allowsAgent(req.apiKey, agentId)));
+        }
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Start conversation with agent
+    this.api.post('/agents/:agentId/chat', this.authenticateToken, this.requirePermission('conversations:create'), this.validateRequest, async (req, res, next) => {
+      try {
+        const { agentId } = req.params;
+        const { message } = req.body;
+        const result = await req.tenant.agentChatSystem.startConversation(req.user.userId, agentId, message);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Send message in conversation
+    this.api.post('/conversations/:conversationId/messages', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, async (req, res, next) => {
+      try {
+        const { conversationId } = req.params;
+        const { message } = req.body;
+        const result = await req.tenant.agentChatSystem.sendMessage(req.user.userId, conversationId, message);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Relay every response in the conversation as Server-Sent Events until the client disconnects
+    this.api.get('/conversations/:conversationId/stream', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        req.tenant.agentChatSystem.findChattableConversation(req.user.userId, req.params.conversationId);
+      } catch (error) {
+        return next(error);
+      }
+
+      this.openResponseStream(req, res);
+    });
+
+    // Send a message and stream the reply as Server-Sent Events; the stream closes after 'messageComplete'.
+    // The message travels in the body so it stays out of URLs and access logs.
+    this.api.post('/conversations/:conversationId/stream', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, async (req, res, next) => {
+      const { conversationId } = req.params;
+      const { userId } = req.user;
+
+      try {
+        req.tenant.agentChatSystem.findChattableConversation(userId, conversationId);
+      } catch (error) {
+        return next(error);
+      }
+
+      let finished = false;
+      const stream = this.openResponseStream(req, res, () => {
+        // Client went away mid-response: stop the upstream call
+        if (!finished) {
+          req.tenant.agentChatSystem.cancelMessage(userId, conversationId);
+        }
+      });
+
+      try {
+        await req.tenant.agentChatSystem.sendMessage(userId, conversationId, req.body.message);
+      } catch (error) {
+        stream.send('error', { message: error.message });
+      }
+      finished = true;
+      stream.close();
+    });
+
+    // Cancel the response currently being generated
+    this.api.post('/conversations/:conversationId/cancel', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.cancelMessage(req.user.userId, req.params.conversationId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Get conversation history
+    this.api.get('/conversations/:conversationId', this.authenticateToken, this.requirePermission('conversations:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const { conversationId } = req.params;
+        const result = req.tenant.agentChatSystem.getConversation(req.user.userId, conversationId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Get user's conversations
+    this.api.get('/conversations', this.authenticateToken, this.requirePermission('conversations:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const { limit = 50, offset = 0, ...filters } = req.query;
+        const result = req.tenant.agentChatSystem.getUserConversations(req.user.userId, {
+          ...filters, limit: parseInt(limit), offset: parseInt(offset)
+        });
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Setup conversation lifecycle routes: end, reopen, archive, rename, delete, restore and purge
+   */
+  setupConversationRoutes() {
+    // End a conversation; it stays readable and can be reopened
+    this.api.post('/conversations/:conversationId/end', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.endConversation(req.user.userId, req.params.conversationId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Make an ended conversation active again
+    this.api.post('/conversations/:conversationId/reopen', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.reopenConversation(req.user.userId, req.params.conversationId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Archive a conversation: it leaves the conversation list unless ?archived=true
+    this.api.post('/conversations/:conversationId/archive', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.archiveConversation(req.user.userId, req.params.conversationId, true);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Bring an archived conversation back into the list
+    this.api.post('/conversations/:conversationId/unarchive', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.archiveConversation(req.user.userId, req.params.conversationId, false);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Rename a conversation
+    this.api.patch('/conversations/:conversationId', this.authenticateToken, this.requirePermission('conversations:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.renameConversation(req.user.userId, req.params.conversationId, req.body.title);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Delete a conversation; it can be restored until the retention window ends. ?permanent=true purges it now
+    this.api.delete('/conversations/:conversationId', this.authenticateToken, this.requirePermission('conversations:delete:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const { agentChatSystem } = req.tenant;
+        const result = req.query.permanent
+          ? agentChatSystem.purgeConversation(req.user.userId, req.params.conversationId)
+          : agentChatSystem.deleteConversation(req.user.userId, req.params.conversationId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Restore a deleted conversation that has not been purged yet
+    this.api.post('/conversations/:conversationId/restore', this.authenticateToken, this.requirePermission('conversations:delete:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.restoreConversation(req.user.userId, req.params.conversationId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Setup conversation search routes
+   */
+  setupSearchRoutes() {
+    // Search message contents across the user's conversations
+    this.api.get('/search', this.authenticateToken, this.requirePermission('conversations:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const { limit = 20, offset = 0, ...options } = req.query;
+        const result = req.tenant.conversationSearch.search(req.user.userId, {
+          ...options, limit: parseInt(limit), offset: parseInt(offset)
+        });
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Start a Server-Sent Events response relaying the streamed responses of the request's conversation.
+   * `onDisconnect` runs if the client goes away before `close()`.
+   */
+  openResponseStream(req, res, onDisconnect = () => {}) {
+    const { conversationId } = req.params;
+    const { userId } = req.user;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      if (res.flush) res.flush(); // push through compression
+    };
+    const unsubscribe = this.subscribeResponses(req.tenant, conversationId, (event, data) => {
+      if (data.userId === userId) {
+        send(event, data);
+      }
+    });
+
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      if (res.flush) res.flush();
+    }, 15000);
+
+    let closed = false;
+    const cleanup = () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    res.on('close', () => {
+      if (!closed) {
+        cleanup();
+        onDisconnect();
+      }
+    });
+
+    return {
+      send,
+      close: () => {
+        cleanup();
+        res.end();
+      }
+    };
+  }
+
+  /**
+   * Hear the streamed response events of one conversation; returns the unsubscribe function
+   */
+  subscribeResponses(tenant, conversationId, listener) {
+    if (!tenant.responseStreams.has(conversationId)) {
+      tenant.responseStreams.set(conversationId, new Set());
+    }
+    const listeners = tenant.responseStreams.get(conversationId);
+    listeners.add(listener);
+
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0 && tenant.responseStreams.get(conversationId) === listeners) {
+        tenant.responseStreams.delete(conversationId);
+      }
+    };
+  }
+
+  /**
+   * Setup agent memory routes: what agents remember about the caller
+   */
+  setupMemoryRoutes() {
+    // List what agents remember about the user
+    this.api.get('/memories', this.authenticateToken, this.requirePermission('memories:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.memory.list(req.user.userId, req.query);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Forget everything, or everything one agent (?agentId=) remembers about the user
+    this.api.delete('/memories', this.authenticateToken, this.requirePermission('memories:delete:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.memory.deleteAll(req.user.userId, req.query);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Forget one memory
+    this.api.delete('/memories/:memoryId', this.authenticateToken, this.requirePermission('memories:delete:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.agentChatSystem.memory.delete(req.user.userId, req.params.memoryId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Setup agent access request routes
+   */
+  setupAgentAccessRoutes() {
+    // Ask for access to an agent outside the user's role
+    this.api.post('/agent-access/requests', this.authenticateToken, this.requirePermission('access_requests:create'), this.validateRequest, (req, res, next) => {
+      try {
+        if (!req.tenant.agentChatSystem.agentProfiles[req.body.agentId]) {
+          throw ValidationError.field('agentId', 'Agent not found');
+        }
+        const result = req.tenant.authSystem.agentGrants.requestAccess(req.user.userId, req.body);
+        res.status(201).json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // List own requests, or all requests for reviewers (?status=pending)
+    this.api.get('/agent-access/requests', this.authenticateToken, this.requirePermission('access_requests:create'), this.validateRequest, (req, res, next) => {
+      try {
+        const { status, limit = 50, offset = 0 } = req.query;
+        const result = req.tenant.authSystem.agentGrants.listRequests(
+          req.user.userId, { status }, parseInt(limit), parseInt(offset)
+        );
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Approve (issuing a time-limited grant) or reject an access request
+    for (const action of ['approve', 'reject']) {
+      this.api.post(`/agent-access/requests/:requestId/${action}`, this.authenticateToken, this.requirePermission('access_requests:approve'), this.validateRequest, (req, res, next) => {
+        try {
+          const result = req.tenant.authSystem.agentGrants.review(
+            req.user.userId,
+            req.params.requestId,
+            action === 'approve',
+            req.body.note
+          );
+          res.json(result);
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+  }
+
+  /**
+   * Setup decision routing and consensus routes
+   */
+  setupDecisionRoutes() {
+    // Propose a decision: route it to an agent, then collect the required consensus in the background
+    this.api.post('/decisions', this.authenticateToken, this.requirePermission('decisions:create'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.decisionSystem.propose(req.user.userId, req.body);
+        res.status(201).json(result);
+
+        req.tenant.decisionSystem.review(result.decision.id).catch((error) => {
+          console.error('❌ Decision review failed:', error.message);
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // List decisions visible to the user
+    this.api.get('/decisions', this.authenticateToken, this.requirePermission('decisions:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const { status, limit = 50, offset = 0 } = req.query;
+        const result = req.tenant.decisionSystem.listDecisions(
+          req.user.userId,
+          { status },
+          parseInt(limit),
+          parseInt(offset)
+        );
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Get a decision with its votes and escalation history
+    this.api.get('/decisions/:decisionId', this.authenticateToken, this.requirePermission('decisions:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.decisionSystem.getDecision(req.user.userId, req.params.decisionId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Settle an escalated decision
+    this.api.post('/decisions/:decisionId/resolve', this.authenticateToken, this.requirePermission('decisions:approve'), this.validateRequest, (req, res, next) => {
+      try {
+        const { outcome, rationale } = req.body;
+        const result = req.tenant.decisionSystem.resolve(req.user.userId, req.params.decisionId, outcome, rationale);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Setup spend request routes
+   */
+  setupSpendRoutes() {
+    // Submit a spend request; the tier's agent is consulted in the background
+    this.api.post('/spend-requests', this.authenticateToken, this.requirePermission('spend:create'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.spendApprovalEngine.submit(req.user.userId, req.body);
+        res.status(201).json(result);
+
+        req.tenant.spendApprovalEngine.requestAgentApproval(result.spendRequest.id).catch((error) => {
+          console.error('❌ Agent spend approval failed:', error.message);
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // List own spend requests and those awaiting the user's approval
+    this.api.get('/spend-requests', this.authenticateToken, this.requirePermission('spend:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const { status, limit = 50, offset = 0 } = req.query;
+        const result = req.tenant.spendApprovalEngine.listSpendRequests(
+          req.user.userId,
+          { status },
+          parseInt(limit),
+          parseInt(offset)
+        );
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Budget used this period against the user's spending limit
+    this.api.get('/spend-requests/budget', this.authenticateToken, this.requirePermission('spend:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        res.json({ success: true, budget: req.tenant.spendApprovalEngine.getBudget(req.user.userId) });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Get a spend request with its audit trail
+    this.api.get('/spend-requests/:requestId', this.authenticateToken, this.requirePermission('spend:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.spendApprovalEngine.getSpendRequest(req.user.userId, req.params.requestId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Approve or reject a pending spend request
+    for (const action of ['approve', 'reject']) {
+      this.api.post(`/spend-requests/:requestId/${action}`, this.authenticateToken, this.requirePermission('spend:review'), this.validateRequest, (req, res, next) => {
+        try {
+          const result = req.tenant.spendApprovalEngine.review(
+            req.user.userId,
+            req.params.requestId,
+            action === 'approve',
+            req.body.note
+          );
+          res.json(result);
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+
+    // Withdraw a pending spend request
+    this.api.post('/spend-requests/:requestId/cancel', this.authenticateToken, this.requirePermission('spend:create'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.spendApprovalEngine.cancel(req.user.userId, req.params.requestId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Setup boardroom meeting routes
+   */
+  setupMeetingRoutes() {
+    // Create a meeting and run it in the background
+    this.api.post('/meetings', this.authenticateToken, this.requirePermission('meetings:create'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.meetingSystem.create(req.user.userId, req.body);
+        res.status(201).json(result);
+
+        req.tenant.meetingSystem.run(result.meeting.id).catch((error) => {
+          console.error('❌ Meeting failed:', error.message);
+        });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // List the user's meetings
+    this.api.get('/meetings', this.authenticateToken, this.requirePermission('meetings:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const { limit = 50, offset = 0 } = req.query;
+        const result = req.tenant.meetingSystem.listMeetings(req.user.userId, parseInt(limit), parseInt(offset));
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Get a meeting with its transcript, decisions and action items
+    this.api.get('/meetings/:meetingId', this.authenticateToken, this.requirePermission('meetings:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.meetingSystem.getMeeting(req.user.userId, req.params.meetingId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Download the minutes (?format=markdown|json)
+    this.api.get('/meetings/:meetingId/minutes', this.authenticateToken, this.requirePermission('meetings:read:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const minutes = req.tenant.meetingSystem.exportMinutes(req.user.userId, req.params.meetingId, req.query.format);
+        res.attachment(minutes.filename);
+        res.type(minutes.contentType);
+        res.send(minutes.body);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // End a meeting early (or cancel it before it starts)
+    this.api.post('/meetings/:meetingId/end', this.authenticateToken, this.requirePermission('meetings:write:own'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.meetingSystem.end(req.user.userId, req.params.meetingId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  /**
+   * Setup user and role administration routes
+   */
+  setupAdminRoutes() {
+    // List users (?search=&role=&status=active|inactive&type=user|service_account&limit=&offset=)
+    this.api.get('/admin/users', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const { search, role, status, type, limit = 50, offset = 0 } = req.query;
+        const result = req.tenant.authSystem.getAllUsers(req.user.userId, {
+          search, role, status, type, limit: parseInt(limit), offset: parseInt(offset)
+        });
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Create a service account; give it API keys through POST /api/auth/api-keys with its id as ownerId
+    this.api.post('/admin/service-accounts', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.createServiceAccount(req.user.userId, req.body);
+        res.status(201).json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Every API key with its owner, scopes, expiry and last use (?ownerId=&status=active|revoked|expired)
+    this.api.get('/admin/api-keys', this.authenticateToken, this.requirePermission('api_keys:manage:any'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.apiKeys.list(req.user.userId, req.query);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Get a user
+    this.api.get('/admin/users/:userId', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.getUserForAdmin(req.user.userId, req.params.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Change a user's role
+    this.api.patch('/admin/users/:userId/role', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.updateUserRole(req.user.userId, req.params.userId, req.body.role);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Deactivate a user and revoke their sessions
+    this.api.post('/admin/users/:userId/deactivate', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.deactivateUser(req.user.userId, req.params.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Reactivate a user
+    this.api.post('/admin/users/:userId/reactivate', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.reactivateUser(req.user.userId, req.params.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Clear a user's two-factor enrollment after a lost device; signs them out everywhere
+    this.api.post('/admin/users/:userId/2fa/reset', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.twoFactor.reset(req.user.userId, req.params.userId);
+        res.json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Accounts and IPs currently locked out after failed logins
+    this.api.get('/admin/lockouts', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res) => {
+      res.json(req.tenant.authSystem.rateLimit.listLockouts());
+    });
 
-  /**
-   * Setup authentication routes
-   */
-  setupAuthRoutes() {
-    // User registration
-    this.app.post('/api/auth/register', async (req, res) => {
+    // Lift a user's login lockout
+    this.api.post('/admin/users/:userId/unlock', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
       try {
-        const result = await this.authSystem.register(req.body);
+        const result = req.tenant.authSystem.rateLimit.unlockUser(req.user.userId, req.params.userId);
         res.json(result);
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
 
-    // User login
-    this.app.post('/api/auth/login', async (req, res) => {
+    // Lift an IP lockout
+    this.api.delete('/admin/lockouts/ip/:ip', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
       try {
-        const { email, password } = req.body;
-        const result = await this.authSystem.login(email, password);
+        const result = req.tenant.authSystem.rateLimit.unlockIp(req.user.userId, req.params.ip);
         res.json(result);
       } catch (error) {
-        res.status(401).json({ success: false, error: error.message });
+        next(error);
       }
     });
 
-    // User logout
-    this.app.post('/api/auth/logout', this.authenticateToken, (req, res) => {
+    // List a user's agent grants and denies
+    this.api.get('/admin/users/:userId/agent-grants', this.authenticateToken, this.requirePermission('agents:grant'), this.validateRequest, (req, res, next) => {
       try {
-        const sessionId = req.headers['x-session-id'];
-        const result = this.authSystem.logout(sessionId);
-        res.json(result);
+        if (!req.tenant.authSystem.users.has(req.params.userId)) {
+          throw new NotFoundError('User not found', 'user_not_found');
+        }
+        res.json(req.tenant.authSystem.agentGrants.listGrants(req.params.userId));
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
 
-    // Get user profile
-    this.app.get('/api/auth/profile', this.authenticateToken, (req, res) => {
-      const user = this.authSystem.users.get(req.user.userId);
-      if (!user) {
-        return res.status(404).json({ success: false, error: 'User not found' });
+    // Allow or deny an agent for a user ({ agentId, effect, expiresAt, justification })
+    this.api.post('/admin/users/:userId/agent-grants', this.authenticateToken, this.requirePermission('agents:grant'), this.validateRequest, (req, res, next) => {
+      try {
+        if (!req.tenant.agentChatSystem.agentProfiles[req.body.agentId]) {
+          throw ValidationError.field('agentId', 'Agent not found');
+        }
+        const result = req.tenant.authSystem.agentGrants.grant(req.user.userId, req.params.userId, req.body);
+        res.status(201).json(result);
+      } catch (error) {
+        next(error);
       }
-      res.json({ success: true, user: this.authSystem.sanitizeUser(user) });
     });
 
-    // Update user profile
-    this.app.put('/api/auth/profile', this.authenticateToken, async (req, res) => {
+    // Revoke an agent grant or deny
+    this.api.delete('/admin/agent-grants/:grantId', this.authenticateToken, this.requirePermission('agents:grant'), this.validateRequest, (req, res, next) => {
       try {
-        const result = await this.authSystem.updateProfile(req.user.userId, req.body);
+        const result = req.tenant.authSystem.agentGrants.revoke(req.user.userId, req.params.grantId);
         res.json(result);
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
-  }
 
-  /**
-   * Setup agent interaction routes
-   */
-  setupAgentRoutes() {
-    // Get available agents for user
-    this.app.get('/api/agents', this.authenticateToken, (req, res) => {
+    // List roles and the permission catalog
+    this.api.get('/admin/roles', this.authenticateToken, this.requirePermission('roles:manage'), this.validateRequest, (req, res) => {
+      res.json(req.tenant.authSystem.listRoles());
+    });
+
+    // Create a custom role
+    this.api.post('/admin/roles', this.authenticateToken, this.requirePermission('roles:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.createRole(req.user.userId, req.body);
+        res.status(201).json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Clone a role under a new id ({ id, name, ...overrides })
+    this.api.post('/admin/roles/:roleId/clone', this.authenticateToken, this.requirePermission('roles:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const result = req.tenant.authSystem.cloneRole(req.user.userId, req.params.roleId, req.body);
+        res.status(201).json(result);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Edit a role's permissions, agentAccess, spendingLimit, maxMessageLength, name or description
+    this.api.patch('/admin/roles/:roleId', this.authenticateToken, this.requirePermission('roles:manage'), this.validateRequest, (req, res, next) => {
       try {
-        const result = this.agentChatSystem.getAvailableAgents(req.user.userId);
+        const result = req.tenant.authSystem.updateRole(req.user.userId, req.params.roleId, req.body);
         res.json(result);
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
 
-    // Start conversation with agent
-    this.app.post('/api/agents/:agentId/chat', this.authenticateToken, async (req, res) => {
+    // Delete an unused custom role
+    this.api.delete('/admin/roles/:roleId', this.authenticateToken, this.requirePermission('roles:manage'), this.validateRequest, (req, res, next) => {
       try {
-        const { agentId } = req.params;
-        const { message } = req.body;
-        const result = await this.agentChatSystem.startConversation(req.user.userId, agentId, message);
+        const result = req.tenant.authSystem.deleteRole(req.user.userId, req.params.roleId);
         res.json(result);
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
 
-    // Send message in conversation
-    this.app.post('/api/conversations/:conversationId/messages', this.authenticateToken, async (req, res) => {
+    // Delete a user, erase their conversations and meetings, and remove their id from decisions and spend requests
+    this.api.delete('/admin/users/:userId', this.authenticateToken, this.requirePermission('users:manage'), this.validateRequest, (req, res, next) => {
       try {
-        const { conversationId } = req.params;
-        const { message } = req.body;
-        const result = await this.agentChatSystem.sendMessage(req.user.userId, conversationId, message);
+        const { userId } = req.params;
+        const result = req.tenant.authSystem.deleteUser(req.user.userId, userId);
+        result.erased = {
+          conversations: req.tenant.agentChatSystem.deleteUserConversations(userId),
+          meetings: req.tenant.meetingSystem.deleteUserMeetings(userId)
+        };
+        result.anonymized = {
+          decisions: req.tenant.decisionSystem.anonymizeUser(userId),
+          spendRequests: req.tenant.spendApprovalEngine.anonymizeUser(userId)
+        };
         res.json(result);
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
+  }
 
-    // Get conversation history
-    this.app.get('/api/conversations/:conversationId', this.authenticateToken, (req, res) => {
+  /**
+   * Setup audit log routes
+   */
+  setupAuditRoutes() {
+    // Query audit records by actor, action (e.g. auth.login.* prefix) and time range
+    this.api.get('/audit', this.authenticateToken, this.requirePermission('audit:read'), this.validateRequest, (req, res, next) => {
       try {
-        const { conversationId } = req.params;
-        const result = this.agentChatSystem.getConversation(req.user.userId, conversationId);
+        const { actor, action, from, to, limit = 100, offset = 0 } = req.query;
+        const result = req.tenant.authSystem.auditLog.query({
+          actor, action, from, to, limit: parseInt(limit), offset: parseInt(offset)
+        });
         res.json(result);
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
 
-    // Get user's conversations
-    this.app.get('/api/conversations', this.authenticateToken, (req, res) => {
+    // Re-hash the chain to detect tampering
+    this.api.get('/audit/verify', this.authenticateToken, this.requirePermission('audit:read'), this.validateRequest, (req, res) => {
+      res.json({ success: true, verification: req.tenant.authSystem.auditLog.verify() });
+    });
+  }
+
+  /**
+   * Setup organization (tenant) routes
+   */
+  setupOrganizationRoutes() {
+    // The caller's own organization; who created it belongs to the default organization and is left out
+    this.api.get('/organizations/current', this.authenticateToken, this.requirePermission('profile:read:own'), this.validateRequest, (req, res) => {
+      const { id, name, subdomain, isActive, createdAt } = this.organizations.get(req.tenant.organizationId);
+      res.json({ success: true, organization: { id, name, subdomain, isActive, createdAt } });
+    });
+
+    // List organizations
+    this.api.get('/organizations', this.authenticateToken, this.requireDefaultOrganization, this.requirePermission('organizations:manage'), this.validateRequest, (req, res) => {
+      res.json({ success: true, organizations: this.organizations.list() });
+    });
+
+    // Create an organization together with its first super_admin
+    this.api.post('/organizations', this.authenticateToken, this.requireDefaultOrganization, this.requirePermission('organizations:manage'), this.validateRequest, async (req, res, next) => {
       try {
-        const { limit = 50, offset = 0 } = req.query;
-        const result = this.agentChatSystem.getUserConversations(req.user.userId, parseInt(limit), parseInt(offset));
+        const { admin } = req.body;
+        if (!admin || !admin.email || !admin.password || !admin.firstName || !admin.lastName) {
+          throw ValidationError.field('admin', 'admin with email, password, firstName and lastName is required');
+        }
+
+        const { organization } = this.organizations.create(req.user.userId, req.body);
+        const tenant = this.createTenant(organization);
+        await tenant.store.loaded();
+        const { user } = await tenant.authSystem.register(admin, { role: 'super_admin' });
+        res.status(201).json({ success: true, organization, admin: user });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Rename, change the subdomain of, or (de)activate an organization
+    this.api.patch('/organizations/:orgId', this.authenticateToken, this.requireDefaultOrganization, this.requirePermission('organizations:manage'), this.validateRequest, (req, res, next) => {
+      try {
+        const { name, subdomain, isActive } = req.body;
+        const result = this.organizations.update(req.user.userId, req.params.orgId, { name, subdomain, isActive });
         res.json(result);
       } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        next(error);
       }
     });
   }
@@ -234,9 +1386,9 @@ class AgenticBoardroomServer {
    */
   setupSystemRoutes() {
     // System status
-    this.app.get('/api/system/status', this.authenticateToken, (req, res) => {
-      const chatStats = this.agentChatSystem.getStats();
-      const userStats = this.authSystem.getUserStats();
+    this.api.get('/system/status', this.authenticateToken, this.requirePermission('system:read'), this.validateRequest, (req, res) => {
+      const chatStats = req.tenant.agentChatSystem.getStats();
+      const userStats = req.tenant.authSystem.getUserStats();
       
       res.json({
         success: true,
@@ -248,13 +1400,25 @@ class AgenticBoardroomServer {
           timestamp: new Date().toISOString()
         },
         users: userStats,
-        chat: chatStats
+        chat: chatStats,
+        config: req.tenant.agentChatSystem.getConfigStatus()
       });
     });
 
+    // Active configuration and last reload outcome
+    this.api.get('/system/config', this.authenticateToken, this.requirePermission('system:read'), this.validateRequest, (req, res) => {
+      res.json({ success: true, config: req.tenant.agentChatSystem.getConfigStatus() });
+    });
+
+    // Manually trigger a configuration reload
+    this.api.post('/system/config/reload', this.authenticateToken, this.requirePermission('system:config'), this.validateRequest, (req, res) => {
+      const result = this.reloadConfig(req.tenant);
+      res.status(result.success ? 200 : 422).json(result);
+    });
+
     // Agent status
-    this.app.get('/api/system/agents/status', this.authenticateToken, (req, res) => {
-      const agentProfiles = this.agentChatSystem.agentProfiles;
+    this.api.get('/system/agents/status', this.authenticateToken, this.requirePermission('system:read'), this.validateRequest, (req, res) => {
+      const agentProfiles = req.tenant.agentChatSystem.agentProfiles;
       const agentStatus = {};
       
       for (const [agentId, agent] of Object.entries(agentProfiles)) {
@@ -276,12 +1440,12 @@ class AgenticBoardroomServer {
     });
 
     // System metrics
-    this.app.get('/api/system/metrics', this.authenticateToken, (req, res) => {
+    this.api.get('/system/metrics', this.authenticateToken, this.requirePermission('analytics:read'), this.validateRequest, (req, res) => {
       res.json({
         success: true,
         metrics: {
-          activeUsers: this.authSystem.getUserStats().active,
-          totalConversations: this.agentChatSystem.conversations.size,
+          activeUsers: req.tenant.authSystem.getUserStats().active,
+          totalConversations: req.tenant.agentChatSystem.conversations.size,
           messagesPerHour: Math.floor(Math.random() * 1000), // Mock metric
           systemLoad: Math.floor(Math.random() * 100),
           responseTime: Math.floor(Math.random() * 500),
@@ -296,6 +1460,73 @@ class AgenticBoardroomServer {
     });
   }
 
+  /**
+   * Setup API reference routes
+   */
+  setupDocsRoutes() {
+    // OpenAPI document, generated from the registered routes on first request
+    this.api.get('/openapi.json', this.validateRequest, (req, res) => {
+      if (!this.openApiDocument) {
+        this.openApiDocument = new OpenApiGenerator().generate(this.api, { authenticate: this.authenticateToken });
+      }
+      res.json(this.openApiDocument);
+    });
+
+    // API explorer, served from ui/docs/api
+    this.app.get('/docs/api', (req, res) => {
+      res.sendFile(path.join(__dirname, '../ui/docs/api/index.html'));
+    });
+  }
+
+  /**
+   * Relay an organization's subsystem events to its users' sockets
+   */
+  forwardTenantEvents(tenant) {
+    // Rooms are prefixed with the organization so events never reach another tenant's sockets
+    const room = (name) => `org:${tenant.organizationId}:${name}`;
+
+    // Decision updates go to the proposer and to sockets subscribed to the decision
+    tenant.decisionSystem.on('decisionUpdated', ({ decision }) => {
+      this.io.to(room(`user:${decision.proposedBy}`)).to(room(`decision:${decision.id}`)).emit('decisionUpdated', { decision });
+    });
+    tenant.decisionSystem.on('decisionVote', ({ decisionId, vote }) => {
+      const decision = tenant.decisionSystem.decisions.get(decisionId);
+      this.io.to(room(`user:${decision.proposedBy}`)).to(room(`decision:${decisionId}`)).emit('decisionVote', { decisionId, vote });
+    });
+
+    // Streamed responses are dispatched by conversation, so open streams add no emitter listeners
+    for (const event of RESPONSE_STREAM_EVENTS) {
+      tenant.agentChatSystem.on(event, (data) => {
+        for (const listener of tenant.responseStreams.get(data.conversationId) || []) {
+          listener(event, data);
+        }
+      });
+    }
+
+    // Conversation lifecycle changes reach every client of the conversation's owner
+    tenant.agentChatSystem.on('conversationUpdated', ({ userId, action, conversation }) => {
+      this.io.to(room(`user:${userId}`)).emit('conversationUpdated', { action, conversation });
+    });
+    tenant.agentChatSystem.on('conversationPurged', ({ userId, conversationId }) => {
+      this.io.to(room(`user:${userId}`)).emit('conversationPurged', { conversationId });
+    });
+
+    tenant.spendApprovalEngine.on('spendRequestUpdated', ({ spendRequest }) => {
+      this.io.to(room(`user:${spendRequest.requestedBy}`)).emit('spendRequestUpdated', { spendRequest });
+    });
+
+    tenant.meetingSystem.on('meetingTurn', ({ meetingId, organizerId, turn }) => {
+      this.io.to(room(`user:${organizerId}`)).emit('meetingTurn', { meetingId, turn });
+    });
+    tenant.meetingSystem.on('meetingUpdated', ({ meeting }) => {
+      this.io.to(room(`user:${meeting.organizerId}`)).emit('meetingUpdated', {
+        meetingId: meeting.id,
+        status: meeting.status,
+        agenda: meeting.agenda.map(({ index, topic, status }) => ({ index, topic, status }))
+      });
+    });
+  }
+
   /**
    * Initialize WebSocket for real-time communication
    */
@@ -303,40 +1534,114 @@ class AgenticBoardroomServer {
     this.io.on('connection', (socket) => {
       console.log('User connected:', socket.id);
 
-      // Authenticate socket connection
-      socket.on('authenticate', async (token) => {
+      // Authenticate socket connection against the organization the token was issued by
+      socket.on('authenticate', async (payload) => {
         try {
-          const authResult = await this.authSystem.verifyToken(token);
-          if (authResult.success) {
+          const token = this.validator.validateEvent('authenticate', payload);
+          const tenant = this.getTenant(AuthSystem.organizationOf(token));
+          const authResult = await tenant.authSystem.verifyToken(token);
+          if (authResult.success && authResult.user.mustChangePassword) {
+            socket.emit('authentication_failed', AgenticBoardroomServer.passwordChangeRequired().toJSON());
+          } else if (authResult.success) {
             socket.userId = authResult.user.id;
             socket.user = authResult.user;
+            socket.tenant = tenant;
             
             // Register connection for real-time updates
-            this.agentChatSystem.registerConnection(socket.userId, socket);
+            tenant.agentChatSystem.registerConnection(socket.userId, socket);
+            socket.join(`org:${tenant.organizationId}`);
+            socket.join(`org:${tenant.organizationId}:user:${socket.userId}`);
             
             socket.emit('authenticated', { success: true, user: authResult.user });
             console.log('User authenticated:', authResult.user.email);
           } else {
-            socket.emit('authentication_failed', { error: authResult.error });
+            socket.emit('authentication_failed', new UnauthorizedError(authResult.error, authResult.code).toJSON());
           }
         } catch (error) {
-          socket.emit('authentication_failed', { error: error.message });
+          socket.emit('authentication_failed', AgenticBoardroomServer.describeError(error).body);
         }
       });
 
       // Handle real-time chat messages
       socket.on('sendMessage', async (data) => {
-        if (!socket.userId) {
-          socket.emit('error', { message: 'Not authenticated' });
+        const payload = this.socketAllowed(socket, 'conversations:write:own') && this.socketPayload(socket, 'sendMessage', data);
+        if (!payload) {
           return;
         }
 
+        const { conversationId, message } = payload;
+        const { agentChatSystem } = socket.tenant;
+        const unsubscribe = this.subscribeResponses(socket.tenant, conversationId, (event, delta) => {
+          if (event === 'messageDelta' && delta.userId === socket.userId) {
+            socket.emit('messageDelta', delta);
+          }
+        });
+
         try {
-          const { conversationId, message } = data;
-          const result = await this.agentChatSystem.sendMessage(socket.userId, conversationId, message);
+          const result = await agentChatSystem.sendMessage(socket.userId, conversationId, message);
+          socket.emit('messageComplete', { conversationId, message: result.message });
           socket.emit('messageResponse', result);
         } catch (error) {
-          socket.emit('error', { message: error.message });
+          this.socketError(socket, error);
+        } finally {
+          unsubscribe();
+        }
+      });
+
+      // Abort an in-progress response; the partial message is kept and flagged as truncated
+      socket.on('cancelMessage', (data) => {
+        const payload = this.socketAllowed(socket, 'conversations:write:own') && this.socketPayload(socket, 'cancelMessage', data);
+        if (!payload) {
+          return;
+        }
+
+        try {
+          const result = socket.tenant.agentChatSystem.cancelMessage(socket.userId, payload.conversationId);
+          socket.emit('messageCancelled', result);
+        } catch (error) {
+          this.socketError(socket, error);
+        }
+      });
+
+      // Conversation lifecycle; every socket of the user hears the outcome as 'conversationUpdated' or 'conversationPurged'
+      const lifecycleEvents = {
+        endConversation: ['conversations:write:own', (chat, { conversationId }) => chat.endConversation(socket.userId, conversationId)],
+        reopenConversation: ['conversations:write:own', (chat, { conversationId }) => chat.reopenConversation(socket.userId, conversationId)],
+        archiveConversation: ['conversations:write:own', (chat, { conversationId, archived }) => chat.archiveConversation(socket.userId, conversationId, archived)],
+        renameConversation: ['conversations:write:own', (chat, { conversationId, title }) => chat.renameConversation(socket.userId, conversationId, title)],
+        deleteConversation: ['conversations:delete:own', (chat, { conversationId, permanent }) => permanent
+          ? chat.purgeConversation(socket.userId, conversationId)
+          : chat.deleteConversation(socket.userId, conversationId)],
+        restoreConversation: ['conversations:delete:own', (chat, { conversationId }) => chat.restoreConversation(socket.userId, conversationId)]
+      };
+      for (const [event, [permission, apply]] of Object.entries(lifecycleEvents)) {
+        socket.on(event, (data) => {
+          const payload = this.socketAllowed(socket, permission) && this.socketPayload(socket, event, data);
+          if (!payload) {
+            return;
+          }
+
+          try {
+            apply(socket.tenant.agentChatSystem, payload);
+          } catch (error) {
+            this.socketError(socket, error);
+          }
+        });
+      }
+
+      // Follow live updates for a decision
+      socket.on('subscribeDecision', (data) => {
+        const payload = this.socketAllowed(socket, 'decisions:read:own') && this.socketPayload(socket, 'subscribeDecision', data);
+        if (!payload) {
+          return;
+        }
+
+        try {
+          const { decision } = socket.tenant.decisionSystem.getDecision(socket.userId, payload.decisionId);
+          socket.join(`org:${socket.tenant.organizationId}:decision:${decision.id}`);
+          socket.emit('decisionUpdated', { decision });
+        } catch (error) {
+          this.socketError(socket, error);
         }
       });
 
@@ -347,6 +1652,83 @@ class AgenticBoardroomServer {
     });
   }
 
+  /**
+   * Enforce every organization's agent memory retention_days on a timer
+   */
+  startMemoryPurge() {
+    this.purgingMemory = true;
+    for (const tenant of this.tenants.values()) {
+      tenant.agentChatSystem.memory.startPurgeJob();
+    }
+  }
+
+  /**
+   * Watch agent manifests and governance policies and reload them on change
+   */
+  startConfigWatcher() {
+    if (process.env.CONFIG_HOT_RELOAD === 'false') {
+      return;
+    }
+
+    this.watchingConfig = true;
+    for (const tenant of this.tenants.values()) {
+      this.watchTenantConfig(tenant);
+    }
+  }
+
+  watchTenantConfig(tenant) {
+    tenant.configWatcher = new ConfigWatcher([
+      tenant.agentChatSystem.manifestLoader.teamsDir,
+      tenant.agentChatSystem.policyLoader.policyFile
+    ]);
+    tenant.configWatcher.on('change', () => this.reloadConfig(tenant));
+    tenant.configWatcher.on('error', (error) => {
+      console.error(`❌ Configuration watcher error (${tenant.organizationId}):`, error.message);
+    });
+    tenant.configWatcher.start();
+  }
+
+  /**
+   * Reload an organization's configuration, keeping the current version if validation fails
+   */
+  reloadConfig(tenant = this.defaultTenant) {
+    try {
+      const result = tenant.agentChatSystem.reloadConfig();
+      if (tenant.configWatcher) {
+        tenant.configWatcher.refresh();
+      }
+      this.io.to(`org:${tenant.organizationId}`).emit('configReloaded', { version: result.version, agents: result.agents });
+      console.log(`🔄 Configuration reloaded for ${tenant.organizationId} (version ${result.version})`);
+      return result;
+    } catch (error) {
+      console.error(`❌ Configuration reload rejected for ${tenant.organizationId}:`, error.message);
+      return {
+        success: false,
+        error: error.message,
+        errors: error.errors || [],
+        version: tenant.agentChatSystem.configVersion
+      };
+    }
+  }
+
+  /**
+   * Tenant middleware: the organization named by X-Organization-Id or the request's
+   * subdomain, falling back to the default organization
+   */
+  resolveTenant = (req, res, next) => {
+    try {
+      const organizationId = this.organizations.resolve({
+        organizationId: req.get('X-Organization-Id'),
+        hostname: req.hostname
+      });
+      req.tenantRequested = Boolean(organizationId);
+      req.tenant = this.getTenant(organizationId || OrganizationSystem.DEFAULT_ID);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
   /**
    * Authentication middleware
    */
@@ -355,20 +1737,203 @@ class AgenticBoardroomServer {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (!token) {
-      return res.status(401).json({ success: false, error: 'Access token required' });
+      return next(new UnauthorizedError('Access token required', 'token_required'));
+    }
+    if (ApiKeys.isApiKey(token)) {
+      return this.authenticateApiKey(req, res, next, token);
+    }
+
+    // The token's organization claim is authoritative; a request naming another organization is refused
+    const organizationId = AuthSystem.organizationOf(token);
+    if (req.tenantRequested && req.tenant.organizationId !== organizationId) {
+      return next(new ForbiddenError('Token does not belong to this organization', 'organization_mismatch'));
     }
 
     try {
-      const authResult = await this.authSystem.verifyToken(token);
+      req.tenant = this.getTenant(organizationId);
+      const authResult = await req.tenant.authSystem.verifyToken(token);
       if (!authResult.success) {
-        return res.status(403).json({ success: false, error: 'Invalid token' });
+        return next(new UnauthorizedError(authResult.error, authResult.code));
+      }
+
+      if (authResult.user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(`${req.method} ${req.route.path}`)) {
+        return next(AgenticBoardroomServer.passwordChangeRequired());
       }
 
       req.user = authResult.decoded;
       next();
     } catch (error) {
-      return res.status(403).json({ success: false, error: 'Invalid token' });
+      next(error instanceof ApiError ? error : new UnauthorizedError('Invalid token', 'token_invalid'));
+    }
+  };
+
+  /**
+   * The API key half of authenticateToken. Keys are looked up in the organization the request
+   * names, and only work on routes and agents within their scopes.
+   */
+  authenticateApiKey(req, res, next, key) {
+    if (API_KEY_EXCLUDED_ROUTES.some(prefix => req.route.path.startsWith(prefix))) {
+      return next(new ForbiddenError('API keys cannot be used on this route', 'api_key_not_allowed'));
+    }
+
+    try {
+      const { apiKeys } = req.tenant.authSystem;
+      const { apiKey, user } = apiKeys.authenticate(key, { ip: req.ip });
+      if (user.mustChangePassword) {
+        return next(AgenticBoardroomServer.passwordChangeRequired());
+      }
+
+      const conversation = req.params.conversationId && req.tenant.agentChatSystem.conversations.get(req.params.conversationId);
+      const agentId = req.params.agentId || (conversation && conversation.agentId);
+      if (agentId && !apiKeys.allowsAgent(apiKey, agentId)) {
+        return next(new ForbiddenError('API key is not scoped to this agent', 'api_key_agent_denied'));
+      }
+
+      req.user = { userId: user.id, email: user.email, role: user.role, permissions: user.permissions, apiKeyId: apiKey.id };
+      req.apiKey = apiKey;
+      // Checks inside the subsystems see the key too, so its scopes bound everything the owner can do
+      apiKeys.actingWith(apiKey, next);
+    } catch (error) {
+      next(error instanceof ApiError ? error : new UnauthorizedError(error.message));
+    }
+  }
+
+  /**
+   * The 403 for a user who must replace their password before doing anything else
+   */
+  static passwordChangeRequired() {
+    return new ForbiddenError('Password change required', 'password_change_required', { passwordChangeRequired: true });
+  }
+
+  /**
+   * A failed sign-in step answers 401, or 429 while throttled or locked out
+   */
+  signInError(error) {
+    if (error instanceof RateLimitedError || error instanceof UnauthorizedError) {
+      return error;
+    }
+    return new UnauthorizedError(error.message, error instanceof ApiError ? error.code : 'unauthorized');
+  }
+
+  /**
+   * A socket event's payload checked against its schema, or null after emitting the problems as an error
+   */
+  socketPayload(socket, event, payload) {
+    try {
+      return this.validator.validateEvent(event, payload, {
+        maxMessageLength: socket.tenant.authSystem.messageLimitFor(socket.userId)
+      });
+    } catch (error) {
+      this.socketError(socket, error);
+      return null;
+    }
+  }
+
+  /**
+   * Emit a failed socket operation as `error`, with the same code and details as the REST envelope
+   */
+  socketError(socket, error) {
+    const { body } = AgenticBoardroomServer.describeError(error);
+    const { error: message, ...details } = body;
+    delete details.success;
+    socket.emit('error', { message, ...details });
+  }
+
+  /**
+   * Check a socket is authenticated and holds a permission, emitting an error if not
+   */
+  socketAllowed(socket, permission) {
+    if (!socket.userId) {
+      this.socketError(socket, new UnauthorizedError('Not authenticated', 'not_authenticated'));
+      return false;
+    }
+    if (!socket.tenant.authSystem.hasPermission(socket.userId, permission)) {
+      this.socketError(socket, new ForbiddenError('Insufficient permissions', 'permission_denied', { required: permission }));
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Middleware factory requiring a permission (see auth/permissions.js); runs after authenticateToken
+   */
+  requirePermission = (permission) => Object.assign((req, res, next) => {
+    // An API key needs the permission in its scopes as well as its owner's role (see ApiKeys.actingWith)
+    if (!req.tenant.authSystem.hasPermission(req.user.userId, permission)) {
+      return next(new ForbiddenError('Insufficient permissions', 'permission_denied', { required: permission }));
+    }
+    next();
+  }, { permission }); // read by the OpenAPI generator
+
+  /**
+   * Check the request's params, query and body against its route schema (see validation/schemas.js),
+   * answering 422 with a path for each rejected field. Runs after authentication so chat messages
+   * are held to the sender's role limit.
+   */
+  validateRequest = (req, res, next) => {
+    try {
+      const maxMessageLength = req.user ? req.tenant.authSystem.messageLimitFor(req.user.userId) : undefined;
+      this.validator.validateRequest(req, { maxMessageLength });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /**
+   * Unversioned /api paths still work but announce their /api/v1 successor (RFC 8594 style headers)
+   */
+  deprecatedApiAlias = (req, res, next) => {
+    if (!req.path.startsWith('/v1/')) {
+      res.set({ Deprecation: 'true', Link: `<${API_VERSION_PATH}${req.path}>; rel="successor-version"` });
+    }
+    next();
+  };
+
+  /**
+   * Central error middleware: typed errors (errors/ApiError.js) answer their own status and code,
+   * malformed JSON bodies 400, other errors from the subsystems 400 and programming errors 500.
+   * Every error response is `{ success: false, error, code, ...details }`.
+   */
+  handleError = (error, req, res, next) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+    const { status, body } = AgenticBoardroomServer.describeError(error);
+    if (status >= 500) {
+      console.error(`❌ ${req.method} ${req.originalUrl} failed:`, error);
+    }
+    if (error instanceof RateLimitedError) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(status).json(body);
+  };
+
+  /**
+   * The HTTP status and response body for an error; sockets reuse the body
+   */
+  static describeError(error) {
+    if (error instanceof ApiError) {
+      return { status: error.status, body: error.toJSON() };
+    }
+    if (error.type === 'entity.parse.failed') {
+      return { status: 400, body: { success: false, error: 'Request body is not valid JSON', code: 'invalid_json' } };
+    }
+    if (error.expose && error.status) {
+      return { status: error.status, body: { success: false, error: error.message, code: 'bad_request' } };
     }
+    // Anything untyped is a server-side failure; its message stays in the log
+    return { status: 500, body: { success: false, error: 'Internal server error', code: 'internal_error' } };
+  }
+
+  /**
+   * Organizations are managed only by users of the default organization; runs after authenticateToken
+   */
+  requireDefaultOrganization = (req, res, next) => {
+    if (req.tenant.organizationId !== OrganizationSystem.DEFAULT_ID) {
+      return next(new ForbiddenError('Organizations are managed from the default organization', 'default_organization_required'));
+    }
+    next();
   };
 
   /**
@@ -376,15 +1941,16 @@ class AgenticBoardroomServer {
    */
   async createDefaultAdmin() {
     try {
-      await this.authSystem.register({
+      const { user } = await this.authSystem.register({
         email: 'admin@agentic-boardroom.com',
         password: 'admin123',
         firstName: 'System',
         lastName: 'Administrator',
-        role: 'super_admin',
         department: 'System Administration'
-      });
-      console.log('✅ Default admin user created: admin@agentic-boardroom.com / admin123');
+      }, { role: 'super_admin', seeded: true });
+      // The well-known password only works once: the first login must replace it
+      this.authSystem.requirePasswordChange(user.id);
+      console.log('✅ Default admin user created: admin@agentic-boardroom.com / admin123 (change required at first login)');
     } catch (error) {
       // Admin already exists
       console.log('ℹ️ Default admin user already exists');
@@ -394,7 +1960,17 @@ class AgenticBoardroomServer {
   /**
    * Start the server
    */
-  start() {
+  async start() {
+    try {
+      await this.ready;
+    } catch (error) {
+      console.error('❌ Storage initialization failed:', error.message);
+      process.exit(1);
+    }
+
+    this.startConfigWatcher();
+    this.startMemoryPurge();
+
     this.server.listen(this.port, () => {
       console.log('🚀 Agentic Boardroom Server Started');
       console.log('=====================================');
@@ -402,8 +1978,10 @@ class AgenticBoardroomServer {
       console.log(`📊 Dashboard: http://localhost:${this.port}/`);
       console.log(`🔗 API: http://localhost:${this.port}/api`);
       console.log(`❤️ Health: http://localhost:${this.port}/health`);
+      console.log(`💾 Storage: ${this.store.driver}`);
+      console.log(`🏛️ Organizations: ${this.organizations.list().length}`);
       console.log('=====================================');
-      console.log('🧠 AI Agents: 10 agents ready');
+      console.log(`🧠 AI Agents: ${Object.keys(this.agentChatSystem.agentProfiles).length} agents ready`);
       console.log('🎯 Master Overlord: Supreme orchestrator active');
       console.log('🌱 Sustainability: Carbon-neutral operations');
       console.log('🔐 Security: Enterprise-grade protection');
@@ -415,7 +1993,19 @@ class AgenticBoardroomServer {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('🛑 Received SIGTERM, shutting down gracefully');
-      this.server.close(() => {
+      for (const tenant of this.tenants.values()) {
+        if (tenant.configWatcher) {
+          tenant.configWatcher.stop();
+        }
+        tenant.agentChatSystem.memory.stopPurgeJob();
+      }
+      this.server.close(async () => {
+        try {
+          await this.store.close();
+        } catch (error) {
+          console.error('❌ Unsaved changes at shutdown:', error.message);
+          process.exit(1);
+        }
         console.log('✅ Server shutdown complete');
         process.exit(0);
       });
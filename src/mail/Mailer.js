@@ -0,0 +1,76 @@
+/**
+ * 📧 Agentic Boardroom - Mailer
+ * Builds outgoing messages and hands them to a pluggable transport
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const ConsoleTransport = require('./transports/ConsoleTransport');
+const FileTransport = require('./transports/FileTransport');
+const MemoryTransport = require('./transports/MemoryTransport');
+
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  memory: MemoryTransport
+};
+
+class Mailer {
+  /**
+   * Build a mailer from MAIL_TRANSPORT, MAIL_DIR, MAIL_FROM and APP_URL
+   */
+  static fromEnv(env = process.env) {
+    return new Mailer({
+      transport: env.MAIL_TRANSPORT || (env.NODE_ENV === 'test' ? 'memory' : 'console'),
+      mailDir: env.MAIL_DIR,
+      from: env.MAIL_FROM,
+      appUrl: env.APP_URL
+    });
+  }
+
+  /**
+   * Make another transport available by name (e.g. an SMTP or HTTP API transport)
+   */
+  static registerTransport(name, Transport) {
+    TRANSPORTS[name] = Transport;
+  }
+
+  /**
+   * @param {string|Object} options.transport - a registered transport name, or any object with `async send(message)`
+   * @param {string} options.appUrl - base URL that links in messages point to
+   */
+  constructor(options = {}) {
+    this.transport = this.createTransport(options.transport || 'console', options);
+    this.from = options.from || 'Agentic Boardroom <no-reply@agentic-boardroom.local>';
+    this.appUrl = (options.appUrl || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  }
+
+  createTransport(transport, options) {
+    if (typeof transport === 'object') {
+      return transport;
+    }
+    const Transport = TRANSPORTS[transport];
+    if (!Transport) {
+      throw new Error(`Unknown mail transport: ${transport}`);
+    }
+    return new Transport(options);
+  }
+
+  /**
+   * Absolute link into the app
+   */
+  link(pathname, params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+    return `${this.appUrl}${pathname}${query.toString() ? `?${query}` : ''}`;
+  }
+
+  async send({ to, subject, text, tags = [] }) {
+    if (!to || !subject || !text) {
+      throw new Error('Mail needs a recipient, subject and body');
+    }
+    const message = { id: uuidv4(), from: this.from, to, subject, text, tags, sentAt: new Date() };
+    await this.transport.send(message);
+    return { success: true, messageId: message.id };
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,17 @@
+/**
+ * 🖥️ Agentic Boardroom - Console Mail Transport
+ * Prints outgoing mail to the server log for local development
+ */
+
+class ConsoleTransport {
+  async send(message) {
+    console.log([
+      `📧 Mail to ${message.to}: ${message.subject}`,
+      message.text,
+      ''
+    ].join('\n'));
+    return { id: message.id };
+  }
+}
+
+module.exports = ConsoleTransport;
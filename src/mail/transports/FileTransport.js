@@ -0,0 +1,36 @@
+/**
+ * 📂 Agentic Boardroom - File Mail Transport
+ * Writes each outgoing message to MAIL_DIR as JSON, for local development and tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileTransport {
+  constructor(options = {}) {
+    this.mailDir = options.mailDir || path.join(__dirname, '../../../data/mail');
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.mailDir, { recursive: true });
+    // Timestamp first so a directory listing reads in send order
+    const file = path.join(this.mailDir, `${message.sentAt.getTime()}-${message.id}.json`);
+    await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+    return { id: message.id, file };
+  }
+
+  /**
+   * Messages written so far, oldest first
+   */
+  list() {
+    if (!fs.existsSync(this.mailDir)) {
+      return [];
+    }
+    return fs.readdirSync(this.mailDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.mailDir, file), 'utf8')));
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,21 @@
+/**
+ * 🧠 Agentic Boardroom - Memory Mail Transport
+ * Keeps outgoing mail in an in-process outbox; the default under NODE_ENV=test
+ */
+
+class MemoryTransport {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(message) {
+    this.outbox.push(message);
+    return { id: message.id };
+  }
+
+  list() {
+    return [...this.outbox];
+  }
+}
+
+module.exports = MemoryTransport;
@@ -0,0 +1,420 @@
+/**
+ * 🪑 Agentic Boardroom - Boardroom Meeting System
+ * Multi-agent meetings where the facilitator agent drives the agenda and records minutes
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const DecisionRouter = require('../orchestration/DecisionRouter');
+const { ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors/ApiError');
+
+const DEFAULT_FACILITATOR = 'meeting_facilitator';
+
+// Keep prompts bounded: only the latest turns, each trimmed, are shown to the next speaker
+const CONTEXT_TURNS = 8;
+const TURN_EXCERPT_CHARS = 600;
+
+const FACILITATOR_INSTRUCTIONS = {
+  open: 'You are facilitating a boardroom meeting. Open the agenda item in two or three sentences and invite the attendees to speak in the order given.',
+  summarize: 'You are facilitating a boardroom meeting. Summarize the discussion of this agenda item. ' +
+    'Put each decision on its own line starting with "DECISION:" and each action item on its own line ' +
+    'as "ACTION: <owner> - <task>".',
+  close: 'You are facilitating a boardroom meeting. Close the meeting with a short recap and thank the attendees.'
+};
+
+const ATTENDEE_INSTRUCTIONS = 'You are attending a boardroom meeting. Stay in character and contribute your perspective ' +
+  'on the current agenda item in a few sentences, building on what has been said.';
+
+class MeetingSystem extends EventEmitter {
+  /**
+   * @param {AgentChatSystem} agentChatSystem - agent profiles, policies and in-character replies
+   */
+  constructor(agentChatSystem, options = {}) {
+    super();
+    this.agentChatSystem = agentChatSystem;
+    this.authSystem = agentChatSystem.authSystem;
+    this.store = options.store || agentChatSystem.store;
+    this.meetings = this.store.repository('meetings'); // meetingId -> meeting
+  }
+
+  /**
+   * Create a meeting; governance meeting_protocols add required attendees and the facilitator
+   */
+  create(userId, { title, agenda = [], attendees = [], type = null, rounds = 1 } = {}) {
+    if (!this.authSystem.users.get(userId)) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    if (!title) {
+      throw ValidationError.field('title', 'Meeting title is required');
+    }
+    if (!Array.isArray(agenda) || agenda.length === 0) {
+      throw ValidationError.field('agenda', 'Meeting agenda must have at least one item');
+    }
+
+    const protocols = this.agentChatSystem.governancePolicies.communication_protocols.meeting_protocols || {};
+    const protocol = type ? protocols[type] : null;
+    if (type && !protocol) {
+      throw ValidationError.field('type', `Unknown meeting type: ${type}`);
+    }
+
+    const facilitator = DecisionRouter.normalizeAgentId((protocol && protocol.facilitator) || DEFAULT_FACILITATOR);
+    const required = ((protocol && protocol.required_attendees) || []).map(DecisionRouter.normalizeAgentId);
+    const participants = Array.from(new Set([...required, ...attendees]))
+      .filter(agentId => agentId !== facilitator);
+
+    if (participants.length === 0) {
+      throw ValidationError.field('attendees', 'Meeting needs at least one attendee besides the facilitator');
+    }
+    for (const agentId of [facilitator, ...participants]) {
+      if (!this.agentChatSystem.agentProfiles[agentId]) {
+        throw ValidationError.field('attendees', `Agent not found: ${agentId}`);
+      }
+    }
+    // The facilitator serves every meeting; attendees need the organizer's agent access
+    for (const agentId of participants) {
+      if (!this.authSystem.canAccessAgent(userId, agentId)) {
+        throw new ForbiddenError(`Access denied to agent: ${agentId}`, 'agent_access_denied');
+      }
+    }
+
+    const now = new Date();
+    const meeting = {
+      id: uuidv4(),
+      title,
+      type,
+      organizerId: userId,
+      facilitator,
+      attendees: participants,
+      rounds: Math.max(1, Math.min(parseInt(rounds) || 1, 3)),
+      agenda: agenda.map((item, index) => ({
+        index,
+        topic: typeof item === 'string' ? item : item.topic,
+        description: typeof item === 'string' ? null : item.description || null,
+        status: 'pending',
+        turnOrder: [],
+        summary: null
+      })),
+      status: 'scheduled',
+      transcript: [],
+      decisions: [],
+      actionItems: [],
+      minutes: null,
+      createdAt: now,
+      startedAt: null,
+      endedAt: null
+    };
+
+    if (meeting.agenda.some(item => !item.topic)) {
+      throw ValidationError.field('agenda', 'Every agenda item needs a topic');
+    }
+
+    this.save(meeting);
+    return { success: true, meeting };
+  }
+
+  /**
+   * Run the meeting: for each agenda item the facilitator opens, attendees speak in turn,
+   * and the facilitator summarizes decisions and action items. Minutes are written at the end.
+   */
+  async run(meetingId) {
+    const meeting = this.meetings.get(meetingId);
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found', 'meeting_not_found');
+    }
+    if (meeting.status !== 'scheduled') {
+      throw new ConflictError(`Meeting is already ${meeting.status}`, 'meeting_closed');
+    }
+
+    meeting.status = 'in_progress';
+    meeting.startedAt = new Date();
+    this.save(meeting);
+
+    for (const item of meeting.agenda) {
+      if (meeting.status !== 'in_progress') break;
+
+      item.status = 'in_progress';
+      item.turnOrder = this.turnOrder(meeting, item);
+      const names = item.turnOrder.map(agentId => this.agentChatSystem.agentProfiles[agentId].name);
+      await this.takeTurn(meeting, item, meeting.facilitator, 'opening', FACILITATOR_INSTRUCTIONS.open,
+        `Speaking order: ${names.join(', ')}.`);
+
+      for (let round = 0; round < meeting.rounds; round++) {
+        for (const agentId of item.turnOrder) {
+          if (meeting.status !== 'in_progress') break;
+          await this.takeTurn(meeting, item, agentId, 'contribution', ATTENDEE_INSTRUCTIONS);
+        }
+      }
+
+      if (meeting.status !== 'in_progress') break;
+      const summary = await this.takeTurn(meeting, item, meeting.facilitator, 'summary', FACILITATOR_INSTRUCTIONS.summarize,
+        `Attendees: ${names.join(', ')}.`);
+      this.recordOutcomes(meeting, item, summary.content);
+      item.status = 'completed';
+      this.save(meeting);
+    }
+
+    if (meeting.status === 'in_progress') {
+      await this.takeTurn(meeting, null, meeting.facilitator, 'closing', FACILITATOR_INSTRUCTIONS.close);
+      meeting.status = 'completed';
+    }
+    meeting.endedAt = new Date();
+    meeting.minutes = MeetingSystem.formatMinutes(meeting);
+    this.save(meeting);
+
+    return { success: true, meeting };
+  }
+
+  /**
+   * Attendees ordered by how well their capabilities match the agenda item
+   */
+  turnOrder(meeting, item) {
+    const text = `${item.topic} ${item.description || ''}`.toLowerCase();
+    const relevance = agentId => (this.agentChatSystem.agentProfiles[agentId].capabilities || [])
+      .join(' ')
+      .toLowerCase()
+      .split(/\W+/)
+      .filter(word => word.length > 3 && text.includes(word))
+      .length;
+
+    return meeting.attendees
+      .map((agentId, position) => ({ agentId, position, score: relevance(agentId) }))
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .map(entry => entry.agentId);
+  }
+
+  /**
+   * Let one agent speak and append the turn to the transcript
+   */
+  async takeTurn(meeting, item, agentId, kind, instructions, note = null) {
+    const profile = this.agentChatSystem.agentProfiles[agentId];
+    const prompt = this.buildPrompt(meeting, item, note);
+
+    let content;
+    try {
+      content = (await this.agentChatSystem.respondAs(agentId, instructions, prompt)).content;
+    } catch (error) {
+      content = `(${profile.name} could not respond: ${error.message})`;
+    }
+
+    const turn = {
+      id: uuidv4(),
+      agendaIndex: item ? item.index : null,
+      agentId,
+      agentName: profile.name,
+      kind,
+      content,
+      timestamp: new Date()
+    };
+    meeting.transcript.push(turn);
+    this.save(meeting);
+    this.emit('meetingTurn', { meetingId: meeting.id, organizerId: meeting.organizerId, turn });
+    return turn;
+  }
+
+  buildPrompt(meeting, item, note) {
+    const lines = [`Meeting: ${meeting.title}`];
+    if (item) {
+      lines.push(`Agenda item ${item.index + 1} of ${meeting.agenda.length}: ${item.topic}`);
+      if (item.description) lines.push(`Details: ${item.description}`);
+    } else {
+      lines.push(`Agenda: ${meeting.agenda.map(entry => entry.topic).join('; ')}`);
+    }
+    if (note) lines.push(note);
+
+    const recent = meeting.transcript
+      .filter(turn => !item || turn.agendaIndex === item.index)
+      .slice(-CONTEXT_TURNS);
+    if (recent.length > 0) {
+      lines.push('', 'Discussion so far:');
+      for (const turn of recent) {
+        lines.push(`${turn.agentName}: ${turn.content.slice(0, TURN_EXCERPT_CHARS)}`);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Pull DECISION: and ACTION: lines out of the facilitator's summary
+   */
+  recordOutcomes(meeting, item, summary) {
+    item.summary = summary;
+
+    for (const line of summary.split('\n')) {
+      const decision = /^\s*(?:[-*]\s*)?DECISION:\s*(.+)$/i.exec(line);
+      if (decision) {
+        meeting.decisions.push({ agendaIndex: item.index, topic: item.topic, text: decision[1].trim() });
+        continue;
+      }
+
+      const action = /^\s*(?:[-*]\s*)?ACTION:\s*(.+)$/i.exec(line);
+      if (action) {
+        const [owner, ...task] = action[1].split(/\s+[-–]\s+/);
+        const hasOwner = task.length > 0;
+        meeting.actionItems.push({
+          agendaIndex: item.index,
+          owner: hasOwner ? owner.trim() : null,
+          ownerAgentId: hasOwner ? this.findAgentByName(owner.trim()) : null,
+          task: (hasOwner ? task.join(' - ') : owner).trim(),
+          status: 'open'
+        });
+      }
+    }
+  }
+
+  findAgentByName(name) {
+    const normalized = name.toLowerCase();
+    const match = Object.entries(this.agentChatSystem.agentProfiles)
+      .find(([agentId, profile]) => agentId === DecisionRouter.normalizeAgentId(name) ||
+        profile.name.toLowerCase() === normalized);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Stop a running meeting after the current turn
+   */
+  end(userId, meetingId) {
+    const meeting = this.getOwnedMeeting(userId, meetingId);
+    if (meeting.status === 'scheduled') {
+      meeting.status = 'cancelled';
+      meeting.endedAt = new Date();
+    } else if (meeting.status === 'in_progress') {
+      meeting.status = 'ended_early';
+    } else {
+      throw new ConflictError(`Meeting is already ${meeting.status}`, 'meeting_closed');
+    }
+    this.save(meeting);
+    return { success: true, meeting };
+  }
+
+  /**
+   * Get a meeting visible to the user
+   */
+  getMeeting(userId, meetingId) {
+    return { success: true, meeting: this.getOwnedMeeting(userId, meetingId) };
+  }
+
+  /**
+   * List meetings organized by the user, newest first
+   */
+  listMeetings(userId, limit = 50, offset = 0) {
+    const meetings = this.meetings.filter(meeting => this.canView(userId, meeting))
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    return {
+      success: true,
+      meetings: meetings.slice(offset, offset + limit).map(({ transcript, ...summary }) => ({
+        ...summary,
+        turns: transcript.length
+      })),
+      total: meetings.length
+    };
+  }
+
+  /**
+   * Minutes for download, as Markdown or JSON
+   */
+  exportMinutes(userId, meetingId, format = 'markdown') {
+    const meeting = this.getOwnedMeeting(userId, meetingId);
+    if (!meeting.minutes) {
+      throw new ConflictError('Minutes are available once the meeting has ended', 'meeting_not_ended');
+    }
+
+    if (format === 'json') {
+      const { id, title, type, facilitator, attendees, agenda, decisions, actionItems, transcript, startedAt, endedAt } = meeting;
+      return {
+        filename: `meeting-${id}.json`,
+        contentType: 'application/json',
+        body: JSON.stringify({ id, title, type, facilitator, attendees, agenda, decisions, actionItems, transcript, startedAt, endedAt }, null, 2)
+      };
+    }
+    if (format !== 'markdown') {
+      throw ValidationError.field('format', `Unsupported minutes format: ${format}`);
+    }
+
+    return {
+      filename: `meeting-${meeting.id}.md`,
+      contentType: 'text/markdown; charset=utf-8',
+      body: meeting.minutes
+    };
+  }
+
+  /**
+   * Render minutes as Markdown
+   */
+  static formatMinutes(meeting) {
+    const lines = [
+      `# ${meeting.title}`,
+      '',
+      `- Status: ${meeting.status}`,
+      `- Started: ${meeting.startedAt ? meeting.startedAt.toISOString() : '-'}`,
+      `- Ended: ${meeting.endedAt ? meeting.endedAt.toISOString() : '-'}`,
+      `- Facilitator: ${meeting.facilitator}`,
+      `- Attendees: ${meeting.attendees.join(', ')}`,
+      ''
+    ];
+
+    for (const item of meeting.agenda) {
+      lines.push(`## ${item.index + 1}. ${item.topic}`, '');
+      for (const turn of meeting.transcript.filter(entry => entry.agendaIndex === item.index && entry.kind === 'contribution')) {
+        lines.push(`**${turn.agentName}:** ${turn.content}`, '');
+      }
+      if (item.summary) {
+        lines.push(`**Summary:** ${item.summary}`, '');
+      } else {
+        lines.push(`_Not discussed (${item.status})._`, '');
+      }
+    }
+
+    lines.push('## Decisions', '');
+    lines.push(...(meeting.decisions.length > 0
+      ? meeting.decisions.map(decision => `- ${decision.text} (${decision.topic})`)
+      : ['- None recorded']), '');
+
+    lines.push('## Action Items', '');
+    lines.push(...(meeting.actionItems.length > 0
+      ? meeting.actionItems.map(action => `- [ ] ${action.owner ? `${action.owner}: ` : ''}${action.task}`)
+      : ['- None recorded']), '');
+
+    return lines.join('\n');
+  }
+
+  getOwnedMeeting(userId, meetingId) {
+    const meeting = this.meetings.get(meetingId);
+    if (!meeting) {
+      throw new NotFoundError('Meeting not found', 'meeting_not_found');
+    }
+    if (!this.canView(userId, meeting)) {
+      throw new ForbiddenError('Access denied to this meeting', 'meeting_access_denied');
+    }
+    return meeting;
+  }
+
+  /**
+   * Delete the meetings a user organized, transcripts and minutes included (account deletion).
+   * A running meeting stops after its current turn and is not saved again.
+   */
+  deleteUserMeetings(userId) {
+    const meetings = this.meetings.filter(meeting => meeting.organizerId === userId);
+    for (const meeting of meetings) {
+      meeting.status = 'cancelled';
+      meeting.erased = true;
+      this.meetings.delete(meeting.id);
+    }
+    return meetings.length;
+  }
+
+  canView(userId, meeting) {
+    return meeting.organizerId === userId || this.authSystem.hasPermission(userId, 'meetings:read:any');
+  }
+
+  save(meeting) {
+    if (meeting.erased) {
+      return;
+    }
+    meeting.updatedAt = new Date();
+    this.meetings.set(meeting.id, meeting);
+    this.emit('meetingUpdated', { meeting });
+  }
+}
+
+module.exports = MeetingSystem;
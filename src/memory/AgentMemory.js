@@ -0,0 +1,273 @@
+/**
+ * 🧠 Agentic Boardroom - Agent Memory
+ * Long-term memory of what users told each agent, kept per manifest memory.vector_namespace for retention_days
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const VectorStore = require('./VectorStore');
+const { NotFoundError, ForbiddenError } = require('../errors/ApiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Memories recalled into an agent's context per response
+const RECALL_LIMIT = 3;
+const RECALL_MIN_SCORE = 0.25;
+// A new fact this close to a stored one refreshes it instead of being stored twice
+const DUPLICATE_SCORE = 0.95;
+const SUMMARY_LENGTH = 300;
+
+class AgentMemory {
+  /**
+   * Writes facts from user messages on 'conversationStarted' and 'messageSent', writes a summary
+   * on 'conversationEnded', and forgets a conversation's memories on 'conversationPurged'.
+   * Memories are only ever recalled for the user they are about.
+   * @param {AgentChatSystem} agentChatSystem
+   */
+  constructor(agentChatSystem, options = {}) {
+    this.agentChatSystem = agentChatSystem;
+    this.vectorStore = options.vectorStore || new VectorStore({
+      store: options.store || agentChatSystem.store,
+      collection: 'agent_memories',
+      embeddingProvider: options.embeddingProvider
+    });
+    this.auditLog = options.auditLog || agentChatSystem.auditLog;
+    this.clock = options.clock || Date.now;
+    this.purgeIntervalMs = options.purgeIntervalMs || Number(process.env.MEMORY_PURGE_INTERVAL_MINUTES || 60) * 60 * 1000;
+    this.purgeTimer = null;
+
+    agentChatSystem.on('conversationStarted', ({ conversationId }) => {
+      const conversation = agentChatSystem.conversations.get(conversationId);
+      for (const message of conversation.messages.filter(msg => msg.type === 'user')) {
+        this.rememberFacts(conversation, message);
+      }
+    });
+    agentChatSystem.on('messageSent', ({ conversationId, message }) => {
+      this.rememberFacts(agentChatSystem.conversations.get(conversationId), message);
+    });
+    agentChatSystem.on('conversationEnded', ({ conversationId }) => {
+      this.rememberSummary(agentChatSystem.conversations.get(conversationId));
+    });
+    agentChatSystem.on('conversationPurged', ({ conversationId }) => this.forgetConversation(conversationId));
+  }
+
+  /**
+   * Statements a user makes about themselves or their organization, e.g. "Our Q3 marketing budget is $2M."
+   * Questions and short fragments are skipped.
+   */
+  static extractFacts(text) {
+    return String(text || '')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.trim())
+      .filter(sentence => sentence.length <= 500 && sentence.split(/\s+/).length >= 4 && !sentence.endsWith('?'))
+      .filter(sentence => /\b(i|i'm|i've|we|we're|we've|my|our|us|remember)\b/i.test(sentence));
+  }
+
+  /**
+   * The agent's memory settings from its manifest; null when it keeps no memory
+   */
+  settingsFor(agentId) {
+    const agent = this.agentChatSystem.agentProfiles[agentId];
+    if (!agent || !agent.memory || !agent.memory.retention_days) {
+      return null;
+    }
+    return { namespace: agent.memory.vector_namespace, retentionMs: agent.memory.retention_days * DAY_MS };
+  }
+
+  rememberFacts(conversation, message) {
+    for (const fact of AgentMemory.extractFacts(message.content)) {
+      this.remember(conversation, { kind: 'fact', content: fact, messageId: message.id });
+    }
+  }
+
+  /**
+   * Store what an ended conversation was about
+   */
+  rememberSummary(conversation) {
+    const userMessages = conversation.messages.filter(msg => msg.type === 'user').map(msg => msg.content);
+    if (userMessages.length === 0) {
+      return null;
+    }
+
+    const date = new Date(conversation.startedAt).toISOString().slice(0, 10);
+    const topics = conversation.context.activeTopics.length ? ` about ${conversation.context.activeTopics.join(', ')}` : '';
+    let content = `Conversation on ${date}${topics}. The user said: ${userMessages.join(' / ')}`;
+    if (content.length > SUMMARY_LENGTH) {
+      content = `${content.slice(0, SUMMARY_LENGTH - 1)}…`;
+    }
+    return this.remember(conversation, { kind: 'summary', content });
+  }
+
+  /**
+   * Write a memory to the agent's namespace, or refresh a near-identical one
+   */
+  remember(conversation, { kind, content, messageId = null }) {
+    const settings = this.settingsFor(conversation.agentId);
+    if (!settings) {
+      return null;
+    }
+
+    const now = this.clock();
+    const [duplicate] = this.vectorStore.search(settings.namespace, content, {
+      filter: record => record.userId === conversation.userId && record.kind === kind,
+      limit: 1,
+      minScore: DUPLICATE_SCORE
+    });
+    const memory = duplicate ? duplicate.record : {
+      id: uuidv4(),
+      namespace: settings.namespace,
+      agentId: conversation.agentId,
+      userId: conversation.userId,
+      kind,
+      content,
+      createdAt: new Date(now)
+    };
+    Object.assign(memory, {
+      conversationId: conversation.id,
+      messageId,
+      updatedAt: new Date(now),
+      expiresAt: new Date(now + settings.retentionMs)
+    });
+    return this.vectorStore.put(memory);
+  }
+
+  /**
+   * The user's memories in the conversation agent's namespace most relevant to the text,
+   * leaving out the given messages (already in the context) and anything expired
+   */
+  recall(conversation, text, excludeMessageIds = []) {
+    const settings = this.settingsFor(conversation.agentId);
+    if (!settings || !text) {
+      return [];
+    }
+
+    return this.vectorStore.search(settings.namespace, text, {
+      filter: record => record.userId === conversation.userId &&
+        !excludeMessageIds.includes(record.messageId) &&
+        !this.isExpired(record),
+      limit: RECALL_LIMIT,
+      minScore: RECALL_MIN_SCORE
+    }).map(({ record }) => ({ kind: record.kind, content: record.content, createdAt: record.createdAt }));
+  }
+
+  /**
+   * Expired by its own expiresAt, or by the agent's current retention_days if that is shorter
+   */
+  isExpired(record) {
+    const now = this.clock();
+    if (new Date(record.expiresAt).getTime() <= now) {
+      return true;
+    }
+    const agent = this.agentChatSystem.agentProfiles[record.agentId];
+    if (!agent || !agent.memory) {
+      return false;
+    }
+    return new Date(record.updatedAt).getTime() + agent.memory.retention_days * DAY_MS <= now;
+  }
+
+  /**
+   * What agents remember about a user, newest first
+   */
+  list(userId, { agentId } = {}) {
+    const memories = this.vectorStore
+      .filter(record => record.userId === userId && (!agentId || record.agentId === agentId) && !this.isExpired(record))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    return {
+      success: true,
+      memories,
+      total: memories.length
+    };
+  }
+
+  /**
+   * Delete one memory about the user
+   */
+  delete(userId, memoryId) {
+    const memory = this.vectorStore.get(memoryId);
+    if (!memory) {
+      throw new NotFoundError('Memory not found', 'memory_not_found');
+    }
+    if (memory.userId !== userId) {
+      throw new ForbiddenError('Access denied to this memory', 'memory_access_denied');
+    }
+
+    this.vectorStore.delete(memoryId);
+    this.auditLog.record({
+      action: 'memory.deleted',
+      actor: { type: 'user', id: userId },
+      target: { type: 'memory', id: memoryId },
+      details: { agentId: memory.agentId, namespace: memory.namespace }
+    });
+
+    return {
+      success: true,
+      memoryId,
+      message: 'Memory deleted'
+    };
+  }
+
+  /**
+   * Delete everything agents (or one agent) remember about the user
+   */
+  deleteAll(userId, { agentId } = {}) {
+    const memories = this.vectorStore.filter(record => record.userId === userId && (!agentId || record.agentId === agentId));
+    for (const memory of memories) {
+      this.vectorStore.delete(memory.id);
+    }
+    this.auditLog.record({
+      action: 'memory.deleted',
+      actor: { type: 'user', id: userId },
+      target: { type: 'user', id: userId },
+      details: { agentId: agentId || null, count: memories.length }
+    });
+
+    return {
+      success: true,
+      deleted: memories.length,
+      message: `${memories.length} memories deleted`
+    };
+  }
+
+  /**
+   * Drop the memories taken from a purged conversation
+   */
+  forgetConversation(conversationId) {
+    const memories = this.vectorStore.filter(record => record.conversationId === conversationId);
+    for (const memory of memories) {
+      this.vectorStore.delete(memory.id);
+    }
+    return memories.length;
+  }
+
+  /**
+   * Delete memories past their agent's retention_days
+   */
+  purgeExpired() {
+    const expired = this.vectorStore.filter(record => this.isExpired(record));
+    for (const memory of expired) {
+      this.vectorStore.delete(memory.id);
+    }
+    if (expired.length > 0) {
+      this.auditLog.record({ action: 'memory.purged', details: { count: expired.length } });
+    }
+    return expired.length;
+  }
+
+  /**
+   * Run purgeExpired now and then every MEMORY_PURGE_INTERVAL_MINUTES (default 60)
+   */
+  startPurgeJob() {
+    if (this.purgeTimer) {
+      return;
+    }
+    this.purgeExpired();
+    this.purgeTimer = setInterval(() => this.purgeExpired(), this.purgeIntervalMs);
+    this.purgeTimer.unref();
+  }
+
+  stopPurgeJob() {
+    clearInterval(this.purgeTimer);
+    this.purgeTimer = null;
+  }
+}
+
+module.exports = AgentMemory;
@@ -0,0 +1,66 @@
+/**
+ * 🗃️ Agentic Boardroom - Vector Store
+ * Namespaced text records ranked by embedding similarity, kept in a storage repository
+ */
+
+const LocalEmbeddingProvider = require('../search/LocalEmbeddingProvider');
+
+class VectorStore {
+  /**
+   * Only the text is persisted; vectors are embedded when first needed and cached in memory,
+   * so changing the embedding provider needs no migration.
+   * @param {Store} options.store
+   * @param {string} options.collection - repository name
+   * @param {Object} options.embeddingProvider - `embed(text)` returning a unit-length vector
+   */
+  constructor(options = {}) {
+    this.records = options.store.repository(options.collection); // recordId -> { id, namespace, content, ... }
+    this.embeddingProvider = options.embeddingProvider || new LocalEmbeddingProvider();
+    this.vectors = new Map(); // recordId -> vector
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  /**
+   * Store (or re-save) a record; it needs an `id`, a `namespace` and `content`
+   */
+  put(record) {
+    this.records.set(record.id, record);
+    this.vectors.delete(record.id);
+    return record;
+  }
+
+  delete(id) {
+    this.vectors.delete(id);
+    return this.records.delete(id);
+  }
+
+  filter(predicate) {
+    return this.records.filter(predicate);
+  }
+
+  vectorFor(record) {
+    if (!this.vectors.has(record.id)) {
+      this.vectors.set(record.id, this.embeddingProvider.embed(record.content));
+    }
+    return this.vectors.get(record.id);
+  }
+
+  /**
+   * Records of a namespace most similar to the text, best first
+   * @param {Function} options.filter - extra condition on each record
+   */
+  search(namespace, text, { filter = () => true, limit = 5, minScore = 0 } = {}) {
+    const vector = this.embeddingProvider.embed(text);
+    return this.records
+      .filter(record => record.namespace === namespace && filter(record))
+      .map(record => ({ record, score: LocalEmbeddingProvider.similarity(vector, this.vectorFor(record)) }))
+      .filter(({ score }) => score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = VectorStore;
@@ -0,0 +1,474 @@
+/**
+ * 🧭 Agentic Boardroom - Decision Routing Engine
+ * Classifies decision requests and routes them to agents per orchestration/decision-routing-engine.yaml
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const YAML = require('yaml');
+const { v4: uuidv4 } = require('uuid');
+const { ManifestValidationError } = require('../agents/ManifestLoader');
+const { NotFoundError, ValidationError, ServiceUnavailableError } = require('../errors/ApiError');
+
+const DEFAULT_ROUTING_FILE = path.join(__dirname, '../../orchestration/decision-routing-engine.yaml');
+
+// Keywords that identify each task category in free-text requests
+const CATEGORY_KEYWORDS = {
+  strategic_planning: ['strategy', 'strategic', 'roadmap', 'vision', 'expansion', 'acquisition', 'growth', 'competitive', 'market entry'],
+  technical_architecture: ['architecture', 'technical', 'infrastructure', 'platform', 'api', 'database', 'scalability', 'migration', 'tech stack'],
+  financial_decisions: ['budget', 'cost', 'spend', 'spending', 'financial', 'finance', 'investment', 'revenue', 'pricing', 'purchase'],
+  research_analysis: ['research', 'analysis', 'analyze', 'study', 'trend', 'survey', 'benchmark'],
+  innovation_projects: ['innovation', 'innovate', 'prototype', 'experiment', 'new product', 'pilot'],
+  quality_assurance: ['quality', 'qa', 'testing', 'bug', 'defect', 'compliance', 'release'],
+  meeting_coordination: ['meeting', 'schedule', 'agenda', 'standup', 'sync', 'calendar'],
+  culture_initiatives: ['culture', 'team building', 'morale', 'engagement', 'celebration', 'wellbeing'],
+  document_processing: ['document', 'contract', 'pdf', 'summarize', 'extract']
+};
+
+const EMERGENCY_KEYWORDS = {
+  security_breach: ['security breach', 'breach', 'compromised', 'intrusion'],
+  system_critical: ['outage', 'system down', 'production down', 'data loss']
+};
+
+// Short names used in escalation paths
+const AGENT_ALIASES = {
+  qa: 'quality_assurance',
+  research: 'research_director',
+  innovation: 'innovation_lead',
+  facilitator: 'meeting_facilitator',
+  culture: 'culture_champion',
+  document: 'document_analyst',
+  board: 'board_of_directors'
+};
+
+// Highest authority first, for the emergency router
+const AUTHORITY_ORDER = ['overlord', 'ceo'];
+
+const ACTIVE_WINDOW_MS = 15 * 60 * 1000;
+const TARGET_RESPONSE_MS = 2000;
+const MIN_CONFIDENCE = 0.3;
+
+const COST_TIER_SCORES = { free: 1, low: 0.8, standard: 0.5, high: 0.2 };
+
+const routeSchema = Joi.object({
+  agent: Joi.string().required(),
+  weight: Joi.number().min(0).max(1).required(),
+  required_consensus: Joi.array().items(Joi.string()),
+  role: Joi.string()
+}).unknown(true);
+
+const routingSchema = Joi.object({
+  apiVersion: Joi.string().valid('v1').required(),
+  kind: Joi.string().valid('DecisionRoutingEngine').required(),
+  spec: Joi.object({
+    routing_algorithms: Joi.object({
+      primary_router: Joi.object({
+        decision_factors: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1)).min(1).required()
+      }).unknown(true).required(),
+      fallback_router: Joi.object({
+        constraints: Joi.array().items(Joi.string()).default([])
+      }).unknown(true).required(),
+      emergency_router: Joi.object({
+        triggers: Joi.array().items(Joi.string()).default([])
+      }).unknown(true).required()
+    }).unknown(true).required(),
+    task_classification_matrix: Joi.object().pattern(Joi.string(), Joi.object({
+      complexity_score: Joi.number(),
+      urgency_levels: Joi.array().items(Joi.string()),
+      primary_routes: Joi.array().items(routeSchema).min(1).required(),
+      collaboration_required: Joi.array().items(Joi.string()),
+      escalation_path: Joi.string()
+    }).unknown(true)).min(1).required()
+  }).unknown(true).required()
+}).unknown(true);
+
+class DecisionRouter {
+  /**
+   * @param {AgentChatSystem} agentChatSystem - source of agent profiles, load and model metadata
+   * @param {string} options.routingFile - path to the DecisionRoutingEngine YAML
+   */
+  constructor(agentChatSystem, options = {}) {
+    this.agentChatSystem = agentChatSystem;
+    this.authSystem = agentChatSystem.authSystem;
+    this.routingFile = options.routingFile || DEFAULT_ROUTING_FILE;
+    this.maxQueueDepth = options.maxQueueDepth || 10;
+    this.load();
+  }
+
+  /**
+   * Parse and validate the routing engine configuration
+   */
+  load() {
+    const file = path.relative(path.join(path.dirname(this.routingFile), '..'), this.routingFile);
+
+    let raw;
+    try {
+      raw = YAML.parse(fs.readFileSync(this.routingFile, 'utf8'));
+    } catch (error) {
+      throw new ManifestValidationError([{ file, path: '', reason: error.message }]);
+    }
+
+    const { value, error } = routingSchema.validate(raw, { abortEarly: false });
+    if (error) {
+      throw new ManifestValidationError(error.details.map(detail => ({
+        file,
+        path: detail.path.join('.'),
+        reason: detail.message
+      })));
+    }
+
+    this.config = value.spec;
+    this.factors = value.spec.routing_algorithms.primary_router.decision_factors;
+    this.categories = value.spec.task_classification_matrix;
+  }
+
+  /**
+   * Map routing names (ceo_agent, cto, qa) to agent profile ids
+   */
+  static normalizeAgentId(name) {
+    const id = name.trim().toLowerCase().replace(/-/g, '_').replace(/_agent$/, '');
+    return AGENT_ALIASES[id] || id;
+  }
+
+  /**
+   * Find the category of a request, from an explicit category or its keywords
+   */
+  classify(request) {
+    if (request.category) {
+      if (!this.categories[request.category]) {
+        throw ValidationError.field('category', `Unknown decision category: ${request.category}`);
+      }
+      return { category: request.category, confidence: 1, matchedKeywords: [] };
+    }
+
+    const text = DecisionRouter.requestText(request);
+    let best = { category: null, confidence: 0, matchedKeywords: [] };
+    let totalMatches = 0;
+
+    for (const category of Object.keys(this.categories)) {
+      const matched = DecisionRouter.matchKeywords(text, CATEGORY_KEYWORDS[category] || []);
+      totalMatches += matched.length;
+      if (matched.length > best.matchedKeywords.length) {
+        best = { category, confidence: 0, matchedKeywords: matched };
+      }
+    }
+
+    if (best.category) {
+      best.confidence = Math.round((best.matchedKeywords.length / totalMatches) * 100) / 100;
+    }
+    return best;
+  }
+
+  /**
+   * Emergency triggers raised explicitly or detected in the request
+   */
+  detectTriggers(request, user) {
+    const allowed = this.config.routing_algorithms.emergency_router.triggers;
+    const triggers = new Set((request.triggers || []).filter(trigger => allowed.includes(trigger)));
+    const text = DecisionRouter.requestText(request);
+
+    for (const [trigger, keywords] of Object.entries(EMERGENCY_KEYWORDS)) {
+      if (DecisionRouter.matchKeywords(text, keywords).length > 0) {
+        triggers.add(trigger);
+      }
+    }
+
+    if (request.budget !== undefined && request.budget > user.spendingLimit) {
+      triggers.add('budget_exceeded');
+    }
+
+    return Array.from(triggers).filter(trigger => allowed.includes(trigger));
+  }
+
+  /**
+   * Route a decision request to an agent.
+   * Uses the emergency router when a trigger fires, the weighted primary router when the
+   * request is classified with enough confidence, and the constrained fallback router otherwise.
+   */
+  route(userId, request = {}) {
+    const user = this.authSystem.users.get(userId);
+    if (!user) {
+      throw new NotFoundError('User not found', 'user_not_found');
+    }
+    if (!request.title && !request.description) {
+      throw ValidationError.field('title', 'Decision request requires a title or description');
+    }
+
+    const startTime = Date.now();
+    const classification = this.classify(request);
+    const triggers = this.detectTriggers(request, user);
+    const definition = classification.category ? this.categories[classification.category] : null;
+
+    let routing = null;
+    if (triggers.length > 0) {
+      routing = this.routeEmergency(triggers);
+    } else if (definition && classification.confidence >= MIN_CONFIDENCE) {
+      routing = this.routePrimary(userId, definition);
+    }
+    if (!routing) {
+      routing = this.routeFallback(userId, request);
+    }
+
+    const result = {
+      id: uuidv4(),
+      title: request.title || null,
+      category: classification.category,
+      confidence: classification.confidence,
+      matchedKeywords: classification.matchedKeywords,
+      urgency: request.urgency || 'medium',
+      triggers,
+      ...routing,
+      requiredConsensus: this.requiredConsensus(definition, routing.agent.id),
+      collaborators: ((definition && definition.collaboration_required) || []).map(DecisionRouter.normalizeAgentId),
+      escalationPath: this.parseEscalationPath(definition),
+      routedAt: new Date(),
+      decisionTimeMs: Date.now() - startTime
+    };
+    result.explanation = this.explain(result);
+
+    return { success: true, routing: result };
+  }
+
+  /**
+   * Weighted scoring of the category's primary routes
+   */
+  routePrimary(userId, definition) {
+    const candidates = definition.primary_routes
+      .map(route => ({ route, agentId: DecisionRouter.normalizeAgentId(route.agent) }))
+      .filter(({ agentId }) => this.agentChatSystem.agentProfiles[agentId])
+      .filter(({ agentId }) => this.authSystem.canAccessAgent(userId, agentId))
+      .map(({ route, agentId }) => this.scoreCandidate(agentId, route))
+      .filter(candidate => candidate.factors.capacity_availability > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const [chosen] = candidates;
+    return {
+      router: 'primary',
+      agent: this.describeAgent(chosen.agentId),
+      role: chosen.role,
+      score: chosen.score,
+      factors: chosen.factors,
+      candidates
+    };
+  }
+
+  /**
+   * Greedy best-first over every agent that satisfies the fallback constraints
+   */
+  routeFallback(userId, request) {
+    const constraints = this.config.routing_algorithms.fallback_router.constraints;
+    const text = DecisionRouter.requestText(request);
+    let candidates = Object.keys(this.agentChatSystem.agentProfiles);
+
+    if (constraints.includes('security_clearance')) {
+      candidates = candidates.filter(agentId => this.authSystem.canAccessAgent(userId, agentId));
+    }
+    // budget_limits is enforced before routing: an over-limit budget fires the emergency router
+    candidates = candidates.filter(agentId => this.agentLoad(agentId) < this.maxQueueDepth);
+
+    const ranked = candidates
+      .map(agentId => ({
+        agentId,
+        expertise: this.expertiseOverlap(agentId, text),
+        load: this.agentLoad(agentId)
+      }))
+      .sort((a, b) => b.expertise - a.expertise || a.load - b.load);
+
+    const withExpertise = constraints.includes('domain_expertise')
+      ? ranked.filter(candidate => candidate.expertise > 0)
+      : ranked;
+    const [chosen] = withExpertise.length > 0 ? withExpertise : ranked;
+
+    if (!chosen) {
+      throw new ServiceUnavailableError('No agent available to handle this request', 'no_agent_available');
+    }
+
+    return {
+      router: 'fallback',
+      agent: this.describeAgent(chosen.agentId),
+      role: null,
+      score: null,
+      factors: { domain_expertise: chosen.expertise, load: chosen.load },
+      candidates: ranked
+    };
+  }
+
+  /**
+   * Escalate straight to the highest authority available
+   */
+  routeEmergency(triggers) {
+    const agentId = AUTHORITY_ORDER.find(id => this.agentChatSystem.agentProfiles[id]);
+    if (!agentId) {
+      throw new ServiceUnavailableError('No escalation authority available', 'no_escalation_authority');
+    }
+
+    return {
+      router: 'emergency',
+      agent: this.describeAgent(agentId),
+      role: 'highest_authority',
+      score: null,
+      factors: { triggers },
+      candidates: []
+    };
+  }
+
+  /**
+   * Score one candidate with the primary router's decision factors
+   */
+  scoreCandidate(agentId, route) {
+    const factors = {
+      expertise_match: route.weight,
+      capacity_availability: Math.max(0, 1 - this.agentLoad(agentId) / this.maxQueueDepth),
+      cost_efficiency: this.costEfficiency(agentId),
+      response_time: this.responseTimeScore(agentId),
+      strategic_alignment: route.role ? 0.5 : 1
+    };
+
+    const score = Object.entries(this.factors)
+      .reduce((total, [factor, weight]) => total + weight * (factors[factor] || 0), 0);
+
+    return {
+      agentId,
+      role: route.role || 'primary',
+      score: Math.round(score * 1000) / 1000,
+      factors
+    };
+  }
+
+  /**
+   * Conversations with the agent that were active recently
+   */
+  agentLoad(agentId) {
+    const since = Date.now() - ACTIVE_WINDOW_MS;
+    let load = 0;
+    for (const conversation of this.agentChatSystem.conversations.values()) {
+      if (conversation.agentId === agentId && conversation.status === 'active' &&
+          new Date(conversation.lastActivity).getTime() >= since) {
+        load++;
+      }
+    }
+    return load;
+  }
+
+  /**
+   * Score the agent's model by its declared cost tier
+   */
+  costEfficiency(agentId) {
+    const profile = this.agentChatSystem.agentProfiles[agentId];
+    const model = this.agentChatSystem.aiProviders.listModels()
+      .find(entry => entry.model === profile.model && (!profile.provider || entry.provider === profile.provider));
+    return COST_TIER_SCORES[(model && model.costTier) || 'standard'] || COST_TIER_SCORES.standard;
+  }
+
+  /**
+   * Score the agent's average observed response time against the 2s target
+   */
+  responseTimeScore(agentId) {
+    const times = [];
+    for (const conversation of this.agentChatSystem.conversations.values()) {
+      if (conversation.agentId !== agentId) continue;
+      for (const message of conversation.messages) {
+        if (message.metadata && message.metadata.processingTime) {
+          times.push(message.metadata.processingTime);
+        }
+      }
+    }
+
+    if (times.length === 0) {
+      return 0.5; // no history yet
+    }
+    const average = times.reduce((sum, time) => sum + time, 0) / times.length;
+    return Math.round((TARGET_RESPONSE_MS / (TARGET_RESPONSE_MS + average)) * 1000) / 1000;
+  }
+
+  /**
+   * Number of capability words shared between the agent and the request
+   */
+  expertiseOverlap(agentId, text) {
+    const profile = this.agentChatSystem.agentProfiles[agentId];
+    const words = new Set((profile.capabilities || [])
+      .join(' ')
+      .toLowerCase()
+      .split(/\W+/)
+      .filter(word => word.length > 3));
+    return DecisionRouter.matchKeywords(text, Array.from(words)).length;
+  }
+
+  /**
+   * Agents whose consensus the chosen route requires
+   */
+  requiredConsensus(definition, agentId) {
+    if (!definition) return [];
+    const route = definition.primary_routes
+      .find(entry => DecisionRouter.normalizeAgentId(entry.agent) === agentId);
+    return ((route && route.required_consensus) || []).map(DecisionRouter.normalizeAgentId);
+  }
+
+  /**
+   * Split "cto → ceo → overlord" into steps, marking which resolve to agents
+   */
+  parseEscalationPath(definition) {
+    if (!definition || !definition.escalation_path) return [];
+    return definition.escalation_path.split('→').map(step => {
+      const agentId = DecisionRouter.normalizeAgentId(step);
+      return {
+        name: step.trim(),
+        agentId: this.agentChatSystem.agentProfiles[agentId] ? agentId : null
+      };
+    });
+  }
+
+  describeAgent(agentId) {
+    const profile = this.agentChatSystem.agentProfiles[agentId];
+    return { id: agentId, name: profile.name, title: profile.title };
+  }
+
+  /**
+   * Human-readable reasoning for the routing result
+   */
+  explain(result) {
+    const parts = [];
+
+    if (result.category) {
+      const matched = result.matchedKeywords.length > 0 ? `, matched: ${result.matchedKeywords.join(', ')}` : '';
+      parts.push(`Classified as ${result.category} (confidence ${result.confidence}${matched}).`);
+    } else {
+      parts.push('Request did not match a known category.');
+    }
+
+    if (result.router === 'emergency') {
+      parts.push(`Emergency trigger ${result.triggers.join(', ')} escalated directly to ${result.agent.name}.`);
+    } else if (result.router === 'primary') {
+      const breakdown = Object.entries(this.factors)
+        .map(([factor, weight]) => `${factor} ${result.factors[factor]}×${weight}`)
+        .join(', ');
+      parts.push(`Routed to ${result.agent.name} with score ${result.score} (${breakdown}).`);
+    } else {
+      parts.push(`Fallback router selected ${result.agent.name} by domain expertise and current load.`);
+    }
+
+    if (result.requiredConsensus.length > 0) {
+      const names = result.requiredConsensus
+        .map(agentId => (this.agentChatSystem.agentProfiles[agentId] || { name: agentId }).name);
+      parts.push(`Requires consensus from ${names.join(', ')}.`);
+    }
+
+    return parts.join(' ');
+  }
+
+  static requestText(request) {
+    return [request.title, request.description].filter(Boolean).join(' ').toLowerCase();
+  }
+
+  static matchKeywords(text, keywords) {
+    return keywords.filter(keyword =>
+      new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text));
+  }
+}
+
+module.exports = DecisionRouter;
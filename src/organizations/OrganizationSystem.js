@@ -0,0 +1,181 @@
+/**
+ * 🏛️ Agentic Boardroom - Organizations
+ * Tenant registry: each organization gets its own users, roles, agents, policies and data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AuditLog = require('../audit/AuditLog');
+const { ForbiddenError, NotFoundError, ConflictError, ValidationError } = require('../errors/ApiError');
+
+const DEFAULT_ID = 'default';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const DEFAULT_TENANTS_DIR = path.join(__dirname, '../../tenants');
+
+class OrganizationSystem {
+  constructor(options = {}) {
+    this.store = options.store;
+    this.organizations = this.store.repository('organizations'); // organizationId -> organization
+    this.auditLog = options.auditLog || new AuditLog({ store: this.store });
+    this.tenantsDir = options.tenantsDir || process.env.TENANTS_DIR || DEFAULT_TENANTS_DIR;
+    // Requests to <subdomain>.<baseDomain> resolve to the organization with that subdomain
+    this.baseDomain = (options.baseDomain || process.env.TENANT_BASE_DOMAIN || '').toLowerCase() || null;
+  }
+
+  /**
+   * The organization that owns every record created before multi-tenancy
+   */
+  defaultOrganization() {
+    return this.organizations.get(DEFAULT_ID) || {
+      id: DEFAULT_ID,
+      name: process.env.DEFAULT_ORGANIZATION_NAME || 'Default Organization',
+      subdomain: null,
+      isActive: true,
+      createdAt: new Date(),
+      createdBy: null
+    };
+  }
+
+  /**
+   * Persist the default organization the first time the server starts
+   */
+  ensureDefault() {
+    if (!this.organizations.has(DEFAULT_ID)) {
+      this.organizations.set(DEFAULT_ID, this.defaultOrganization());
+    }
+    return this.organizations.get(DEFAULT_ID);
+  }
+
+  list() {
+    return Array.from(this.organizations.values())
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  get(organizationId) {
+    return this.organizations.get(organizationId) || null;
+  }
+
+  /**
+   * Register a new organization; its subdomain defaults to its id
+   */
+  create(actorId, { id, name, subdomain } = {}) {
+    if (!ID_PATTERN.test(id || '')) {
+      throw ValidationError.field('id', 'Organization id must be 2-32 lowercase letters, digits or hyphens');
+    }
+    if (this.organizations.has(id) || id === DEFAULT_ID) {
+      throw new ConflictError('Organization already exists', 'organization_exists');
+    }
+    if (!name) {
+      throw ValidationError.field('name', 'Organization name is required');
+    }
+
+    const organization = {
+      id,
+      name,
+      subdomain: this.validateSubdomain(subdomain || id, id),
+      isActive: true,
+      createdAt: new Date(),
+      createdBy: actorId
+    };
+    this.organizations.set(id, organization);
+    this.auditLog.record({
+      action: 'organization.created',
+      actor: { type: 'user', id: actorId },
+      target: { type: 'organization', id },
+      details: { name, subdomain: organization.subdomain }
+    });
+
+    return { success: true, organization };
+  }
+
+  /**
+   * Rename, move or (de)activate an organization; the default organization cannot be deactivated
+   */
+  update(actorId, organizationId, updates = {}) {
+    const organization = this.organizations.get(organizationId);
+    if (!organization) {
+      throw new NotFoundError('Organization not found', 'organization_not_found');
+    }
+
+    if (updates.name !== undefined) {
+      if (!updates.name) {
+        throw ValidationError.field('name', 'Organization name is required');
+      }
+      organization.name = updates.name;
+    }
+    if (updates.subdomain !== undefined) {
+      organization.subdomain = updates.subdomain === null
+        ? null
+        : this.validateSubdomain(updates.subdomain, organizationId);
+    }
+    if (updates.isActive !== undefined) {
+      if (organizationId === DEFAULT_ID && !updates.isActive) {
+        throw new ForbiddenError('The default organization cannot be deactivated', 'organization_protected');
+      }
+      organization.isActive = Boolean(updates.isActive);
+    }
+    organization.updatedAt = new Date();
+    this.organizations.set(organizationId, organization);
+    this.auditLog.record({
+      action: 'organization.updated',
+      actor: { type: 'user', id: actorId },
+      target: { type: 'organization', id: organizationId },
+      details: { name: organization.name, subdomain: organization.subdomain, isActive: organization.isActive }
+    });
+
+    return { success: true, organization };
+  }
+
+  validateSubdomain(subdomain, organizationId) {
+    if (!ID_PATTERN.test(subdomain)) {
+      throw ValidationError.field('subdomain', 'Subdomain must be 2-32 lowercase letters, digits or hyphens');
+    }
+    if (this.organizations.find(other => other.subdomain === subdomain && other.id !== organizationId)) {
+      throw new ConflictError('Subdomain is already in use', 'subdomain_in_use');
+    }
+    return subdomain;
+  }
+
+  /**
+   * Which organization a request names, from the X-Organization-Id header or the
+   * subdomain of its host. Returns null when the request names none.
+   */
+  resolve({ organizationId, hostname } = {}) {
+    if (organizationId) {
+      return organizationId;
+    }
+
+    const host = String(hostname || '').toLowerCase();
+    if (!this.baseDomain || !host.endsWith(`.${this.baseDomain}`)) {
+      return null;
+    }
+    const subdomain = host.slice(0, -this.baseDomain.length - 1);
+    const organization = this.organizations.find(candidate => candidate.subdomain === subdomain);
+    if (!organization) {
+      throw new NotFoundError('Organization not found', 'organization_not_found');
+    }
+    return organization.id;
+  }
+
+  /**
+   * Agent manifests and governance policies for an organization: tenants/<id>/teams and
+   * tenants/<id>/governance-policies.yaml when present, otherwise the shared defaults
+   */
+  configPaths(organization) {
+    if (organization.id === DEFAULT_ID) {
+      return {};
+    }
+
+    const dir = path.join(this.tenantsDir, organization.id);
+    const teamsDir = path.join(dir, 'teams');
+    const policyFile = path.join(dir, 'governance-policies.yaml');
+    return {
+      teamsDir: fs.existsSync(teamsDir) ? teamsDir : undefined,
+      policyFile: fs.existsSync(policyFile) ? policyFile : undefined
+    };
+  }
+}
+
+OrganizationSystem.DEFAULT_ID = DEFAULT_ID;
+
+module.exports = OrganizationSystem;
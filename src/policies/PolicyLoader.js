@@ -0,0 +1,86 @@
+/**
+ * ⚖️ Agentic Boardroom - Governance Policy Loader
+ * Parses and validates policies/governance-policies.yaml
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const YAML = require('yaml');
+const { ManifestValidationError } = require('../agents/ManifestLoader');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '../../policies/governance-policies.yaml');
+
+const decisionDomainSchema = Joi.object({
+  authority: Joi.string().required(),
+  consultation_required: Joi.array().items(Joi.string()),
+  approval_threshold: Joi.string(),
+  spending_limits: Joi.array().items(Joi.object({
+    amount: Joi.string().required(),
+    approval: Joi.string().required()
+  }))
+}).unknown(true);
+
+const governanceSchema = Joi.object({
+  apiVersion: Joi.string().valid('v1').required(),
+  kind: Joi.string().valid('GovernancePolicies').required(),
+  metadata: Joi.object({
+    name: Joi.string().required(),
+    version: Joi.string().required()
+  }).unknown(true).required(),
+  spec: Joi.object({
+    decision_matrix: Joi.object().pattern(Joi.string(), decisionDomainSchema).min(1).required(),
+    escalation_procedures: Joi.object().pattern(Joi.string(), Joi.object({
+      handler: Joi.string().required(),
+      response_time: Joi.string()
+    }).unknown(true)).default({}),
+    communication_protocols: Joi.object().default({}),
+    performance_management: Joi.object().default({}),
+    compliance_requirements: Joi.object().default({})
+  }).unknown(true).required()
+}).unknown(true);
+
+class PolicyLoader {
+  constructor(options = {}) {
+    this.policyFile = options.policyFile || DEFAULT_POLICY_FILE;
+  }
+
+  /**
+   * Load and validate the governance policies.
+   * Throws ManifestValidationError listing every problem found.
+   */
+  load() {
+    const file = path.relative(path.join(path.dirname(this.policyFile), '..'), this.policyFile);
+
+    let document;
+    try {
+      document = YAML.parseDocument(fs.readFileSync(this.policyFile, 'utf8'));
+    } catch (error) {
+      throw new ManifestValidationError([{ file, path: '', reason: error.message }]);
+    }
+
+    if (document.errors.length > 0) {
+      throw new ManifestValidationError(document.errors.map(err => ({
+        file,
+        path: err.linePos ? `line ${err.linePos[0].line}` : '',
+        reason: err.message.split('\n')[0]
+      })));
+    }
+
+    const { value, error } = governanceSchema.validate(document.toJS(), { abortEarly: false });
+    if (error) {
+      throw new ManifestValidationError(error.details.map(detail => ({
+        file,
+        path: detail.path.join('.'),
+        reason: detail.message
+      })));
+    }
+
+    return {
+      version: value.metadata.version,
+      ...value.spec
+    };
+  }
+}
+
+module.exports = PolicyLoader;
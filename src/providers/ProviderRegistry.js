@@ -0,0 +1,195 @@
+/**
+ * 🧠 Agentic Boardroom - Model Provider Registry
+ * Resolves model names to provider adapters configured in configs/model-providers.yaml
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const YAML = require('yaml');
+const { ManifestValidationError } = require('../agents/ManifestLoader');
+const OpenAICompatibleProvider = require('./adapters/OpenAICompatibleProvider');
+const AnthropicProvider = require('./adapters/AnthropicProvider');
+const VertexProvider = require('./adapters/VertexProvider');
+const EchoProvider = require('./adapters/EchoProvider');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../../configs/model-providers.yaml');
+
+const ADAPTERS = {
+  openai_compatible: OpenAICompatibleProvider,
+  anthropic_messages: AnthropicProvider,
+  vertex: VertexProvider
+};
+
+const providerSchema = Joi.object({
+  name: Joi.string().required(),
+  adapter: Joi.string().valid(...Object.keys(ADAPTERS)).required(),
+  api_base: Joi.string().uri().required(),
+  headers: Joi.object().pattern(Joi.string(), Joi.string()),
+  timeout_ms: Joi.number().integer().min(1),
+  models: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    api_name: Joi.string(),
+    type: Joi.string().required()
+  }).unknown(true)).min(1).required(),
+  authentication: Joi.object({
+    type: Joi.string().valid('api_key', 'service_account', 'none').required(),
+    header: Joi.string(),
+    prefix: Joi.string(),
+    api_key: Joi.string().allow('')
+  }).unknown(true).required()
+}).unknown(true);
+
+const configSchema = Joi.object({
+  apiVersion: Joi.string().valid('v1').required(),
+  kind: Joi.string().valid('ModelProviders').required(),
+  spec: Joi.object({
+    providers: Joi.object().pattern(Joi.string(), providerSchema).min(1).required()
+  }).unknown(true).required()
+}).unknown(true);
+
+class ProviderRegistry {
+  /**
+   * @param {string} options.configFile - path to the ModelProviders YAML
+   * @param {string} options.mode - 'live' calls real providers, 'offline' routes every model to echo
+   */
+  constructor(options = {}) {
+    this.configFile = options.configFile || DEFAULT_CONFIG_FILE;
+    this.mode = options.mode || process.env.MODEL_PROVIDER_MODE ||
+      (process.env.NODE_ENV === 'test' ? 'offline' : 'live');
+    this.env = options.env || process.env;
+    this.http = options.http;
+    this.echoProvider = options.echoProvider || new EchoProvider({ fixtures: options.fixtures });
+    this.providers = new Map(); // provider key -> adapter
+    this.load();
+  }
+
+  /**
+   * Parse the provider configuration and instantiate adapters
+   */
+  load() {
+    const file = path.relative(path.join(path.dirname(this.configFile), '..'), this.configFile);
+
+    let raw;
+    try {
+      raw = YAML.parse(fs.readFileSync(this.configFile, 'utf8'));
+    } catch (error) {
+      throw new ManifestValidationError([{ file, path: '', reason: error.message }]);
+    }
+
+    const { value, error } = configSchema.validate(this.expandEnv(raw), { abortEarly: false });
+    if (error) {
+      throw new ManifestValidationError(error.details.map(detail => ({
+        file,
+        path: detail.path.join('.'),
+        reason: detail.message
+      })));
+    }
+
+    this.providers.clear();
+    for (const [key, config] of Object.entries(value.spec.providers)) {
+      const Adapter = ADAPTERS[config.adapter];
+      this.providers.set(key, new Adapter(key, config, { http: this.http }));
+    }
+    this.config = value.spec;
+  }
+
+  /**
+   * Replace ${VAR} and ${VAR:-default} placeholders in string values
+   */
+  expandEnv(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{(\w+)(?::-([^}]*))?\}/g, (match, name, fallback) =>
+        this.env[name] !== undefined && this.env[name] !== '' ? this.env[name] : (fallback || ''));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.expandEnv(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.expandEnv(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Register or replace a provider adapter (e.g. a fixture provider in tests)
+   */
+  register(key, provider) {
+    this.providers.set(key, provider);
+  }
+
+  /**
+   * Check whether a model is declared, optionally under a specific provider
+   */
+  hasModel(model, providerKey = null) {
+    if (providerKey) {
+      const provider = this.providers.get(providerKey);
+      return Boolean(provider && provider.supports(model));
+    }
+    return Array.from(this.providers.values()).some(provider => provider.supports(model));
+  }
+
+  /**
+   * List every declared model with its provider
+   */
+  listModels() {
+    const models = [];
+    for (const [key, provider] of this.providers.entries()) {
+      for (const model of provider.models.values()) {
+        models.push({ model: model.name, provider: key, type: model.type, costTier: model.cost_tier || 'standard' });
+      }
+    }
+    return models;
+  }
+
+  /**
+   * Find the adapter serving a model
+   */
+  resolve(model, providerKey = null) {
+    let provider = providerKey ? this.providers.get(providerKey) : null;
+    if (!provider || !provider.supports(model)) {
+      provider = Array.from(this.providers.values()).find(candidate => candidate.supports(model));
+    }
+
+    if (!provider) {
+      throw new Error(`Unsupported AI model: ${model}`);
+    }
+
+    return this.mode === 'offline' ? this.echoProvider : provider;
+  }
+
+  /**
+   * Generate a completion with the provider serving `model`
+   */
+  async complete(model, request, providerKey = null, options = {}) {
+    const provider = this.resolve(model, providerKey);
+    const startTime = Date.now();
+    const response = await provider.complete({ ...request, model }, options);
+
+    return {
+      ...response,
+      model,
+      provider: provider.name,
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Stream a completion from the provider serving `model`.
+   * The final `done` chunk carries usage, provider and processing time.
+   */
+  async *stream(model, request, providerKey = null, options = {}) {
+    const provider = this.resolve(model, providerKey);
+    const startTime = Date.now();
+
+    for await (const chunk of provider.stream({ ...request, model }, options)) {
+      if (chunk.done) {
+        yield { ...chunk, model, provider: provider.name, processingTime: Date.now() - startTime };
+      } else {
+        yield chunk;
+      }
+    }
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,79 @@
+/**
+ * 🟠 Agentic Boardroom - Anthropic Messages Adapter
+ * Claude models through the Anthropic Messages API
+ */
+
+const ModelProvider = require('./ModelProvider');
+
+const DEFAULT_MAX_TOKENS = 1024;
+
+class AnthropicProvider extends ModelProvider {
+  /**
+   * Build the Messages API request body
+   */
+  buildBody(request) {
+    const body = {
+      model: this.apiModelName(request.model),
+      max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+      messages: ModelProvider.conversationTurns(request.messages),
+      temperature: request.temperature
+    };
+    if (request.systemPrompt) {
+      body.system = request.systemPrompt;
+    }
+    return body;
+  }
+
+  static usageFrom(inputTokens = 0, outputTokens = 0) {
+    return {
+      usage: { inputTokens, outputTokens },
+      tokens: inputTokens + outputTokens
+    };
+  }
+
+  async complete(request, options = {}) {
+    const data = await this.post(
+      `${this.apiBase}/v1/messages`,
+      this.buildBody(request),
+      this.authHeaders(),
+      options.signal
+    );
+
+    const usage = data.usage || {};
+    return {
+      content: (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      finishReason: data.stop_reason || null,
+      ...AnthropicProvider.usageFrom(usage.input_tokens, usage.output_tokens)
+    };
+  }
+
+  async *stream(request, options = {}) {
+    const body = { ...this.buildBody(request), stream: true };
+
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let finishReason = null;
+    const events = this.postStream(`${this.apiBase}/v1/messages`, body, this.authHeaders(), options.signal);
+    for await (const payload of events) {
+      const event = JSON.parse(payload);
+
+      if (event.type === 'message_start' && event.message.usage) {
+        inputTokens = event.message.usage.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield { delta: event.delta.text };
+      } else if (event.type === 'message_delta') {
+        finishReason = event.delta.stop_reason || finishReason;
+        outputTokens = (event.usage && event.usage.output_tokens) || outputTokens;
+      } else if (event.type === 'error') {
+        throw new Error(`${this.displayName} stream failed: ${event.error.message}`);
+      }
+    }
+
+    yield { done: true, finishReason, ...AnthropicProvider.usageFrom(inputTokens, outputTokens) };
+  }
+}
+
+module.exports = AnthropicProvider;
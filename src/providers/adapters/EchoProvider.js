@@ -0,0 +1,73 @@
+/**
+ * 🔁 Agentic Boardroom - Echo / Fixture Adapter
+ * Deterministic offline provider used for tests and local development
+ */
+
+const ModelProvider = require('./ModelProvider');
+
+class EchoProvider extends ModelProvider {
+  /**
+   * @param {object} options.fixtures - model name -> string or (request) => string
+   */
+  constructor(options = {}) {
+    super('echo', { name: 'Echo (offline)' });
+    this.fixtures = options.fixtures || {};
+  }
+
+  supports() {
+    return true;
+  }
+
+  authHeaders() {
+    return {};
+  }
+
+  async complete(request) {
+    const lastUser = [...request.messages].reverse().find(message => message.role === 'user');
+    const prompt = lastUser ? lastUser.content : '';
+    const fixture = this.fixtures[request.model] || this.fixtures['*'];
+
+    const content = typeof fixture === 'function'
+      ? fixture(request)
+      : fixture || `[echo:${request.model}] ${prompt}`;
+
+    const inputTokens = EchoProvider.countTokens(
+      [request.systemPrompt || '', ...request.messages.map(message => message.content)].join(' ')
+    );
+    const outputTokens = EchoProvider.countTokens(content);
+
+    return {
+      content,
+      finishReason: 'stop',
+      usage: { inputTokens, outputTokens },
+      tokens: inputTokens + outputTokens
+    };
+  }
+
+  /**
+   * Yield the reply word by word, checking the abort signal between chunks
+   */
+  async *stream(request, options = {}) {
+    const response = await this.complete(request);
+    const chunks = response.content.match(/\S+\s*/g) || [];
+
+    for (const chunk of chunks) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (options.signal && options.signal.aborted) {
+        throw ModelProvider.abortError();
+      }
+      yield { delta: chunk };
+    }
+
+    yield { done: true, usage: response.usage, tokens: response.tokens, finishReason: response.finishReason };
+  }
+
+  /**
+   * Whitespace token count, stable across runs
+   */
+  static countTokens(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+}
+
+module.exports = EchoProvider;
@@ -0,0 +1,178 @@
+/**
+ * 🧩 Agentic Boardroom - Model Provider Base Adapter
+ * Shared configuration, authentication and message handling for LLM adapters
+ */
+
+const axios = require('axios');
+
+class ModelProvider {
+  /**
+   * @param {string} name - provider key from configs/model-providers.yaml
+   * @param {object} config - provider entry with api_base, authentication and models
+   */
+  constructor(name, config = {}, options = {}) {
+    this.name = name;
+    this.config = config;
+    this.displayName = config.name || name;
+    this.apiBase = (config.api_base || '').replace(/\/+$/, '');
+    this.models = new Map((config.models || []).map(model => [model.name, model]));
+    this.timeout = config.timeout_ms || 60000;
+    this.http = options.http || axios;
+  }
+
+  /**
+   * Check whether this provider declares the model
+   */
+  supports(model) {
+    return this.models.has(model);
+  }
+
+  /**
+   * Model identifier sent to the upstream API
+   */
+  apiModelName(model) {
+    const declared = this.models.get(model);
+    return (declared && declared.api_name) || model;
+  }
+
+  /**
+   * Build authentication headers from the configured header scheme
+   */
+  authHeaders() {
+    const auth = this.config.authentication || { type: 'none' };
+    if (auth.type === 'none') {
+      return {};
+    }
+
+    if (!auth.api_key) {
+      throw new Error(`Provider "${this.name}" is not configured: missing API key`);
+    }
+
+    const header = auth.header || 'Authorization';
+    return { [header]: auth.prefix ? `${auth.prefix} ${auth.api_key}` : auth.api_key };
+  }
+
+  /**
+   * POST JSON to the provider and return the response body
+   */
+  async post(url, body, headers = {}, signal = undefined) {
+    try {
+      const response = await this.http.post(url, body, this.requestConfig(headers, signal));
+      return response.data;
+    } catch (error) {
+      throw this.requestError(error);
+    }
+  }
+
+  /**
+   * POST JSON and yield the `data:` payload of each server-sent event
+   */
+  async *postStream(url, body, headers = {}, signal = undefined) {
+    let response;
+    try {
+      response = await this.http.post(url, body, {
+        ...this.requestConfig(headers, signal),
+        responseType: 'stream'
+      });
+    } catch (error) {
+      throw this.requestError(error);
+    }
+
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.startsWith('data:')) {
+          yield line.slice(5).trim();
+        }
+      }
+    }
+    if (buffer.startsWith('data:')) {
+      yield buffer.slice(5).trim();
+    }
+  }
+
+  requestConfig(headers, signal) {
+    return {
+      timeout: this.timeout,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.config.headers || {}),
+        ...headers
+      }
+    };
+  }
+
+  requestError(error) {
+    if (ModelProvider.isAbort(error)) {
+      return error;
+    }
+    const detail = error.response && error.response.data && typeof error.response.data.pipe !== 'function'
+      ? JSON.stringify(error.response.data).slice(0, 300)
+      : error.message;
+    return new Error(`${this.displayName} request failed: ${detail}`);
+  }
+
+  /**
+   * True for errors caused by an AbortSignal (fetch, axios or our own)
+   */
+  static isAbort(error) {
+    return Boolean(error) &&
+      (error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED');
+  }
+
+  /**
+   * Error thrown by adapters when the caller aborts mid-generation
+   */
+  static abortError() {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Collapse history into strictly alternating user/assistant turns starting with the user
+   */
+  static conversationTurns(messages) {
+    const turns = [];
+    for (const message of messages) {
+      if (!message.content) continue;
+      if (turns.length === 0 && message.role !== 'user') continue;
+
+      const last = turns[turns.length - 1];
+      if (last && last.role === message.role) {
+        last.content += `\n\n${message.content}`;
+      } else {
+        turns.push({ role: message.role, content: message.content });
+      }
+    }
+    return turns;
+  }
+
+  /**
+   * Generate a completion.
+   * @param {object} request - { model, systemPrompt, messages, temperature, maxTokens }
+   * @param {object} options - { signal } to abort the upstream call
+   * @returns {Promise<{content: string, usage: {inputTokens: number, outputTokens: number}, tokens: number}>}
+   */
+  async complete() {
+    throw new Error(`Provider "${this.name}" does not implement complete()`);
+  }
+
+  /**
+   * Stream a completion as `{ delta }` chunks followed by one `{ done, usage, finishReason }`.
+   * Adapters without native streaming yield the whole completion as a single delta.
+   */
+  async *stream(request, options = {}) {
+    const response = await this.complete(request, options);
+    if (response.content) {
+      yield { delta: response.content };
+    }
+    yield { done: true, usage: response.usage, tokens: response.tokens, finishReason: response.finishReason };
+  }
+}
+
+module.exports = ModelProvider;
@@ -0,0 +1,86 @@
+/**
+ * 🟢 Agentic Boardroom - OpenAI-Compatible Adapter
+ * Chat Completions API used by OpenAI and local servers (Ollama, llama.cpp, vLLM)
+ */
+
+const ModelProvider = require('./ModelProvider');
+
+class OpenAICompatibleProvider extends ModelProvider {
+  /**
+   * Build the Chat Completions request body
+   */
+  buildBody(request) {
+    const messages = [];
+    if (request.systemPrompt) {
+      messages.push({ role: 'system', content: request.systemPrompt });
+    }
+    messages.push(...request.messages);
+
+    const body = {
+      model: this.apiModelName(request.model),
+      messages,
+      temperature: request.temperature
+    };
+    if (request.maxTokens) {
+      body.max_tokens = request.maxTokens;
+    }
+    return body;
+  }
+
+  static usageFrom(usage = {}) {
+    return {
+      usage: {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      },
+      tokens: usage.total_tokens || 0
+    };
+  }
+
+  async complete(request, options = {}) {
+    const data = await this.post(
+      `${this.apiBase}/chat/completions`,
+      this.buildBody(request),
+      this.authHeaders(),
+      options.signal
+    );
+
+    const choice = (data.choices || [])[0];
+    return {
+      content: choice && choice.message ? choice.message.content || '' : '',
+      finishReason: choice ? choice.finish_reason : null,
+      ...OpenAICompatibleProvider.usageFrom(data.usage)
+    };
+  }
+
+  async *stream(request, options = {}) {
+    const body = {
+      ...this.buildBody(request),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    let usage;
+    let finishReason = null;
+    const events = this.postStream(`${this.apiBase}/chat/completions`, body, this.authHeaders(), options.signal);
+    for await (const payload of events) {
+      if (payload === '[DONE]') break;
+
+      const event = JSON.parse(payload);
+      const choice = (event.choices || [])[0];
+      if (choice && choice.delta && choice.delta.content) {
+        yield { delta: choice.delta.content };
+      }
+      if (choice && choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+    }
+
+    yield { done: true, finishReason, ...OpenAICompatibleProvider.usageFrom(usage) };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,155 @@
+/**
+ * 🔵 Agentic Boardroom - Google Vertex AI Adapter
+ * Gemini models via generateContent, legacy PaLM models via predict
+ */
+
+const ModelProvider = require('./ModelProvider');
+
+const CLOUD_PLATFORM_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+
+class VertexProvider extends ModelProvider {
+  constructor(name, config = {}, options = {}) {
+    super(name, config, options);
+    this.projectId = config.project_id;
+    this.location = config.location || 'us-central1';
+    this.googleAuth = options.googleAuth || null;
+  }
+
+  modelUrl(model, method) {
+    if (!this.projectId) {
+      throw new Error(`Provider "${this.name}" is not configured: missing project_id`);
+    }
+    return `${this.apiBase}/projects/${this.projectId}/locations/${this.location}` +
+      `/publishers/google/models/${this.apiModelName(model)}:${method}`;
+  }
+
+  /**
+   * API key when configured, otherwise an OAuth token from the service account credentials
+   */
+  async vertexAuthHeaders() {
+    const auth = this.config.authentication || {};
+    if (auth.api_key) {
+      return { 'x-goog-api-key': auth.api_key };
+    }
+
+    if (!this.googleAuth) {
+      const { GoogleAuth } = require('google-auth-library');
+      this.googleAuth = new GoogleAuth({
+        keyFilename: auth.credentials_path || undefined,
+        scopes: [CLOUD_PLATFORM_SCOPE]
+      });
+    }
+    const token = await this.googleAuth.getAccessToken();
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  /**
+   * Build the generateContent request body
+   */
+  buildBody(request) {
+    const body = {
+      contents: ModelProvider.conversationTurns(request.messages).map(turn => ({
+        role: turn.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: turn.content }]
+      })),
+      generationConfig: { temperature: request.temperature }
+    };
+    if (request.maxTokens) {
+      body.generationConfig.maxOutputTokens = request.maxTokens;
+    }
+    if (request.systemPrompt) {
+      body.systemInstruction = { parts: [{ text: request.systemPrompt }] };
+    }
+    return body;
+  }
+
+  static parseResponse(data) {
+    const candidate = (data.candidates || [])[0];
+    const usage = data.usageMetadata || {};
+    return {
+      content: candidate && candidate.content
+        ? (candidate.content.parts || []).map(part => part.text || '').join('')
+        : '',
+      finishReason: candidate ? candidate.finishReason || null : null,
+      usage: {
+        inputTokens: usage.promptTokenCount || 0,
+        outputTokens: usage.candidatesTokenCount || 0
+      },
+      tokens: usage.totalTokenCount || 0
+    };
+  }
+
+  async complete(request, options = {}) {
+    const declared = this.models.get(request.model) || {};
+    if (declared.type && declared.type !== 'chat') {
+      return this.predict(request, declared, options);
+    }
+
+    const data = await this.post(
+      this.modelUrl(request.model, 'generateContent'),
+      this.buildBody(request),
+      await this.vertexAuthHeaders(),
+      options.signal
+    );
+
+    return VertexProvider.parseResponse(data);
+  }
+
+  async *stream(request, options = {}) {
+    const declared = this.models.get(request.model) || {};
+    if (declared.type && declared.type !== 'chat') {
+      yield* super.stream(request, options);
+      return;
+    }
+
+    let last = { finishReason: null, usage: { inputTokens: 0, outputTokens: 0 }, tokens: 0 };
+    const events = this.postStream(
+      `${this.modelUrl(request.model, 'streamGenerateContent')}?alt=sse`,
+      this.buildBody(request),
+      await this.vertexAuthHeaders(),
+      options.signal
+    );
+    for await (const payload of events) {
+      const parsed = VertexProvider.parseResponse(JSON.parse(payload));
+      if (parsed.content) {
+        yield { delta: parsed.content };
+      }
+      last = {
+        finishReason: parsed.finishReason || last.finishReason,
+        usage: parsed.tokens ? parsed.usage : last.usage,
+        tokens: parsed.tokens || last.tokens
+      };
+    }
+
+    yield { done: true, ...last };
+  }
+
+  /**
+   * Text and code generation models that only expose the predict endpoint
+   */
+  async predict(request, declared, options = {}) {
+    const lastTurn = request.messages[request.messages.length - 1];
+    const prompt = [request.systemPrompt, lastTurn && lastTurn.content].filter(Boolean).join('\n\n');
+    const instance = declared.type === 'code_generation' ? { prefix: prompt } : { prompt };
+
+    const data = await this.post(
+      this.modelUrl(request.model, 'predict'),
+      {
+        instances: [instance],
+        parameters: { temperature: request.temperature, maxOutputTokens: request.maxTokens || 1024 }
+      },
+      await this.vertexAuthHeaders(),
+      options.signal
+    );
+
+    const prediction = (data.predictions || [])[0] || {};
+    return {
+      content: prediction.content || '',
+      finishReason: null,
+      usage: { inputTokens: 0, outputTokens: 0 },
+      tokens: 0
+    };
+  }
+}
+
+module.exports = VertexProvider;
@@ -0,0 +1,206 @@
+/**
+ * 🔎 Agentic Boardroom - Conversation Search
+ * Ranked keyword and semantic search over the messages of a user's conversations
+ */
+
+const LocalEmbeddingProvider = require('./LocalEmbeddingProvider');
+const { tokenize, highlight } = require('./text');
+const { ValidationError } = require('../errors/ApiError');
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Semantic results below this cosine similarity are left out
+const MIN_SIMILARITY = 0.15;
+
+class ConversationSearch {
+  /**
+   * The index lives in memory. It follows 'messageSent' as messages arrive and catches up on
+   * conversations it has not seen (e.g. loaded from storage) when they are first searched.
+   * @param {AgentChatSystem} agentChatSystem
+   * @param {Object} options.embeddingProvider - `embed(text)` returning a unit-length vector; defaults to LocalEmbeddingProvider
+   */
+  constructor(agentChatSystem, options = {}) {
+    this.agentChatSystem = agentChatSystem;
+    this.embeddingProvider = options.embeddingProvider || new LocalEmbeddingProvider();
+    this.documents = new Map(); // messageId -> indexed message
+    this.postings = new Map(); // term -> Set of messageIds
+    this.indexedConversations = new Map(); // conversationId -> { count, messageIds }
+    this.totalLength = 0;
+
+    agentChatSystem.on('conversationStarted', ({ conversationId }) => this.indexConversation(conversationId));
+    agentChatSystem.on('messageSent', ({ conversationId }) => this.indexConversation(conversationId));
+    agentChatSystem.on('conversationPurged', ({ conversationId }) => this.removeConversation(conversationId));
+  }
+
+  /**
+   * Index the messages of a conversation added since it was last indexed
+   */
+  indexConversation(conversationId) {
+    const conversation = this.agentChatSystem.conversations.get(conversationId);
+    if (!conversation) {
+      this.removeConversation(conversationId);
+      return 0;
+    }
+
+    if (!this.indexedConversations.has(conversationId)) {
+      this.indexedConversations.set(conversationId, { count: 0, messageIds: [] });
+    }
+    const indexed = this.indexedConversations.get(conversationId);
+    const added = conversation.messages.slice(indexed.count);
+    for (const message of added) {
+      // Greetings are the same in every conversation with an agent
+      if (message.metadata && message.metadata.messageType === 'greeting') {
+        continue;
+      }
+      this.addDocument(conversation, message);
+      indexed.messageIds.push(message.id);
+    }
+    indexed.count = conversation.messages.length;
+    return added.length;
+  }
+
+  addDocument(conversation, message) {
+    const terms = tokenize(message.content);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(message.id);
+    }
+
+    this.documents.set(message.id, {
+      messageId: message.id,
+      conversationId: conversation.id,
+      type: message.type,
+      content: message.content,
+      timestamp: new Date(message.timestamp),
+      frequencies,
+      length: terms.length,
+      vector: this.embeddingProvider.embed(message.content)
+    });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Drop a purged conversation's messages from the index
+   */
+  removeConversation(conversationId) {
+    const indexed = this.indexedConversations.get(conversationId);
+    if (!indexed) {
+      return;
+    }
+    for (const messageId of indexed.messageIds) {
+      const document = this.documents.get(messageId);
+      for (const term of document.frequencies.keys()) {
+        const postings = this.postings.get(term);
+        postings.delete(messageId);
+        if (postings.size === 0) {
+          this.postings.delete(term);
+        }
+      }
+      this.totalLength -= document.length;
+      this.documents.delete(messageId);
+    }
+    this.indexedConversations.delete(conversationId);
+  }
+
+  /**
+   * Messages of the user's conversations matching `q`, best first.
+   * `mode` 'keyword' ranks by BM25 over the query terms; 'semantic' ranks by embedding similarity.
+   * Filters: `agentId`, message time between `from` and `to`. Deleted conversations are never searched.
+   */
+  search(userId, { q, mode = 'keyword', agentId, from, to, limit = 20, offset = 0 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw ValidationError.field(Number.isNaN(fromTime) ? 'from' : 'to', 'Invalid time range');
+    }
+
+    const conversations = new Map(this.agentChatSystem.conversations
+      .filter(conv => conv.userId === userId && !conv.deletedAt && (!agentId || conv.agentId === agentId))
+      .map(conv => [conv.id, conv]));
+    for (const conversationId of conversations.keys()) {
+      this.indexConversation(conversationId);
+    }
+
+    const terms = Array.from(new Set(tokenize(q)));
+    const matches = (document) => {
+      const time = document.timestamp.getTime();
+      return conversations.has(document.conversationId) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime);
+    };
+    const scored = mode === 'semantic'
+      ? this.scoreSemantic(q, matches)
+      : this.scoreKeyword(terms, matches);
+    scored.sort((a, b) => b.score - a.score || b.document.timestamp - a.document.timestamp);
+
+    return {
+      success: true,
+      query: q,
+      mode,
+      results: scored.slice(offset, offset + limit).map(({ document, score }) => {
+        const conversation = conversations.get(document.conversationId);
+        return {
+          conversationId: conversation.id,
+          conversationTitle: conversation.title || null,
+          agentId: conversation.agentId,
+          agentName: conversation.agentName,
+          messageId: document.messageId,
+          type: document.type,
+          timestamp: document.timestamp,
+          score: Math.round(score * 1000) / 1000,
+          highlight: highlight(document.content, terms)
+        };
+      }),
+      total: scored.length
+    };
+  }
+
+  scoreKeyword(terms, matches) {
+    const count = this.documents.size;
+    const averageLength = count ? this.totalLength / count : 0;
+    const scores = new Map(); // messageId -> { document, score }
+
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      if (!postings) {
+        continue;
+      }
+      const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+      for (const messageId of postings) {
+        const document = this.documents.get(messageId);
+        if (!matches(document)) {
+          continue;
+        }
+        const frequency = document.frequencies.get(term);
+        const score = idf * frequency * (K1 + 1) /
+          (frequency + K1 * (1 - B + B * document.length / (averageLength || 1)));
+        const entry = scores.get(messageId) || { document, score: 0 };
+        entry.score += score;
+        scores.set(messageId, entry);
+      }
+    }
+    return Array.from(scores.values());
+  }
+
+  scoreSemantic(query, matches) {
+    const vector = this.embeddingProvider.embed(query);
+    const scored = [];
+    for (const document of this.documents.values()) {
+      if (!matches(document)) {
+        continue;
+      }
+      const score = LocalEmbeddingProvider.similarity(vector, document.vector);
+      if (score >= MIN_SIMILARITY) {
+        scored.push({ document, score });
+      }
+    }
+    return scored;
+  }
+}
+
+module.exports = ConversationSearch;
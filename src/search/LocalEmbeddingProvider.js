@@ -0,0 +1,68 @@
+/**
+ * 🧭 Agentic Boardroom - Local Embedding Provider
+ * Feature-hashed word and character trigram vectors, computed in-process with no model or network calls
+ */
+
+const { tokenize } = require('./text');
+
+const DEFAULT_DIMENSIONS = 512;
+const TRIGRAM_WEIGHT = 0.5;
+
+// 32-bit FNV-1a
+function hash(feature) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    value ^= feature.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+}
+
+class LocalEmbeddingProvider {
+  /**
+   * Similar wording gives similar vectors: shared words count fully and shared character
+   * trigrams partly, so "budget" is close to "budgets" and "budgeting". It does not know
+   * synonyms; another provider only needs `embed(text)` returning a unit-length array.
+   * @param {number} options.dimensions - vector length
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+  }
+
+  /**
+   * Unit-length vector for a text; all zeros when it has no words
+   */
+  embed(text) {
+    const vector = new Float32Array(this.dimensions);
+    const add = (feature, weight) => {
+      const value = hash(feature);
+      // The top bit picks the sign so colliding features tend to cancel rather than pile up
+      vector[value % this.dimensions] += value & 0x80000000 ? -weight : weight;
+    };
+
+    for (const term of tokenize(text)) {
+      add(`w:${term}`, 1);
+      const padded = `#${term}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Cosine similarity of two unit-length vectors
+   */
+  static similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return dot;
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
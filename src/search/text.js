@@ -0,0 +1,55 @@
+/**
+ * 🔤 Agentic Boardroom - Search Text Helpers
+ * Tokenizing message contents and highlighting matched terms in a snippet
+ */
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when', 'with', 'you'
+]);
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Lowercased words with their offsets in the text
+ */
+function words(text) {
+  return Array.from(String(text || '').matchAll(WORD), match => ({
+    term: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Index terms of a text: lowercased words without stopwords
+ */
+function tokenize(text) {
+  return words(text).map(word => word.term).filter(term => !STOPWORDS.has(term));
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * An HTML-escaped snippet of the text around the first matched term, each match wrapped in <mark>
+ */
+function highlight(text, terms, length = SNIPPET_LENGTH) {
+  const wanted = new Set(terms);
+  const matches = words(text).filter(word => wanted.has(word.term));
+  const first = matches.length ? matches[0].start : 0;
+  const start = Math.max(0, Math.min(first - Math.floor(length / 3), text.length - length));
+  const end = Math.min(text.length, start + length);
+
+  let snippet = start > 0 ? '…' : '';
+  let position = start;
+  for (const match of matches.filter(word => word.start >= start && word.end <= end)) {
+    snippet += `${escapeHtml(text.slice(position, match.start))}<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    position = match.end;
+  }
+  snippet += escapeHtml(text.slice(position, end));
+  return end < text.length ? `${snippet}…` : snippet;
+}
+
+module.exports = { words, tokenize, highlight };
@@ -0,0 +1,82 @@
+/**
+ * 🗄️ Agentic Boardroom - Repository
+ * Map-compatible, write-through collection backed by a storage adapter
+ */
+
+class Repository {
+  constructor(name, adapter) {
+    this.name = name;
+    this.adapter = adapter;
+    this.records = new Map(adapter.loadSync(name) || []);
+  }
+
+  /**
+   * Load records from asynchronous adapters, keeping anything written in the meantime
+   */
+  async hydrate() {
+    const entries = await this.adapter.loadAll(this.name);
+    for (const [id, value] of entries) {
+      if (!this.records.has(id)) {
+        this.records.set(id, value);
+      }
+    }
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  /**
+   * Store (or re-save after mutating) a record
+   */
+  set(id, value) {
+    this.records.set(id, value);
+    this.adapter.put(this.name, id, value);
+    return this;
+  }
+
+  delete(id) {
+    const existed = this.records.delete(id);
+    if (existed) {
+      this.adapter.remove(this.name, id);
+    }
+    return existed;
+  }
+
+  keys() {
+    return this.records.keys();
+  }
+
+  values() {
+    return this.records.values();
+  }
+
+  entries() {
+    return this.records.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.records.entries();
+  }
+
+  find(predicate) {
+    for (const value of this.records.values()) {
+      if (predicate(value)) return value;
+    }
+    return undefined;
+  }
+
+  filter(predicate) {
+    return Array.from(this.records.values()).filter(predicate);
+  }
+}
+
+module.exports = Repository;
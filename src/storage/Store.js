@@ -0,0 +1,139 @@
+/**
+ * 💾 Agentic Boardroom - Storage
+ * Selects a storage adapter and hands out repositories for each collection
+ */
+
+const Repository = require('./Repository');
+const MemoryAdapter = require('./adapters/MemoryAdapter');
+const FileAdapter = require('./adapters/FileAdapter');
+const migrations = require('./migrations');
+
+const DRIVERS = ['memory', 'file', 'postgres'];
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+class Store {
+  /**
+   * Build a store from STORAGE_DRIVER, DATA_DIR and DATABASE_URL
+   */
+  static fromEnv(env = process.env) {
+    return new Store({
+      driver: env.STORAGE_DRIVER || (env.NODE_ENV === 'test' ? 'memory' : 'file'),
+      dataDir: env.DATA_DIR,
+      connectionString: env.DATABASE_URL
+    });
+  }
+
+  constructor(options = {}) {
+    this.driver = options.driver || 'memory';
+    if (!DRIVERS.includes(this.driver)) {
+      throw new Error(`Unknown storage driver: ${this.driver}`);
+    }
+
+    this.adapter = options.adapter || this.createAdapter(options);
+    this.namespace = options.namespace || null;
+    this.repositories = new Map();
+    this.scopes = new Map(); // namespace -> scoped Store sharing this adapter
+    this.initialized = false;
+  }
+
+  createAdapter(options) {
+    switch (this.driver) {
+      case 'file':
+        return new FileAdapter({ dataDir: options.dataDir });
+      case 'postgres': {
+        // Loaded lazily so the pg driver is only needed when selected
+        const PostgresAdapter = require('./adapters/PostgresAdapter');
+        return new PostgresAdapter({ connectionString: options.connectionString });
+      }
+      default:
+        return new MemoryAdapter();
+    }
+  }
+
+  /**
+   * Get (or create) the repository for a collection
+   */
+  repository(name) {
+    if (!this.repositories.has(name)) {
+      const collection = this.namespace ? `${this.namespace}__${name}` : name;
+      const repository = new Repository(collection, this.adapter);
+      if (this.initialized && !this.adapter.synchronous) {
+        repository.ready = repository.hydrate();
+      }
+      this.repositories.set(name, repository);
+    }
+    return this.repositories.get(name);
+  }
+
+  /**
+   * A store over the same adapter whose collections are prefixed with a namespace,
+   * so each organization's records live apart from every other organization's
+   */
+  scope(namespace) {
+    if (!NAMESPACE_PATTERN.test(namespace || '')) {
+      throw new Error(`Invalid storage namespace: ${namespace}`);
+    }
+    if (!this.scopes.has(namespace)) {
+      const scoped = new Store({ driver: this.driver, adapter: this.adapter, namespace });
+      scoped.initialized = this.initialized;
+      this.scopes.set(namespace, scoped);
+    }
+    return this.scopes.get(namespace);
+  }
+
+  /**
+   * Resolves once every repository created so far has loaded
+   */
+  async loaded() {
+    await Promise.all(Array.from(this.repositories.values()).map(repository => repository.ready));
+  }
+
+  /**
+   * Apply pending schema migrations
+   */
+  async migrate() {
+    return this.adapter.migrate(migrations);
+  }
+
+  /**
+   * Migrate, then load every repository from asynchronous adapters
+   */
+  async initialize() {
+    await this.migrate();
+    await this.hydrate();
+  }
+
+  /**
+   * Load this store's repositories, then those of its scopes
+   */
+  async hydrate() {
+    if (!this.adapter.synchronous) {
+      await Promise.all(Array.from(this.repositories.values()).map(repository => repository.hydrate()));
+    }
+    this.initialized = true;
+    await Promise.all(Array.from(this.scopes.values()).map(scope => scope.hydrate()));
+  }
+
+  /**
+   * Whether every write reached the backend: `{ healthy, failedWrites, lastError }`
+   */
+  health() {
+    return this.adapter.health ? this.adapter.health() : { healthy: true, failedWrites: 0, lastError: null };
+  }
+
+  /**
+   * Wait for pending writes; rejects if any failed
+   */
+  async flush() {
+    await this.adapter.flush();
+  }
+
+  /**
+   * Flush pending writes and release connections
+   */
+  async close() {
+    await this.adapter.close();
+  }
+}
+
+module.exports = Store;
@@ -0,0 +1,130 @@
+/**
+ * 📁 Agentic Boardroom - File Storage Adapter
+ * Embedded JSON-file storage, one file per collection, written atomically
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { dateReviver } = require('../serialization');
+
+const MIGRATIONS_FILE = '_schema_migrations.json';
+
+class FileAdapter {
+  constructor(options = {}) {
+    this.synchronous = true;
+    this.dataDir = options.dataDir || path.join(__dirname, '../../../data');
+    this.flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 100;
+    this.collections = new Map(); // collection -> Map(id -> serialized JSON)
+    this.dirty = new Set();
+    this.timer = null;
+    this.onExit = () => this.flushSync();
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    if (options.flushOnExit !== false) {
+      process.on('exit', this.onExit);
+    }
+  }
+
+  fileFor(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  /**
+   * Read a collection from disk
+   */
+  loadSync(collection) {
+    const file = this.fileFor(collection);
+    const serialized = new Map();
+    const entries = [];
+
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'), dateReviver);
+      for (const [id, value] of Object.entries(data)) {
+        serialized.set(id, JSON.stringify(value));
+        entries.push([id, value]);
+      }
+    }
+
+    this.collections.set(collection, serialized);
+    return entries;
+  }
+
+  async loadAll(collection) {
+    return this.loadSync(collection);
+  }
+
+  put(collection, id, value) {
+    this.collectionFor(collection).set(id, JSON.stringify(value));
+    this.markDirty(collection);
+  }
+
+  remove(collection, id) {
+    this.collectionFor(collection).delete(id);
+    this.markDirty(collection);
+  }
+
+  collectionFor(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  markDirty(collection) {
+    this.dirty.add(collection);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flushSync(), this.flushDelayMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Write every dirty collection (temp file + rename so a crash never leaves half a file)
+   */
+  flushSync() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    for (const collection of this.dirty) {
+      const body = Array.from(this.collections.get(collection).entries())
+        .map(([id, json]) => `${JSON.stringify(id)}:${json}`)
+        .join(',');
+      const file = this.fileFor(collection);
+      fs.writeFileSync(`${file}.tmp`, `{${body}}`);
+      fs.renameSync(`${file}.tmp`, file);
+    }
+    this.dirty.clear();
+  }
+
+  async flush() {
+    this.flushSync();
+  }
+
+  /**
+   * Record applied migrations; file storage needs no DDL
+   */
+  async migrate(migrations) {
+    const file = path.join(this.dataDir, MIGRATIONS_FILE);
+    const applied = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    const pending = migrations.filter(migration => !applied.some(entry => entry.id === migration.id));
+
+    for (const migration of pending) {
+      if (migration.file) {
+        await migration.file(this);
+      }
+      applied.push({ id: migration.id, appliedAt: new Date().toISOString() });
+    }
+
+    if (pending.length > 0) {
+      fs.writeFileSync(file, JSON.stringify(applied, null, 2));
+    }
+    return pending.map(migration => migration.id);
+  }
+
+  async close() {
+    this.flushSync();
+    process.removeListener('exit', this.onExit);
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,32 @@
+/**
+ * 🧠 Agentic Boardroom - In-Memory Storage Adapter
+ * Non-persistent adapter used by tests and standalone subsystems
+ */
+
+class MemoryAdapter {
+  constructor() {
+    this.synchronous = true;
+  }
+
+  loadSync() {
+    return [];
+  }
+
+  async loadAll() {
+    return [];
+  }
+
+  put() {}
+
+  remove() {}
+
+  async migrate() {
+    return [];
+  }
+
+  async flush() {}
+
+  async close() {}
+}
+
+module.exports = MemoryAdapter;
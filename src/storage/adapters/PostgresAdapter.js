@@ -0,0 +1,130 @@
+/**
+ * 🐘 Agentic Boardroom - PostgreSQL Storage Adapter
+ * Stores repository records as JSONB documents
+ */
+
+const { Pool } = require('pg');
+const { reviveDates } = require('../serialization');
+
+class PostgresAdapter {
+  constructor(options = {}) {
+    this.synchronous = false;
+    this.pool = options.pool || new Pool({ connectionString: options.connectionString });
+    this.queue = Promise.resolve(); // writes are applied in order
+    this.failedWrites = new Map(); // `collection/id` -> { collection, id, value, error }; value null for a delete
+  }
+
+  loadSync() {
+    return null;
+  }
+
+  async loadAll(collection) {
+    const result = await this.pool.query(
+      'SELECT id, data FROM records WHERE collection = $1',
+      [collection]
+    );
+    return result.rows.map(row => [row.id, reviveDates(row.data)]);
+  }
+
+  put(collection, id, value) {
+    const data = JSON.stringify(value);
+    this.enqueue(collection, id, value,
+      `INSERT INTO records (collection, id, data, updated_at) VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (collection, id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+      [collection, id, data]
+    );
+  }
+
+  remove(collection, id) {
+    this.enqueue(collection, id, null, 'DELETE FROM records WHERE collection = $1 AND id = $2', [collection, id]);
+  }
+
+  /**
+   * Queue a write. A failed write is kept until a later write of the same record succeeds
+   * or `flush()` retries it, and reported by `health()`.
+   */
+  enqueue(collection, id, value, sql, params) {
+    const key = `${collection}/${id}`;
+    this.queue = this.queue
+      .then(() => this.pool.query(sql, params))
+      .then(() => this.failedWrites.delete(key))
+      .catch((error) => {
+        this.failedWrites.set(key, { collection, id, value, error });
+        console.error(`❌ Storage write failed (${key}):`, error.message);
+      });
+  }
+
+  /**
+   * `healthy` is false while any write has failed and not been retried successfully
+   */
+  health() {
+    const failed = Array.from(this.failedWrites.values());
+    return {
+      healthy: failed.length === 0,
+      failedWrites: failed.length,
+      lastError: failed.length ? failed[failed.length - 1].error.message : null
+    };
+  }
+
+  /**
+   * Apply pending migrations, each in its own transaction
+   */
+  async migrate(migrations) {
+    await this.pool.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        id TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`
+    );
+    const result = await this.pool.query('SELECT id FROM schema_migrations');
+    const applied = new Set(result.rows.map(row => row.id));
+    const pending = migrations.filter(migration => !applied.has(migration.id));
+
+    for (const migration of pending) {
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.postgres);
+        await client.query('INSERT INTO schema_migrations (id) VALUES ($1)', [migration.id]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+      } finally {
+        client.release();
+      }
+    }
+
+    return pending.map(migration => migration.id);
+  }
+
+  /**
+   * Wait for queued writes and retry failed ones; rejects if any write still fails
+   */
+  async flush() {
+    await this.queue;
+    for (const { collection, id, value } of Array.from(this.failedWrites.values())) {
+      if (value === null) {
+        this.remove(collection, id);
+      } else {
+        this.put(collection, id, value);
+      }
+    }
+    await this.queue;
+
+    const { failedWrites, lastError } = this.health();
+    if (failedWrites > 0) {
+      throw new Error(`${failedWrites} storage write(s) failed: ${lastError}`);
+    }
+  }
+
+  async close() {
+    try {
+      await this.flush();
+    } finally {
+      await this.pool.end();
+    }
+  }
+}
+
+module.exports = PostgresAdapter;
@@ -0,0 +1,21 @@
+/**
+ * 🧱 Agentic Boardroom - Schema Migrations
+ * Applied in order by Store.migrate() and `npm run migrate`
+ */
+
+module.exports = [
+  {
+    id: '001_create_records',
+    description: 'Document table backing users, sessions and conversations repositories',
+    postgres: `
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX IF NOT EXISTS records_collection_idx ON records (collection);
+    `
+  }
+];
@@ -0,0 +1,26 @@
+/**
+ * 🧬 Agentic Boardroom - Storage Serialization Helpers
+ * JSON round-tripping that restores Date fields
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const DATE_KEY = /(At|Date|timestamp|lastActivity|lastLogin|lastUsed)$/;
+
+/**
+ * JSON.parse reviver turning ISO strings under date-like keys back into Dates
+ */
+function dateReviver(key, value) {
+  if (typeof value === 'string' && DATE_KEY.test(key) && ISO_DATE.test(value)) {
+    return new Date(value);
+  }
+  return value;
+}
+
+/**
+ * Restore Dates in an already-parsed value (e.g. a JSONB column)
+ */
+function reviveDates(value) {
+  return JSON.parse(JSON.stringify(value), dateReviver);
+}
+
+module.exports = { dateReviver, reviveDates };
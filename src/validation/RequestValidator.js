@@ -0,0 +1,79 @@
+/**
+ * ✅ Agentic Boardroom - Request Validator
+ * Checks route params, query and body and socket event payloads against their schemas
+ */
+
+const Joi = require('joi');
+const { routes, events } = require('./schemas');
+const { ValidationError } = require('../errors/ApiError');
+
+const PARTS = ['params', 'query', 'body'];
+const OPTIONS = { abortEarly: false, errors: { wrap: { label: false } } };
+const EMPTY = Joi.object({});
+
+class RequestValidator {
+  /**
+   * @param {Object} options.routes - schemas keyed by `METHOD /path`; defaults to ./schemas
+   * @param {Object} options.events - socket event schemas keyed by event name
+   */
+  constructor(options = {}) {
+    this.routes = options.routes || routes;
+    this.events = options.events || events;
+  }
+
+  /**
+   * Validate a matched Express request, replacing its params, query and body with the
+   * converted values (trimmed strings, numeric query parameters). `context` feeds `$` references
+   * such as `$maxMessageLength`.
+   */
+  validateRequest(req, context = {}) {
+    const key = `${req.method} ${req.route.path}`;
+    const schema = this.routes[key];
+    if (!schema) {
+      throw new Error(`No request schema for ${key}`);
+    }
+
+    const errors = [];
+    const values = {};
+    for (const part of PARTS) {
+      const { value, error } = (schema[part] || EMPTY).validate(req[part] || {}, { ...OPTIONS, context });
+      if (error) {
+        errors.push(...RequestValidator.describe(error, part));
+      }
+      values[part] = value;
+    }
+    if (errors.length) {
+      throw new ValidationError(errors);
+    }
+    Object.assign(req, values);
+    return values;
+  }
+
+  /**
+   * Validate a socket event payload, returning the converted value
+   */
+  validateEvent(event, payload, context = {}) {
+    const schema = this.events[event];
+    if (!schema) {
+      throw new Error(`No schema for socket event ${event}`);
+    }
+    const { value, error } = schema.validate(payload, { ...OPTIONS, context });
+    if (error) {
+      throw new ValidationError(RequestValidator.describe(error));
+    }
+    return value;
+  }
+
+  /**
+   * Joi error details as `{ path, message }`, the path prefixed with the request part
+   */
+  static describe(error, part = null) {
+    return error.details.map(detail => ({
+      path: [part, ...detail.path].filter(segment => segment !== null).join('.'),
+      message: detail.message
+    }));
+  }
+}
+
+module.exports = RequestValidator;
+module.exports.ValidationError = ValidationError;
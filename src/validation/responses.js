@@ -0,0 +1,291 @@
+/**
+ * 📤 Agentic Boardroom - Response Schemas
+ * Joi schemas for what the API sends back; they document the routes in the OpenAPI document
+ */
+
+const Joi = require('joi');
+
+const timestamp = Joi.date().iso();
+const optionalTimestamp = timestamp.allow(null);
+const nullableString = Joi.string().allow(null, '');
+
+// Entities carry `.id()` so the OpenAPI document can share them as components; extra fields are allowed
+const entity = (name, keys) => Joi.object(keys).unknown(true).id(name);
+
+/**
+ * `{ success: true, ...keys }`, the shape of every JSON success response
+ */
+const success = (keys = {}) => Joi.object({ success: Joi.boolean().valid(true).required(), ...keys }).unknown(true);
+
+const user = entity('User', {
+  id: Joi.string().required(),
+  email: nullableString,
+  firstName: Joi.string(),
+  lastName: Joi.string(),
+  role: Joi.string(),
+  department: nullableString,
+  permissions: Joi.array().items(Joi.string()),
+  agentAccess: Joi.array().items(Joi.string()),
+  spendingLimit: Joi.number(),
+  isActive: Joi.boolean(),
+  isServiceAccount: Joi.boolean(),
+  emailVerified: Joi.boolean(),
+  createdAt: timestamp,
+  lastLogin: optionalTimestamp
+});
+
+const message = entity('Message', {
+  id: Joi.string().required(),
+  type: Joi.string().valid('user', 'agent').required(),
+  content: Joi.string().allow(''),
+  agentId: Joi.string(),
+  userId: Joi.string(),
+  timestamp,
+  metadata: Joi.object().unknown(true)
+});
+
+const conversation = entity('Conversation', {
+  id: Joi.string().required(),
+  userId: Joi.string(),
+  agentId: Joi.string(),
+  agentName: Joi.string(),
+  title: nullableString,
+  status: Joi.string().valid('active', 'ended'),
+  archived: Joi.boolean(),
+  startedAt: timestamp,
+  lastActivity: timestamp,
+  endedAt: optionalTimestamp,
+  archivedAt: optionalTimestamp,
+  deletedAt: optionalTimestamp,
+  purgeAfter: optionalTimestamp,
+  messages: Joi.array().items(message)
+});
+
+const agent = entity('Agent', {
+  id: Joi.string().required(),
+  name: Joi.string(),
+  title: Joi.string(),
+  description: nullableString,
+  capabilities: Joi.any()
+});
+
+const decision = entity('Decision', {
+  id: Joi.string().required(),
+  title: nullableString,
+  description: nullableString,
+  category: nullableString,
+  urgency: Joi.string(),
+  budget: Joi.number().allow(null),
+  authority: Joi.string(),
+  participants: Joi.array().items(Joi.string()),
+  status: Joi.string().valid('proposed', 'under_review', 'approved', 'rejected', 'escalated'),
+  votes: Joi.array().items(Joi.object().unknown(true)),
+  resolution: Joi.object().unknown(true).allow(null),
+  createdAt: timestamp,
+  decidedAt: optionalTimestamp
+});
+
+const budget = entity('Budget', {
+  limit: Joi.number(),
+  approved: Joi.number(),
+  pending: Joi.number(),
+  committed: Joi.number(),
+  remaining: Joi.number(),
+  periodStart: timestamp,
+  periodEnd: timestamp
+});
+
+const spendRequest = entity('SpendRequest', {
+  id: Joi.string().required(),
+  requestedBy: nullableString,
+  amount: Joi.number(),
+  currency: Joi.string(),
+  amountUsd: Joi.number(),
+  purpose: Joi.string(),
+  tier: Joi.string(),
+  status: Joi.string(),
+  approvedBy: Joi.any(),
+  auditTrail: Joi.array().items(Joi.object().unknown(true)),
+  createdAt: timestamp,
+  decidedAt: optionalTimestamp
+});
+
+const meeting = entity('Meeting', {
+  id: Joi.string().required(),
+  title: Joi.string(),
+  type: nullableString,
+  organizerId: Joi.string(),
+  facilitator: Joi.string(),
+  attendees: Joi.array().items(Joi.string()),
+  rounds: Joi.number().integer(),
+  agenda: Joi.array().items(Joi.object().unknown(true)),
+  status: Joi.string(),
+  decisions: Joi.array(),
+  actionItems: Joi.array(),
+  createdAt: timestamp,
+  startedAt: optionalTimestamp,
+  endedAt: optionalTimestamp
+});
+
+const accessRequest = entity('AccessRequest', {
+  id: Joi.string().required(),
+  userId: Joi.string(),
+  agentId: Joi.string(),
+  justification: Joi.string(),
+  durationDays: Joi.number().integer(),
+  status: Joi.string().valid('pending', 'approved', 'rejected'),
+  reviewedBy: nullableString,
+  reviewNote: nullableString,
+  grantId: nullableString,
+  createdAt: timestamp,
+  reviewedAt: optionalTimestamp
+});
+
+const agentGrant = entity('AgentGrant', {
+  id: Joi.string().required(),
+  userId: Joi.string(),
+  agentId: Joi.string(),
+  effect: Joi.string().valid('allow', 'deny'),
+  justification: Joi.string().allow(''),
+  grantedBy: Joi.string(),
+  expiresAt: optionalTimestamp,
+  createdAt: timestamp,
+  revokedAt: optionalTimestamp
+});
+
+const role = entity('Role', {
+  id: Joi.string().required(),
+  name: Joi.string(),
+  description: Joi.string().allow(''),
+  permissions: Joi.array().items(Joi.string()),
+  agentAccess: Joi.array().items(Joi.string()),
+  spendingLimit: Joi.number(),
+  requireTwoFactor: Joi.boolean(),
+  maxMessageLength: Joi.number().integer(),
+  builtIn: Joi.boolean(),
+  members: Joi.number().integer()
+});
+
+const apiKey = entity('ApiKey', {
+  id: Joi.string().required(),
+  name: Joi.string(),
+  prefix: Joi.string(),
+  ownerId: Joi.string(),
+  scopes: Joi.array().items(Joi.string()),
+  agents: Joi.array().items(Joi.string()),
+  status: Joi.string().valid('active', 'revoked', 'expired'),
+  expiresAt: timestamp,
+  lastUsedAt: optionalTimestamp,
+  lastUsedIp: nullableString,
+  createdAt: timestamp,
+  revokedAt: optionalTimestamp
+});
+
+const organization = entity('Organization', {
+  id: Joi.string().required(),
+  name: Joi.string(),
+  subdomain: nullableString,
+  isActive: Joi.boolean(),
+  createdAt: timestamp
+});
+
+const auditRecord = entity('AuditRecord', {
+  sequence: Joi.number().integer().required(),
+  timestamp,
+  action: Joi.string(),
+  actor: Joi.object().unknown(true).allow(null),
+  target: Joi.object().unknown(true).allow(null),
+  details: Joi.any(),
+  previousHash: Joi.string(),
+  hash: Joi.string()
+});
+
+const searchResult = entity('SearchResult', {
+  conversationId: Joi.string().required(),
+  conversationTitle: nullableString,
+  agentId: Joi.string(),
+  agentName: Joi.string(),
+  messageId: Joi.string().required(),
+  type: Joi.string().valid('user', 'agent'),
+  timestamp,
+  score: Joi.number(),
+  highlight: Joi.string().allow('')
+});
+
+const memory = entity('Memory', {
+  id: Joi.string().required(),
+  namespace: Joi.string(),
+  agentId: Joi.string(),
+  userId: Joi.string(),
+  kind: Joi.string().valid('fact', 'summary'),
+  content: Joi.string(),
+  conversationId: nullableString,
+  messageId: nullableString,
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  expiresAt: timestamp
+});
+
+const lockout = entity('Lockout', {
+  key: Joi.string().required(),
+  type: Joi.string().valid('account', 'ip'),
+  userId: nullableString,
+  failures: Joi.number().integer(),
+  lockedAt: timestamp,
+  lockedUntil: timestamp
+});
+
+const session = success({
+  token: Joi.string().required(),
+  refreshToken: Joi.string().required(),
+  sessionId: Joi.string(),
+  user,
+  expiresIn: Joi.string(),
+  refreshExpiresAt: timestamp,
+  passwordChangeRequired: Joi.boolean()
+});
+
+const challenge = success({
+  twoFactorRequired: Joi.boolean().valid(true),
+  enrollmentRequired: Joi.boolean(),
+  challengeToken: Joi.string(),
+  expiresAt: timestamp
+});
+
+const error = Joi.object({
+  success: Joi.boolean().valid(false).required(),
+  error: Joi.string().required(),
+  code: Joi.string().pattern(/^[a-z0-9_]+$/).required()
+}).unknown(true).id('Error');
+
+const validationError = Joi.object({
+  success: Joi.boolean().valid(false).required(),
+  error: Joi.string().required(),
+  code: Joi.string().valid('validation_failed').required(),
+  errors: Joi.array().items(Joi.object({ path: Joi.string().allow(''), message: Joi.string() })).required()
+}).id('ValidationError');
+
+module.exports = {
+  success,
+  user,
+  message,
+  conversation,
+  agent,
+  decision,
+  budget,
+  spendRequest,
+  meeting,
+  accessRequest,
+  agentGrant,
+  role,
+  apiKey,
+  organization,
+  auditRecord,
+  searchResult,
+  memory,
+  lockout,
+  session,
+  challenge,
+  error,
+  validationError
+};
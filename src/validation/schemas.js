@@ -0,0 +1,727 @@
+/**
+ * 🧾 Agentic Boardroom - Request Schemas
+ * Joi schemas for the params, query and body of every API route and the payload of every socket event
+ */
+
+const Joi = require('joi');
+const AuthSystem = require('../auth/AuthSystem');
+const responses = require('./responses');
+
+const id = Joi.string().trim().max(128);
+const name = Joi.string().trim().min(1).max(100);
+const note = Joi.string().allow('').max(2000);
+const email = Joi.string().trim().email({ tlds: false }).max(254);
+// Passwords are checked against the policy by AuthSystem; this only bounds the payload
+const password = Joi.string().max(1024);
+const token = Joi.string().trim().max(4096);
+const code = Joi.string().trim().max(64);
+const limit = Joi.number().integer().min(1).max(500);
+const offset = Joi.number().integer().min(0);
+const stringList = (max) => Joi.array().items(Joi.string().trim().min(1).max(128)).max(max);
+
+// Chat messages are also held to the sender's role limit, passed as `{ context: { maxMessageLength } }`
+const message = Joi.string().trim().min(1).max(AuthSystem.MAX_MESSAGE_LENGTH)
+  .custom((value, helpers) => {
+    const { maxMessageLength } = helpers.prefs.context || {};
+    return maxMessageLength && value.length > maxMessageLength
+      ? helpers.error('message.tooLong', { limit: maxMessageLength })
+      : value;
+  })
+  .messages({ 'message.tooLong': '{#label} must be at most {#limit} characters for your role' });
+
+const conversationTitle = Joi.string().trim().allow('').max(200);
+const conversationChange = responses.success({ conversation: responses.conversation, message: Joi.string() });
+
+const role = {
+  name,
+  description: Joi.string().allow('').max(1000),
+  permissions: stringList(200),
+  agentAccess: stringList(200),
+  spendingLimit: Joi.number().min(0),
+  requireTwoFactor: Joi.boolean(),
+  maxMessageLength: Joi.number().integer().min(1).max(AuthSystem.MAX_MESSAGE_LENGTH)
+};
+
+/**
+ * Keyed by `METHOD /path`, the route path within the API router (served under /api/v1) as in
+ * req.route.path. A part left out must be empty.
+ * `summary`, `response`, `status` (when not 200) and `contentType` (when not JSON) document the
+ * route in the OpenAPI document.
+ */
+const routes = {
+  // Authentication
+  'POST /auth/register': {
+    summary: 'Register a user and mail an email verification link',
+    body: Joi.object({
+      email: email.required(),
+      password: password.required(),
+      firstName: name.required(),
+      lastName: name.required(),
+      department: Joi.string().trim().allow('').max(100)
+    }),
+    response: responses.success({ user: responses.user, message: Joi.string() })
+  },
+  'POST /auth/login': {
+    summary: 'Sign in; users with two-factor authentication get a challenge instead of a session',
+    body: Joi.object({ email: Joi.string().trim().max(254).required(), password: password.required() }),
+    response: Joi.alternatives().try(responses.session, responses.challenge)
+  },
+  'GET /auth/password-policy': {
+    summary: 'Password rules, for showing before the user picks a password',
+    response: responses.success({
+      policy: Joi.object({
+        minLength: Joi.number(),
+        maxLength: Joi.number(),
+        minCharacterClasses: Joi.number(),
+        breachedPasswordCheck: Joi.boolean()
+      })
+    })
+  },
+  'POST /auth/verify-email': {
+    summary: 'Confirm an email address with the token from a verification link',
+    body: Joi.object({ token: token.required() }),
+    response: responses.success({ user: responses.user, message: Joi.string() })
+  },
+  'POST /auth/verify-email/resend': {
+    summary: 'Send a new verification link to the signed-in user',
+    response: responses.success({ message: Joi.string() })
+  },
+  'POST /auth/forgot-password': {
+    summary: 'Mail a password reset link; the response never reveals whether the account exists',
+    body: Joi.object({ email: email.required() }),
+    response: responses.success({ message: Joi.string() })
+  },
+  'POST /auth/reset-password': {
+    summary: 'Choose a new password with the token from a reset link',
+    body: Joi.object({ token: token.required(), newPassword: password.required() }),
+    response: responses.success({ revokedSessions: Joi.number().integer(), message: Joi.string() })
+  },
+  'POST /auth/refresh': {
+    summary: 'Exchange a refresh token for a new access token; refresh tokens rotate on every use',
+    body: Joi.object({ refreshToken: token.required() }),
+    response: responses.success({
+      token: Joi.string().required(),
+      refreshToken: Joi.string().required(),
+      sessionId: Joi.string(),
+      expiresIn: Joi.string(),
+      refreshExpiresAt: Joi.date().iso()
+    })
+  },
+  'POST /auth/2fa/login': {
+    summary: 'Second sign-in step with a TOTP or recovery code',
+    body: Joi.object({ challengeToken: token.required(), code: code.required() }),
+    response: responses.session.keys({ recoveryCodes: Joi.array().items(Joi.string()) })
+  },
+  'POST /auth/2fa/login/enroll': {
+    summary: 'Authenticator secret for a user who must enroll before signing in',
+    body: Joi.object({ challengeToken: token.required() }),
+    response: responses.success({ secret: Joi.string(), otpauthUri: Joi.string() })
+  },
+  'GET /auth/2fa': {
+    summary: 'Own two-factor status',
+    response: responses.success({
+      enabled: Joi.boolean(),
+      required: Joi.boolean(),
+      enabledAt: Joi.date().iso().allow(null),
+      recoveryCodesRemaining: Joi.number().integer()
+    })
+  },
+  'POST /auth/2fa/enroll': {
+    summary: 'Start two-factor enrollment: the secret and otpauth URI for an authenticator app',
+    response: responses.success({ secret: Joi.string(), otpauthUri: Joi.string() })
+  },
+  'POST /auth/2fa/confirm': {
+    summary: 'Finish enrolling with a code from the app; returns recovery codes once',
+    body: Joi.object({ code: code.required() }),
+    response: responses.success({ recoveryCodes: Joi.array().items(Joi.string()) })
+  },
+  'POST /auth/2fa/recovery-codes': {
+    summary: 'Replace recovery codes',
+    body: Joi.object({ code: code.required() }),
+    response: responses.success({ recoveryCodes: Joi.array().items(Joi.string()) })
+  },
+  'POST /auth/2fa/disable': {
+    summary: 'Turn two-factor authentication off (refused when the role requires it)',
+    body: Joi.object({ code: code.required() }),
+    response: responses.success()
+  },
+  'GET /auth/api-keys': {
+    summary: 'Own API keys',
+    query: Joi.object({ status: Joi.string().valid('active', 'revoked', 'expired') }),
+    response: responses.success({ apiKeys: Joi.array().items(responses.apiKey), total: Joi.number().integer() })
+  },
+  'POST /auth/api-keys': {
+    summary: 'Create an API key; the key itself is only returned here',
+    status: 201,
+    body: Joi.object({
+      ownerId: id,
+      name: name.required(),
+      scopes: stringList(100).min(1).required(),
+      agents: stringList(100).min(1),
+      expiresInDays: Joi.number().integer().min(1)
+    }),
+    response: responses.success({ apiKey: responses.apiKey, key: Joi.string() })
+  },
+  'POST /auth/api-keys/:keyId/rotate': {
+    summary: 'Replace a key\'s secret, optionally keeping the old one valid for a grace period',
+    params: Joi.object({ keyId: id.required() }),
+    body: Joi.object({ graceMinutes: Joi.number().integer().min(0) }),
+    response: responses.success({ apiKey: responses.apiKey, key: Joi.string() })
+  },
+  'DELETE /auth/api-keys/:keyId': {
+    summary: 'Revoke an API key',
+    params: Joi.object({ keyId: id.required() }),
+    response: responses.success({ apiKey: responses.apiKey })
+  },
+  'POST /auth/logout': {
+    summary: 'Sign out of the current session',
+    response: responses.success({ message: Joi.string() })
+  },
+  'POST /auth/logout-all': {
+    summary: 'Sign out of every session',
+    response: responses.success({ revokedSessions: Joi.number().integer(), message: Joi.string() })
+  },
+  'POST /auth/change-password': {
+    summary: 'Change own password; other sessions are signed out',
+    body: Joi.object({ currentPassword: password.required(), newPassword: password.required() }),
+    response: responses.success({ revokedSessions: Joi.number().integer(), message: Joi.string() })
+  },
+  'GET /auth/permissions': {
+    summary: 'Explain effective permissions, your own or (with users:manage) another user\'s',
+    query: Joi.object({ userId: id }),
+    response: responses.success({
+      userId: Joi.string(),
+      role: Joi.object().unknown(true),
+      granted: Joi.array().items(Joi.string()),
+      permissions: Joi.array().items(Joi.object({
+        permission: Joi.string(),
+        description: Joi.string(),
+        allowed: Joi.boolean(),
+        grantedBy: Joi.string().allow(null)
+      }))
+    })
+  },
+  'GET /auth/profile': {
+    summary: 'Own profile',
+    response: responses.success({ user: responses.user })
+  },
+  'PUT /auth/profile': {
+    summary: 'Update own name, department or preferences',
+    body: Joi.object({
+      firstName: name,
+      lastName: name,
+      department: Joi.string().trim().allow('').max(100),
+      preferences: Joi.object().unknown(true)
+    }),
+    response: responses.success({ user: responses.user, message: Joi.string() })
+  },
+
+  // Agents and conversations
+  'GET /agents': {
+    summary: 'Agents the caller can talk to, keyed by agent id',
+    response: responses.success({ agents: Joi.object().pattern(Joi.string(), responses.agent) })
+  },
+  'POST /agents/:agentId/chat': {
+    summary: 'Start a conversation with an agent, optionally with a first message',
+    params: Joi.object({ agentId: id.required() }),
+    body: Joi.object({ message }),
+    response: responses.success({ conversation: responses.conversation, message: Joi.string() })
+  },
+  'POST /conversations/:conversationId/messages': {
+    summary: 'Send a message and wait for the agent\'s reply',
+    params: Joi.object({ conversationId: id.required() }),
+    body: Joi.object({ message: message.required() }),
+    response: responses.success({ message: responses.message, conversationId: Joi.string() })
+  },
+  'GET /conversations/:conversationId/stream': {
+    summary: 'Relay every agent response in the conversation as Server-Sent Events until the client disconnects',
+    params: Joi.object({ conversationId: id.required() }),
+    contentType: 'text/event-stream',
+    response: Joi.string()
+  },
+  'POST /conversations/:conversationId/stream': {
+    summary: 'Send a message and stream the agent\'s reply as Server-Sent Events; the stream closes after the reply',
+    params: Joi.object({ conversationId: id.required() }),
+    body: Joi.object({ message: message.required() }),
+    contentType: 'text/event-stream',
+    response: Joi.string()
+  },
+  'POST /conversations/:conversationId/cancel': {
+    summary: 'Cancel the response currently being generated',
+    params: Joi.object({ conversationId: id.required() }),
+    response: responses.success({ conversationId: Joi.string(), messageId: Joi.string(), message: Joi.string() })
+  },
+  'GET /conversations/:conversationId': {
+    summary: 'A conversation with its messages',
+    params: Joi.object({ conversationId: id.required() }),
+    response: responses.success({ conversation: responses.conversation })
+  },
+  'GET /conversations': {
+    summary: 'Own conversations, most recent activity first; archived ones only with archived=true, deleted ones only with deleted=true',
+    query: Joi.object({
+      status: Joi.string().valid('active', 'ended'),
+      agentId: id,
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+      archived: Joi.boolean(),
+      deleted: Joi.boolean(),
+      limit,
+      offset
+    }),
+    response: responses.success({ conversations: Joi.array().items(responses.conversation), total: Joi.number().integer() })
+  },
+  'POST /conversations/:conversationId/end': {
+    summary: 'End a conversation; it stays readable and can be reopened',
+    params: Joi.object({ conversationId: id.required() }),
+    response: conversationChange
+  },
+  'POST /conversations/:conversationId/reopen': {
+    summary: 'Make an ended conversation active again',
+    params: Joi.object({ conversationId: id.required() }),
+    response: conversationChange
+  },
+  'POST /conversations/:conversationId/archive': {
+    summary: 'Archive a conversation; it leaves the conversation list unless archived=true is asked for',
+    params: Joi.object({ conversationId: id.required() }),
+    response: conversationChange
+  },
+  'POST /conversations/:conversationId/unarchive': {
+    summary: 'Bring an archived conversation back into the conversation list',
+    params: Joi.object({ conversationId: id.required() }),
+    response: conversationChange
+  },
+  'PATCH /conversations/:conversationId': {
+    summary: 'Rename a conversation; an empty title clears it',
+    params: Joi.object({ conversationId: id.required() }),
+    body: Joi.object({ title: conversationTitle.required() }),
+    response: conversationChange
+  },
+  'DELETE /conversations/:conversationId': {
+    summary: 'Delete a conversation, restorable until purgeAfter; permanent=true purges it now',
+    params: Joi.object({ conversationId: id.required() }),
+    query: Joi.object({ permanent: Joi.boolean() }),
+    response: responses.success({ conversationId: Joi.string(), purgeAfter: Joi.date().iso(), message: Joi.string() })
+  },
+  'POST /conversations/:conversationId/restore': {
+    summary: 'Restore a deleted conversation that has not been purged yet',
+    params: Joi.object({ conversationId: id.required() }),
+    response: conversationChange
+  },
+
+  // Search
+  'GET /search': {
+    summary: 'Search message contents across own conversations, best match first, with matched terms in <mark>',
+    query: Joi.object({
+      q: Joi.string().trim().min(1).max(500).required(),
+      mode: Joi.string().valid('keyword', 'semantic'),
+      agentId: id,
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+      limit: limit.max(100),
+      offset
+    }),
+    response: responses.success({
+      query: Joi.string(),
+      mode: Joi.string().valid('keyword', 'semantic'),
+      results: Joi.array().items(responses.searchResult),
+      total: Joi.number().integer()
+    })
+  },
+
+  // Agent memory
+  'GET /memories': {
+    summary: 'What agents remember about the caller, newest first',
+    query: Joi.object({ agentId: id }),
+    response: responses.success({ memories: Joi.array().items(responses.memory), total: Joi.number().integer() })
+  },
+  'DELETE /memories': {
+    summary: 'Forget everything agents (or one agent, with agentId) remember about the caller',
+    query: Joi.object({ agentId: id }),
+    response: responses.success({ deleted: Joi.number().integer(), message: Joi.string() })
+  },
+  'DELETE /memories/:memoryId': {
+    summary: 'Forget one memory',
+    params: Joi.object({ memoryId: id.required() }),
+    response: responses.success({ memoryId: Joi.string(), message: Joi.string() })
+  },
+
+  // Agent access requests
+  'POST /agent-access/requests': {
+    summary: 'Ask for time-limited access to an agent outside the role',
+    status: 201,
+    body: Joi.object({
+      agentId: id.required(),
+      justification: Joi.string().trim().min(1).max(2000).required(),
+      durationDays: Joi.number().integer()
+    }),
+    response: responses.success({ request: responses.accessRequest })
+  },
+  'GET /agent-access/requests': {
+    summary: 'Own access requests, or every request for reviewers',
+    query: Joi.object({ status: Joi.string().valid('pending', 'approved', 'rejected'), limit, offset }),
+    response: responses.success({ requests: Joi.array().items(responses.accessRequest), total: Joi.number().integer() })
+  },
+  'POST /agent-access/requests/:requestId/approve': {
+    summary: 'Approve an access request, issuing a time-limited grant',
+    params: Joi.object({ requestId: id.required() }),
+    body: Joi.object({ note }),
+    response: responses.success({ request: responses.accessRequest })
+  },
+  'POST /agent-access/requests/:requestId/reject': {
+    summary: 'Reject an access request',
+    params: Joi.object({ requestId: id.required() }),
+    body: Joi.object({ note }),
+    response: responses.success({ request: responses.accessRequest })
+  },
+
+  // Decisions
+  'POST /decisions': {
+    summary: 'Propose a decision; it is routed to an agent and reviewed in the background',
+    status: 201,
+    body: Joi.object({
+      title: Joi.string().trim().min(1).max(200),
+      description: Joi.string().trim().min(1).max(10000),
+      category: id,
+      urgency: Joi.string().trim().max(32),
+      budget: Joi.number().min(0),
+      triggers: stringList(20)
+    }).or('title', 'description'),
+    response: responses.success({ decision: responses.decision, routing: Joi.object().unknown(true) })
+  },
+  'GET /decisions': {
+    summary: 'Decisions visible to the caller',
+    query: Joi.object({
+      status: Joi.string().valid('proposed', 'under_review', 'approved', 'rejected', 'escalated'),
+      limit,
+      offset
+    }),
+    response: responses.success({ decisions: Joi.array().items(responses.decision), total: Joi.number().integer() })
+  },
+  'GET /decisions/:decisionId': {
+    summary: 'A decision with its votes and escalation history',
+    params: Joi.object({ decisionId: id.required() }),
+    response: responses.success({ decision: responses.decision })
+  },
+  'POST /decisions/:decisionId/resolve': {
+    summary: 'Settle an escalated decision',
+    params: Joi.object({ decisionId: id.required() }),
+    body: Joi.object({ outcome: Joi.string().valid('approved', 'rejected').required(), rationale: note }),
+    response: responses.success({ decision: responses.decision })
+  },
+
+  // Spend requests
+  'POST /spend-requests': {
+    summary: 'Submit a spend request; it is auto-approved or routed to the tier\'s approvers',
+    status: 201,
+    body: Joi.object({
+      amount: Joi.number().positive().required(),
+      purpose: Joi.string().trim().min(1).max(2000).required(),
+      currency: Joi.string().trim().uppercase().length(3)
+    }),
+    response: responses.success({ spendRequest: responses.spendRequest, budget: responses.budget })
+  },
+  'GET /spend-requests': {
+    summary: 'Own spend requests and those awaiting the caller\'s approval',
+    query: Joi.object({ status: id, limit, offset }),
+    response: responses.success({ spendRequests: Joi.array().items(responses.spendRequest), total: Joi.number().integer() })
+  },
+  'GET /spend-requests/budget': {
+    summary: 'Spend this period against the caller\'s spending limit',
+    response: responses.success({ budget: responses.budget })
+  },
+  'GET /spend-requests/:requestId': {
+    summary: 'A spend request with its audit trail',
+    params: Joi.object({ requestId: id.required() }),
+    response: responses.success({ spendRequest: responses.spendRequest })
+  },
+  'POST /spend-requests/:requestId/approve': {
+    summary: 'Approve a pending spend request',
+    params: Joi.object({ requestId: id.required() }),
+    body: Joi.object({ note }),
+    response: responses.success({ spendRequest: responses.spendRequest })
+  },
+  'POST /spend-requests/:requestId/reject': {
+    summary: 'Reject a pending spend request',
+    params: Joi.object({ requestId: id.required() }),
+    body: Joi.object({ note }),
+    response: responses.success({ spendRequest: responses.spendRequest })
+  },
+  'POST /spend-requests/:requestId/cancel': {
+    summary: 'Withdraw a pending spend request',
+    params: Joi.object({ requestId: id.required() }),
+    response: responses.success({ spendRequest: responses.spendRequest })
+  },
+
+  // Meetings
+  'POST /meetings': {
+    summary: 'Create a meeting and run it in the background',
+    status: 201,
+    body: Joi.object({
+      title: Joi.string().trim().min(1).max(200).required(),
+      agenda: Joi.array().items(Joi.alternatives().try(
+        Joi.string().trim().min(1).max(500),
+        Joi.object({ topic: Joi.string().trim().min(1).max(500).required(), description: Joi.string().allow('').max(2000) })
+      )).min(1).max(20).required(),
+      attendees: stringList(20),
+      type: Joi.string().trim().max(64).allow(null),
+      rounds: Joi.number().integer().min(1).max(3)
+    }),
+    response: responses.success({ meeting: responses.meeting })
+  },
+  'GET /meetings': {
+    summary: 'Own meetings, without transcripts',
+    query: Joi.object({ limit, offset }),
+    response: responses.success({ meetings: Joi.array().items(responses.meeting), total: Joi.number().integer() })
+  },
+  'GET /meetings/:meetingId': {
+    summary: 'A meeting with its transcript, decisions and action items',
+    params: Joi.object({ meetingId: id.required() }),
+    response: responses.success({ meeting: responses.meeting })
+  },
+  'GET /meetings/:meetingId/minutes': {
+    summary: 'Download the minutes of an ended meeting as Markdown or JSON',
+    params: Joi.object({ meetingId: id.required() }),
+    query: Joi.object({ format: Joi.string().valid('markdown', 'json') }),
+    contentType: 'text/markdown',
+    response: Joi.string()
+  },
+  'POST /meetings/:meetingId/end': {
+    summary: 'End a meeting early, or cancel it before it starts',
+    params: Joi.object({ meetingId: id.required() }),
+    response: responses.success({ meeting: responses.meeting })
+  },
+
+  // User and role administration
+  'GET /admin/users': {
+    summary: 'Search and page through users',
+    query: Joi.object({
+      search: Joi.string().trim().max(200).allow(''),
+      role: id,
+      status: Joi.string().valid('active', 'inactive'),
+      type: Joi.string().valid('user', 'service_account'),
+      limit,
+      offset
+    }),
+    response: responses.success({ users: Joi.array().items(responses.user), total: Joi.number().integer() })
+  },
+  'POST /admin/service-accounts': {
+    summary: 'Create a service account to own API keys',
+    status: 201,
+    body: Joi.object({ name: name.required(), role: id.required(), department: Joi.string().trim().allow('').max(100) }),
+    response: responses.success({ user: responses.user })
+  },
+  'GET /admin/api-keys': {
+    summary: 'Every API key with its owner, scopes, expiry and last use',
+    query: Joi.object({ ownerId: id, status: Joi.string().valid('active', 'revoked', 'expired') }),
+    response: responses.success({ apiKeys: Joi.array().items(responses.apiKey), total: Joi.number().integer() })
+  },
+  'GET /admin/users/:userId': {
+    summary: 'A user with their two-factor status',
+    params: Joi.object({ userId: id.required() }),
+    response: responses.success({ user: responses.user, twoFactor: Joi.object({ enabled: Joi.boolean(), required: Joi.boolean() }) })
+  },
+  'PATCH /admin/users/:userId/role': {
+    summary: 'Change a user\'s role',
+    params: Joi.object({ userId: id.required() }),
+    body: Joi.object({ role: id.required() }),
+    response: responses.success({ user: responses.user, performedBy: Joi.string() })
+  },
+  'POST /admin/users/:userId/deactivate': {
+    summary: 'Deactivate a user and revoke their sessions',
+    params: Joi.object({ userId: id.required() }),
+    response: responses.success({ user: responses.user, revokedSessions: Joi.number().integer(), performedBy: Joi.string() })
+  },
+  'POST /admin/users/:userId/reactivate': {
+    summary: 'Reactivate a user',
+    params: Joi.object({ userId: id.required() }),
+    response: responses.success({ user: responses.user, performedBy: Joi.string() })
+  },
+  'POST /admin/users/:userId/2fa/reset': {
+    summary: 'Clear a user\'s two-factor enrollment after a lost device',
+    params: Joi.object({ userId: id.required() }),
+    response: responses.success({ userId: Joi.string(), revokedSessions: Joi.number().integer(), performedBy: Joi.string() })
+  },
+  'GET /admin/lockouts': {
+    summary: 'Accounts and IPs currently locked out after failed sign-ins',
+    response: responses.success({ lockouts: Joi.array().items(responses.lockout) })
+  },
+  'POST /admin/users/:userId/unlock': {
+    summary: 'Lift a user\'s sign-in lockout',
+    params: Joi.object({ userId: id.required() }),
+    response: responses.success({ key: Joi.string(), wasLocked: Joi.boolean(), performedBy: Joi.string() })
+  },
+  'DELETE /admin/lockouts/ip/:ip': {
+    summary: 'Lift an IP lockout',
+    params: Joi.object({ ip: Joi.string().ip().required() }),
+    response: responses.success({ key: Joi.string(), wasLocked: Joi.boolean(), performedBy: Joi.string() })
+  },
+  'GET /admin/users/:userId/agent-grants': {
+    summary: 'A user\'s agent grants and denies',
+    params: Joi.object({ userId: id.required() }),
+    response: responses.success({ active: Joi.array().items(responses.agentGrant), inactive: Joi.array().items(responses.agentGrant) })
+  },
+  'POST /admin/users/:userId/agent-grants': {
+    summary: 'Allow or deny an agent for a user',
+    status: 201,
+    params: Joi.object({ userId: id.required() }),
+    body: Joi.object({
+      agentId: id.required(),
+      effect: Joi.string().valid('allow', 'deny'),
+      expiresAt: Joi.date().iso().allow(null),
+      justification: note
+    }),
+    response: responses.success({ grant: responses.agentGrant, performedBy: Joi.string() })
+  },
+  'DELETE /admin/agent-grants/:grantId': {
+    summary: 'Revoke an agent grant or deny',
+    params: Joi.object({ grantId: id.required() }),
+    response: responses.success({ grant: responses.agentGrant, performedBy: Joi.string() })
+  },
+  'GET /admin/roles': {
+    summary: 'Roles, how many users hold each, and the permission catalog',
+    response: responses.success({
+      roles: Joi.array().items(responses.role),
+      permissions: Joi.object().pattern(Joi.string(), Joi.string())
+    })
+  },
+  'POST /admin/roles': {
+    summary: 'Create a custom role',
+    status: 201,
+    body: Joi.object({ id: id.required(), ...role, name: name.required() }),
+    response: responses.success({ role: responses.role, performedBy: Joi.string() })
+  },
+  'POST /admin/roles/:roleId/clone': {
+    summary: 'Copy a role under a new id, with optional overrides',
+    status: 201,
+    params: Joi.object({ roleId: id.required() }),
+    body: Joi.object({ id: id.required(), ...role }),
+    response: responses.success({ role: responses.role, performedBy: Joi.string() })
+  },
+  'PATCH /admin/roles/:roleId': {
+    summary: 'Edit a role; its members get the change immediately',
+    params: Joi.object({ roleId: id.required() }),
+    body: Joi.object(role).min(1),
+    response: responses.success({ role: responses.role, members: Joi.number().integer(), performedBy: Joi.string() })
+  },
+  'DELETE /admin/roles/:roleId': {
+    summary: 'Delete an unused custom role',
+    params: Joi.object({ roleId: id.required() }),
+    response: responses.success({ roleId: Joi.string(), performedBy: Joi.string() })
+  },
+  'DELETE /admin/users/:userId': {
+    summary: 'Delete a user, erase their conversations and meetings, and remove their id from decisions and spend requests',
+    params: Joi.object({ userId: id.required() }),
+    response: responses.success({
+      userId: Joi.string(),
+      revokedSessions: Joi.number().integer(),
+      erased: Joi.object({ conversations: Joi.number().integer(), meetings: Joi.number().integer() }),
+      anonymized: Joi.object({ decisions: Joi.number().integer(), spendRequests: Joi.number().integer() })
+    })
+  },
+
+  // Audit log
+  'GET /audit': {
+    summary: 'Query audit records by actor, action (a trailing * matches a prefix) and time range',
+    query: Joi.object({
+      actor: id,
+      action: Joi.string().trim().max(128),
+      from: Joi.date().iso(),
+      to: Joi.date().iso(),
+      limit: limit.max(1000),
+      offset
+    }),
+    response: responses.success({ records: Joi.array().items(responses.auditRecord), total: Joi.number().integer() })
+  },
+  'GET /audit/verify': {
+    summary: 'Re-hash the audit chain and report the first broken record',
+    response: responses.success({ verification: Joi.object().unknown(true) })
+  },
+
+  // Organizations
+  'GET /organizations/current': {
+    summary: 'The caller\'s organization',
+    response: responses.success({ organization: responses.organization })
+  },
+  'GET /organizations': {
+    summary: 'Every organization',
+    response: responses.success({ organizations: Joi.array().items(responses.organization) })
+  },
+  'POST /organizations': {
+    summary: 'Create an organization together with its first super_admin',
+    status: 201,
+    body: Joi.object({
+      id: id.required(),
+      name: name.required(),
+      subdomain: Joi.string().trim().max(63).allow(null),
+      admin: Joi.object({
+        email: email.required(),
+        password: password.required(),
+        firstName: name.required(),
+        lastName: name.required(),
+        department: Joi.string().trim().allow('').max(100)
+      }).required()
+    }),
+    response: responses.success({ organization: responses.organization, admin: responses.user })
+  },
+  'PATCH /organizations/:orgId': {
+    summary: 'Rename, change the subdomain of, or (de)activate an organization',
+    params: Joi.object({ orgId: id.required() }),
+    body: Joi.object({
+      name,
+      subdomain: Joi.string().trim().max(63).allow(null),
+      isActive: Joi.boolean()
+    }).min(1),
+    response: responses.success({ organization: responses.organization })
+  },
+
+  // Documentation
+  'GET /openapi.json': {
+    summary: 'This OpenAPI document',
+    response: Joi.object({ openapi: Joi.string().required(), info: Joi.object().unknown(true), paths: Joi.object().required() }).unknown(true)
+  },
+
+  // System
+  'GET /system/status': {
+    summary: 'System, user and chat status',
+    response: responses.success({
+      system: Joi.object().unknown(true),
+      users: Joi.object().unknown(true),
+      chat: Joi.object().unknown(true),
+      config: Joi.object().unknown(true)
+    })
+  },
+  'GET /system/config': {
+    summary: 'Active configuration and the last reload outcome',
+    response: responses.success({ config: Joi.object().unknown(true) })
+  },
+  'POST /system/config/reload': {
+    summary: 'Reload agent manifests and governance policies; 422 keeps the current version when validation fails',
+    response: responses.success({ version: Joi.any() })
+  },
+  'GET /system/agents/status': {
+    summary: 'Status of every agent',
+    response: responses.success({ agents: Joi.object().pattern(Joi.string(), Joi.object().unknown(true)), total: Joi.number().integer() })
+  },
+  'GET /system/metrics': {
+    summary: 'Usage and sustainability metrics',
+    response: responses.success({ metrics: Joi.object().unknown(true), timestamp: Joi.date().iso() })
+  }
+};
+
+/**
+ * Socket.io event payloads, keyed by event name
+ */
+const events = {
+  authenticate: token.required(),
+  sendMessage: Joi.object({ conversationId: id.required(), message: message.required() }).required(),
+  cancelMessage: Joi.object({ conversationId: id.required() }).required(),
+  endConversation: Joi.object({ conversationId: id.required() }).required(),
+  reopenConversation: Joi.object({ conversationId: id.required() }).required(),
+  archiveConversation: Joi.object({ conversationId: id.required(), archived: Joi.boolean().default(true) }).required(),
+  renameConversation: Joi.object({ conversationId: id.required(), title: conversationTitle.required() }).required(),
+  deleteConversation: Joi.object({ conversationId: id.required(), permanent: Joi.boolean().default(false) }).required(),
+  restoreConversation: Joi.object({ conversationId: id.required() }).required(),
+  subscribeDecision: Joi.object({ decisionId: id.required() }).required()
+};
+
+module.exports = { routes, events };
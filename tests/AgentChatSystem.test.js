@@ -1,12 +1,16 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const AuthSystem = require('../src/auth/AuthSystem');
 const AgentChatSystem = require('../src/agents/AgentChatSystem');
+const Store = require('../src/storage/Store');
 
 describe('AgentChatSystem.getUserConversations', () => {
   test('returns correct total count regardless of pagination', async () => {
     const authSystem = new AuthSystem();
     const { user } = await authSystem.register({
       email: 'test@example.com',
-      password: 'password123',
+      password: 'TestPassword123!',
       firstName: 'Test',
       lastName: 'User'
     });
@@ -16,8 +20,240 @@ describe('AgentChatSystem.getUserConversations', () => {
     await chatSystem.startConversation(user.id, 'meeting_facilitator');
     await chatSystem.startConversation(user.id, 'meeting_facilitator');
 
-    const result = chatSystem.getUserConversations(user.id, 2, 0);
+    const result = chatSystem.getUserConversations(user.id, { limit: 2, offset: 0 });
     expect(result.conversations).toHaveLength(2);
     expect(result.total).toBe(3);
   });
 });
+
+describe('AgentChatSystem.reloadConfig', () => {
+  let workDir;
+  let authSystem;
+  let user;
+
+  const options = () => ({
+    teamsDir: path.join(workDir, 'teams'),
+    policyFile: path.join(workDir, 'policies', 'governance-policies.yaml')
+  });
+
+  beforeAll(async () => {
+    authSystem = new AuthSystem();
+    ({ user } = await authSystem.register({
+      email: 'reload@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Reload',
+      lastName: 'User'
+    }));
+  });
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'boardroom-'));
+    fs.cpSync(path.join(__dirname, '../teams'), path.join(workDir, 'teams'), { recursive: true });
+    fs.cpSync(path.join(__dirname, '../policies'), path.join(workDir, 'policies'), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('swaps profiles and keeps active conversations on their starting version', async () => {
+    const chatSystem = new AgentChatSystem(authSystem, undefined, options());
+    const { conversation } = await chatSystem.startConversation(user.id, 'meeting_facilitator');
+    const reloaded = jest.fn();
+    chatSystem.on('configReloaded', reloaded);
+
+    const manifest = path.join(workDir, 'teams/fun-zones/meeting-facilitator.yaml');
+    fs.writeFileSync(manifest, fs.readFileSync(manifest, 'utf8').replace('temperature: 0.5', 'temperature: 0.7'));
+
+    const startingVersion = chatSystem.configVersion;
+    const result = chatSystem.reloadConfig();
+
+    expect(result).toMatchObject({ success: true, previousVersion: startingVersion });
+    expect(result.version).not.toBe(startingVersion);
+    expect(reloaded).toHaveBeenCalledWith(expect.objectContaining({ version: result.version }));
+    expect(chatSystem.agentProfiles.meeting_facilitator.temperature).toBe(0.7);
+    const stored = chatSystem.conversations.get(conversation.id);
+    expect(chatSystem.getAgentProfile(stored).temperature).toBe(0.5);
+    expect(chatSystem.getConfigStatus().retainedVersions).toEqual([startingVersion, result.version]);
+  });
+
+  test('keeps stored conversations on their own configuration after a restart', async () => {
+    const manifest = path.join(workDir, 'teams/fun-zones/meeting-facilitator.yaml');
+    const setTemperature = (from, to) => fs.writeFileSync(manifest, fs.readFileSync(manifest, 'utf8').replace(`temperature: ${from}`, `temperature: ${to}`));
+
+    const before = new AgentChatSystem(authSystem, undefined, options());
+    setTemperature(0.5, 0.7);
+    before.reloadConfig();
+    const { conversation } = await before.startConversation(user.id, 'meeting_facilitator');
+
+    const after = new AgentChatSystem(authSystem, undefined, options());
+    setTemperature(0.7, 0.9);
+    after.reloadConfig();
+
+    const stored = after.conversations.get(conversation.id);
+    expect(after.agentProfiles.meeting_facilitator.temperature).toBe(0.9);
+    expect(after.getAgentProfile(stored).temperature).toBe(0.7);
+  });
+
+  test('rejects an invalid reload without applying any of it', () => {
+    const chatSystem = new AgentChatSystem(authSystem, undefined, options());
+    const startingVersion = chatSystem.configVersion;
+    const failed = jest.fn();
+    chatSystem.on('configReloadFailed', failed);
+
+    const manifest = path.join(workDir, 'teams/executive-suite/ceo-agent.yaml');
+    fs.writeFileSync(manifest, fs.readFileSync(manifest, 'utf8').replace('temperature: 0.3', 'temperature: 0.6'));
+    fs.writeFileSync(options().policyFile, 'apiVersion: v1\nkind: GovernancePolicies\n');
+
+    expect(() => chatSystem.reloadConfig()).toThrow(/governance-policies\.yaml \(metadata\)/);
+    expect(failed).toHaveBeenCalledWith(expect.objectContaining({
+      version: startingVersion,
+      errors: expect.arrayContaining([expect.objectContaining({ path: 'spec' })])
+    }));
+    expect(chatSystem.configVersion).toBe(startingVersion);
+    expect(chatSystem.agentProfiles.ceo.temperature).toBe(0.3);
+    expect(chatSystem.getConfigStatus().lastReload.success).toBe(false);
+  });
+});
+
+describe('AgentChatSystem streaming', () => {
+  let authSystem;
+  let user;
+
+  beforeAll(async () => {
+    authSystem = new AuthSystem();
+    ({ user } = await authSystem.register({
+      email: 'stream@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Stream',
+      lastName: 'User'
+    }));
+  });
+
+  test('emits deltas and a final messageComplete', async () => {
+    const chatSystem = new AgentChatSystem(authSystem);
+    const { conversation } = await chatSystem.startConversation(user.id, 'company_mascot');
+    const deltas = [];
+    const completed = jest.fn();
+    chatSystem.on('messageDelta', event => deltas.push(event.delta));
+    chatSystem.on('messageComplete', completed);
+
+    const result = await chatSystem.sendMessage(user.id, conversation.id, 'Tell me a joke');
+
+    expect(deltas.join('')).toBe(result.message.content);
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(completed).toHaveBeenCalledWith(expect.objectContaining({ message: result.message }));
+  });
+
+  test('cancelMessage stores the partial response flagged as truncated', async () => {
+    const chatSystem = new AgentChatSystem(authSystem);
+    const { conversation } = await chatSystem.startConversation(user.id, 'company_mascot');
+    chatSystem.once('messageDelta', () => {
+      expect(chatSystem.cancelMessage(user.id, conversation.id).success).toBe(true);
+    });
+
+    const result = await chatSystem.sendMessage(user.id, conversation.id, 'one two three four five');
+
+    expect(result.message.metadata).toMatchObject({ truncated: true, cancelled: true });
+    expect(result.message.content).toBe('[echo:gpt-4o] ');
+    const stored = chatSystem.getConversation(user.id, conversation.id).conversation;
+    expect(stored.messages[stored.messages.length - 1].metadata.truncated).toBe(true);
+    expect(chatSystem.cancelMessage(user.id, conversation.id).success).toBe(false);
+  });
+});
+
+describe('AgentChatSystem conversation lifecycle', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let authSystem;
+  let user;
+  let now;
+  let chatSystem;
+
+  beforeAll(async () => {
+    authSystem = new AuthSystem();
+    ({ user } = await authSystem.register({
+      email: 'lifecycle@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Lifecycle',
+      lastName: 'User'
+    }, { role: 'employee' }));
+  });
+
+  beforeEach(() => {
+    now = Date.parse('2026-03-01T09:00:00Z');
+    chatSystem = new AgentChatSystem(authSystem, undefined, { store: new Store(), clock: () => now, retentionMs: 7 * DAY });
+  });
+
+  test('ends, reopens, archives and renames a conversation', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'meeting_facilitator');
+    const updates = [];
+    chatSystem.on('conversationUpdated', event => updates.push(event.action));
+
+    expect(chatSystem.endConversation(user.id, conversation.id).conversation.status).toBe('ended');
+    expect(() => chatSystem.endConversation(user.id, conversation.id)).toThrow(expect.objectContaining({ code: 'conversation_ended' }));
+    await expect(chatSystem.sendMessage(user.id, conversation.id, 'Hello?')).rejects.toMatchObject({ code: 'conversation_inactive' });
+
+    expect(chatSystem.reopenConversation(user.id, conversation.id).conversation).toMatchObject({ status: 'active', endedAt: null });
+    expect(() => chatSystem.reopenConversation(user.id, conversation.id)).toThrow(expect.objectContaining({ code: 'conversation_active' }));
+
+    expect(chatSystem.archiveConversation(user.id, conversation.id).conversation.archived).toBe(true);
+    expect(chatSystem.getUserConversations(user.id).total).toBe(0);
+    expect(chatSystem.getUserConversations(user.id, { archived: true }).total).toBe(1);
+
+    expect(chatSystem.renameConversation(user.id, conversation.id, 'Offsite planning').conversation.title).toBe('Offsite planning');
+    expect(updates).toEqual(['ended', 'reopened', 'archived', 'renamed']);
+  });
+
+  test('filters conversations by status, agent and last activity', async () => {
+    const { conversation: first } = await chatSystem.startConversation(user.id, 'meeting_facilitator');
+    now += DAY;
+    const { conversation: second } = await chatSystem.startConversation(user.id, 'company_mascot');
+    chatSystem.endConversation(user.id, second.id);
+
+    const ids = (filters) => chatSystem.getUserConversations(user.id, filters).conversations.map(conv => conv.id);
+    expect(ids({ status: 'active' })).toEqual([first.id]);
+    expect(ids({ status: 'ended' })).toEqual([second.id]);
+    expect(ids({ agentId: 'company_mascot' })).toEqual([second.id]);
+    expect(ids({ from: new Date(first.startedAt.getTime() + 1) })).toEqual([second.id]);
+    expect(ids({ to: first.lastActivity })).toEqual([first.id]);
+    expect(() => chatSystem.getUserConversations(user.id, { from: 'yesterday' })).toThrow('Invalid time range');
+  });
+
+  test('deleted conversations can be restored until the retention window ends', async () => {
+    const { conversation: kept } = await chatSystem.startConversation(user.id, 'meeting_facilitator');
+    const { conversation: expired } = await chatSystem.startConversation(user.id, 'meeting_facilitator');
+    const purged = jest.fn();
+    chatSystem.on('conversationPurged', purged);
+
+    const deleted = chatSystem.deleteConversation(user.id, kept.id);
+    expect(deleted.purgeAfter).toEqual(new Date(now + 7 * DAY));
+    chatSystem.deleteConversation(user.id, expired.id);
+    expect(() => chatSystem.getConversation(user.id, kept.id)).toThrow(expect.objectContaining({ code: 'conversation_not_found' }));
+    expect(chatSystem.getUserConversations(user.id).total).toBe(0);
+    expect(chatSystem.getUserConversations(user.id, { deleted: true }).total).toBe(2);
+
+    now += 6 * DAY;
+    expect(chatSystem.restoreConversation(user.id, kept.id).conversation.deletedAt).toBeNull();
+    expect(() => chatSystem.restoreConversation(user.id, kept.id)).toThrow(expect.objectContaining({ code: 'conversation_not_deleted' }));
+
+    now += 2 * DAY;
+    expect(() => chatSystem.restoreConversation(user.id, expired.id)).toThrow(expect.objectContaining({ code: 'conversation_not_found' }));
+    expect(chatSystem.conversations.get(expired.id)).toBeUndefined();
+    expect(purged).toHaveBeenCalledWith({ conversationId: expired.id, userId: user.id });
+    expect(chatSystem.getUserConversations(user.id).conversations.map(conv => conv.id)).toEqual([kept.id]);
+  });
+
+  test('purges a conversation immediately and audits every change', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'meeting_facilitator');
+    chatSystem.deleteConversation(user.id, conversation.id);
+
+    expect(chatSystem.purgeConversation(user.id, conversation.id).success).toBe(true);
+    expect(chatSystem.conversations.get(conversation.id)).toBeUndefined();
+    expect(() => chatSystem.purgeConversation(user.id, conversation.id)).toThrow(expect.objectContaining({ code: 'conversation_not_found' }));
+
+    const actions = chatSystem.auditLog.query({ action: 'conversation.*' }).records
+      .filter(record => record.target.id === conversation.id)
+      .map(record => record.action);
+    expect(actions).toEqual(['conversation.purged', 'conversation.deleted', 'conversation.started']);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * 🔗 Integration Tests for Account Verification and Recovery
+ * Agentic Boardroom Password Policy, Email Verification and Password Reset API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Account Recovery API', () => {
+  let server;
+
+  const mailTo = (email) => server.mailer.transport.outbox.filter(message => message.to === email).pop();
+  const tokenFrom = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+  });
+
+  test('should enforce the password policy and email format at registration', async () => {
+    const policy = await request(server.app)
+      .get('/api/auth/password-policy')
+      .expect(200);
+    expect(policy.body.policy).toMatchObject({ minLength: 12, minCharacterClasses: 3 });
+
+    const weak = await request(server.app)
+      .post('/api/auth/register')
+      .send(global.testUtils.generateTestUser({ password: 'password123' }))
+      .expect(422);
+    expect(weak.body.error).toContain('Password must be at least 12 characters');
+    expect(weak.body.errors[0]).toEqual({ path: 'password', message: 'Password must be at least 12 characters' });
+
+    const breached = await request(server.app)
+      .post('/api/auth/register')
+      .send(global.testUtils.generateTestUser({ password: 'Welcome2025!' }))
+      .expect(422);
+    expect(breached.body.error).toBe('Password appears in a list of breached passwords');
+
+    await request(server.app)
+      .post('/api/auth/register')
+      .send(global.testUtils.generateTestUser({ email: 'nobody-at-example.com' }))
+      .expect(422);
+  });
+
+  test('should give self-registered users the default role and refuse a chosen one', async () => {
+    const rejected = await request(server.app)
+      .post('/api/v1/auth/register')
+      .send(global.testUtils.generateTestUser({ email: 'climber@example.com', role: 'super_admin' }))
+      .expect(422);
+    expect(rejected.body.errors).toEqual([{ path: 'body.role', message: 'role is not allowed' }]);
+    expect(server.authSystem.findUserByEmail('climber@example.com')).toBeFalsy();
+
+    const registered = await request(server.app)
+      .post('/api/v1/auth/register')
+      .send(global.testUtils.generateTestUser({ email: 'climber@example.com' }))
+      .expect(200);
+    expect(registered.body.user).toMatchObject({ role: 'employee', permissions: server.authSystem.roles.employee.permissions });
+  });
+
+  test('should verify the email address from the mailed link', async () => {
+    const testUser = global.testUtils.generateTestUser({ email: 'verify-me@example.com' });
+    const registered = await request(server.app)
+      .post('/api/auth/register')
+      .send(testUser)
+      .expect(200);
+    expect(registered.body.user.emailVerified).toBe(false);
+
+    const token = tokenFrom(mailTo(testUser.email));
+    const verified = await request(server.app)
+      .post('/api/auth/verify-email')
+      .send({ token })
+      .expect(200);
+    expect(verified.body.user).toMatchObject({ email: testUser.email, emailVerified: true });
+
+    await request(server.app)
+      .post('/api/auth/verify-email')
+      .send({ token })
+      .expect(400);
+
+    const login = await request(server.app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password })
+      .expect(200);
+    const resend = await request(server.app)
+      .post('/api/auth/verify-email/resend')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .expect(409);
+    expect(resend.body).toMatchObject({ error: 'Email address is already verified', code: 'email_verified' });
+  });
+
+  test('should reset a forgotten password without revealing which accounts exist', async () => {
+    const testUser = global.testUtils.generateTestUser({ email: 'forgetful@example.com' });
+    await server.authSystem.register(testUser, { role: 'employee' });
+    const { token: sessionToken } = await server.authSystem.login(testUser.email, testUser.password);
+
+    const unknown = await request(server.app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+    const known = await request(server.app)
+      .post('/api/auth/forgot-password')
+      .send({ email: testUser.email })
+      .expect(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(server.mailer.transport.outbox.some(message => message.to === 'nobody@example.com')).toBe(false);
+
+    const reset = mailTo(testUser.email);
+    expect(reset.subject).toBe('Reset your password');
+    const resetToken = tokenFrom(reset);
+
+    await request(server.app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, newPassword: 'short' })
+      .expect(422);
+    const result = await request(server.app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, newPassword: 'Remembered-It-Now-7' })
+      .expect(200);
+    expect(result.body.revokedSessions).toBe(1);
+
+    await request(server.app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, newPassword: 'Remembered-It-Again-8' })
+      .expect(400);
+    const revoked = await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${sessionToken}`)
+      .expect(401);
+    expect(revoked.body.code).toBe('session_revoked');
+    await request(server.app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: 'Remembered-It-Now-7' })
+      .expect(200);
+  });
+
+  test('should link organization members back to their organization', async () => {
+    const adminUser = global.testUtils.generateTestUser({ email: 'recovery-admin@example.com' });
+    await server.authSystem.register(adminUser, { role: 'super_admin' });
+    const { token } = await server.authSystem.login(adminUser.email, adminUser.password);
+    await request(server.app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        id: 'globex',
+        name: 'Globex',
+        admin: { email: 'owner@globex.example.com', password: 'GlobexPassword123!', firstName: 'Globex', lastName: 'Owner' }
+      })
+      .expect(201);
+
+    const message = mailTo('owner@globex.example.com');
+    expect(new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('organization')).toBe('globex');
+
+    // The link only works against its own organization
+    await request(server.app)
+      .post('/api/auth/verify-email')
+      .send({ token: tokenFrom(message) })
+      .expect(400);
+    await request(server.app)
+      .post('/api/auth/verify-email')
+      .set('X-Organization-Id', 'globex')
+      .send({ token: tokenFrom(message) })
+      .expect(200);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * 🔗 Integration Tests for User Administration
+ * Agentic Boardroom Admin Users API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Admin Users API', () => {
+  let server;
+  let admin;
+  let adminToken;
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    const { user } = await server.authSystem.register(testUser, { role });
+    const { token } = await server.authSystem.login(testUser.email, testUser.password);
+    return { user, token, password: testUser.password };
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    ({ user: admin, token: adminToken } = await login('super_admin', 'root-admin@example.com'));
+  });
+
+  test('should restrict user administration to admins', async () => {
+    const { token } = await login('executive', 'exec-admin-api@example.com');
+
+    await request(server.app)
+      .get('/api/admin/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  test('should search users', async () => {
+    const response = await request(server.app)
+      .get('/api/admin/users')
+      .query({ search: 'exec-admin-api', limit: 10 })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.users[0]).not.toHaveProperty('password');
+  });
+
+  test('should change roles, deactivate and reactivate users', async () => {
+    const { user, token } = await login('employee', 'managed@example.com');
+
+    const role = await request(server.app)
+      .patch(`/api/admin/users/${user.id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'manager' })
+      .expect(200);
+    expect(role.body).toMatchObject({ performedBy: admin.id, user: { role: 'manager' } });
+
+    await request(server.app)
+      .post(`/api/admin/users/${user.id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    const refused = await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+    expect(refused.body.code).toBe('account_inactive');
+
+    const reactivated = await request(server.app)
+      .post(`/api/admin/users/${user.id}/reactivate`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(reactivated.body).toMatchObject({ performedBy: admin.id, user: { isActive: true } });
+  });
+
+  test('should delete a user and erase their conversations', async () => {
+    const { user } = await login('employee', 'erased@example.com');
+    await server.agentChatSystem.startConversation(user.id, 'company_mascot');
+
+    const response = await request(server.app)
+      .delete(`/api/admin/users/${user.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ success: true, performedBy: admin.id, erased: { conversations: 1 } });
+    expect(server.authSystem.users.has(user.id)).toBe(false);
+  });
+
+  test('should erase meetings and anonymize decisions and spend requests of a deleted user', async () => {
+    const { user } = await login('manager', 'erased-manager@example.com');
+    const { meeting } = server.meetingSystem.create(user.id, { title: 'Roadmap', agenda: ['Q3 roadmap'], attendees: ['research_director'] });
+    const { decision } = server.decisionSystem.propose(user.id, { title: 'Adopt a new CI provider', description: 'Move builds off the old runners' });
+    const { spendRequest } = server.spendApprovalEngine.submit(user.id, { amount: 9000, purpose: 'Conference booth' });
+
+    const response = await request(server.app)
+      .delete(`/api/v1/admin/users/${user.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      erased: { conversations: 0, meetings: 1 },
+      anonymized: { decisions: 1, spendRequests: 1 }
+    });
+    expect(server.meetingSystem.meetings.has(meeting.id)).toBe(false);
+    expect(server.decisionSystem.decisions.get(decision.id).proposedBy).toBeNull();
+    const anonymized = server.spendApprovalEngine.spendRequests.get(spendRequest.id);
+    expect(anonymized.requestedBy).toBeNull();
+    expect(JSON.stringify(anonymized)).not.toContain(user.id);
+  });
+
+  test('should let users change their own password', async () => {
+    const { token, password } = await login('employee', 'rotate@example.com');
+
+    const wrong = await request(server.app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'incorrect', newPassword: 'AnotherPassword1!' })
+      .expect(422);
+    expect(wrong.body.errors).toEqual([{ path: 'currentPassword', message: 'Current password is incorrect' }]);
+
+    await request(server.app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: password, newPassword: 'AnotherPassword1!' })
+      .expect(200);
+
+    await request(server.app)
+      .post('/api/auth/login')
+      .send({ email: 'rotate@example.com', password: 'AnotherPassword1!' })
+      .expect(200);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * 🔗 Integration Tests for Agent Access
+ * Agentic Boardroom Agent Grant and Access Request API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Agent Access API', () => {
+  let server;
+  let adminToken;
+  let executiveToken;
+  let manager;
+  let managerToken;
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    const { user } = await server.authSystem.register(testUser, { role });
+    const { token } = await server.authSystem.login(testUser.email, testUser.password);
+    return { user, token };
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    ({ token: adminToken } = await login('super_admin', 'access-admin@example.com'));
+    ({ token: executiveToken } = await login('executive', 'access-exec@example.com'));
+    ({ user: manager, token: managerToken } = await login('manager', 'access-manager@example.com'));
+  });
+
+  test('should let an executive approve an access request', async () => {
+    const created = await request(server.app)
+      .post('/api/agent-access/requests')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ agentId: 'cfo', justification: 'Budget planning for project Atlas', durationDays: 14 })
+      .expect(201);
+
+    await request(server.app)
+      .post(`/api/agent-access/requests/${created.body.request.id}/approve`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+
+    await request(server.app)
+      .post(`/api/agent-access/requests/${created.body.request.id}/approve`)
+      .set('Authorization', `Bearer ${executiveToken}`)
+      .send({ note: 'Approved for the project' })
+      .expect(200);
+
+    const agents = await request(server.app)
+      .get('/api/agents')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+    expect(agents.body.agents).toHaveProperty('cfo');
+  });
+
+  test('should reject requests for unknown agents', async () => {
+    await request(server.app)
+      .post('/api/agent-access/requests')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ agentId: 'overlord', justification: 'Curious' })
+      .expect(422);
+  });
+
+  test('should let admins issue and revoke grants', async () => {
+    const granted = await request(server.app)
+      .post(`/api/admin/users/${manager.id}/agent-grants`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ agentId: 'research_director', effect: 'deny', justification: 'Conflict of interest' })
+      .expect(201);
+
+    await request(server.app)
+      .post('/api/agents/research_director/chat')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ message: 'Hello' })
+      .expect(403);
+
+    await request(server.app)
+      .delete(`/api/admin/agent-grants/${granted.body.grant.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const grants = await request(server.app)
+      .get(`/api/admin/users/${manager.id}/agent-grants`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(grants.body.inactive.map(grant => grant.id)).toContain(granted.body.grant.id);
+
+    const missing = await request(server.app)
+      .get('/api/admin/users/nobody/agent-grants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+    expect(missing.body.code).toBe('user_not_found');
+  });
+
+  test('should refuse further messages once a grant is revoked', async () => {
+    const granted = await request(server.app)
+      .post(`/api/admin/users/${manager.id}/agent-grants`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ agentId: 'ceo', effect: 'allow', justification: 'Strategy offsite' })
+      .expect(201);
+    const started = await request(server.app)
+      .post('/api/agents/ceo/chat')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ message: 'Hello' })
+      .expect(200);
+    const conversationId = started.body.conversation.id;
+
+    await request(server.app)
+      .delete(`/api/admin/agent-grants/${granted.body.grant.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const refused = await request(server.app)
+      .post(`/api/conversations/${conversationId}/messages`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ message: 'One more thing' })
+      .expect(403);
+    expect(refused.body.code).toBe('agent_access_denied');
+    await request(server.app)
+      .post(`/api/conversations/${conversationId}/stream`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ message: 'One more thing' })
+      .expect(403);
+    await request(server.app)
+      .get(`/api/conversations/${conversationId}/stream`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(403);
+
+    const { conversation } = server.agentChatSystem.getConversation(manager.id, conversationId);
+    expect(conversation.messages).toHaveLength(3);
+  });
+});
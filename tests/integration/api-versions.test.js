@@ -0,0 +1,95 @@
+/**
+ * 🔗 Integration Tests for API Versions and Errors
+ * Agentic Boardroom /api/v1 Routing, Deprecated Aliases and Error Envelope Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('API Versions and Errors', () => {
+  let server;
+  let employeeToken;
+  let otherToken;
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    await server.authSystem.register(testUser, { role });
+    return (await server.authSystem.login(testUser.email, testUser.password)).token;
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    employeeToken = await login('employee', 'versions-employee@example.com');
+    otherToken = await login('employee', 'versions-other@example.com');
+  });
+
+  test('should serve the API under /api/v1', async () => {
+    const response = await request(server.app)
+      .get('/api/v1/agents')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.headers.deprecation).toBeUndefined();
+  });
+
+  test('should keep the unversioned paths as deprecated aliases', async () => {
+    const response = await request(server.app)
+      .get('/api/agents')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+
+    expect(response.headers.deprecation).toBe('true');
+    expect(response.headers.link).toBe('</api/v1/agents>; rel="successor-version"');
+  });
+
+  test('should answer unknown routes with a JSON 404', async () => {
+    const response = await request(server.app).get('/api/v1/nowhere').expect(404);
+    expect(response.body).toEqual({ success: false, error: 'No route for GET /api/v1/nowhere', code: 'route_not_found' });
+  });
+
+  test('should map typed errors to their status and code', async () => {
+    const auth = { Authorization: `Bearer ${employeeToken}` };
+
+    const missing = await request(server.app).get('/api/v1/conversations/unknown').set(auth).expect(404);
+    expect(missing.body).toEqual({ success: false, error: 'Conversation not found', code: 'conversation_not_found' });
+
+    const { body } = await request(server.app).post('/api/v1/agents/meeting_facilitator/chat').set(auth).send({}).expect(200);
+    const foreign = await request(server.app)
+      .get(`/api/v1/conversations/${body.conversation.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(403);
+    expect(foreign.body.code).toBe('conversation_access_denied');
+
+    const duplicate = await request(server.app)
+      .post('/api/v1/auth/register')
+      .send(global.testUtils.generateTestUser({ email: 'versions-employee@example.com' }))
+      .expect(409);
+    expect(duplicate.body).toEqual({ success: false, error: 'User already exists', code: 'user_exists' });
+
+    const denied = await request(server.app).get('/api/v1/admin/users').set(auth).expect(403);
+    expect(denied.body).toEqual({ success: false, error: 'Insufficient permissions', code: 'permission_denied', required: 'users:manage' });
+
+    const anonymous = await request(server.app).get('/api/v1/agents').expect(401);
+    expect(anonymous.body.code).toBe('token_required');
+  });
+
+  test('should report malformed JSON and server-side errors without leaking details', async () => {
+    const malformed = await request(server.app)
+      .post('/api/v1/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{invalid json}')
+      .expect(400);
+    expect(malformed.body).toEqual({ success: false, error: 'Request body is not valid JSON', code: 'invalid_json' });
+
+    expect(AgenticBoardroomServer.describeError(new TypeError('Cannot read properties of undefined'))).toEqual({
+      status: 500,
+      body: { success: false, error: 'Internal server error', code: 'internal_error' }
+    });
+    expect(AgenticBoardroomServer.describeError(new Error('Anthropic request failed: upstream timeout'))).toEqual({
+      status: 500,
+      body: { success: false, error: 'Internal server error', code: 'internal_error' }
+    });
+  });
+});
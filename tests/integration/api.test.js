@@ -183,7 +183,7 @@ describe('API Integration Tests', () => {
       const response = await request(app)
         .get('/api/agents')
         .set('Authorization', 'Bearer invalid-token')
-        .expect(403);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBeDefined();
@@ -0,0 +1,70 @@
+/**
+ * 🔗 Integration Tests for the Audit Log
+ * Agentic Boardroom Audit API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Audit API', () => {
+  let server;
+  let adminToken;
+  let employeeToken;
+  let employee;
+
+  const login = async (role) => {
+    const testUser = global.testUtils.generateTestUser({ email: `${role}-audit@example.com` });
+    const { user } = await server.authSystem.register(testUser, { role });
+    const { token } = await server.authSystem.login(testUser.email, testUser.password);
+    return { user, token };
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    ({ token: adminToken } = await login('super_admin'));
+    ({ user: employee, token: employeeToken } = await login('employee'));
+  });
+
+  test('should restrict the audit log to admins', async () => {
+    await request(server.app)
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(403);
+  });
+
+  test('should filter audit records by actor and action', async () => {
+    await request(server.app)
+      .post('/api/auth/login')
+      .send({ email: 'employee-audit@example.com', password: 'wrong-password' })
+      .expect(401);
+
+    const response = await request(server.app)
+      .get('/api/audit')
+      .query({ actor: employee.id, action: 'auth.login.*' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.records.map(record => record.action)).toEqual(['auth.login.failure', 'auth.login.success']);
+    expect(response.body.records[0].details.reason).toBe('invalid_password');
+  });
+
+  test('should reject an invalid time range', async () => {
+    const response = await request(server.app)
+      .get('/api/audit')
+      .query({ from: 'yesterday-ish' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(422);
+
+    expect(response.body.errors[0].path).toBe('query.from');
+  });
+
+  test('should verify the hash chain', async () => {
+    const response = await request(server.app)
+      .get('/api/audit/verify')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.verification.valid).toBe(true);
+  });
+});
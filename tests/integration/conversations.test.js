@@ -0,0 +1,157 @@
+/**
+ * 🔗 Integration Tests for Conversation Lifecycle
+ * Agentic Boardroom End, Reopen, Archive, Rename, Delete, Restore and Purge Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Conversation Lifecycle API', () => {
+  let server;
+  let token;
+  let otherToken;
+  let user;
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    const registered = await server.authSystem.register(testUser, { role });
+    const { token } = await server.authSystem.login(testUser.email, testUser.password);
+    return { user: registered.user, token };
+  };
+
+  const startConversation = async (agentId = 'meeting_facilitator') => {
+    const response = await request(server.app)
+      .post(`/api/v1/agents/${agentId}/chat`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(200);
+    return response.body.conversation;
+  };
+
+  const listIds = async (query = '') => {
+    const response = await request(server.app)
+      .get(`/api/v1/conversations${query}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    return response.body.conversations.map(conversation => conversation.id);
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    ({ user, token } = await login('employee', 'lifecycle-owner@example.com'));
+    ({ token: otherToken } = await login('employee', 'lifecycle-other@example.com'));
+  });
+
+  test('should end, reopen, archive and rename a conversation', async () => {
+    const conversation = await startConversation();
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const ended = await request(server.app).post(`/api/v1/conversations/${conversation.id}/end`).set(auth).expect(200);
+    expect(ended.body.conversation.status).toBe('ended');
+    expect(await listIds('?status=ended')).toContain(conversation.id);
+
+    const again = await request(server.app).post(`/api/v1/conversations/${conversation.id}/end`).set(auth).expect(409);
+    expect(again.body.code).toBe('conversation_ended');
+
+    await request(server.app)
+      .post(`/api/v1/conversations/${conversation.id}/messages`)
+      .set(auth)
+      .send({ message: 'Still there?' })
+      .expect(409);
+
+    const reopened = await request(server.app).post(`/api/v1/conversations/${conversation.id}/reopen`).set(auth).expect(200);
+    expect(reopened.body.conversation.status).toBe('active');
+
+    await request(server.app).post(`/api/v1/conversations/${conversation.id}/archive`).set(auth).expect(200);
+    expect(await listIds()).not.toContain(conversation.id);
+    expect(await listIds('?archived=true')).toContain(conversation.id);
+    await request(server.app).post(`/api/v1/conversations/${conversation.id}/unarchive`).set(auth).expect(200);
+    expect(await listIds()).toContain(conversation.id);
+
+    const renamed = await request(server.app)
+      .patch(`/api/v1/conversations/${conversation.id}`)
+      .set(auth)
+      .send({ title: '  Q3 hiring plan  ' })
+      .expect(200);
+    expect(renamed.body.conversation.title).toBe('Q3 hiring plan');
+  });
+
+  test('should filter the conversation list by agent and last activity', async () => {
+    const mascot = await startConversation('company_mascot');
+
+    expect(await listIds('?agentId=company_mascot')).toEqual([mascot.id]);
+    expect(await listIds(`?from=${encodeURIComponent(mascot.lastActivity)}`)).toEqual([mascot.id]);
+    expect(await listIds('?to=2000-01-01T00:00:00Z')).toEqual([]);
+
+    const invalid = await request(server.app)
+      .get('/api/v1/conversations?status=paused')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(422);
+    expect(invalid.body.errors[0].path).toBe('query.status');
+  });
+
+  test('should delete, restore and purge conversations', async () => {
+    const conversation = await startConversation();
+    const auth = { Authorization: `Bearer ${token}` };
+
+    const deleted = await request(server.app).delete(`/api/v1/conversations/${conversation.id}`).set(auth).expect(200);
+    expect(new Date(deleted.body.purgeAfter).getTime()).toBeGreaterThan(Date.now());
+    await request(server.app).get(`/api/v1/conversations/${conversation.id}`).set(auth).expect(404);
+    expect(await listIds()).not.toContain(conversation.id);
+    expect(await listIds('?deleted=true')).toEqual([conversation.id]);
+
+    const restored = await request(server.app).post(`/api/v1/conversations/${conversation.id}/restore`).set(auth).expect(200);
+    expect(restored.body.conversation.deletedAt).toBeNull();
+    await request(server.app).get(`/api/v1/conversations/${conversation.id}`).set(auth).expect(200);
+
+    await request(server.app).delete(`/api/v1/conversations/${conversation.id}?permanent=true`).set(auth).expect(200);
+    const gone = await request(server.app).post(`/api/v1/conversations/${conversation.id}/restore`).set(auth).expect(404);
+    expect(gone.body.code).toBe('conversation_not_found');
+  });
+
+  test('should keep other users out of a conversation\'s lifecycle', async () => {
+    const conversation = await startConversation();
+
+    for (const [method, path] of [['post', '/end'], ['post', '/archive'], ['patch', ''], ['delete', '']]) {
+      const response = await request(server.app)[method](`/api/v1/conversations/${conversation.id}${path}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send(method === 'patch' ? { title: 'Mine now' } : {})
+        .expect(403);
+      expect(response.body.code).toBe('conversation_access_denied');
+    }
+  });
+
+  test('should run lifecycle operations over the socket', async () => {
+    const conversation = await startConversation();
+    const [onConnection] = server.io.sockets.listeners('connection');
+    const handlers = {};
+    const socket = {
+      id: 'lifecycle-socket',
+      userId: user.id,
+      user,
+      tenant: server.defaultTenant,
+      on: (event, handler) => { handlers[event] = handler; },
+      emit: jest.fn(),
+      join: jest.fn()
+    };
+    onConnection(socket);
+    const updates = [];
+    const record = event => updates.push(event);
+    server.agentChatSystem.on('conversationUpdated', record);
+
+    handlers.renameConversation({ conversationId: conversation.id, title: 'From the socket' });
+    handlers.archiveConversation({ conversationId: conversation.id });
+    handlers.endConversation({ conversationId: conversation.id });
+    handlers.deleteConversation({ conversationId: conversation.id });
+    handlers.restoreConversation({ conversationId: conversation.id });
+    handlers.deleteConversation({ conversationId: conversation.id, permanent: true });
+    handlers.reopenConversation({ conversationId: conversation.id });
+    server.agentChatSystem.off('conversationUpdated', record);
+
+    expect(updates.map(update => update.action)).toEqual(['renamed', 'archived', 'ended', 'deleted', 'restored']);
+    expect(updates[0].conversation.title).toBe('From the socket');
+    expect(server.agentChatSystem.conversations.get(conversation.id)).toBeUndefined();
+    expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ code: 'conversation_not_found' }));
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * 🔗 Integration Tests for Decisions
+ * Agentic Boardroom Decision Routing and Consensus API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Decisions API', () => {
+  let server;
+  let authToken;
+
+  const waitForReview = async (decisionId) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await request(server.app)
+        .get(`/api/decisions/${decisionId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      if (!['proposed', 'under_review'].includes(response.body.decision.status)) {
+        return response.body.decision;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Decision review did not finish');
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    const testUser = global.testUtils.generateTestUser();
+    await server.authSystem.register(testUser, { role: 'super_admin' });
+    ({ token: authToken } = await server.authSystem.login(testUser.email, testUser.password));
+  });
+
+  test('should route a decision and collect agent votes', async () => {
+    const agentAnswers = {
+      cto: 'APPROVE - the architecture is sound.',
+      quality_assurance: 'APPROVE. Test coverage is in place.'
+    };
+    jest.spyOn(server.agentChatSystem.aiProviders, 'complete').mockImplementation(async (model, req) => {
+      const agentId = Object.keys(agentAnswers).find(id => req.systemPrompt.includes(server.agentChatSystem.agentProfiles[id].title));
+      return { content: agentAnswers[agentId] || 'ABSTAIN', provider: 'echo' };
+    });
+
+    const response = await request(server.app)
+      .post('/api/decisions')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Move the API to a new database platform' })
+      .expect(201);
+
+    expect(response.body.routing).toMatchObject({ category: 'technical_architecture', agent: { id: 'cto' } });
+    expect(response.body.decision.status).toBe('proposed');
+
+    const decision = await waitForReview(response.body.decision.id);
+    expect(decision.status).toBe('approved');
+    expect(decision.votes.map(vote => vote.rationale)).toEqual(['the architecture is sound.', 'Test coverage is in place.']);
+  });
+
+  test('should resolve escalated decisions', async () => {
+    jest.spyOn(server.agentChatSystem.aiProviders, 'complete').mockResolvedValue({ content: 'ABSTAIN', provider: 'echo' });
+
+    const response = await request(server.app)
+      .post('/api/decisions')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ category: 'strategic_planning', title: 'Acquire a competitor' })
+      .expect(201);
+    const decision = await waitForReview(response.body.decision.id);
+    expect(decision.status).toBe('escalated');
+
+    const resolved = await request(server.app)
+      .post(`/api/decisions/${decision.id}/resolve`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ outcome: 'rejected', rationale: 'Not this year' })
+      .expect(200);
+
+    expect(resolved.body.decision).toMatchObject({ status: 'rejected', resolution: { rationale: 'Not this year' } });
+  });
+
+  test('should reject unknown decisions', async () => {
+    await request(server.app)
+      .get('/api/decisions/unknown')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
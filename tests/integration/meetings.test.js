@@ -0,0 +1,60 @@
+/**
+ * 🔗 Integration Tests for Boardroom Meetings
+ * Agentic Boardroom Meeting API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Meetings API', () => {
+  let server;
+  let authToken;
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    const testUser = global.testUtils.generateTestUser();
+    await server.authSystem.register(testUser, { role: 'super_admin' });
+    ({ token: authToken } = await server.authSystem.login(testUser.email, testUser.password));
+  });
+
+  test('should run a meeting and serve the minutes as a download', async () => {
+    const created = await request(server.app)
+      .post('/api/meetings')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Quarterly planning', type: 'executive_meetings', agenda: ['Hiring plan'] })
+      .expect(201);
+    const { id } = created.body.meeting;
+
+    let meeting;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      ({ body: { meeting } } = await request(server.app)
+        .get(`/api/meetings/${id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200));
+      if (meeting.status === 'completed') break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(meeting.status).toBe('completed');
+    expect(meeting.transcript.map(turn => turn.agentId)).toEqual(
+      expect.arrayContaining(['meeting_facilitator', 'ceo', 'cto', 'cfo'])
+    );
+
+    const minutes = await request(server.app)
+      .get(`/api/meetings/${id}/minutes`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(minutes.headers['content-disposition']).toContain(`meeting-${id}.md`);
+    expect(minutes.text).toContain('# Quarterly planning');
+  });
+
+  test('should reject meetings without an agenda', async () => {
+    const response = await request(server.app)
+      .post('/api/meetings')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ title: 'Empty', attendees: ['ceo'] })
+      .expect(422);
+
+    expect(response.body.errors).toEqual([{ path: 'body.agenda', message: 'agenda is required' }]);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * 🔗 Integration Tests for Agent Memory
+ * Agentic Boardroom /api/v1/memories Listing, Deletion and Isolation Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+const { routes } = require('../../src/validation/schemas');
+
+describe('Memories API', () => {
+  let server;
+  let token;
+  let otherToken;
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    await server.authSystem.register(testUser, { role });
+    return (await server.authSystem.login(testUser.email, testUser.password)).token;
+  };
+
+  const chat = (agentId, message, as = token) => request(server.app)
+    .post(`/api/v1/agents/${agentId}/chat`)
+    .set('Authorization', `Bearer ${as}`)
+    .send({ message })
+    .expect(200);
+
+  const list = (query = {}, as = token) => request(server.app)
+    .get('/api/v1/memories')
+    .query(query)
+    .set('Authorization', `Bearer ${as}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    token = await login('executive', 'memories-owner@example.com');
+    otherToken = await login('executive', 'memories-other@example.com');
+
+    await chat('cfo', 'Our Q3 marketing budget is $2M. Where did it go?');
+    await chat('cto', 'We deploy on Fridays after the standup.');
+    await chat('cfo', 'My team owns the payroll budget.', otherToken);
+  });
+
+  test('should list what agents remember about the caller in the documented shape', async () => {
+    const response = await list();
+
+    expect(routes['GET /memories'].response.validate(response.body).error).toBeUndefined();
+    expect(response.body.total).toBe(2);
+    expect(response.body.memories.map(memory => memory.content).sort())
+      .toEqual(['Our Q3 marketing budget is $2M.', 'We deploy on Fridays after the standup.']);
+
+    const cfo = await list({ agentId: 'cfo' });
+    expect(cfo.body.memories).toEqual([expect.objectContaining({ agentId: 'cfo', namespace: 'executive/cfo', kind: 'fact' })]);
+  });
+
+  test('should delete one memory and refuse other users\' memories', async () => {
+    const [memory] = (await list({ agentId: 'cfo' })).body.memories;
+
+    const denied = await request(server.app)
+      .delete(`/api/v1/memories/${memory.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(403);
+    expect(denied.body.code).toBe('memory_access_denied');
+
+    const response = await request(server.app)
+      .delete(`/api/v1/memories/${memory.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(routes['DELETE /memories/:memoryId'].response.validate(response.body).error).toBeUndefined();
+
+    const missing = await request(server.app)
+      .delete(`/api/v1/memories/${memory.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(404);
+    expect(missing.body.code).toBe('memory_not_found');
+    expect((await list({ agentId: 'cfo' })).body.total).toBe(0);
+  });
+
+  test('should forget everything about the caller only', async () => {
+    const response = await request(server.app)
+      .delete('/api/v1/memories')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body).toMatchObject({ success: true, deleted: 1 });
+    expect((await list()).body.total).toBe(0);
+    expect((await list({}, otherToken)).body.total).toBe(1);
+  });
+
+  test('should require authentication', async () => {
+    await request(server.app).get('/api/v1/memories').expect(401);
+    await request(server.app).delete('/api/v1/memories').expect(401);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * 🔗 Integration Tests for the API Reference
+ * Agentic Boardroom OpenAPI Document, Explorer and Response Contract Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+const { routes } = require('../../src/validation/schemas');
+const responses = require('../../src/validation/responses');
+
+describe('API Reference', () => {
+  let server;
+  let adminToken;
+  let document;
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    const admin = global.testUtils.generateTestUser({ email: 'openapi-admin@example.com' });
+    await server.authSystem.register(admin, { role: 'super_admin' });
+    adminToken = (await server.authSystem.login(admin.email, admin.password)).token;
+
+    document = (await request(server.app).get('/api/v1/openapi.json').expect(200)).body;
+  });
+
+  test('should document every registered API route, and only those', () => {
+    const registered = server.api.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => Object.keys(layer.route.methods)
+        .map(method => `${method} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+    const documented = Object.entries(document.paths)
+      .flatMap(([path, operations]) => Object.keys(operations).map(method => `${method} ${path}`));
+
+    expect(documented.sort()).toEqual(registered.sort());
+    for (const [path, operations] of Object.entries(document.paths)) {
+      for (const operation of Object.values(operations)) {
+        expect({ path, summary: operation.summary }).toEqual({ path, summary: expect.any(String) });
+        expect(Object.keys(operation.responses)).toEqual(expect.arrayContaining(['400', '422']));
+      }
+    }
+  });
+
+  test('should describe security, permissions, bodies and error shapes', () => {
+    const createDecision = document.paths['/decisions'].post;
+    expect(createDecision.security).toEqual([{ bearerAuth: [] }]);
+    expect(createDecision['x-required-permission']).toBe('decisions:create');
+    expect(createDecision.requestBody.content['application/json'].schema.anyOf)
+      .toEqual([{ required: ['title'] }, { required: ['description'] }]);
+    expect(createDecision.responses['201'].content['application/json'].schema.properties.decision)
+      .toEqual({ $ref: '#/components/schemas/Decision' });
+    expect(createDecision.responses['422'].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/ValidationError' });
+
+    expect(document.paths['/auth/login'].post.security).toEqual([]);
+    expect(document.paths['/conversations/{conversationId}/stream'].get.responses['200'].content)
+      .toHaveProperty('text/event-stream');
+    expect(Object.keys(document.components.schemas)).toEqual(expect.arrayContaining(['User', 'Decision', 'Error', 'ValidationError']));
+    expect(Object.keys(document['x-socket-events'])).toEqual([
+      'authenticate', 'sendMessage', 'cancelMessage', 'endConversation', 'reopenConversation', 'archiveConversation',
+      'renameConversation', 'deleteConversation', 'restoreConversation', 'subscribeDecision'
+    ]);
+  });
+
+  test('should serve the API explorer from local assets', async () => {
+    const page = await request(server.app).get('/docs/api').expect(200);
+    expect(page.headers['content-type']).toMatch(/text\/html/);
+    const assets = [...page.text.matchAll(/(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+
+    expect(assets.filter(asset => /^https?:/.test(asset))).toEqual([]);
+    for (const asset of assets.filter(asset => asset.startsWith('/static/'))) {
+      await request(server.app).get(asset).expect(200);
+    }
+  });
+
+  test('should send responses that match the documented schemas', async () => {
+    const auth = { Authorization: `Bearer ${adminToken}` };
+    const { body: chat } = await request(server.app)
+      .post('/api/v1/agents/ceo/chat').set(auth).send({ message: 'Quarterly priorities?' }).expect(200);
+    const { body: created } = await request(server.app)
+      .post('/api/v1/decisions').set(auth).send({ title: 'Open a Berlin office', description: 'Expand into the DACH market' }).expect(201);
+
+    const samples = [
+      ['POST /auth/login', request(server.app).post('/api/v1/auth/login')
+        .send({ email: 'openapi-admin@example.com', password: global.testUtils.generateTestUser().password })],
+      ['GET /auth/profile', request(server.app).get('/api/v1/auth/profile').set(auth)],
+      ['GET /agents', request(server.app).get('/api/v1/agents').set(auth)],
+      ['GET /conversations/:conversationId', request(server.app).get(`/api/v1/conversations/${chat.conversation.id}`).set(auth)],
+      ['GET /decisions/:decisionId', request(server.app).get(`/api/v1/decisions/${created.decision.id}`).set(auth)],
+      ['GET /spend-requests/budget', request(server.app).get('/api/v1/spend-requests/budget').set(auth)],
+      ['GET /admin/roles', request(server.app).get('/api/v1/admin/roles').set(auth)],
+      ['GET /admin/users', request(server.app).get('/api/v1/admin/users').set(auth)],
+      ['GET /audit', request(server.app).get('/api/v1/audit?limit=5').set(auth)],
+      ['GET /system/status', request(server.app).get('/api/v1/system/status').set(auth)]
+    ];
+
+    expect({ route: 'POST /agents/:agentId/chat', error: routes['POST /agents/:agentId/chat'].response.validate(chat).error })
+      .toEqual({ route: 'POST /agents/:agentId/chat', error: undefined });
+    for (const [route, pending] of samples) {
+      const { body } = await pending.expect(200);
+      expect({ route, error: routes[route].response.validate(body).error }).toEqual({ route, error: undefined });
+    }
+  });
+
+  test('should send errors in the documented shapes', async () => {
+    const unauthorized = await request(server.app).get('/api/v1/auth/profile').expect(401);
+    expect(responses.error.validate(unauthorized.body).error).toBeUndefined();
+
+    const invalid = await request(server.app)
+      .post('/api/v1/decisions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ title: '' })
+      .expect(422);
+    expect(responses.validationError.validate(invalid.body).error).toBeUndefined();
+  });
+});
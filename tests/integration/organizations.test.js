@@ -0,0 +1,200 @@
+/**
+ * 🔗 Integration Tests for Organizations
+ * Agentic Boardroom Multi-Tenant Isolation Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Organizations API', () => {
+  let server;
+  let tenantsDir;
+  let adminToken;
+  let acmeToken;
+  let acmeAdmin;
+  const markers = [];
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    const { user } = await server.authSystem.register(testUser, { role });
+    const { token } = await server.authSystem.login(testUser.email, testUser.password);
+    return { user, token };
+  };
+
+  beforeAll(async () => {
+    // acme gets its own agent roster: only the fun-zones manifests
+    tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'boardroom-tenants-'));
+    fs.mkdirSync(path.join(tenantsDir, 'acme', 'teams'), { recursive: true });
+    fs.cpSync(path.join(__dirname, '../../teams/fun-zones'), path.join(tenantsDir, 'acme', 'teams', 'fun-zones'), { recursive: true });
+    process.env.TENANTS_DIR = tenantsDir;
+
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    let admin;
+    ({ user: admin, token: adminToken } = await login('super_admin', 'tenant-admin@example.com'));
+
+    const created = await request(server.app)
+      .post('/api/organizations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        id: 'acme',
+        name: 'Acme Corp',
+        admin: { email: 'owner@acme.example.com', password: 'AcmePassword123!', firstName: 'Acme', lastName: 'Owner' }
+      })
+      .expect(201);
+    acmeAdmin = created.body.admin;
+
+    const acmeLogin = await request(server.app)
+      .post('/api/auth/login')
+      .set('X-Organization-Id', 'acme')
+      .send({ email: 'owner@acme.example.com', password: 'AcmePassword123!' })
+      .expect(200);
+    acmeToken = acmeLogin.body.token;
+
+    // Data in the default organization that acme must never see
+    const { user: employee } = await login('employee', 'default-only@example.com');
+    const { conversation } = await server.agentChatSystem.startConversation(employee.id, 'company_mascot', 'default-tenant secret');
+    const { decision } = server.decisionSystem.propose(employee.id, { title: 'Default tenant decision' });
+    const { spendRequest } = server.spendApprovalEngine.submit(employee.id, { amount: 250, purpose: 'Default tenant spend' });
+    const { meeting } = server.meetingSystem.create(admin.id, { title: 'Default tenant meeting', type: 'executive_meetings', agenda: ['Hiring plan'] });
+    const { grant } = server.authSystem.agentGrants.grant(admin.id, employee.id, { agentId: 'cfo' });
+    const { request: accessRequest } = server.authSystem.agentGrants.requestAccess(employee.id, { agentId: 'cto', justification: 'Default tenant request' });
+    server.authSystem.createRole(admin.id, { id: 'default_only_role', name: 'Default Only', permissions: ['agents:read'] });
+
+    markers.push(
+      ['userId', employee.id], ['adminId', admin.id], ['conversationId', conversation.id],
+      ['decisionId', decision.id], ['requestId', spendRequest.id], ['meetingId', meeting.id],
+      ['grantId', grant.id], ['accessRequestId', accessRequest.id], ['roleId', 'default_only_role'],
+      ['email', 'default-only@example.com'], ['message', 'default-tenant secret']
+    );
+  });
+
+  afterAll(() => {
+    delete process.env.TENANTS_DIR;
+    fs.rmSync(tenantsDir, { recursive: true, force: true });
+  });
+
+  test('should keep users, agents and stats separate per organization', async () => {
+    const current = await request(server.app)
+      .get('/api/organizations/current')
+      .set('Authorization', `Bearer ${acmeToken}`)
+      .expect(200);
+    expect(current.body.organization).toMatchObject({ id: 'acme', subdomain: 'acme' });
+
+    const agents = await request(server.app)
+      .get('/api/agents')
+      .set('Authorization', `Bearer ${acmeToken}`)
+      .expect(200);
+    expect(Object.keys(agents.body.agents).sort()).toEqual(['company_mascot', 'culture_champion', 'meeting_facilitator']);
+
+    const status = await request(server.app)
+      .get('/api/system/status')
+      .set('Authorization', `Bearer ${acmeToken}`)
+      .expect(200);
+    expect(status.body.users.total).toBe(1);
+
+    // The same email can exist in two organizations
+    await request(server.app)
+      .post('/api/auth/register')
+      .set('X-Organization-Id', 'acme')
+      .send(global.testUtils.generateTestUser({ email: 'tenant-admin@example.com' }))
+      .expect(200);
+  });
+
+  test('should refuse tokens used against another organization', async () => {
+    const mismatch = await request(server.app)
+      .get('/api/agents')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('X-Organization-Id', 'acme')
+      .expect(403);
+    expect(mismatch.body.error).toBe('Token does not belong to this organization');
+
+    const forged = await server.tenants.get('acme').authSystem.verifyToken(adminToken);
+    expect(forged).toMatchObject({ success: false, error: 'Token belongs to another organization' });
+
+    await request(server.app)
+      .post('/api/auth/login')
+      .set('X-Organization-Id', 'nowhere')
+      .send({ email: 'owner@acme.example.com', password: 'AcmePassword123!' })
+      .expect(404);
+  });
+
+  test('should resolve organizations from the subdomain', async () => {
+    server.organizations.baseDomain = 'boardroom.test';
+    try {
+      await request(server.app)
+        .post('/api/auth/login')
+        .set('Host', 'acme.boardroom.test')
+        .send({ email: 'owner@acme.example.com', password: 'AcmePassword123!' })
+        .expect(200);
+
+      await request(server.app)
+        .get('/api/agents')
+        .set('Host', 'acme.boardroom.test')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(403);
+    } finally {
+      server.organizations.baseDomain = null;
+    }
+  });
+
+  test('should restrict organization management to the default organization', async () => {
+    await request(server.app)
+      .get('/api/organizations')
+      .set('Authorization', `Bearer ${acmeToken}`)
+      .expect(403);
+
+    await request(server.app)
+      .patch('/api/organizations/acme')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false })
+      .expect(200);
+    const inactive = await request(server.app)
+      .get('/api/agents')
+      .set('Authorization', `Bearer ${acmeToken}`)
+      .expect(403);
+    expect(inactive.body).toMatchObject({ success: false, code: 'organization_inactive' });
+
+    await request(server.app)
+      .patch('/api/organizations/acme')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: true })
+      .expect(200);
+  });
+
+  test('should not leak another organization\'s data from any API route', async () => {
+    const params = Object.fromEntries(markers.filter(([name]) => name.endsWith('Id')));
+    params.orgId = 'default';
+    params.agentId = 'cfo';
+
+    const routes = server.api.stack
+      .filter(layer => layer.route && !layer.route.path.includes('logout'))
+      .flatMap(layer => Object.keys(layer.route.methods).map(method => ({ method, path: layer.route.path })));
+    expect(routes.length).toBeGreaterThan(40);
+
+    for (const { method, path: routePath } of routes) {
+      const url = `/api/v1${routePath}`.replace(/:(\w+)/g, (match, name) =>
+        params[name === 'requestId' && routePath.includes('agent-access') ? 'accessRequestId' : name]);
+      const response = await request(server.app)[method](url)
+        .set('Authorization', `Bearer ${acmeToken}`)
+        .send({ message: 'probe' });
+
+      const body = `${response.status} ${response.text}`;
+      for (const [name, value] of markers) {
+        if (body.includes(value)) {
+          throw new Error(`${method.toUpperCase()} ${url} leaked the default organization's ${name}`);
+        }
+      }
+    }
+
+    // acme still works after every probe
+    const profile = await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${acmeToken}`)
+      .expect(200);
+    expect(profile.body.user.id).toBe(acmeAdmin.id);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * 🔗 Integration Tests for Roles and Permissions
+ * Agentic Boardroom Role Administration API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Roles API', () => {
+  let server;
+  let adminToken;
+  let employee;
+  let employeeToken;
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    const { user } = await server.authSystem.register(testUser, { role });
+    const { token } = await server.authSystem.login(testUser.email, testUser.password);
+    return { user, token };
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    ({ token: adminToken } = await login('super_admin', 'roles-admin@example.com'));
+    ({ user: employee, token: employeeToken } = await login('employee', 'roles-employee@example.com'));
+  });
+
+  test('should gate routes on permissions', async () => {
+    const response = await request(server.app)
+      .get('/api/system/status')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(403);
+    expect(response.body.required).toBe('system:read');
+
+    await request(server.app)
+      .get('/api/admin/roles')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(403);
+  });
+
+  test('should explain effective permissions', async () => {
+    const response = await request(server.app)
+      .get('/api/auth/permissions')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+
+    const systemRead = response.body.permissions.find(entry => entry.permission === 'system:read');
+    expect(response.body.role.id).toBe('employee');
+    expect(systemRead.allowed).toBe(false);
+
+    await request(server.app)
+      .get('/api/auth/permissions')
+      .query({ userId: employee.id })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  test('should let admins grant permissions through custom roles', async () => {
+    await request(server.app)
+      .post('/api/admin/roles/employee/clone')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ id: 'operations', name: 'Operations' })
+      .expect(201);
+
+    await request(server.app)
+      .patch('/api/admin/roles/operations')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ permissions: [...server.authSystem.roles.employee.permissions, 'system:read'] })
+      .expect(200);
+
+    await request(server.app)
+      .patch(`/api/admin/users/${employee.id}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'operations' })
+      .expect(200);
+
+    await request(server.app)
+      .get('/api/system/status')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+
+    const roles = await request(server.app)
+      .get('/api/admin/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(roles.body.roles.find(role => role.id === 'operations')).toMatchObject({ builtIn: false, members: 1 });
+  });
+
+  test('should reject invalid role definitions', async () => {
+    const response = await request(server.app)
+      .post('/api/admin/roles')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ id: 'broken', name: 'Broken', permissions: ['Not A Permission'] })
+      .expect(422);
+    expect(response.body.error).toContain('resource:action');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * 🔗 Integration Tests for Conversation Search
+ * Agentic Boardroom GET /api/v1/search Ranking, Filters, Semantic Mode and Isolation Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+const { routes } = require('../../src/validation/schemas');
+
+describe('Search API', () => {
+  let server;
+  let token;
+  let otherToken;
+
+  const login = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    await server.authSystem.register(testUser, { role });
+    return (await server.authSystem.login(testUser.email, testUser.password)).token;
+  };
+
+  const search = (query, as = token) => request(server.app)
+    .get('/api/v1/search')
+    .query(query)
+    .set('Authorization', `Bearer ${as}`);
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    token = await login('executive', 'search-owner@example.com');
+    otherToken = await login('executive', 'search-other@example.com');
+
+    const auth = { Authorization: `Bearer ${token}` };
+    const { body } = await request(server.app)
+      .post('/api/v1/agents/cfo/chat').set(auth).send({ message: 'Where did the Q3 marketing budget go?' }).expect(200);
+    await request(server.app)
+      .post(`/api/v1/conversations/${body.conversation.id}/messages`).set(auth).send({ message: 'Cut the <b>travel</b> budget by half' }).expect(200);
+    await request(server.app)
+      .post('/api/v1/agents/cto/chat').set(auth).send({ message: 'Plan the database migration' }).expect(200);
+  });
+
+  test('should return ranked, highlighted matches in the documented shape', async () => {
+    const response = await search({ q: 'travel budget' }).expect(200);
+
+    expect(routes['GET /search'].response.validate(response.body).error).toBeUndefined();
+    expect(response.body).toMatchObject({ query: 'travel budget', mode: 'keyword', total: 4 });
+    expect(response.body.results[0]).toMatchObject({
+      agentId: 'cfo',
+      agentName: expect.any(String),
+      type: 'user',
+      highlight: 'Cut the &#60;b&#62;<mark>travel</mark>&#60;/b&#62; <mark>budget</mark> by half'
+    });
+  });
+
+  test('should filter by agent and date and page through results', async () => {
+    expect((await search({ q: 'budget migration', agentId: 'cto' }).expect(200)).body.total).toBe(2);
+    expect((await search({ q: 'budget', to: '2000-01-01T00:00:00Z' }).expect(200)).body.total).toBe(0);
+
+    const page = await search({ q: 'budget', limit: 1, offset: 1 }).expect(200);
+    expect(page.body.results).toHaveLength(1);
+    expect(page.body.total).toBe(4);
+  });
+
+  test('should find related wording in semantic mode', async () => {
+    expect((await search({ q: 'budgeting' }).expect(200)).body.total).toBe(0);
+
+    const response = await search({ q: 'budgeting', mode: 'semantic' }).expect(200);
+    expect(response.body.mode).toBe('semantic');
+    expect(response.body.results.length).toBeGreaterThan(0);
+    expect(response.body.results.every(result => result.agentId === 'cfo')).toBe(true);
+  });
+
+  test('should only search the caller\'s conversations', async () => {
+    const response = await search({ q: 'budget' }, otherToken).expect(200);
+    expect(response.body).toMatchObject({ results: [], total: 0 });
+  });
+
+  test('should validate the query', async () => {
+    const missing = await search({}).expect(422);
+    expect(missing.body.errors[0].path).toBe('query.q');
+    await search({ q: 'budget', mode: 'fuzzy' }).expect(422);
+    await request(server.app).get('/api/v1/search?q=budget').expect(401);
+  });
+});
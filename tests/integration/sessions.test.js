@@ -0,0 +1,102 @@
+/**
+ * 🔗 Integration Tests for Sessions
+ * Agentic Boardroom Refresh Token and Revocation Tests
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Sessions API', () => {
+  let server;
+  let testUser;
+
+  const login = async () => (await request(server.app)
+    .post('/api/auth/login')
+    .send({ email: testUser.email, password: testUser.password })
+    .expect(200)).body;
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    testUser = global.testUtils.generateTestUser({ email: 'employee-sessions@example.com' });
+    await server.authSystem.register(testUser, { role: 'employee' });
+  });
+
+  test('should refresh access tokens and reject a reused refresh token', async () => {
+    const session = await login();
+
+    const refreshed = await request(server.app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken })
+      .expect(200);
+
+    await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${refreshed.body.token}`)
+      .expect(200);
+
+    const reused = await request(server.app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken })
+      .expect(401);
+    expect(reused.body.error).toContain('reuse detected');
+
+    await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${refreshed.body.token}`)
+      .expect(401);
+  });
+
+  test('should revoke the access token on logout', async () => {
+    const session = await login();
+
+    await request(server.app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(200);
+
+    const revoked = await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${session.token}`)
+      .expect(401);
+    expect(revoked.body.code).toBe('session_revoked');
+  });
+
+  test('should log out all devices', async () => {
+    const first = await login();
+    const second = await login();
+
+    const response = await request(server.app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${first.token}`)
+      .expect(200);
+    expect(response.body.revokedSessions).toBeGreaterThanOrEqual(2);
+
+    await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${second.token}`)
+      .expect(401);
+    await request(server.app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: second.refreshToken })
+      .expect(401);
+  });
+
+  test('should tell an expired access token apart from an invalid one', async () => {
+    const session = await login();
+    const claims = jwt.decode(session.token);
+    const expired = jwt.sign({ ...claims, iat: claims.iat - 3600, exp: claims.iat - 60 }, server.authSystem.jwtSecret);
+
+    const stale = await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${expired}`)
+      .expect(401);
+    expect(stale.body.code).toBe('token_expired');
+
+    const forged = await request(server.app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${jwt.sign(claims, 'not-the-secret')}`)
+      .expect(401);
+    expect(forged.body.code).toBe('token_invalid');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * 🔗 Integration Tests for Spend Requests
+ * Agentic Boardroom Spend Approval API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Spend Requests API', () => {
+  let server;
+  let employeeToken;
+  let executiveToken;
+
+  const login = async (role) => {
+    const testUser = global.testUtils.generateTestUser({ email: `${role}-spend@example.com` });
+    await server.authSystem.register(testUser, { role });
+    return (await server.authSystem.login(testUser.email, testUser.password)).token;
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    employeeToken = await login('employee');
+    executiveToken = await login('executive');
+  });
+
+  test('should auto-approve spend within the auto-approval tier', async () => {
+    const response = await request(server.app)
+      .post('/api/spend-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ amount: 250, purpose: 'Books', currency: 'USD' })
+      .expect(201);
+
+    expect(response.body.spendRequest).toMatchObject({ status: 'approved', tier: 'auto_approved' });
+
+    const budget = await request(server.app)
+      .get('/api/spend-requests/budget')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+    expect(budget.body.budget).toMatchObject({ limit: 1000, approved: 250, remaining: 750 });
+  });
+
+  test('should route larger spend to an approver', async () => {
+    jest.spyOn(server.agentChatSystem, 'solicitPosition').mockResolvedValue({ position: 'abstain', rationale: 'Needs review' });
+
+    const created = await request(server.app)
+      .post('/api/spend-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ amount: 5000, purpose: 'Training course' })
+      .expect(201);
+    const { id } = created.body.spendRequest;
+    expect(created.body.spendRequest.tier).toBe('cfo_approval');
+
+    await request(server.app)
+      .post(`/api/spend-requests/${id}/approve`)
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(403);
+
+    const approved = await request(server.app)
+      .post(`/api/spend-requests/${id}/approve`)
+      .set('Authorization', `Bearer ${executiveToken}`)
+      .send({ note: 'Good investment' })
+      .expect(200);
+
+    expect(approved.body.spendRequest.status).toBe('approved');
+    expect(approved.body.spendRequest.auditTrail.map(entry => entry.action)).toEqual(
+      expect.arrayContaining(['submitted', 'tier_resolved', 'routed', 'agent_position', 'approved'])
+    );
+  });
+
+  test('should validate the amount', async () => {
+    const response = await request(server.app)
+      .post('/api/spend-requests')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ amount: -5, purpose: 'Refund' })
+      .expect(422);
+
+    expect(response.body.errors).toEqual([{ path: 'body.amount', message: 'amount must be a positive number' }]);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * 🔗 Integration Tests for Streaming Responses
+ * Agentic Boardroom Server-Sent Events Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+
+describe('Conversation streaming (SSE)', () => {
+  let server;
+  let authToken;
+  let conversationId;
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    const testUser = global.testUtils.generateTestUser();
+    await server.authSystem.register(testUser, { role: 'employee' });
+    ({ token: authToken } = await server.authSystem.login(testUser.email, testUser.password));
+
+    const response = await request(server.app)
+      .post('/api/agents/meeting_facilitator/chat')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({});
+    conversationId = response.body.conversation.id;
+  });
+
+  test('should stream deltas and complete for a sent message', async () => {
+    const response = await request(server.app)
+      .post(`/api/conversations/${conversationId}/stream`)
+      .send({ message: 'Plan our standup' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    const events = response.text.match(/^event: \w+/gm);
+    expect(events).toContain('event: messageDelta');
+    expect(events[events.length - 1]).toBe('event: messageComplete');
+    expect(response.text).toContain('[echo:gemini-1.5-flash] Plan our standup');
+  });
+
+  test('should dispatch by conversation without adding emitter listeners per stream', async () => {
+    const { agentChatSystem } = server.defaultTenant;
+    const listeners = agentChatSystem.listenerCount('messageDelta');
+
+    for (const message of ['One', 'Two', 'Three']) {
+      const response = await request(server.app)
+        .post(`/api/v1/conversations/${conversationId}/stream`)
+        .send({ message })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(response.text).toContain(`[echo:gemini-1.5-flash] ${message}`);
+    }
+
+    expect(agentChatSystem.listenerCount('messageDelta')).toBe(listeners);
+    expect(server.defaultTenant.responseStreams.size).toBe(0);
+  });
+
+  test('should not take the message in the query string', async () => {
+    const response = await request(server.app)
+      .get(`/api/v1/conversations/${conversationId}/stream`)
+      .query({ message: 'Plan our standup' })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(422);
+    expect(response.body.errors[0].path).toBe('query.message');
+  });
+
+  test('should reject streams for conversations the user does not own', async () => {
+    await request(server.app)
+      .get('/api/conversations/unknown/stream')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * 🔗 Integration Tests for Two-Factor Authentication
+ * Agentic Boardroom TOTP Enrollment and Login API Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+const totp = require('../../src/auth/totp');
+
+describe('Two-Factor API', () => {
+  let server;
+  let now;
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    now = Date.now();
+    server.authSystem.twoFactor.clock = () => now;
+  });
+
+  test('should enroll and then require a code at login', async () => {
+    const testUser = global.testUtils.generateTestUser({ email: 'twofactor-manager@example.com' });
+    await server.authSystem.register(testUser, { role: 'manager' });
+    const { token } = await server.authSystem.login(testUser.email, testUser.password);
+
+    const enrolled = await request(server.app)
+      .post('/api/auth/2fa/enroll')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(enrolled.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+    const confirmed = await request(server.app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: totp.generateCode(enrolled.body.secret, now) })
+      .expect(200);
+    expect(confirmed.body.recoveryCodes).toHaveLength(10);
+
+    const challenge = await request(server.app)
+      .post('/api/auth/login')
+      .send({ email: testUser.email, password: testUser.password })
+      .expect(200);
+    expect(challenge.body).toMatchObject({ twoFactorRequired: true });
+    expect(challenge.body.token).toBeUndefined();
+
+    await request(server.app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: challenge.body.challengeToken, code: '123456' })
+      .expect(401);
+
+    now += 30000;
+    const loggedIn = await request(server.app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: challenge.body.challengeToken, code: totp.generateCode(enrolled.body.secret, now) })
+      .expect(200);
+
+    const status = await request(server.app)
+      .get('/api/auth/2fa')
+      .set('Authorization', `Bearer ${loggedIn.body.token}`)
+      .expect(200);
+    expect(status.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+  });
+
+  test('should make users of a 2FA role enroll during login', async () => {
+    const adminUser = global.testUtils.generateTestUser({ email: 'twofactor-admin@example.com' });
+    const { user: admin } = await server.authSystem.register(adminUser, { role: 'super_admin' });
+    const executive = global.testUtils.generateTestUser({ email: 'twofactor-exec@example.com' });
+    await server.authSystem.register(executive, { role: 'executive' });
+    server.authSystem.updateRole(admin.id, 'executive', { requireTwoFactor: true });
+
+    const challenge = await request(server.app)
+      .post('/api/auth/login')
+      .send({ email: executive.email, password: executive.password })
+      .expect(200);
+    expect(challenge.body.enrollmentRequired).toBe(true);
+
+    const enrollment = await request(server.app)
+      .post('/api/auth/2fa/login/enroll')
+      .send({ challengeToken: challenge.body.challengeToken })
+      .expect(200);
+
+    const loggedIn = await request(server.app)
+      .post('/api/auth/2fa/login')
+      .send({ challengeToken: challenge.body.challengeToken, code: totp.generateCode(enrollment.body.secret, now) })
+      .expect(200);
+    expect(loggedIn.body.recoveryCodes).toHaveLength(10);
+    expect(loggedIn.body.token).toBeDefined();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * 🔗 Integration Tests for Request Validation
+ * Agentic Boardroom 422 Responses and Per-Role Message Limit Tests
+ */
+
+const request = require('supertest');
+const AgenticBoardroomServer = require('../../src/index');
+const { routes } = require('../../src/validation/schemas');
+
+describe('Request Validation', () => {
+  let server;
+  let employeeToken;
+  let executiveToken;
+  let adminToken;
+
+  const login = async (role) => {
+    const testUser = global.testUtils.generateTestUser({ email: `${role}-validation@example.com` });
+    await server.authSystem.register(testUser, { role });
+    return (await server.authSystem.login(testUser.email, testUser.password)).token;
+  };
+
+  beforeAll(async () => {
+    server = new AgenticBoardroomServer();
+    await server.ready;
+    employeeToken = await login('employee');
+    executiveToken = await login('executive');
+    adminToken = await login('super_admin');
+  });
+
+  test('should have a schema for every API route and no schema without a route', () => {
+    const registered = server.api.stack
+      .filter(layer => layer.route)
+      .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+
+    expect(registered.filter(key => !routes[key])).toEqual([]);
+    expect(Object.keys(routes).filter(key => !registered.includes(key))).toEqual([]);
+  });
+
+  test('should answer 422 with field paths', async () => {
+    const response = await request(server.app)
+      .post('/api/auth/register')
+      .send({ email: 'someone@example.com', password: 12345, firstName: '' })
+      .expect(422);
+
+    expect(response.body).toMatchObject({ success: false });
+    expect(response.body.errors).toEqual([
+      { path: 'body.password', message: 'password must be a string' },
+      { path: 'body.firstName', message: 'firstName is not allowed to be empty' },
+      { path: 'body.lastName', message: 'lastName is required' }
+    ]);
+  });
+
+  test('should reject empty and non-string chat messages', async () => {
+    const { body } = await request(server.app)
+      .post('/api/agents/meeting_facilitator/chat')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({})
+      .expect(200);
+    const conversationId = body.conversation.id;
+
+    for (const message of [undefined, '', '   ', { text: 'hi' }, ['hi']]) {
+      const response = await request(server.app)
+        .post(`/api/conversations/${conversationId}/messages`)
+        .set('Authorization', `Bearer ${employeeToken}`)
+        .send({ message })
+        .expect(422);
+      expect(response.body.errors[0].path).toBe('body.message');
+    }
+  });
+
+  test('should hold chat messages to the sender\'s role limit', async () => {
+    const message = 'x'.repeat(4001);
+
+    const refused = await request(server.app)
+      .post('/api/agents/meeting_facilitator/chat')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ message })
+      .expect(422);
+    expect(refused.body.errors).toEqual([
+      { path: 'body.message', message: 'message must be at most 4000 characters for your role' }
+    ]);
+
+    await request(server.app)
+      .post('/api/agents/ceo/chat')
+      .set('Authorization', `Bearer ${executiveToken}`)
+      .send({ message })
+      .expect(200);
+  });
+
+  test('should apply a role\'s edited message limit immediately', async () => {
+    await request(server.app)
+      .patch('/api/admin/roles/employee')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ maxMessageLength: 10 })
+      .expect(200);
+
+    const response = await request(server.app)
+      .post('/api/agents/meeting_facilitator/chat')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ message: 'A little over ten characters' })
+      .expect(422);
+    expect(response.body.errors[0].message).toBe('message must be at most 10 characters for your role');
+
+    await request(server.app)
+      .patch('/api/admin/roles/employee')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ maxMessageLength: 500000 })
+      .expect(422);
+  });
+
+  test('should authenticate before validating', async () => {
+    await request(server.app)
+      .post('/api/spend-requests')
+      .send({ amount: 'lots' })
+      .expect(401);
+  });
+});
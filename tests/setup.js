@@ -100,7 +100,6 @@ global.testUtils = {
     password: 'TestPassword123!',
     firstName: 'Test',
     lastName: 'User',
-    role: 'user',
     department: 'Testing',
     ...overrides
   }),
@@ -0,0 +1,128 @@
+/**
+ * 🧪 Unit Tests for Email Verification and Password Reset
+ * Agentic Boardroom Account Token and Recovery Flow Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const Mailer = require('../../src/mail/Mailer');
+const MemoryTransport = require('../../src/mail/transports/MemoryTransport');
+
+describe('AccountTokens', () => {
+  let now;
+  let transport;
+  let authSystem;
+  let user;
+  let password;
+
+  const tokenFrom = (message) => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  const lastMail = () => transport.outbox[transport.outbox.length - 1];
+
+  beforeEach(async () => {
+    now = Date.UTC(2026, 0, 1, 9, 0, 0);
+    transport = new MemoryTransport();
+    authSystem = new AuthSystem({
+      clock: () => now,
+      mailer: new Mailer({ transport, appUrl: 'https://boardroom.example.com/' })
+    });
+    const testUser = global.testUtils.generateTestUser({ email: 'recover@example.com' });
+    user = (await authSystem.register(testUser, { role: 'employee' })).user;
+    password = testUser.password;
+  });
+
+  test('validates email and password at registration', async () => {
+    await expect(authSystem.register(global.testUtils.generateTestUser({ email: 'not-an-email' }), { role: 'employee' }))
+      .rejects.toThrow('Invalid email address');
+    await expect(authSystem.register(global.testUtils.generateTestUser({ password: 'password123' }), { role: 'employee' }))
+      .rejects.toThrow('Password must be at least 12 characters');
+
+    // Seeded accounts skip the policy and the mail; the caller forces a password change instead
+    const seeded = await authSystem.register(
+      global.testUtils.generateTestUser({ email: 'seed@example.com', password: 'admin123' }),
+      { role: 'employee', seeded: true }
+    );
+    expect(seeded.success).toBe(true);
+    expect(transport.outbox.map(message => message.to)).toEqual(['recover@example.com']);
+  });
+
+  test('verifies the email address once with the mailed link', () => {
+    expect(user.emailVerified).toBe(false);
+    const message = lastMail();
+    expect(message).toMatchObject({ to: 'recover@example.com', subject: 'Verify your email address', tags: ['email_verification'] });
+    expect(message.text).toContain('https://boardroom.example.com/verify-email?token=');
+
+    const token = tokenFrom(message);
+    expect(() => authSystem.accountTokens.consume(token, 'password_reset')).toThrow('Invalid or expired token');
+    expect(authSystem.verifyEmail(token).user).toMatchObject({ emailVerified: true });
+    expect(() => authSystem.verifyEmail(token)).toThrow('Invalid or expired token');
+    expect(authSystem.auditLog.query({ action: 'user.email_verified' }).records).toHaveLength(1);
+  });
+
+  test('resending replaces the earlier link', async () => {
+    const first = tokenFrom(lastMail());
+    await authSystem.resendVerificationEmail(user.id);
+    const second = tokenFrom(lastMail());
+
+    expect(() => authSystem.verifyEmail(first)).toThrow('Invalid or expired token');
+    authSystem.verifyEmail(second);
+    await expect(authSystem.resendVerificationEmail(user.id)).rejects.toThrow('already verified');
+  });
+
+  test('rejects expired, tampered and foreign tokens', () => {
+    const token = tokenFrom(lastMail());
+    const [header, payload, signature] = token.split('.');
+    const forged = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    forged.purpose = 'password_reset';
+    expect(() => authSystem.accountTokens.verify(
+      `${header}.${Buffer.from(JSON.stringify(forged)).toString('base64url')}.${signature}`, 'password_reset'
+    )).toThrow('Invalid or expired token');
+
+    const other = new AuthSystem({ organizationId: 'acme', clock: () => now, mailer: new Mailer({ transport: 'memory' }) });
+    // Same secret and even the same stored record, but the token names the default organization
+    const [record] = authSystem.accountTokens.tokens.values();
+    other.accountTokens.tokens.set(record.id, record);
+    expect(() => other.verifyEmail(token)).toThrow('Invalid or expired token');
+
+    now += 25 * 60 * 60 * 1000;
+    expect(() => authSystem.verifyEmail(token)).toThrow('Invalid or expired token');
+    authSystem.requestPasswordReset(user.email);
+    expect(Array.from(authSystem.accountTokens.tokens.values()).map(record => record.purpose)).toEqual(['password_reset']);
+  });
+
+  test('resets a password with a single-use link and signs out every session', async () => {
+    await authSystem.login(user.email, password);
+    const unknown = authSystem.requestPasswordReset('nobody@example.com', { ip: '10.0.0.1' });
+    const known = authSystem.requestPasswordReset('Recover@Example.com', { ip: '10.0.0.1' });
+    expect(known).toEqual(unknown);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const message = lastMail();
+    expect(message).toMatchObject({ to: 'recover@example.com', subject: 'Reset your password' });
+    const token = tokenFrom(message);
+
+    // A weak password is refused without using up the link
+    await expect(authSystem.resetPassword(token, 'password123')).rejects.toThrow('Password');
+    const result = await authSystem.resetPassword(token, 'Brand-New-Passphrase-9', { ip: '10.0.0.1' });
+    expect(result).toMatchObject({ success: true, revokedSessions: 1 });
+    await expect(authSystem.resetPassword(token, 'Another-Passphrase-9')).rejects.toThrow('Invalid or expired token');
+
+    await expect(authSystem.login(user.email, password)).rejects.toThrow('Invalid credentials');
+    await expect(authSystem.login(user.email, 'Brand-New-Passphrase-9')).resolves.toMatchObject({ success: true });
+    expect(authSystem.users.get(user.id).emailVerified).toBe(true);
+    expect(authSystem.auditLog.query({ action: 'auth.password_reset.requested' }).records).toHaveLength(2);
+    expect(authSystem.auditLog.query({ action: 'user.password_reset' }).records[0].details).toMatchObject({ revokedSessions: 1, ip: '10.0.0.1' });
+  });
+
+  test('voids outstanding reset links when the password changes or expires', async () => {
+    authSystem.requestPasswordReset(user.email);
+    await new Promise(resolve => setImmediate(resolve));
+    const token = tokenFrom(lastMail());
+
+    await authSystem.changePassword(user.id, password, 'Changed-Passphrase-42');
+    await expect(authSystem.resetPassword(token, 'Brand-New-Passphrase-9')).rejects.toThrow('Invalid or expired token');
+
+    authSystem.requestPasswordReset(user.email);
+    await new Promise(resolve => setImmediate(resolve));
+    now += 61 * 60 * 1000;
+    await expect(authSystem.resetPassword(tokenFrom(lastMail()), 'Brand-New-Passphrase-9')).rejects.toThrow('Invalid or expired token');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * 🧪 Unit Tests for Agent Access Grants
+ * Agentic Boardroom Per-User Agent Access Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+
+describe('AgentAccessGrants', () => {
+  let authSystem;
+  let grants;
+  let admin;
+  let executive;
+  let manager;
+
+  const register = async (role, email) =>
+    (await authSystem.register(global.testUtils.generateTestUser({ email }), { role })).user;
+
+  beforeEach(async () => {
+    authSystem = new AuthSystem();
+    grants = authSystem.agentGrants;
+    admin = await register('super_admin', 'admin@example.com');
+    executive = await register('executive', 'executive@example.com');
+    manager = await register('manager', 'manager@example.com');
+  });
+
+  test('layers grants and denies over role agent access', () => {
+    expect(authSystem.canAccessAgent(manager.id, 'cfo')).toBe(false);
+
+    const { grant } = grants.grant(admin.id, manager.id, { agentId: 'cfo', justification: 'Budget project' });
+    expect(grant).toMatchObject({ effect: 'allow', grantedBy: admin.id });
+    expect(authSystem.canAccessAgent(manager.id, 'cfo')).toBe(true);
+
+    grants.grant(admin.id, manager.id, { agentId: 'research_director', effect: 'deny' });
+    expect(authSystem.canAccessAgent(manager.id, 'research_director')).toBe(false);
+
+    grants.grant(admin.id, manager.id, { agentId: 'cfo', effect: 'deny' });
+    expect(authSystem.canAccessAgent(manager.id, 'cfo')).toBe(false);
+  });
+
+  test('ignores expired and revoked grants', () => {
+    const { grant } = grants.grant(admin.id, manager.id, {
+      agentId: 'cfo',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+    expect(authSystem.canAccessAgent(manager.id, 'cfo')).toBe(true);
+
+    grants.grants.get(grant.id).expiresAt = new Date(Date.now() - 1000);
+    expect(authSystem.canAccessAgent(manager.id, 'cfo')).toBe(false);
+
+    const { grant: second } = grants.grant(admin.id, manager.id, { agentId: 'cfo' });
+    grants.revoke(admin.id, second.id);
+    expect(authSystem.canAccessAgent(manager.id, 'cfo')).toBe(false);
+    expect(grants.listGrants(manager.id)).toMatchObject({ active: [], inactive: [{}, {}] });
+    expect(() => grants.revoke(admin.id, second.id)).toThrow('Grant is already revoked');
+  });
+
+  test('validates grants and requires agents:grant', () => {
+    expect(() => grants.grant(executive.id, manager.id, { agentId: 'cfo' })).toThrow('Insufficient permissions');
+    expect(() => grants.grant(admin.id, manager.id, { agentId: 'cfo', effect: 'maybe' })).toThrow('effect must be allow or deny');
+    expect(() => grants.grant(admin.id, manager.id, { agentId: 'cfo', expiresAt: '2000-01-01' }))
+      .toThrow('expiresAt must be a future date');
+  });
+
+  test('grants time-limited access when an executive approves a request', () => {
+    const { request } = grants.requestAccess(manager.id, { agentId: 'cfo', justification: 'Q3 budget', durationDays: 7 });
+    expect(() => grants.requestAccess(manager.id, { agentId: 'cfo', justification: 'Again' }))
+      .toThrow('already pending');
+
+    const { request: approved } = grants.review(executive.id, request.id, true, 'Go ahead');
+
+    expect(approved).toMatchObject({ status: 'approved', reviewedBy: executive.id });
+    const grant = grants.grants.get(approved.grantId);
+    expect(grant).toMatchObject({ agentId: 'cfo', requestId: request.id, justification: 'Q3 budget' });
+    expect(grant.expiresAt.getTime() - Date.now()).toBeGreaterThan(6 * 24 * 60 * 60 * 1000);
+    expect(authSystem.canAccessAgent(manager.id, 'cfo')).toBe(true);
+    expect(authSystem.auditLog.query({ action: 'agent_access.*' }).total).toBe(3);
+  });
+
+  test('limits who can review access requests', () => {
+    expect(() => grants.requestAccess(manager.id, { agentId: 'research_director', justification: 'x' }))
+      .toThrow('You already have access to this agent');
+    const { request } = grants.requestAccess(manager.id, { agentId: 'culture_champion', justification: 'Offsite' });
+
+    expect(() => grants.review(manager.id, request.id, true)).toThrow('Insufficient permissions');
+    expect(() => grants.review(executive.id, request.id, true)).toThrow('only approve access to agents you can access');
+
+    grants.review(executive.id, request.id, false, 'Not needed');
+    expect(grants.requests.get(request.id).status).toBe('rejected');
+    expect(authSystem.canAccessAgent(manager.id, 'culture_champion')).toBe(false);
+    expect(grants.listRequests(manager.id).total).toBe(1);
+    expect(grants.listRequests(executive.id, { status: 'pending' }).total).toBe(0);
+  });
+});
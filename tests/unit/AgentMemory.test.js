@@ -0,0 +1,119 @@
+/**
+ * 🧪 Unit Tests for Agent Memory
+ * Agentic Boardroom Fact Extraction, Recall, Isolation, Retention and Deletion Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+const AgentMemory = require('../../src/memory/AgentMemory');
+const Store = require('../../src/storage/Store');
+
+describe('AgentMemory', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let authSystem;
+  let chatSystem;
+  let memory;
+  let user;
+  let other;
+  let now;
+
+  beforeEach(async () => {
+    now = Date.parse('2026-03-01T09:00:00Z');
+    authSystem = new AuthSystem();
+    chatSystem = new AgentChatSystem(authSystem, undefined, { store: new Store(), clock: () => now });
+    memory = chatSystem.memory;
+    ({ user } = await authSystem.register(global.testUtils.generateTestUser({ email: 'memory@example.com' }), { role: 'executive' }));
+    ({ user: other } = await authSystem.register(global.testUtils.generateTestUser({ email: 'memory-other@example.com' }), { role: 'executive' }));
+  });
+
+  test('extracts statements about the user and skips questions and fragments', () => {
+    expect(AgentMemory.extractFacts('Our Q3 marketing budget is $2M. What should we cut? Thanks! I prefer weekly reports.'))
+      .toEqual(['Our Q3 marketing budget is $2M.', 'I prefer weekly reports.']);
+    expect(AgentMemory.extractFacts('The weather is nice today.')).toEqual([]);
+  });
+
+  test('stores facts in the agent\'s namespace and refreshes near-identical ones', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo', 'Our Q3 marketing budget is $2M.');
+    now += DAY;
+    await chatSystem.sendMessage(user.id, conversation.id, 'Our Q3 marketing budget is $2M.');
+
+    const { memories, total } = memory.list(user.id);
+    expect(total).toBe(1);
+    expect(memories[0]).toMatchObject({
+      namespace: 'executive/cfo',
+      agentId: 'cfo',
+      userId: user.id,
+      kind: 'fact',
+      content: 'Our Q3 marketing budget is $2M.',
+      conversationId: conversation.id,
+      updatedAt: new Date(now),
+      expiresAt: new Date(now + 2555 * DAY)
+    });
+  });
+
+  test('recalls relevant memories from earlier conversations into the system prompt', async () => {
+    await chatSystem.startConversation(user.id, 'cfo', 'Our Q3 marketing budget is $2M. I run the growth team.');
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo');
+    const stream = jest.spyOn(chatSystem.aiProviders, 'stream');
+
+    await chatSystem.sendMessage(user.id, conversation.id, 'How much of the marketing budget is left?');
+
+    const { systemPrompt } = stream.mock.calls[0][1];
+    expect(systemPrompt).toContain('What you remember about this user from earlier conversations:\n- Our Q3 marketing budget is $2M.');
+    expect(systemPrompt).not.toContain('I run the growth team.');
+  });
+
+  test('never recalls another user\'s memories or another agent\'s namespace', async () => {
+    await chatSystem.startConversation(other.id, 'cfo', 'Our Q3 marketing budget is $2M.');
+    await chatSystem.startConversation(user.id, 'cto', 'Our marketing site runs on Kubernetes.');
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo');
+
+    expect(memory.recall(conversation, 'What is our marketing budget?')).toEqual([]);
+    expect(memory.list(user.id).memories.map(record => record.agentId)).toEqual(['cto']);
+  });
+
+  test('summarizes ended conversations', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo', 'Where did the travel budget go?');
+    chatSystem.endConversation(user.id, conversation.id);
+
+    const [summary] = memory.list(user.id).memories;
+    expect(summary).toMatchObject({ kind: 'summary', conversationId: conversation.id });
+    expect(summary.content).toMatch(/^Conversation on 2026-03-01.*The user said: Where did the travel budget go\?$/);
+  });
+
+  test('purges memories past their agent\'s retention_days', async () => {
+    const { user: employee } = await authSystem.register(global.testUtils.generateTestUser({ email: 'memory-employee@example.com' }), { role: 'employee' });
+    await chatSystem.startConversation(employee.id, 'company_mascot', 'Our team mascot is a penguin named Pip.');
+    await chatSystem.startConversation(employee.id, 'culture_champion', 'Our team volunteers every Friday.');
+    const audited = jest.spyOn(chatSystem.auditLog, 'record');
+
+    now += 91 * DAY;
+    expect(memory.list(employee.id).memories.map(record => record.agentId)).toEqual(['culture_champion']);
+    expect(memory.purgeExpired()).toBe(1);
+    expect(memory.vectorStore.filter(() => true).map(record => record.agentId)).toEqual(['culture_champion']);
+    expect(audited).toHaveBeenCalledWith(expect.objectContaining({ action: 'memory.purged', details: { count: 1 } }));
+  });
+
+  test('forgets the memories of purged conversations', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo', 'Our Q3 marketing budget is $2M.');
+    await chatSystem.startConversation(user.id, 'cto', 'We deploy on Fridays.');
+
+    chatSystem.purgeConversation(user.id, conversation.id);
+    expect(memory.list(user.id).memories.map(record => record.agentId)).toEqual(['cto']);
+  });
+
+  test('lets users delete only their own memories', async () => {
+    await chatSystem.startConversation(user.id, 'cfo', 'Our Q3 marketing budget is $2M.');
+    await chatSystem.startConversation(user.id, 'cto', 'We deploy on Fridays.');
+    await chatSystem.startConversation(other.id, 'cfo', 'My team owns the payroll budget.');
+    const [mine] = memory.list(user.id, { agentId: 'cfo' }).memories;
+
+    expect(() => memory.delete(other.id, mine.id)).toThrow(expect.objectContaining({ status: 403, code: 'memory_access_denied' }));
+    expect(() => memory.delete(user.id, 'missing')).toThrow(expect.objectContaining({ status: 404, code: 'memory_not_found' }));
+    expect(memory.delete(user.id, mine.id)).toMatchObject({ success: true, memoryId: mine.id });
+
+    expect(memory.deleteAll(user.id)).toMatchObject({ success: true, deleted: 1 });
+    expect(memory.list(user.id).total).toBe(0);
+    expect(memory.list(other.id).total).toBe(1);
+  });
+});
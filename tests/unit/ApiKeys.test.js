@@ -0,0 +1,130 @@
+/**
+ * 🧪 Unit Tests for API Keys
+ * Agentic Boardroom Service Account and Scoped Key Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const ApiKeys = require('../../src/auth/ApiKeys');
+
+describe('ApiKeys', () => {
+  let now;
+  let authSystem;
+  let apiKeys;
+  let admin;
+  let employee;
+  let bot;
+
+  const register = async (role, email) => (await authSystem.register(global.testUtils.generateTestUser({ email }), { role })).user;
+
+  beforeEach(async () => {
+    now = Date.UTC(2026, 0, 1, 9, 0, 0);
+    authSystem = new AuthSystem({ clock: () => now });
+    apiKeys = authSystem.apiKeys;
+    admin = await register('super_admin', 'keys-admin@example.com');
+    employee = await register('employee', 'keys-employee@example.com');
+    ({ user: bot } = authSystem.createServiceAccount(admin.id, { name: 'CI Bot', role: 'employee' }));
+  });
+
+  test('creates service accounts without a password or email', async () => {
+    expect(bot).toMatchObject({ isServiceAccount: true, email: null, role: 'employee', lastName: 'Service Account' });
+    expect(() => authSystem.createServiceAccount(employee.id, { name: 'Sneaky', role: 'employee' })).toThrow('Insufficient permissions');
+    expect(authSystem.getAllUsers(admin.id, { type: 'service_account' }).users.map(user => user.id)).toEqual([bot.id]);
+    expect(authSystem.getAllUsers(admin.id, { type: 'user' }).total).toBe(2);
+  });
+
+  test('stores only a hash and authenticates the key once created', () => {
+    const { key, apiKey } = apiKeys.create(admin.id, { ownerId: bot.id, name: 'ci', scopes: ['conversations:create'], agents: ['company_mascot'] });
+    expect(ApiKeys.isApiKey(key)).toBe(true);
+    expect(apiKey).toMatchObject({ ownerId: bot.id, prefix: `abk_${apiKey.id}`, status: 'active', createdBy: admin.id });
+    expect(apiKey).not.toHaveProperty('secretHash');
+    expect(JSON.stringify(Array.from(apiKeys.keys.values()))).not.toContain(key.split('_')[2]);
+
+    now += 60 * 1000;
+    const { user, apiKey: used } = apiKeys.authenticate(key, { ip: '10.1.1.1' });
+    expect(user.id).toBe(bot.id);
+    expect(used).toMatchObject({ lastUsedAt: new Date(now), lastUsedIp: '10.1.1.1' });
+    expect(() => apiKeys.authenticate(`${key.slice(0, -1)}0`)).toThrow('Invalid or expired API key');
+    expect(() => apiKeys.authenticate('abk_nonsense')).toThrow('Invalid or expired API key');
+  });
+
+  test('limits a key to its scopes and agents', () => {
+    const { apiKey } = apiKeys.create(admin.id, { ownerId: bot.id, name: 'ci', scopes: ['conversations:*'], agents: ['company_mascot'] });
+    expect(apiKeys.allows(apiKey, 'conversations:create')).toBe(true);
+    expect(apiKeys.allows(apiKey, 'conversations:read:own')).toBe(true);
+    expect(apiKeys.allows(apiKey, 'decisions:create')).toBe(false);
+    expect(apiKeys.allowsAgent(apiKey, 'company_mascot')).toBe(true);
+    expect(apiKeys.allowsAgent(apiKey, 'cfo')).toBe(false);
+
+    expect(() => apiKeys.create(admin.id, { ownerId: bot.id, name: 'bad', scopes: ['Not A Permission'] })).toThrow('scopes');
+    expect(() => apiKeys.create(admin.id, { ownerId: bot.id, name: 'bad', scopes: [] })).toThrow('scopes');
+    expect(() => apiKeys.create(admin.id, { ownerId: bot.id, name: 'forever', scopes: ['agents:read'], expiresInDays: 366 }))
+      .toThrow('API keys must expire within 365 days');
+  });
+
+  test('lets users manage only their own keys unless they can manage any', () => {
+    expect(() => apiKeys.create(employee.id, { name: 'mine', scopes: ['agents:read'] })).toThrow('Insufficient permissions');
+    authSystem.createRole(admin.id, { id: 'integrator', name: 'Integrator', permissions: ['agents:read', 'api_keys:manage:own'] });
+    authSystem.updateUserRole(admin.id, employee.id, 'integrator');
+
+    const { apiKey } = apiKeys.create(employee.id, { name: 'mine', scopes: ['agents:read'] });
+    expect(() => apiKeys.create(employee.id, { ownerId: bot.id, name: 'theirs', scopes: ['agents:read'] })).toThrow('Insufficient permissions');
+    const adminKey = apiKeys.create(admin.id, { name: 'admin', scopes: ['*'] }).apiKey;
+    expect(() => apiKeys.revoke(employee.id, adminKey.id)).toThrow('Insufficient permissions');
+
+    expect(apiKeys.list(employee.id, { ownerId: employee.id }).apiKeys.map(key => key.id)).toEqual([apiKey.id]);
+    expect(() => apiKeys.list(employee.id, {})).toThrow('Insufficient permissions');
+    expect(apiKeys.list(admin.id, {}).total).toBe(2);
+  });
+
+  test('keeps key managers from reaching past their own permissions', () => {
+    authSystem.createRole(admin.id, {
+      id: 'key_admin',
+      name: 'Key Admin',
+      permissions: [...authSystem.roles.employee.permissions, 'api_keys:manage:any']
+    });
+    authSystem.updateUserRole(admin.id, employee.id, 'key_admin');
+    const adminKey = apiKeys.create(admin.id, { name: 'admin', scopes: ['*'] }).apiKey;
+
+    expect(() => apiKeys.create(employee.id, { ownerId: admin.id, name: 'borrowed', scopes: ['agents:read'] }))
+      .toThrow('Cannot manage a user who holds permissions you do not hold');
+    expect(() => apiKeys.rotate(employee.id, adminKey.id)).toThrow('Cannot manage a user who holds permissions you do not hold');
+    expect(() => apiKeys.create(employee.id, { ownerId: bot.id, name: 'wide', scopes: ['agents:read', '*'] }))
+      .toThrow(expect.objectContaining({ status: 403, details: { scopes: ['*'] } }));
+
+    const { apiKey } = apiKeys.create(employee.id, { ownerId: bot.id, name: 'narrow', scopes: ['agents:read'] });
+    expect(apiKey).toMatchObject({ ownerId: bot.id, createdBy: employee.id });
+  });
+
+  test('rotates with an optional grace period, revokes and expires', () => {
+    const { key: original, apiKey } = apiKeys.create(admin.id, { ownerId: bot.id, name: 'ci', scopes: ['agents:read'], expiresInDays: 30 });
+
+    const { key: rotated } = apiKeys.rotate(admin.id, apiKey.id, { graceMinutes: 10 });
+    expect(apiKeys.authenticate(original).apiKey.id).toBe(apiKey.id);
+    expect(apiKeys.authenticate(rotated).apiKey.id).toBe(apiKey.id);
+    now += 11 * 60 * 1000;
+    expect(() => apiKeys.authenticate(original)).toThrow('Invalid or expired API key');
+
+    const { key: immediate } = apiKeys.rotate(admin.id, apiKey.id);
+    expect(() => apiKeys.authenticate(rotated)).toThrow('Invalid or expired API key');
+    expect(apiKeys.authenticate(immediate).user.id).toBe(bot.id);
+
+    now += 30 * 24 * 60 * 60 * 1000;
+    expect(() => apiKeys.authenticate(immediate)).toThrow('Invalid or expired API key');
+    expect(apiKeys.list(admin.id, { status: 'expired' }).apiKeys.map(key => key.id)).toEqual([apiKey.id]);
+
+    const { key: second, apiKey: secondKey } = apiKeys.create(admin.id, { ownerId: bot.id, name: 'ci-2', scopes: ['agents:read'] });
+    apiKeys.revoke(admin.id, secondKey.id);
+    expect(() => apiKeys.authenticate(second)).toThrow('Invalid or expired API key');
+    expect(authSystem.auditLog.query({ action: 'api_key.rotated' }).records).toHaveLength(2);
+    expect(authSystem.auditLog.query({ action: 'api_key.revoked' }).records).toHaveLength(1);
+  });
+
+  test('stops working when the owner is deactivated and disappears with them', () => {
+    const { key } = apiKeys.create(admin.id, { ownerId: bot.id, name: 'ci', scopes: ['agents:read'] });
+    authSystem.deactivateUser(admin.id, bot.id);
+    expect(() => apiKeys.authenticate(key)).toThrow('Invalid or expired API key');
+
+    authSystem.deleteUser(admin.id, bot.id);
+    expect(apiKeys.keys.size).toBe(0);
+  });
+});
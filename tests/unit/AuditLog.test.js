@@ -0,0 +1,119 @@
+/**
+ * 🧪 Unit Tests for Audit Log
+ * Agentic Boardroom Audit Trail Tests
+ */
+
+const AuditLog = require('../../src/audit/AuditLog');
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+const Store = require('../../src/storage/Store');
+
+describe('AuditLog', () => {
+  let auditLog;
+
+  beforeEach(() => {
+    auditLog = new AuditLog();
+  });
+
+  test('chains each record to the previous one', () => {
+    const first = auditLog.record({ action: 'auth.login.success', actor: { type: 'user', id: 'u1' } });
+    const second = auditLog.record({ action: 'auth.logout', actor: { type: 'user', id: 'u1' } });
+
+    expect(first.sequence).toBe(1);
+    expect(second.sequence).toBe(2);
+    expect(second.previousHash).toBe(first.hash);
+    expect(auditLog.verify()).toEqual({ valid: true, checked: 2 });
+  });
+
+  test('detects records that were altered or removed', () => {
+    auditLog.record({ action: 'user.role_changed', details: { to: 'manager' } });
+    auditLog.record({ action: 'user.role_changed', details: { to: 'executive' } });
+    auditLog.record({ action: 'user.deactivated' });
+
+    const tampered = auditLog.records.get('2');
+    tampered.details.to = 'super_admin';
+    expect(auditLog.verify()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Record content does not match its hash' });
+
+    tampered.details.to = 'executive';
+    auditLog.records.delete('2');
+    expect(auditLog.verify()).toMatchObject({ valid: false, brokenAt: 3 });
+  });
+
+  test('continues the chain after a restart', () => {
+    const store = new Store({ driver: 'memory' });
+    new AuditLog({ store }).record({ action: 'auth.login.success' });
+
+    const restarted = new AuditLog({ store });
+    const record = restarted.record({ action: 'auth.logout' });
+
+    expect(record.sequence).toBe(2);
+    expect(restarted.verify().valid).toBe(true);
+  });
+
+  test('filters by actor, action prefix and time range, newest first', () => {
+    auditLog.record({ action: 'auth.login.failure', actor: { type: 'user', id: 'u1' } });
+    auditLog.record({ action: 'auth.login.success', actor: { type: 'user', id: 'u1' } });
+    auditLog.record({ action: 'agent.response', actor: { type: 'agent', id: 'cfo' } });
+
+    expect(auditLog.query({ actor: 'u1' }).total).toBe(2);
+    expect(auditLog.query({ action: 'auth.login.*' }).records.map(record => record.action))
+      .toEqual(['auth.login.success', 'auth.login.failure']);
+    expect(auditLog.query({ action: 'auth.login' }).total).toBe(0);
+    expect(auditLog.query({ from: new Date(Date.now() + 60000) }).total).toBe(0);
+    expect(auditLog.query({ limit: 1 })).toMatchObject({ total: 3, records: [{ action: 'agent.response' }] });
+    expect(() => auditLog.query({ from: 'not a date' })).toThrow(expect.objectContaining({
+      status: 422,
+      errors: [{ path: 'from', message: 'Invalid time range' }]
+    }));
+  });
+
+  describe('recorded events', () => {
+    let authSystem;
+    let admin;
+    let employee;
+
+    beforeEach(async () => {
+      authSystem = new AuthSystem();
+      admin = (await authSystem.register(global.testUtils.generateTestUser({ email: 'admin@example.com' }), { role: 'super_admin' })).user;
+      employee = (await authSystem.register(global.testUtils.generateTestUser({ email: 'employee@example.com' }), { role: 'employee' })).user;
+    });
+
+    test('records login failures and successes', async () => {
+      await expect(authSystem.login('employee@example.com', 'wrong-password')).rejects.toThrow('Invalid credentials');
+      await expect(authSystem.login('nobody@example.com', 'wrong-password')).rejects.toThrow('Invalid credentials');
+      await authSystem.login('employee@example.com', 'TestPassword123!');
+
+      const failures = authSystem.auditLog.query({ action: 'auth.login.failure' }).records;
+      expect(failures.map(record => record.details.reason)).toEqual(['unknown_user', 'invalid_password']);
+      expect(authSystem.auditLog.query({ action: 'auth.login.success', actor: employee.id }).total).toBe(1);
+    });
+
+    test('records role changes and deactivations with the acting admin', () => {
+      authSystem.updateUserRole(admin.id, employee.id, 'manager');
+      authSystem.deactivateUser(admin.id, employee.id);
+
+      const [deactivated, roleChanged] = authSystem.auditLog.query({ actor: admin.id, action: 'user.*' }).records;
+      expect(roleChanged).toMatchObject({
+        target: { type: 'user', id: employee.id },
+        details: { from: 'employee', to: 'manager' }
+      });
+      expect(deactivated.action).toBe('user.deactivated');
+    });
+
+    test('records conversations and agent responses with model and tokens', async () => {
+      const chatSystem = new AgentChatSystem(authSystem);
+      const { conversation } = await chatSystem.startConversation(employee.id, 'company_mascot');
+      await chatSystem.sendMessage(employee.id, conversation.id, 'Hello there');
+      chatSystem.endConversation(employee.id, conversation.id);
+
+      const actions = chatSystem.auditLog.query({ action: 'conversation.*' }).records.map(record => record.action);
+      expect(actions).toEqual(['conversation.ended', 'conversation.started']);
+
+      const [response] = chatSystem.auditLog.query({ action: 'agent.response' }).records;
+      expect(response.actor).toEqual({ type: 'agent', id: 'company_mascot' });
+      expect(response.details).toMatchObject({ conversationId: conversation.id, tokens: expect.any(Number) });
+      expect(response.details.model).toBeTruthy();
+      expect(chatSystem.auditLog.verify().valid).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * 🧪 Unit Tests for Conversation Search
+ * Agentic Boardroom Keyword Ranking, Highlighting, Semantic Mode and Incremental Index Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+const ConversationSearch = require('../../src/search/ConversationSearch');
+const LocalEmbeddingProvider = require('../../src/search/LocalEmbeddingProvider');
+const { tokenize, highlight } = require('../../src/search/text');
+
+describe('ConversationSearch', () => {
+  let authSystem;
+  let chatSystem;
+  let search;
+  let user;
+  let other;
+
+  beforeEach(async () => {
+    authSystem = new AuthSystem();
+    chatSystem = new AgentChatSystem(authSystem);
+    search = new ConversationSearch(chatSystem);
+    ({ user } = await authSystem.register(global.testUtils.generateTestUser({ email: 'search@example.com' }), { role: 'executive' }));
+    ({ user: other } = await authSystem.register(global.testUtils.generateTestUser({ email: 'search-other@example.com' }), { role: 'executive' }));
+  });
+
+  test('ranks messages by how well they match and highlights the matched terms', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo', 'What is the marketing budget?');
+    await chatSystem.sendMessage(user.id, conversation.id, 'Budget, budget, budget: cut the travel budget');
+    await chatSystem.startConversation(user.id, 'cto', 'How is the migration going?');
+
+    const { results, total } = search.search(user.id, { q: 'travel budget' });
+
+    expect(total).toBe(4);
+    expect(results[0].highlight).toBe('<mark>Budget</mark>, <mark>budget</mark>, <mark>budget</mark>: cut the <mark>travel</mark> <mark>budget</mark>');
+    expect(results[0]).toMatchObject({ conversationId: conversation.id, agentId: 'cfo', type: 'user' });
+    expect(results.every(result => result.agentId === 'cfo')).toBe(true);
+    expect(results.map(result => result.score)).toEqual([...results.map(result => result.score)].sort((a, b) => b - a));
+  });
+
+  test('only searches the user\'s own, undeleted conversations and applies the filters', async () => {
+    const { conversation: cfo } = await chatSystem.startConversation(user.id, 'cfo', 'Quarterly forecast review');
+    await global.testUtils.wait(5);
+    const { conversation: cto } = await chatSystem.startConversation(user.id, 'cto', 'Forecast the cloud spend');
+    await chatSystem.startConversation(other.id, 'cfo', 'Forecast for my team');
+
+    const ids = (options) => search.search(user.id, { q: 'forecast', ...options }).results.map(result => result.conversationId);
+    expect(new Set(ids())).toEqual(new Set([cfo.id, cto.id]));
+    expect(new Set(ids({ agentId: 'cto' }))).toEqual(new Set([cto.id]));
+    expect(ids({ to: '2000-01-01T00:00:00Z' })).toEqual([]);
+    expect(new Set(ids({ from: cto.startedAt }))).toEqual(new Set([cto.id]));
+
+    chatSystem.deleteConversation(user.id, cto.id);
+    expect(new Set(ids())).toEqual(new Set([cfo.id]));
+  });
+
+  test('finds related wording in semantic mode', async () => {
+    await chatSystem.startConversation(user.id, 'cfo', 'Can we review the quarterly budget forecast?');
+    await chatSystem.startConversation(user.id, 'cto', 'Tell me about the deployment pipeline');
+
+    expect(search.search(user.id, { q: 'budgets forecasting' }).total).toBe(0);
+    const { results, mode } = search.search(user.id, { q: 'budgets forecasting', mode: 'semantic' });
+
+    expect(mode).toBe('semantic');
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every(result => result.agentId === 'cfo')).toBe(true);
+  });
+
+  test('indexes new messages as they are sent and drops purged conversations', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo');
+    const indexed = search.documents.size;
+
+    await chatSystem.sendMessage(user.id, conversation.id, 'Runway after the Series B?');
+    expect(search.documents.size).toBe(indexed + 2);
+    expect(search.postings.get('runway').size).toBe(2);
+
+    chatSystem.purgeConversation(user.id, conversation.id);
+    expect(search.documents.size).toBe(indexed);
+    expect(search.postings.has('runway')).toBe(false);
+  });
+
+  test('does not bring back a conversation purged while the agent was replying', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo');
+    const indexed = search.documents.size;
+    const sent = jest.fn();
+    chatSystem.on('messageSent', sent);
+    chatSystem.once('messageDelta', () => chatSystem.purgeConversation(user.id, conversation.id));
+
+    await expect(chatSystem.sendMessage(user.id, conversation.id, 'Runway after the Series B?'))
+      .rejects.toMatchObject({ status: 404, code: 'conversation_not_found' });
+
+    expect(chatSystem.conversations.has(conversation.id)).toBe(false);
+    expect(chatSystem.getUserConversations(user.id).conversations).toEqual([]);
+    expect(sent).not.toHaveBeenCalled();
+    expect(search.documents.size).toBe(indexed);
+    expect(search.postings.has('runway')).toBe(false);
+  });
+
+  test('catches up on conversations that were stored before it started', async () => {
+    const { conversation } = await chatSystem.startConversation(user.id, 'cfo', 'Board deck numbers');
+    const late = new ConversationSearch(chatSystem);
+
+    expect(late.search(user.id, { q: 'deck' }).results.map(result => result.conversationId)).toEqual([conversation.id, conversation.id]);
+  });
+});
+
+describe('search text helpers', () => {
+  test('tokenize lowercases words and drops stopwords', () => {
+    expect(tokenize('What is the Q3 budget for Zürich?')).toEqual(['q3', 'budget', 'zürich']);
+  });
+
+  test('highlight escapes HTML and trims long text around the first match', () => {
+    const text = `${'intro '.repeat(40)}the <b>budget</b> line ${'outro '.repeat(40)}`;
+    const snippet = highlight(text, ['budget']);
+
+    expect(snippet).toMatch(/^….*&#60;b&#62;<mark>budget<\/mark>&#60;\/b&#62;.*…$/);
+    expect(snippet.length).toBeLessThan(260);
+  });
+
+  test('local embeddings are unit length and closer for related wording', () => {
+    const provider = new LocalEmbeddingProvider();
+    const query = provider.embed('budget forecast');
+    const norm = Math.sqrt(query.reduce((sum, value) => sum + value * value, 0));
+
+    expect(norm).toBeCloseTo(1);
+    expect(LocalEmbeddingProvider.similarity(query, provider.embed('forecasting the budgets')))
+      .toBeGreaterThan(LocalEmbeddingProvider.similarity(query, provider.embed('team offsite in Lisbon')));
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * 🧪 Unit Tests for Decision Routing Engine
+ * Agentic Boardroom Orchestration Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+const DecisionRouter = require('../../src/orchestration/DecisionRouter');
+
+describe('DecisionRouter', () => {
+  let authSystem;
+  let chatSystem;
+  let router;
+  let admin;
+  let employee;
+
+  beforeEach(async () => {
+    authSystem = new AuthSystem();
+    ({ user: admin } = await authSystem.register({
+      email: 'admin@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Admin',
+      lastName: 'User'
+    }, { role: 'super_admin' }));
+    ({ user: employee } = await authSystem.register({
+      email: 'employee@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Employee',
+      lastName: 'User'
+    }));
+    chatSystem = new AgentChatSystem(authSystem);
+    router = new DecisionRouter(chatSystem);
+  });
+
+  test('normalizes routing names to agent ids', () => {
+    expect(DecisionRouter.normalizeAgentId('ceo_agent')).toBe('ceo');
+    expect(DecisionRouter.normalizeAgentId(' qa ')).toBe('quality_assurance');
+    expect(DecisionRouter.normalizeAgentId('research_director')).toBe('research_director');
+  });
+
+  test('routes strategic planning to the CEO with CTO and CFO consensus', () => {
+    const { routing } = router.route(admin.id, {
+      title: 'Three year growth strategy',
+      description: 'Draft the roadmap for international expansion'
+    });
+
+    expect(routing).toMatchObject({
+      category: 'strategic_planning',
+      router: 'primary',
+      agent: { id: 'ceo' },
+      requiredConsensus: ['cto', 'cfo']
+    });
+    expect(routing.candidates.map(candidate => candidate.agentId)).toEqual(['ceo', 'research_director', 'innovation_lead']);
+    expect(routing.escalationPath.map(step => step.name)).toEqual(['overlord', 'board_of_directors']);
+    expect(routing.explanation).toMatch(/Classified as strategic_planning .* Routed to CEO Agent .* Requires consensus from CTO Agent, CFO Agent\./);
+  });
+
+  test('scores candidates with the decision factor weights', () => {
+    const { routing } = router.route(admin.id, { category: 'technical_architecture', title: 'Pick a queue' });
+    const [cto] = routing.candidates;
+
+    expect(cto.factors).toMatchObject({ expertise_match: 0.8, capacity_availability: 1, cost_efficiency: 0.5, strategic_alignment: 1 });
+    expect(cto.score).toBeCloseTo(0.8 * 0.35 + 0.25 + 0.5 * 0.2 + 0.5 * 0.15 + 0.05, 3);
+    expect(routing.requiredConsensus).toEqual(['quality_assurance']);
+  });
+
+  test('skips agents without capacity', async () => {
+    router.maxQueueDepth = 1;
+    await chatSystem.startConversation(admin.id, 'cto');
+
+    const { routing } = router.route(admin.id, { category: 'technical_architecture', title: 'Pick a queue' });
+
+    expect(routing.agent.id).toBe('innovation_lead');
+  });
+
+  test('falls back to accessible agents by domain expertise', () => {
+    const { routing } = router.route(employee.id, { title: 'Some fun activities for stress relief on Friday' });
+    const restricted = router.route(employee.id, { title: 'Growth strategy to lift team motivation' });
+
+    expect(routing.router).toBe('fallback');
+    expect(routing.agent.id).toBe('company_mascot');
+    expect(restricted.routing).toMatchObject({ category: 'strategic_planning', router: 'fallback', agent: { id: 'company_mascot' } });
+    expect(routing.candidates.every(candidate => authSystem.canAccessAgent(employee.id, candidate.agentId))).toBe(true);
+  });
+
+  test('escalates emergencies to the highest authority', () => {
+    const breach = router.route(employee.id, { title: 'Security breach in the billing system' });
+    const overBudget = router.route(employee.id, { category: 'financial_decisions', title: 'New laptops', budget: 5000 });
+
+    expect(breach.routing).toMatchObject({ router: 'emergency', agent: { id: 'ceo' }, triggers: ['security_breach'] });
+    expect(overBudget.routing.triggers).toEqual(['budget_exceeded']);
+  });
+
+  test('rejects unknown categories and empty requests', () => {
+    expect(() => router.route(admin.id, { category: 'astrology', title: 'x' })).toThrow('Unknown decision category: astrology');
+    expect(() => router.route(admin.id, {})).toThrow('Decision request requires a title or description');
+    expect(() => router.route(admin.id, { category: 'astrology', title: 'x' })).toThrow(expect.objectContaining({ status: 422 }));
+    expect(() => router.route('nobody', { title: 'x' })).toThrow(expect.objectContaining({ status: 404, code: 'user_not_found' }));
+  });
+});
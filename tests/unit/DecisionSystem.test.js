@@ -0,0 +1,136 @@
+/**
+ * 🧪 Unit Tests for Decision Consensus
+ * Agentic Boardroom Decision Lifecycle Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+const DecisionRouter = require('../../src/orchestration/DecisionRouter');
+const DecisionSystem = require('../../src/decisions/DecisionSystem');
+
+describe('DecisionSystem', () => {
+  let authSystem;
+  let chatSystem;
+  let decisions;
+  let admin;
+  let employee;
+
+  // Make each agent answer with a fixed position
+  const positions = (byAgent) => {
+    jest.spyOn(chatSystem, 'solicitPosition').mockImplementation(async (agentId) => ({
+      position: byAgent[agentId] || 'abstain',
+      rationale: `${agentId} rationale`
+    }));
+  };
+
+  beforeEach(async () => {
+    authSystem = new AuthSystem();
+    ({ user: admin } = await authSystem.register({
+      email: 'admin@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Admin',
+      lastName: 'User'
+    }, { role: 'super_admin' }));
+    ({ user: employee } = await authSystem.register({
+      email: 'employee@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Employee',
+      lastName: 'User'
+    }));
+    chatSystem = new AgentChatSystem(authSystem);
+    decisions = new DecisionSystem(chatSystem, new DecisionRouter(chatSystem));
+  });
+
+  test('approves strategic decisions on executive consensus', async () => {
+    positions({ ceo: 'approve', cto: 'approve', cfo: 'approve' });
+    const updates = [];
+    decisions.on('decisionUpdated', ({ decision }) => updates.push(decision.status));
+
+    const { decision } = decisions.propose(admin.id, { category: 'strategic_planning', title: 'Enter the EU market' });
+    expect(decision).toMatchObject({ status: 'proposed', participants: ['ceo', 'cto', 'cfo'], threshold: 'executive_consensus' });
+
+    await decisions.review(decision.id);
+
+    expect(decision.status).toBe('approved');
+    expect(decision.votes.map(vote => [vote.agentId, vote.role, vote.position])).toEqual([
+      ['ceo', 'authority', 'approve'],
+      ['cto', 'consensus', 'approve'],
+      ['cfo', 'consensus', 'approve']
+    ]);
+    expect(decision.votes[1].rationale).toBe('cto rationale');
+    expect(updates).toEqual(['proposed', 'under_review', 'approved']);
+  });
+
+  test('blocks technical decisions without QA sign-off', async () => {
+    positions({ cto: 'approve', quality_assurance: 'reject' });
+
+    const { decision } = decisions.propose(admin.id, { category: 'technical_architecture', title: 'Adopt Kafka' });
+    await decisions.review(decision.id);
+
+    expect(decision.threshold).toBe('technical_review');
+    expect(decision.participants).toEqual(['cto', 'quality_assurance']);
+    expect(decision.status).toBe('rejected');
+  });
+
+  test('escalates a technical deadlock to the next agent on the path', async () => {
+    positions({ cto: 'approve', ceo: 'approve' });
+
+    const { decision } = decisions.propose(admin.id, { category: 'technical_architecture', title: 'Adopt Kafka' });
+    await decisions.review(decision.id);
+
+    expect(decision.escalations).toEqual([expect.objectContaining({ level: 1, to: 'ceo', agentId: 'ceo' })]);
+    expect(decision.votes[2]).toMatchObject({ agentId: 'ceo', role: 'escalation', position: 'approve' });
+    expect(decision.history.map(entry => entry.status)).toEqual(['proposed', 'under_review', 'escalated', 'approved']);
+  });
+
+  test('leaves strategic deadlocks escalated for an approver to resolve', async () => {
+    positions({ ceo: 'approve', cto: 'approve', cfo: 'reject' });
+
+    const { decision } = decisions.propose(admin.id, { category: 'strategic_planning', title: 'Enter the EU market' });
+    await decisions.review(decision.id);
+
+    expect(decision.status).toBe('escalated');
+    expect(decision.escalations[0]).toMatchObject({ to: 'overlord', agentId: null });
+    expect(() => decisions.resolve(employee.id, decision.id, 'approved')).toThrow('Insufficient permissions');
+
+    decisions.resolve(admin.id, decision.id, 'approved', 'Board approved');
+
+    expect(decision).toMatchObject({ status: 'approved', resolution: { resolvedBy: admin.id, outcome: 'approved' } });
+    await expect(decisions.review(decision.id)).rejects.toThrow('Decision is already approved');
+  });
+
+  test('counts approvals above an agent\'s spend authority as abstentions', async () => {
+    positions({ cfo: 'approve', ceo: 'approve' });
+
+    const { decision } = decisions.propose(admin.id, { category: 'financial_decisions', title: 'Buy a building', budget: 50000 });
+    await decisions.review(decision.id);
+
+    expect(decision.votes[0]).toMatchObject({ agentId: 'cfo', position: 'abstain' });
+    expect(decision.votes[0].rationale).toContain('exceeds spend authority of $25000');
+  });
+
+  test('limits visibility to the proposer and approvers', () => {
+    const { decision } = decisions.propose(employee.id, { title: 'Plan the team agenda' });
+    const other = decisions.propose(admin.id, { title: 'Plan the offsite agenda' }).decision;
+
+    expect(decisions.getDecision(admin.id, decision.id).decision.id).toBe(decision.id);
+    expect(() => decisions.getDecision(employee.id, other.id)).toThrow('Access denied to this decision');
+    expect(decisions.listDecisions(employee.id).total).toBe(1);
+  });
+});
+
+describe('AgentChatSystem.parsePosition', () => {
+  test('reads the vote keyword and keeps the rationale', () => {
+    expect(AgentChatSystem.parsePosition('REJECT: the budget is not justified.'))
+      .toEqual({ position: 'reject', rationale: 'the budget is not justified.' });
+    expect(AgentChatSystem.parsePosition('I need more data.'))
+      .toEqual({ position: 'abstain', rationale: 'I need more data.' });
+    expect(AgentChatSystem.parsePosition('**APPROVE** - within budget.'))
+      .toEqual({ position: 'approve', rationale: 'within budget.' });
+  });
+
+  test('only counts the keyword the reply starts with', () => {
+    expect(AgentChatSystem.parsePosition('I cannot approve this without a budget — REJECT'))
+      .toEqual({ position: 'abstain', rationale: 'I cannot approve this without a budget — REJECT' });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * 🧪 Unit Tests for Login Throttling
+ * Agentic Boardroom Brute-Force Protection and Lockout Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const totp = require('../../src/auth/totp');
+
+describe('LoginThrottle', () => {
+  let now;
+  let authSystem;
+  let throttle;
+  let admin;
+  let user;
+  let password;
+
+  const attempt = (email, guess, ip = '10.0.0.1') => authSystem.login(email, guess, { ip });
+
+  beforeEach(async () => {
+    now = Date.UTC(2026, 0, 1, 9, 0, 0);
+    authSystem = new AuthSystem({ clock: () => now, loginThrottle: { maxFailures: 5, maxIpFailures: 8 } });
+    throttle = authSystem.rateLimit;
+    admin = (await authSystem.register(global.testUtils.generateTestUser({ email: 'admin@example.com' }), { role: 'super_admin' })).user;
+    const testUser = global.testUtils.generateTestUser({ email: 'target@example.com' });
+    user = (await authSystem.register(testUser, { role: 'employee' })).user;
+    password = testUser.password;
+  });
+
+  test('slows down repeated failures, then locks the account', async () => {
+    await expect(attempt(user.email, 'wrong-1')).rejects.toThrow('Invalid credentials');
+    await expect(attempt(user.email, 'wrong-2')).rejects.toThrow('Invalid credentials');
+    await expect(attempt(user.email, 'wrong-3')).rejects.toThrow('Invalid credentials');
+
+    // The third failure starts a one second delay
+    await expect(attempt(user.email, password)).rejects.toMatchObject({ retryAfter: 1 });
+    now += 1000;
+    await expect(attempt(user.email, 'wrong-4')).rejects.toThrow('Invalid credentials');
+    now += 2000;
+    await expect(attempt(user.email, 'wrong-5')).rejects.toThrow('Invalid credentials');
+
+    // Locked for 15 minutes, even with the right password
+    now += 60 * 1000;
+    await expect(attempt(user.email, password)).rejects.toMatchObject({
+      message: 'Too many failed login attempts; try again later',
+      retryAfter: 14 * 60
+    });
+    expect(throttle.listLockouts().lockouts).toMatchObject([{ key: user.email, type: 'account', userId: user.id }]);
+    expect(authSystem.auditLog.query({ action: 'auth.lockout' }).records[0].target).toEqual({ type: 'user', id: user.id });
+
+    now += 15 * 60 * 1000;
+    await expect(attempt(user.email, password)).resolves.toMatchObject({ success: true });
+    expect(throttle.attempts.has(user.email)).toBe(false);
+  });
+
+  test('keeps counting wrong two-factor codes after a correct password', async () => {
+    const { secret } = authSystem.twoFactor.beginEnrollment(user.id);
+    authSystem.twoFactor.confirmEnrollment(user.id, totp.generateCode(secret, now));
+    const wrongCode = totp.generateCode(secret, now + 10 * 60 * 1000);
+
+    // A fresh challenge from a fresh IP each time, as an attacker rotating addresses would get
+    for (let i = 0; i < 5; i++) {
+      now += 60 * 1000;
+      const challenge = await attempt(user.email, password, `10.1.0.${i}`);
+      expect(challenge.twoFactorRequired).toBe(true);
+      expect(() => authSystem.completeLogin(challenge.challengeToken, wrongCode, { ip: `10.1.0.${i}` })).toThrow('Invalid two-factor code');
+    }
+
+    now += 60 * 1000;
+    await expect(attempt(user.email, password, '10.1.0.9')).rejects.toMatchObject({ code: 'locked_out' });
+    expect(throttle.listLockouts().lockouts).toMatchObject([{ key: user.email, type: 'account' }]);
+  });
+
+  test('counts failures per IP across accounts', async () => {
+    for (let i = 0; i < 8; i++) {
+      await expect(attempt(`nobody-${i}@example.com`, 'guess', '10.9.9.9')).rejects.toThrow('Invalid credentials');
+    }
+
+    await expect(attempt(user.email, password, '10.9.9.9')).rejects.toThrow('try again later');
+    await expect(attempt(user.email, password, '10.0.0.2')).resolves.toMatchObject({ success: true });
+    expect(authSystem.auditLog.query({ action: 'auth.lockout.ip' }).total).toBe(1);
+  });
+
+  test('lets admins lift lockouts', async () => {
+    for (let i = 0; i < 5; i++) {
+      await expect(attempt(user.email, 'wrong')).rejects.toThrow();
+      now += 30 * 1000;
+    }
+    await expect(attempt(user.email, password)).rejects.toThrow('try again later');
+
+    expect(() => throttle.unlockUser(user.id, user.id)).toThrow('Insufficient permissions');
+    expect(throttle.unlockUser(admin.id, user.id)).toMatchObject({ wasLocked: true, performedBy: admin.id });
+
+    await expect(attempt(user.email, password)).resolves.toMatchObject({ success: true });
+    expect(authSystem.auditLog.query({ action: 'auth.unlocked' }).records[0].target).toEqual({ type: 'user', id: user.id });
+  });
+
+  test('requires a password change for flagged accounts until it is done', async () => {
+    authSystem.requirePasswordChange(user.id);
+    const login = await attempt(user.email, password);
+    expect(login.passwordChangeRequired).toBe(true);
+
+    await expect(authSystem.changePassword(user.id, password, password)).rejects.toThrow('must differ');
+    await authSystem.changePassword(user.id, password, 'A-New-Password-456', login.sessionId);
+
+    expect(authSystem.users.get(user.id).mustChangePassword).toBe(false);
+    expect((await attempt(user.email, 'A-New-Password-456')).passwordChangeRequired).toBe(false);
+  });
+});
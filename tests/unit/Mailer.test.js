@@ -0,0 +1,53 @@
+/**
+ * 🧪 Unit Tests for the Mailer
+ * Agentic Boardroom Mail Transport Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Mailer = require('../../src/mail/Mailer');
+
+describe('Mailer', () => {
+  test('writes messages to the mail directory with the file transport', async () => {
+    const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'boardroom-mail-'));
+    try {
+      const mailer = new Mailer({ transport: 'file', mailDir, from: 'Boardroom <mail@example.com>' });
+      const { messageId } = await mailer.send({ to: 'a@example.com', subject: 'Hello', text: 'First' });
+      await mailer.send({ to: 'b@example.com', subject: 'Hello again', text: 'Second' });
+
+      const messages = mailer.transport.list();
+      expect(messages.map(message => message.text)).toEqual(['First', 'Second']);
+      expect(messages[0]).toMatchObject({ id: messageId, from: 'Boardroom <mail@example.com>', to: 'a@example.com' });
+    } finally {
+      fs.rmSync(mailDir, { recursive: true, force: true });
+    }
+  });
+
+  test('accepts custom and registered transports', async () => {
+    const sent = [];
+    const custom = new Mailer({ transport: { send: async (message) => sent.push(message) } });
+    await custom.send({ to: 'a@example.com', subject: 'Custom', text: 'Body' });
+    expect(sent).toHaveLength(1);
+
+    Mailer.registerTransport('test-recorder', class {
+      async send(message) {
+        sent.push(message);
+      }
+    });
+    await new Mailer({ transport: 'test-recorder' }).send({ to: 'b@example.com', subject: 'Registered', text: 'Body' });
+    expect(sent.map(message => message.subject)).toEqual(['Custom', 'Registered']);
+
+    expect(() => new Mailer({ transport: 'carrier-pigeon' })).toThrow('Unknown mail transport: carrier-pigeon');
+    await expect(custom.send({ to: 'a@example.com', subject: 'No body' })).rejects.toThrow('Mail needs a recipient');
+  });
+
+  test('builds links from the app URL and picks the memory transport under test', () => {
+    const mailer = new Mailer({ appUrl: 'https://boardroom.example.com/' });
+    expect(mailer.link('/reset-password', { token: 'abc', organization: null })).toBe('https://boardroom.example.com/reset-password?token=abc');
+    expect(mailer.link('/verify-email')).toBe('https://boardroom.example.com/verify-email');
+
+    expect(Mailer.fromEnv({ NODE_ENV: 'test' }).transport.constructor.name).toBe('MemoryTransport');
+    expect(Mailer.fromEnv({ MAIL_TRANSPORT: 'console' }).transport.constructor.name).toBe('ConsoleTransport');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * 🧪 Unit Tests for Employee Manifest Loader
+ * Agentic Boardroom Manifest Loader Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ManifestLoader = require('../../src/agents/ManifestLoader');
+const { ManifestValidationError } = require('../../src/agents/ManifestLoader');
+
+const validManifest = (name = 'ops-agent') => `apiVersion: v1
+kind: Employee
+metadata:
+  name: ${name}
+  version: 1.0.0
+  team: operations
+spec:
+  role: "Operations Lead"
+  description: "Keeps the lights on"
+  model:
+    provider: "openai"
+    name: "gpt-4o-mini"
+    temperature: 0.2
+  autonomy: "medium"
+  approvals:
+    spend_usd: 2000
+  tools:
+    - name: "ops.runbook"
+  memory:
+    vector_namespace: "operations/lead"
+    retention_days: 30
+`;
+
+describe('ManifestLoader', () => {
+  let teamsDir;
+
+  const writeManifest = (team, file, content) => {
+    fs.mkdirSync(path.join(teamsDir, team), { recursive: true });
+    fs.writeFileSync(path.join(teamsDir, team, file), content);
+  };
+
+  beforeEach(() => {
+    teamsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teams-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(teamsDir, { recursive: true, force: true });
+  });
+
+  test('should load the bundled teams manifests', () => {
+    const profiles = new ManifestLoader().load();
+
+    expect(Object.keys(profiles)).toHaveLength(10);
+    expect(profiles.cfo.model).toBe('gpt-4o');
+    expect(profiles.cfo.approvals.spend_usd).toBe(25000);
+    expect(profiles.research_director.memory.vector_namespace).toBe('research/director');
+  });
+
+  test('should add an agent from a dropped-in manifest', () => {
+    writeManifest('operations', 'ops-agent.yaml', validManifest());
+
+    const profiles = new ManifestLoader({ teamsDir }).load();
+
+    expect(profiles.ops).toMatchObject({
+      id: 'ops',
+      name: 'Operations Lead',
+      model: 'gpt-4o-mini',
+      capabilities: ['ops.runbook'],
+      manifestFile: path.join(path.basename(teamsDir), 'operations', 'ops-agent.yaml')
+    });
+    expect(profiles.ops.greeting).toContain('Operations Lead');
+  });
+
+  test('should report file, path and reason for invalid manifests', () => {
+    writeManifest('operations', 'ops-agent.yaml',
+      validManifest().replace('temperature: 0.2', 'temperature: "hot"').replace('  autonomy: "medium"\n', ''));
+
+    expect.assertions(3);
+    try {
+      new ManifestLoader({ teamsDir }).load();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ManifestValidationError);
+      expect(error.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ path: 'spec.model.temperature', reason: expect.stringContaining('number') }),
+        expect.objectContaining({ path: 'spec.autonomy', reason: expect.stringContaining('required') })
+      ]));
+      expect(error.errors[0].file).toMatch(/operations[/\\]ops-agent\.yaml$/);
+    }
+  });
+
+  test('should report YAML syntax errors and duplicate agent ids', () => {
+    writeManifest('a-team', 'ops-agent.yaml', validManifest());
+    writeManifest('b-team', 'ops.yaml', validManifest('ops'));
+    writeManifest('c-team', 'broken.yaml', 'spec: [unterminated');
+
+    expect(() => new ManifestLoader({ teamsDir }).load()).toThrow(/Duplicate agent id "ops"/);
+    expect(() => new ManifestLoader({ teamsDir }).load()).toThrow(/broken\.yaml/);
+  });
+});
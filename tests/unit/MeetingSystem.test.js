@@ -0,0 +1,112 @@
+/**
+ * 🧪 Unit Tests for Boardroom Meetings
+ * Agentic Boardroom Meeting Facilitation Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+const MeetingSystem = require('../../src/meetings/MeetingSystem');
+
+describe('MeetingSystem', () => {
+  let authSystem;
+  let chatSystem;
+  let meetings;
+  let admin;
+  let employee;
+
+  beforeEach(async () => {
+    authSystem = new AuthSystem();
+    ({ user: admin } = await authSystem.register({
+      email: 'admin@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Admin',
+      lastName: 'User'
+    }, { role: 'super_admin' }));
+    ({ user: employee } = await authSystem.register({
+      email: 'employee@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Employee',
+      lastName: 'User'
+    }));
+    chatSystem = new AgentChatSystem(authSystem);
+    meetings = new MeetingSystem(chatSystem);
+
+    jest.spyOn(chatSystem, 'respondAs').mockImplementation(async (agentId, instructions) => {
+      if (instructions.includes('Summarize')) {
+        return { content: 'We aligned on the budget.\nDECISION: Freeze hiring until Q3\nACTION: CFO Agent - Revise the forecast\nACTION: Share notes' };
+      }
+      return { content: `${agentId} speaking` };
+    });
+  });
+
+  test('adds governance attendees and the facilitator for executive meetings', () => {
+    const { meeting } = meetings.create(admin.id, {
+      title: 'Daily exec sync',
+      type: 'executive_meetings',
+      agenda: ['Budget review'],
+      attendees: ['research_director']
+    });
+
+    expect(meeting).toMatchObject({ status: 'scheduled', facilitator: 'meeting_facilitator' });
+    expect(meeting.attendees).toEqual(['ceo', 'cto', 'cfo', 'research_director']);
+  });
+
+  test('facilitator drives each agenda item and minutes capture the outcomes', async () => {
+    const { meeting } = meetings.create(admin.id, {
+      title: 'Planning',
+      agenda: [{ topic: 'Budget management review', description: 'Financial analysis for Q3' }, 'Architecture'],
+      attendees: ['ceo', 'cfo']
+    });
+
+    await meetings.run(meeting.id);
+
+    expect(meeting.status).toBe('completed');
+    expect(meeting.agenda[0].turnOrder).toEqual(['cfo', 'ceo']);
+    expect(meeting.transcript.filter(turn => turn.agendaIndex === 0).map(turn => [turn.agentId, turn.kind])).toEqual([
+      ['meeting_facilitator', 'opening'],
+      ['cfo', 'contribution'],
+      ['ceo', 'contribution'],
+      ['meeting_facilitator', 'summary']
+    ]);
+    expect(meeting.transcript[meeting.transcript.length - 1].kind).toBe('closing');
+    expect(meeting.decisions[0]).toMatchObject({ agendaIndex: 0, text: 'Freeze hiring until Q3' });
+    expect(meeting.actionItems[0]).toMatchObject({ owner: 'CFO Agent', ownerAgentId: 'cfo', task: 'Revise the forecast' });
+    expect(meeting.actionItems[1]).toMatchObject({ owner: null, task: 'Share notes' });
+
+    const minutes = meetings.exportMinutes(admin.id, meeting.id);
+    expect(minutes.filename).toBe(`meeting-${meeting.id}.md`);
+    expect(minutes.body).toContain('## 1. Budget management review');
+    expect(minutes.body).toContain('- [ ] CFO Agent: Revise the forecast');
+    expect(JSON.parse(meetings.exportMinutes(admin.id, meeting.id, 'json').body).decisions).toHaveLength(2);
+  });
+
+  test('passes earlier turns to the next speaker', async () => {
+    const { meeting } = meetings.create(admin.id, { title: 'Sync', agenda: ['Hiring'], attendees: ['ceo', 'cto'] });
+
+    await meetings.run(meeting.id);
+
+    const [, , ctoPrompt] = chatSystem.respondAs.mock.calls.find(([agentId]) => agentId === 'cto');
+    expect(ctoPrompt).toContain('Agenda item 1 of 1: Hiring');
+    expect(ctoPrompt).toContain('CEO Agent: ceo speaking');
+  });
+
+  test('ending a meeting stops further turns but still writes minutes', async () => {
+    const { meeting } = meetings.create(admin.id, { title: 'Sync', agenda: ['One', 'Two'], attendees: ['ceo'] });
+    meetings.once('meetingTurn', () => meetings.end(admin.id, meeting.id));
+
+    await meetings.run(meeting.id);
+
+    expect(meeting.status).toBe('ended_early');
+    expect(meeting.agenda.map(item => item.status)).toEqual(['in_progress', 'pending']);
+    expect(meeting.minutes).toContain('_Not discussed (pending)._');
+  });
+
+  test('rejects attendees the organizer cannot access', () => {
+    expect(() => meetings.create(employee.id, { title: 'x', agenda: ['y'], attendees: ['cfo'] }))
+      .toThrow('Access denied to agent: cfo');
+    expect(() => meetings.create(admin.id, { title: 'x', agenda: [], attendees: ['cfo'] }))
+      .toThrow('Meeting agenda must have at least one item');
+    expect(() => meetings.create(admin.id, { title: 'x', agenda: ['y'], type: 'retro' }))
+      .toThrow('Unknown meeting type: retro');
+  });
+});
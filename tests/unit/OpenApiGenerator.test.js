@@ -0,0 +1,126 @@
+/**
+ * 🧪 Unit Tests for the OpenAPI Generator
+ * Agentic Boardroom Joi to JSON Schema and Route Documentation Tests
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const OpenApiGenerator = require('../../src/docs/OpenApiGenerator');
+
+describe('OpenApiGenerator', () => {
+  test('converts Joi schemas to JSON Schema', () => {
+    const schema = Joi.object({
+      title: Joi.string().trim().min(1).max(200).required(),
+      email: Joi.string().email({ tlds: false }),
+      amount: Joi.number().positive(),
+      rounds: Joi.number().integer().min(1).max(5),
+      urgency: Joi.string().valid('low', 'high'),
+      note: Joi.string().allow(null, ''),
+      tags: Joi.array().items(Joi.string()).max(3),
+      from: Joi.date().iso(),
+      agenda: Joi.alternatives().try(Joi.string(), Joi.object({ topic: Joi.string().required() }))
+    });
+
+    expect(OpenApiGenerator.toJsonSchema(schema)).toEqual({
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        email: { type: 'string', format: 'email' },
+        amount: { type: 'number', minimum: 0, exclusiveMinimum: true },
+        rounds: { type: 'integer', minimum: 1, maximum: 5 },
+        urgency: { type: 'string', enum: ['low', 'high'] },
+        note: { type: 'string', nullable: true },
+        tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+        from: { type: 'string', format: 'date-time' },
+        agenda: {
+          oneOf: [
+            { type: 'string' },
+            { type: 'object', properties: { topic: { type: 'string' } }, required: ['topic'], additionalProperties: false }
+          ]
+        }
+      },
+      required: ['title'],
+      additionalProperties: false
+    });
+  });
+
+  test('shares schemas that carry an id as components', () => {
+    const components = {};
+    const user = Joi.object({ id: Joi.string().required() }).unknown(true).id('User');
+
+    expect(OpenApiGenerator.toJsonSchema(Joi.object({ user, users: Joi.array().items(user) }), components)).toEqual({
+      type: 'object',
+      properties: {
+        user: { $ref: '#/components/schemas/User' },
+        users: { type: 'array', items: { $ref: '#/components/schemas/User' } }
+      },
+      additionalProperties: false
+    });
+    expect(components).toEqual({ User: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } });
+  });
+
+  test('names paths and operations after the Express route', () => {
+    expect(OpenApiGenerator.openApiPath('/agents/:agentId/chat')).toBe('/agents/{agentId}/chat');
+    expect(OpenApiGenerator.operationId('POST', '/agents/:agentId/chat')).toBe('postAgentsByAgentIdChat');
+    expect(OpenApiGenerator.operationId('GET', '/spend-requests/budget')).toBe('getSpendRequestsBudget');
+  });
+
+  describe('generate', () => {
+    const authenticate = (req, res, next) => next();
+    const requireAdmin = Object.assign((req, res, next) => next(), { permission: 'users:admin' });
+    const handler = (req, res) => res.json({ success: true });
+    const routes = {
+      'GET /widgets/:widgetId': {
+        summary: 'One widget',
+        params: Joi.object({ widgetId: Joi.string().required() }),
+        query: Joi.object({ verbose: Joi.boolean() }),
+        response: Joi.object({ success: Joi.boolean().required() })
+      },
+      'POST /widgets': {
+        summary: 'Create a widget',
+        status: 201,
+        body: Joi.object({ name: Joi.string().required() }),
+        response: Joi.object({ success: Joi.boolean().required() })
+      }
+    };
+
+    test('documents parameters, bodies, security and permissions', () => {
+      const router = express.Router();
+      router.get('/widgets/:widgetId', authenticate, requireAdmin, handler);
+      router.post('/widgets', handler);
+
+      const document = new OpenApiGenerator({ routes, events: {} }).generate(router, { authenticate });
+      const getWidget = document.paths['/widgets/{widgetId}'].get;
+      const createWidget = document.paths['/widgets'].post;
+
+      expect(document.openapi).toBe('3.0.3');
+      expect(document.servers).toEqual([{ url: '/api/v1' }]);
+      expect(getWidget).toMatchObject({
+        operationId: 'getWidgetsByWidgetId',
+        summary: 'One widget',
+        tags: ['widgets'],
+        security: [{ bearerAuth: [] }],
+        'x-required-permission': 'users:admin'
+      });
+      expect(getWidget.parameters).toEqual([
+        { $ref: '#/components/parameters/OrganizationId' },
+        { name: 'widgetId', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'verbose', in: 'query', required: false, schema: { type: 'boolean' } }
+      ]);
+      expect(Object.keys(getWidget.responses).sort()).toEqual(['200', '400', '401', '403', '404', '422']);
+
+      expect(createWidget.security).toEqual([]);
+      expect(createWidget.requestBody.required).toBe(true);
+      expect(Object.keys(createWidget.responses).sort()).toEqual(['201', '400', '422']);
+    });
+
+    test('refuses to document a route without a schema', () => {
+      const router = express.Router();
+      router.get('/widgets/:widgetId', handler);
+      router.delete('/widgets/:widgetId', handler);
+
+      expect(() => new OpenApiGenerator({ routes, events: {} }).generate(router))
+        .toThrow('Route is not documented: DELETE /widgets/:widgetId');
+    });
+  });
+});
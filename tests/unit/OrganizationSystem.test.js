@@ -0,0 +1,81 @@
+/**
+ * 🧪 Unit Tests for Organizations
+ * Agentic Boardroom Tenant Registry Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Store = require('../../src/storage/Store');
+const OrganizationSystem = require('../../src/organizations/OrganizationSystem');
+const AuthSystem = require('../../src/auth/AuthSystem');
+
+describe('OrganizationSystem', () => {
+  let organizations;
+
+  beforeEach(() => {
+    organizations = new OrganizationSystem({ store: new Store(), baseDomain: 'boardroom.test' });
+    organizations.ensureDefault();
+  });
+
+  test('creates organizations with unique ids and subdomains', () => {
+    const { organization } = organizations.create('admin-1', { id: 'acme', name: 'Acme Corp' });
+
+    expect(organization).toMatchObject({ id: 'acme', subdomain: 'acme', isActive: true, createdBy: 'admin-1' });
+    expect(organizations.list().map(org => org.id)).toEqual(['default', 'acme']);
+    expect(() => organizations.create('admin-1', { id: 'acme', name: 'Again' })).toThrow('already exists');
+    expect(() => organizations.create('admin-1', { id: 'default', name: 'Default' })).toThrow('already exists');
+    expect(() => organizations.create('admin-1', { id: 'Bad Id', name: 'Bad' })).toThrow('Organization id');
+    expect(() => organizations.create('admin-1', { id: 'globex', name: 'Globex', subdomain: 'acme' }))
+      .toThrow('Subdomain is already in use');
+    expect(organizations.auditLog.query({ action: 'organization.*' }).total).toBe(1);
+  });
+
+  test('resolves the organization from a header or subdomain', () => {
+    organizations.create('admin-1', { id: 'acme', name: 'Acme Corp', subdomain: 'acme-hq' });
+
+    expect(organizations.resolve({ organizationId: 'acme', hostname: 'localhost' })).toBe('acme');
+    expect(organizations.resolve({ hostname: 'acme-hq.boardroom.test' })).toBe('acme');
+    expect(organizations.resolve({ hostname: 'localhost' })).toBeNull();
+    expect(() => organizations.resolve({ hostname: 'nobody.boardroom.test' })).toThrow('Organization not found');
+  });
+
+  test('never deactivates the default organization', () => {
+    expect(() => organizations.update('admin-1', 'default', { isActive: false }))
+      .toThrow('The default organization cannot be deactivated');
+
+    organizations.create('admin-1', { id: 'acme', name: 'Acme Corp' });
+    expect(organizations.update('admin-1', 'acme', { isActive: false }).organization.isActive).toBe(false);
+  });
+
+  test('uses tenant manifests and policies only when present', () => {
+    const tenantsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'boardroom-tenants-'));
+    fs.mkdirSync(path.join(tenantsDir, 'acme', 'teams'), { recursive: true });
+    organizations.tenantsDir = tenantsDir;
+
+    try {
+      expect(organizations.configPaths({ id: 'acme' })).toEqual({
+        teamsDir: path.join(tenantsDir, 'acme', 'teams'),
+        policyFile: undefined
+      });
+      expect(organizations.configPaths({ id: 'default' })).toEqual({});
+    } finally {
+      fs.rmSync(tenantsDir, { recursive: true, force: true });
+    }
+  });
+
+  test('binds access tokens to the issuing organization', async () => {
+    const store = new Store();
+    const acme = new AuthSystem({ store: store.scope('acme'), organizationId: 'acme' });
+    const globex = new AuthSystem({ store: store.scope('globex'), organizationId: 'globex' });
+    const testUser = global.testUtils.generateTestUser();
+    await acme.register(testUser, { role: 'employee' });
+
+    const { token } = await acme.login(testUser.email, testUser.password);
+
+    expect(AuthSystem.organizationOf(token)).toBe('acme');
+    await expect(acme.verifyToken(token)).resolves.toMatchObject({ success: true });
+    await expect(globex.verifyToken(token)).resolves.toMatchObject({ error: 'Token belongs to another organization' });
+    expect(globex.findUserByEmail(testUser.email)).toBeFalsy();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * 🧪 Unit Tests for the Password Policy
+ * Agentic Boardroom Password Strength and Breached-Password Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PasswordPolicy = require('../../src/auth/PasswordPolicy');
+const { ValidationError } = require('../../src/errors/ApiError');
+
+describe('PasswordPolicy', () => {
+  const policy = new PasswordPolicy({ minLength: 12, minCharacterClasses: 3 });
+
+  test('accepts long passwords that mix character classes', () => {
+    expect(policy.check('TestPassword123!')).toEqual([]);
+    expect(policy.check('correct-horse-battery-7')).toEqual([]);
+    expect(() => policy.validate('A-Much-Better-Passphrase-1')).not.toThrow();
+  });
+
+  test('reports every rule a password breaks', () => {
+    expect(policy.check('short')).toEqual([
+      'must be at least 12 characters',
+      'must mix at least 3 of lowercase letters, uppercase letters, digits and symbols'
+    ]);
+    expect(policy.check('')).toEqual(['is required']);
+    expect(policy.check(`Aa1!${'x'.repeat(80)}`)).toEqual(['must be at most 72 bytes']);
+
+    expect(() => policy.validate('alllowercaseletters')).toThrow(
+      'Password must mix at least 3 of lowercase letters, uppercase letters, digits and symbols'
+    );
+    let rejection;
+    try {
+      policy.validate('123');
+    } catch (error) {
+      rejection = error;
+    }
+    expect(rejection).toBeInstanceOf(ValidationError);
+    expect(rejection.errors).toEqual([
+      { path: 'password', message: 'Password must be at least 12 characters' },
+      { path: 'password', message: expect.stringContaining('must mix') }
+    ]);
+  });
+
+  test('refuses breached passwords case-insensitively', () => {
+    expect(policy.check('Password123!')).toEqual(['appears in a list of breached passwords']);
+    expect(policy.check('QWERTYuiop123')).toEqual(['appears in a list of breached passwords']);
+  });
+
+  test('loads a custom breached list and applies configured rules', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'boardroom-policy-'));
+    const file = path.join(dir, 'breached.txt');
+    fs.writeFileSync(file, '# team list\nBoardroom-Rocks-1\n\n');
+    try {
+      const custom = new PasswordPolicy({ minLength: 8, minCharacterClasses: 1, breachedListFile: file });
+      expect(custom.check('boardroom-rocks-1')).toEqual(['appears in a list of breached passwords']);
+      expect(custom.check('password123')).toEqual([]);
+      expect(custom.describe()).toEqual({ minLength: 8, maxLength: 72, minCharacterClasses: 1, breachedPasswordCheck: true });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    expect(() => new PasswordPolicy({ breachedListFile: file })).toThrow('Breached password list not found');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * 🧪 Unit Tests for Model Provider Registry
+ * Agentic Boardroom Provider Adapter Tests
+ */
+
+const { Readable } = require('stream');
+const ProviderRegistry = require('../../src/providers/ProviderRegistry');
+
+describe('ProviderRegistry', () => {
+  const env = {
+    OPENAI_API_KEY: 'sk-test',
+    ANTHROPIC_API_KEY: 'ant-test',
+    GOOGLE_API_KEY: 'goog-test',
+    GOOGLE_CLOUD_PROJECT: 'boardroom'
+  };
+  const request = {
+    systemPrompt: 'You are the CFO Agent.',
+    messages: [
+      { role: 'assistant', content: 'Welcome!' },
+      { role: 'user', content: 'Review the Q3 budget' }
+    ],
+    temperature: 0.1
+  };
+
+  let http;
+  let registry;
+
+  beforeEach(() => {
+    http = { post: jest.fn() };
+    registry = new ProviderRegistry({ mode: 'live', env, http });
+  });
+
+  test('should make every declared model resolvable', () => {
+    const models = registry.listModels().map(entry => entry.model);
+
+    expect(models).toEqual(expect.arrayContaining(['gpt-4o-mini', 'claude-3-haiku', 'gemini-1.5-flash', 'llama3.1']));
+    expect(registry.hasModel('claude-3-haiku', 'anthropic')).toBe(true);
+    expect(registry.hasModel('claude-3-haiku', 'openai')).toBe(false);
+    expect(() => registry.resolve('gpt-2')).toThrow('Unsupported AI model: gpt-2');
+  });
+
+  test('should call OpenAI chat completions with bearer auth', async () => {
+    http.post.mockResolvedValue({
+      data: {
+        choices: [{ message: { content: 'Budget looks healthy' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 20, completion_tokens: 4, total_tokens: 24 }
+      }
+    });
+
+    const response = await registry.complete('gpt-4o-mini', request);
+
+    const [url, body, config] = http.post.mock.calls[0];
+    expect(url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(config.headers.Authorization).toBe('Bearer sk-test');
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'You are the CFO Agent.' });
+    expect(response).toMatchObject({ content: 'Budget looks healthy', tokens: 24, provider: 'openai' });
+  });
+
+  test('should call Anthropic messages with x-api-key and alternating turns', async () => {
+    http.post.mockResolvedValue({
+      data: { content: [{ type: 'text', text: 'Approved' }], usage: { input_tokens: 10, output_tokens: 1 } }
+    });
+
+    const response = await registry.complete('claude-3-haiku', request);
+
+    const [url, body, config] = http.post.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(config.headers['x-api-key']).toBe('ant-test');
+    expect(config.headers['anthropic-version']).toBe('2023-06-01');
+    expect(body).toMatchObject({ model: 'claude-3-haiku-20240307', system: 'You are the CFO Agent.' });
+    expect(body.messages).toEqual([{ role: 'user', content: 'Review the Q3 budget' }]);
+    expect(response.tokens).toBe(11);
+  });
+
+  test('should send local models to the OpenAI-compatible endpoint without auth', async () => {
+    http.post.mockResolvedValue({ data: { choices: [{ message: { content: 'ok' } }] } });
+
+    await registry.complete('llama3.1', request);
+
+    const [url, , config] = http.post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(config.headers.Authorization).toBeUndefined();
+  });
+
+  test('should fail clearly when a provider key is missing', async () => {
+    registry = new ProviderRegistry({ mode: 'live', env: {}, http });
+
+    await expect(registry.complete('gpt-4o', request)).rejects.toThrow('missing API key');
+    expect(http.post).not.toHaveBeenCalled();
+  });
+
+  test('should route every model to the deterministic echo provider offline', async () => {
+    registry = new ProviderRegistry({ mode: 'offline', fixtures: { 'gpt-4o': 'Fixture answer' } });
+
+    const echoed = await registry.complete('claude-3-opus', request);
+    const fixture = await registry.complete('gpt-4o', request);
+
+    expect(echoed.content).toBe('[echo:claude-3-opus] Review the Q3 budget');
+    expect(echoed.provider).toBe('echo');
+    expect(fixture.content).toBe('Fixture answer');
+  });
+
+  test('should parse OpenAI server-sent event chunks', async () => {
+    http.post.mockResolvedValue({
+      data: Readable.from([
+        'data: {"choices":[{"delta":{"content":"Bud"}}]}\n\ndata: {"choices":[{"delta":{"con',
+        'tent":"get ok"},"finish_reason":"stop"}]}\n\n',
+        'data: {"choices":[],"usage":{"prompt_tokens":5,"completion_tokens":2,"total_tokens":7}}\n\ndata: [DONE]\n\n'
+      ])
+    });
+
+    const chunks = [];
+    for await (const chunk of registry.stream('gpt-4o', request)) {
+      chunks.push(chunk);
+    }
+
+    expect(http.post.mock.calls[0][1]).toMatchObject({ stream: true });
+    expect(http.post.mock.calls[0][2].responseType).toBe('stream');
+    expect(chunks.slice(0, 2)).toEqual([{ delta: 'Bud' }, { delta: 'get ok' }]);
+    expect(chunks[2]).toMatchObject({ done: true, finishReason: 'stop', tokens: 7, provider: 'openai' });
+  });
+
+  test('should parse Anthropic stream events', async () => {
+    http.post.mockResolvedValue({
+      data: Readable.from([
+        'event: message_start\ndata: {"type":"message_start","message":{"usage":{"input_tokens":9}}}\n\n',
+        'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Yes"}}\n\n',
+        'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":1}}\n\n'
+      ])
+    });
+
+    const chunks = [];
+    for await (const chunk of registry.stream('claude-3-opus', request)) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual([
+      { delta: 'Yes' },
+      expect.objectContaining({ done: true, finishReason: 'end_turn', tokens: 10 })
+    ]);
+  });
+});
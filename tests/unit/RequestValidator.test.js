@@ -0,0 +1,81 @@
+/**
+ * 🧪 Unit Tests for the Request Validator
+ * Agentic Boardroom Route and Socket Payload Validation Tests
+ */
+
+const RequestValidator = require('../../src/validation/RequestValidator');
+const { ValidationError } = RequestValidator;
+
+describe('RequestValidator', () => {
+  const validator = new RequestValidator();
+  const request = (method, path, parts = {}) => ({
+    method,
+    route: { path },
+    params: parts.params || {},
+    query: parts.query || {},
+    body: parts.body || {}
+  });
+  const problems = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      return error.errors;
+    }
+    throw new Error('Expected a ValidationError');
+  };
+
+  test('replaces the request parts with converted values', () => {
+    const req = request('GET', '/audit', { query: { limit: '20', offset: '0', action: ' auth.login.* ' } });
+    validator.validateRequest(req);
+
+    expect(req.query).toEqual({ limit: 20, offset: 0, action: 'auth.login.*' });
+  });
+
+  test('reports every problem with its field path', () => {
+    const errors = problems(() => validator.validateRequest(request('POST', '/organizations', {
+      body: { id: 'acme', name: 'Acme', admin: { email: 'not-an-email', firstName: 'Ada' }, plan: 'gold' }
+    })));
+
+    expect(errors).toEqual([
+      { path: 'body.admin.email', message: 'admin.email must be a valid email' },
+      { path: 'body.admin.password', message: 'admin.password is required' },
+      { path: 'body.admin.lastName', message: 'admin.lastName is required' },
+      { path: 'body.plan', message: 'plan is not allowed' }
+    ]);
+  });
+
+  test('rejects empty, non-string and oversized messages', () => {
+    const send = (message, maxMessageLength = 100) => validator.validateRequest(request(
+      'POST', '/conversations/:conversationId/messages',
+      { params: { conversationId: 'conv-1' }, body: { message } }
+    ), { maxMessageLength });
+
+    expect(problems(() => send('   '))).toEqual([{ path: 'body.message', message: 'message is not allowed to be empty' }]);
+    expect(problems(() => send({ text: 'hi' }))).toEqual([{ path: 'body.message', message: 'message must be a string' }]);
+    expect(problems(() => send('x'.repeat(101)))).toEqual([
+      { path: 'body.message', message: 'message must be at most 100 characters for your role' }
+    ]);
+    expect(() => send('x'.repeat(100))).not.toThrow();
+  });
+
+  test('requires parts a route does not declare to be empty', () => {
+    expect(problems(() => validator.validateRequest(request('POST', '/auth/logout', { body: { everywhere: true } }))))
+      .toEqual([{ path: 'body.everywhere', message: 'everywhere is not allowed' }]);
+  });
+
+  test('refuses routes without a schema', () => {
+    expect(() => validator.validateRequest(request('GET', '/unknown'))).toThrow('No request schema for GET /unknown');
+  });
+
+  test('validates socket event payloads', () => {
+    expect(validator.validateEvent('sendMessage', { conversationId: 'conv-1', message: ' Hello ' }, { maxMessageLength: 10 }))
+      .toEqual({ conversationId: 'conv-1', message: 'Hello' });
+
+    expect(problems(() => validator.validateEvent('sendMessage', { conversationId: 'conv-1', message: 'x'.repeat(11) }, { maxMessageLength: 10 })))
+      .toEqual([{ path: 'message', message: 'message must be at most 10 characters for your role' }]);
+    expect(problems(() => validator.validateEvent('subscribeDecision', undefined)))
+      .toEqual([{ path: '', message: 'value is required' }]);
+    expect(() => validator.validateEvent('unknownEvent', {})).toThrow('No schema for socket event unknownEvent');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * 🧪 Unit Tests for Spend Approval Engine
+ * Agentic Boardroom Spending Governance Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+const SpendApprovalEngine = require('../../src/finance/SpendApprovalEngine');
+
+describe('SpendApprovalEngine', () => {
+  let authSystem;
+  let chatSystem;
+  let engine;
+  let employee;
+  let executive;
+  let admin;
+
+  const register = async (email, role) => (await authSystem.register({
+    email,
+    password: 'TestPassword123!',
+    firstName: 'Spend',
+    lastName: 'User'
+  }, { role })).user;
+
+  beforeEach(async () => {
+    authSystem = new AuthSystem();
+    employee = await register('employee@example.com', 'employee');
+    executive = await register('executive@example.com', 'executive');
+    admin = await register('admin@example.com', 'super_admin');
+    chatSystem = new AgentChatSystem(authSystem);
+    engine = new SpendApprovalEngine(chatSystem, { exchangeRates: { USD: 1, EUR: 1.1 } });
+  });
+
+  test('parses the governance amount ranges', () => {
+    expect(SpendApprovalEngine.parseAmountRange('≤ $1,000')).toEqual({ min: 0, max: 1000 });
+    expect(SpendApprovalEngine.parseAmountRange('$1,001 - $25,000')).toEqual({ min: 1001, max: 25000 });
+    expect(SpendApprovalEngine.parseAmountRange('> $100,000')).toEqual({ min: 100000, max: Infinity });
+    expect(engine.resolveTier(1000.5).approval).toBe('cfo_approval');
+    expect(engine.resolveTier(250000).approval).toBe('board_approval');
+  });
+
+  test('auto-approves small spend within budget and tracks it for the period', () => {
+    const { spendRequest, budget } = engine.submit(employee.id, { amount: 400, purpose: 'Team lunch' });
+
+    expect(spendRequest).toMatchObject({ status: 'approved', tier: 'auto_approved', approvedBy: { type: 'system' } });
+    expect(spendRequest.auditTrail.map(entry => entry.action)).toEqual(['submitted', 'tier_resolved', 'approved']);
+    expect(budget).toMatchObject({ limit: 1000, approved: 400, remaining: 600 });
+  });
+
+  test('routes over-budget spend to the next tier instead of auto-approving', () => {
+    engine.submit(employee.id, { amount: 800, purpose: 'Monitors' });
+
+    const { spendRequest, budget } = engine.submit(employee.id, { amount: 300, purpose: 'Keyboards' });
+
+    expect(spendRequest).toMatchObject({ status: 'pending_approval', tier: 'cfo_approval', budgetExceeded: true });
+    expect(budget).toMatchObject({ committed: 1100, remaining: 0 });
+  });
+
+  test('converts currencies to USD before resolving the tier', () => {
+    const { spendRequest } = engine.submit(admin.id, { amount: 1000, currency: 'EUR', purpose: 'Conference' });
+
+    expect(spendRequest).toMatchObject({ amountUsd: 1100, tier: 'cfo_approval' });
+    expect(() => engine.submit(admin.id, { amount: 10, currency: 'XYZ', purpose: 'x' })).toThrow('Unsupported currency: XYZ');
+  });
+
+  test('lets the tier agent approve within its manifest spend authority', async () => {
+    jest.spyOn(chatSystem, 'solicitPosition').mockResolvedValue({ position: 'approve', rationale: 'Fits the plan' });
+
+    const { spendRequest } = engine.submit(executive.id, { amount: 20000, purpose: 'Cloud credits' });
+    await engine.requestAgentApproval(spendRequest.id);
+
+    expect(chatSystem.solicitPosition).toHaveBeenCalledWith('cfo', expect.objectContaining({ budget: 20000 }));
+    expect(spendRequest).toMatchObject({ status: 'approved', approvedBy: { type: 'agent', id: 'cfo' } });
+  });
+
+  test('skips agents whose spend authority is too low', async () => {
+    chatSystem.agentProfiles.ceo.approvals.spend_usd = 50000;
+    jest.spyOn(chatSystem, 'solicitPosition');
+
+    const { spendRequest } = engine.submit(executive.id, { amount: 60000, purpose: 'Data center lease' });
+    await engine.requestAgentApproval(spendRequest.id);
+
+    expect(chatSystem.solicitPosition).not.toHaveBeenCalled();
+    expect(spendRequest.status).toBe('pending_approval');
+    expect(spendRequest.auditTrail[spendRequest.auditTrail.length - 1]).toMatchObject({
+      action: 'agent_skipped',
+      details: { reason: 'Exceeds spend authority of $50000' }
+    });
+  });
+
+  test('requires a human approver with the tier permission and enough limit', () => {
+    const { spendRequest } = engine.submit(employee.id, { amount: 150000, purpose: 'New office' });
+
+    expect(spendRequest.tier).toBe('board_approval');
+    expect(() => engine.review(executive.id, spendRequest.id, true)).toThrow('Insufficient approval authority');
+    expect(() => engine.review(employee.id, spendRequest.id, true)).toThrow('Insufficient approval authority');
+
+    engine.review(admin.id, spendRequest.id, false, 'Not this quarter');
+
+    expect(spendRequest).toMatchObject({ status: 'rejected' });
+    expect(spendRequest.auditTrail[spendRequest.auditTrail.length - 1]).toMatchObject({
+      action: 'rejected',
+      actor: { type: 'user', id: admin.id },
+      details: { note: 'Not this quarter' }
+    });
+    expect(() => engine.cancel(employee.id, spendRequest.id)).toThrow('Spend request is already rejected');
+  });
+});
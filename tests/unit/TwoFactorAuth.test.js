@@ -0,0 +1,131 @@
+/**
+ * 🧪 Unit Tests for Two-Factor Authentication
+ * Agentic Boardroom TOTP Enrollment and Two-Step Login Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const totp = require('../../src/auth/totp');
+
+describe('TwoFactorAuth', () => {
+  let now;
+  let authSystem;
+  let twoFactor;
+
+  const register = async (role, email) => {
+    const testUser = global.testUtils.generateTestUser({ email });
+    const { user } = await authSystem.register(testUser, { role });
+    return { user, password: testUser.password };
+  };
+
+  const enroll = (userId) => {
+    const { secret } = twoFactor.beginEnrollment(userId);
+    const { recoveryCodes } = twoFactor.confirmEnrollment(userId, totp.generateCode(secret, now));
+    return { secret, recoveryCodes };
+  };
+
+  beforeEach(() => {
+    now = Date.UTC(2026, 0, 1, 9, 0, 0);
+    authSystem = new AuthSystem({ clock: () => now, twoFactorRequiredRoles: ['executive'] });
+    twoFactor = authSystem.twoFactor;
+  });
+
+  test('enrolls with a confirmed code and hands out recovery codes', async () => {
+    const { user } = await register('manager', 'manager@example.com');
+    const { secret, otpauthUri } = twoFactor.beginEnrollment(user.id);
+
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(twoFactor.isEnabled(user.id)).toBe(false);
+    expect(() => twoFactor.confirmEnrollment(user.id, '000000')).toThrow('Invalid two-factor code');
+
+    const { recoveryCodes } = twoFactor.confirmEnrollment(user.id, totp.generateCode(secret, now));
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(twoFactor.status(user.id)).toMatchObject({ enabled: true, required: false, recoveryCodesRemaining: 10 });
+    expect(JSON.stringify(authSystem.sanitizeUser(authSystem.users.get(user.id)))).not.toContain(secret);
+  });
+
+  test('requires a second step at login and rejects replayed codes', async () => {
+    const { user, password } = await register('manager', 'manager@example.com');
+    const { secret } = enroll(user.id);
+    now += 30000;
+
+    const challenge = await authSystem.login(user.email, password);
+    expect(challenge).toMatchObject({ twoFactorRequired: true, enrollmentRequired: false });
+    expect(challenge.token).toBeUndefined();
+
+    const code = totp.generateCode(secret, now);
+    const result = authSystem.completeLogin(challenge.challengeToken, code);
+    expect(result.token).toBeDefined();
+    await expect(authSystem.verifyToken(result.token)).resolves.toMatchObject({ success: true });
+    expect(() => authSystem.completeLogin(challenge.challengeToken, code)).toThrow('Invalid or expired two-factor challenge');
+
+    const second = await authSystem.login(user.email, password);
+    expect(() => authSystem.completeLogin(second.challengeToken, code)).toThrow('Invalid two-factor code');
+    expect(authSystem.auditLog.query({ action: 'auth.login.failure' }).records[0].details.reason).toBe('invalid_2fa_code');
+  });
+
+  test('accepts each recovery code once', async () => {
+    const { user, password } = await register('manager', 'manager@example.com');
+    const { recoveryCodes } = enroll(user.id);
+
+    const first = await authSystem.login(user.email, password);
+    authSystem.completeLogin(first.challengeToken, recoveryCodes[0].toUpperCase());
+
+    const second = await authSystem.login(user.email, password);
+    expect(() => authSystem.completeLogin(second.challengeToken, recoveryCodes[0])).toThrow('Invalid two-factor code');
+    expect(twoFactor.status(user.id).recoveryCodesRemaining).toBe(9);
+  });
+
+  test('forces enrollment at login for roles that require 2FA', async () => {
+    const { user, password } = await register('executive', 'executive@example.com');
+
+    const challenge = await authSystem.login(user.email, password);
+    expect(challenge).toMatchObject({ twoFactorRequired: true, enrollmentRequired: true });
+
+    const { secret } = authSystem.beginLoginEnrollment(challenge.challengeToken);
+    const result = authSystem.completeLogin(challenge.challengeToken, totp.generateCode(secret, now));
+
+    expect(result.token).toBeDefined();
+    expect(result.recoveryCodes).toHaveLength(10);
+    expect(twoFactor.isEnabled(user.id)).toBe(true);
+    now += 30000;
+    expect(() => twoFactor.disable(user.id, totp.generateCode(secret, now)))
+      .toThrow('Two-factor authentication is required for your role');
+  });
+
+  test('expires challenges and drops them after too many wrong codes', async () => {
+    const { user, password } = await register('manager', 'manager@example.com');
+    const { secret } = enroll(user.id);
+
+    authSystem.rateLimit.maxFailures = 20;
+
+    const challenge = await authSystem.login(user.email, password);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect(() => authSystem.completeLogin(challenge.challengeToken, '000000')).toThrow('Invalid two-factor code');
+      now += 10000; // past the login throttle's delay
+    }
+    expect(() => authSystem.completeLogin(challenge.challengeToken, totp.generateCode(secret, now)))
+      .toThrow('Invalid or expired two-factor challenge');
+
+    const late = await authSystem.login(user.email, password);
+    now += 6 * 60 * 1000;
+    expect(() => authSystem.completeLogin(late.challengeToken, totp.generateCode(secret, now)))
+      .toThrow('Invalid or expired two-factor challenge');
+  });
+
+  test('lets roles opt into 2FA and admins reset lost devices', async () => {
+    const { user: admin } = await register('super_admin', 'admin@example.com');
+    const { user, password } = await register('manager', 'manager@example.com');
+
+    authSystem.updateRole(admin.id, 'manager', { requireTwoFactor: true });
+    expect((await authSystem.login(user.email, password)).enrollmentRequired).toBe(true);
+    expect(() => authSystem.updateRole(admin.id, 'manager', { requireTwoFactor: 'yes' }))
+      .toThrow('requireTwoFactor must be a boolean');
+
+    enroll(user.id);
+    const result = twoFactor.reset(admin.id, user.id);
+    expect(result.performedBy).toBe(admin.id);
+    expect(twoFactor.isEnabled(user.id)).toBe(false);
+    expect(authSystem.auditLog.query({ action: 'user.2fa_*' }).total).toBe(2);
+  });
+});
@@ -68,6 +68,15 @@ describe('AuthSystem', () => {
       expect(result.error).toContain('already exists');
     });
 
+    test('should take the role from the server, never from the submitted fields', async () => {
+      const { user } = await authSystem.register(global.testUtils.generateTestUser({ role: 'super_admin' }));
+      expect(user.role).toBe('employee');
+      expect(authSystem.hasPermission(user.id, 'users:manage')).toBe(false);
+
+      const { user: admin } = await authSystem.register(global.testUtils.generateTestUser({ email: 'seeded-admin@example.com' }), { role: 'super_admin' });
+      expect(admin.role).toBe('super_admin');
+    });
+
     test('should validate required fields', async () => {
       const incompleteUser = {
         email: 'test@example.com'
@@ -215,6 +224,157 @@ describe('AuthSystem', () => {
     });
   });
 
+  describe('Session Enforcement', () => {
+    let testUser;
+    let login;
+
+    beforeEach(async () => {
+      testUser = global.testUtils.generateTestUser();
+      await authSystem.register(testUser, { role: 'employee' });
+      login = await authSystem.login(testUser.email, testUser.password);
+    });
+
+    test('should issue short-lived access tokens bound to the session', async () => {
+      const { decoded } = await authSystem.verifyToken(login.token);
+
+      expect(decoded.sessionId).toBe(login.sessionId);
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+      expect(login.refreshToken.startsWith(`${login.sessionId}.`)).toBe(true);
+    });
+
+    test('should reject access tokens after logout', async () => {
+      authSystem.logout(login.sessionId);
+
+      const result = await authSystem.verifyToken(login.token);
+      expect(result).toMatchObject({ success: false, error: 'Session expired or revoked' });
+    });
+
+    test('should rotate refresh tokens', async () => {
+      const refreshed = authSystem.refresh(login.refreshToken);
+
+      expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+      expect(refreshed.sessionId).toBe(login.sessionId);
+      expect((await authSystem.verifyToken(refreshed.token)).success).toBe(true);
+      expect(authSystem.sessions.get(login.sessionId).refreshTokenHash).toBe(AuthSystem.hashToken(refreshed.refreshToken));
+    });
+
+    test('should revoke the token family when a rotated refresh token is reused', async () => {
+      const refreshed = authSystem.refresh(login.refreshToken);
+
+      expect(() => authSystem.refresh(login.refreshToken)).toThrow('Refresh token reuse detected');
+      expect(() => authSystem.refresh(refreshed.refreshToken)).toThrow('Invalid refresh token');
+      expect((await authSystem.verifyToken(refreshed.token)).success).toBe(false);
+      expect(authSystem.auditLog.query({ action: 'auth.refresh.reuse_detected' }).total).toBe(1);
+    });
+
+    test('should remember only the previous refresh token of a long-lived session', () => {
+      let current = authSystem.refresh(login.refreshToken);
+      const sessionSize = JSON.stringify(authSystem.sessions.get(login.sessionId)).length;
+      let previous;
+      for (let i = 0; i < 20; i++) {
+        previous = current;
+        current = authSystem.refresh(current.refreshToken);
+      }
+
+      const session = authSystem.sessions.get(login.sessionId);
+      expect(session.previousRefreshTokenHash).toBe(AuthSystem.hashToken(previous.refreshToken));
+      expect(JSON.stringify(session).length).toBe(sessionSize);
+      expect(() => authSystem.refresh(previous.refreshToken)).toThrow('Refresh token reuse detected');
+    });
+
+    test('should reject expired and malformed refresh tokens', () => {
+      authSystem.sessions.get(login.sessionId).expiresAt = new Date(Date.now() - 1000);
+
+      expect(() => authSystem.refresh(login.refreshToken)).toThrow('Invalid refresh token');
+      expect(() => authSystem.refresh('not-a-refresh-token')).toThrow('Invalid refresh token');
+    });
+
+    test('should log out all devices', async () => {
+      const second = await authSystem.login(testUser.email, testUser.password);
+
+      const result = authSystem.logoutAll(second.user.id);
+
+      expect(result).toMatchObject({ success: true, revokedSessions: 2 });
+      expect((await authSystem.verifyToken(login.token)).success).toBe(false);
+      expect((await authSystem.verifyToken(second.token)).success).toBe(false);
+    });
+  });
+
+  describe('User Administration', () => {
+    let admin;
+    let employee;
+
+    beforeEach(async () => {
+      admin = (await authSystem.register(global.testUtils.generateTestUser({ email: 'admin@example.com' }), { role: 'super_admin' })).user;
+      employee = (await authSystem.register(global.testUtils.generateTestUser({
+        email: 'dana@example.com', firstName: 'Dana', department: 'Finance'
+      }), { role: 'employee' })).user;
+    });
+
+    test('should search and paginate users', () => {
+      expect(authSystem.getAllUsers(admin.id, { search: 'finance' }).users.map(user => user.id)).toEqual([employee.id]);
+      expect(authSystem.getAllUsers(admin.id, { role: 'super_admin' }).total).toBe(1);
+      expect(authSystem.getAllUsers(admin.id, { limit: 1, offset: 1 })).toMatchObject({ total: 2, users: [{ id: employee.id }] });
+      expect(() => authSystem.getAllUsers(employee.id)).toThrow('Insufficient permissions');
+    });
+
+    test('should deactivate and reactivate users', async () => {
+      const deactivated = authSystem.deactivateUser(admin.id, employee.id);
+      expect(deactivated).toMatchObject({ success: true, performedBy: admin.id, user: { isActive: false } });
+      expect(authSystem.getAllUsers(admin.id, { status: 'inactive' }).total).toBe(1);
+
+      const reactivated = authSystem.reactivateUser(admin.id, employee.id);
+      expect(reactivated).toMatchObject({ performedBy: admin.id, user: { isActive: true } });
+      expect(() => authSystem.reactivateUser(admin.id, employee.id)).toThrow('User is already active');
+      expect(() => authSystem.deactivateUser(admin.id, admin.id)).toThrow('cannot deactivate their own account');
+    });
+
+    test('should delete users with their sessions', async () => {
+      const { token } = await authSystem.login('dana@example.com', 'TestPassword123!');
+
+      const result = authSystem.deleteUser(admin.id, employee.id);
+
+      expect(result).toMatchObject({ success: true, userId: employee.id, revokedSessions: 1, performedBy: admin.id });
+      expect(authSystem.users.has(employee.id)).toBe(false);
+      expect((await authSystem.verifyToken(token)).success).toBe(false);
+      expect(() => authSystem.deleteUser(employee.id, admin.id)).toThrow('User not found');
+    });
+
+    test('should not let delegated admins act on users holding permissions they lack', async () => {
+      authSystem.createRole(admin.id, {
+        id: 'user_admin',
+        name: 'User Admin',
+        permissions: [...authSystem.roles.employee.permissions, 'users:manage']
+      });
+      const delegate = (await authSystem.register(global.testUtils.generateTestUser({ email: 'delegate@example.com' }), { role: 'user_admin' })).user;
+      const outranked = expect.objectContaining({ status: 403, message: 'Cannot manage a user who holds permissions you do not hold' });
+
+      expect(() => authSystem.updateUserRole(delegate.id, admin.id, 'employee')).toThrow(outranked);
+      expect(() => authSystem.deactivateUser(delegate.id, admin.id)).toThrow(outranked);
+      expect(() => authSystem.deleteUser(delegate.id, admin.id)).toThrow(outranked);
+      expect(() => authSystem.twoFactor.reset(delegate.id, admin.id)).toThrow(outranked);
+      expect(() => authSystem.rateLimit.unlockUser(delegate.id, admin.id)).toThrow(outranked);
+      expect(authSystem.users.get(admin.id)).toMatchObject({ role: 'super_admin', isActive: true });
+
+      expect(authSystem.getUserForAdmin(delegate.id, admin.id).user.id).toBe(admin.id);
+      expect(authSystem.deactivateUser(delegate.id, employee.id).user.isActive).toBe(false);
+    });
+
+    test('should change password and sign out other sessions', async () => {
+      const current = await authSystem.login('dana@example.com', 'TestPassword123!');
+      const other = await authSystem.login('dana@example.com', 'TestPassword123!');
+
+      await expect(authSystem.changePassword(employee.id, 'wrong', 'NewPassword456!', current.sessionId))
+        .rejects.toThrow('Current password is incorrect');
+      const result = await authSystem.changePassword(employee.id, 'TestPassword123!', 'NewPassword456!', current.sessionId);
+
+      expect(result).toMatchObject({ success: true, revokedSessions: 1 });
+      expect((await authSystem.verifyToken(current.token)).success).toBe(true);
+      expect((await authSystem.verifyToken(other.token)).success).toBe(false);
+      await expect(authSystem.login('dana@example.com', 'NewPassword456!')).resolves.toMatchObject({ success: true });
+    });
+  });
+
   describe('Profile Management', () => {
     let userId;
 
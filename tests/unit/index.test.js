@@ -107,8 +107,8 @@ describe('AgenticBoardroomServer', () => {
 
       const response = await request(app)
         .post('/api/auth/register')
-        .send(testUser)
-        .expect(400); // Will fail without proper setup, but route exists
+        .send({ ...testUser, role: 'super_admin' })
+        .expect(422); // Visitors cannot pick their own role
 
       expect(response.body).toHaveProperty('success');
     });
@@ -203,12 +203,12 @@ describe('AgenticBoardroomServer', () => {
 
       await server.authenticateToken(mockReq, mockRes, next);
 
-      expect(mockRes.status).toHaveBeenCalledWith(401);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        success: false,
-        error: 'Access token required'
-      });
-      expect(next).not.toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({
+        status: 401,
+        code: 'token_required',
+        message: 'Access token required'
+      }));
     });
   });
 
@@ -234,9 +234,8 @@ describe('AgenticBoardroomServer', () => {
         password: 'admin123',
         firstName: 'System',
         lastName: 'Administrator',
-        role: 'super_admin',
         department: 'System Administration'
-      });
+      }, { role: 'super_admin', seeded: true });
     });
   });
 
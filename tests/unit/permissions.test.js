@@ -0,0 +1,110 @@
+/**
+ * 🧪 Unit Tests for Permissions and Custom Roles
+ * Agentic Boardroom Access Control Tests
+ */
+
+const AuthSystem = require('../../src/auth/AuthSystem');
+const { matchesPermission, isValidPermission } = require('../../src/auth/permissions');
+
+describe('Permissions', () => {
+  test('matches exact, wildcard and scoped permissions', () => {
+    expect(matchesPermission('*', 'users:manage')).toBe(true);
+    expect(matchesPermission('conversations:*', 'conversations:read:own')).toBe(true);
+    expect(matchesPermission('conversations:*:own', 'conversations:write:own')).toBe(true);
+    expect(matchesPermission('conversations:*:own', 'conversations:read:any')).toBe(false);
+    expect(matchesPermission('conversations:read:any', 'conversations:read:own')).toBe(true);
+    expect(matchesPermission('conversations:read:own', 'conversations:read:any')).toBe(false);
+    expect(matchesPermission('budgets:approve', 'budgets:approve:board')).toBe(false);
+    expect(matchesPermission('approve_decisions', 'decisions:approve')).toBe(true);
+  });
+
+  test('validates permission strings', () => {
+    expect(isValidPermission('meetings:read:own')).toBe(true);
+    expect(isValidPermission('manage_budgets')).toBe(true);
+    expect(isValidPermission('meetings:read:own:extra')).toBe(false);
+    expect(isValidPermission('Meetings')).toBe(false);
+  });
+});
+
+describe('Custom roles', () => {
+  let authSystem;
+  let admin;
+  let executive;
+  let employee;
+
+  const register = async (role, email) =>
+    (await authSystem.register(global.testUtils.generateTestUser({ email }), { role })).user;
+
+  beforeEach(async () => {
+    authSystem = new AuthSystem();
+    admin = await register('super_admin', 'admin@example.com');
+    executive = await register('executive', 'executive@example.com');
+    employee = await register('employee', 'employee@example.com');
+  });
+
+  test('creates, clones and assigns custom roles', async () => {
+    const { role } = authSystem.cloneRole(admin.id, 'employee', {
+      id: 'analyst',
+      name: 'Analyst',
+      agentAccess: ['research_director'],
+      permissions: [...authSystem.roles.employee.permissions, 'analytics:read']
+    });
+
+    expect(role).toMatchObject({ id: 'analyst', spendingLimit: 1000 });
+    authSystem.updateUserRole(admin.id, employee.id, 'analyst');
+    expect(authSystem.hasPermission(employee.id, 'analytics:read')).toBe(true);
+    expect(authSystem.canAccessAgent(employee.id, 'research_director')).toBe(true);
+    expect(() => authSystem.createRole(admin.id, { id: 'analyst', name: 'Again' })).toThrow('Role already exists');
+  });
+
+  test('applies role edits to existing members immediately', () => {
+    expect(authSystem.hasPermission(employee.id, 'analytics:read')).toBe(false);
+
+    const result = authSystem.updateRole(admin.id, 'employee', {
+      permissions: [...authSystem.roles.employee.permissions, 'analytics:read'],
+      spendingLimit: 2500
+    });
+
+    expect(result.members).toBe(1);
+    expect(authSystem.hasPermission(employee.id, 'analytics:read')).toBe(true);
+    expect(authSystem.users.get(employee.id).spendingLimit).toBe(2500);
+    expect(() => authSystem.updateRole(admin.id, 'super_admin', { permissions: [] })).toThrow('cannot be modified');
+  });
+
+  test('prevents granting permissions the admin does not hold', () => {
+    authSystem.updateRole(admin.id, 'executive', {
+      permissions: [...authSystem.roles.executive.permissions, 'roles:manage', 'users:manage']
+    });
+
+    expect(() => authSystem.createRole(executive.id, { id: 'root', name: 'Root', permissions: ['*'] }))
+      .toThrow('Cannot grant permissions you do not hold: *');
+    expect(() => authSystem.updateUserRole(executive.id, employee.id, 'super_admin'))
+      .toThrow('Cannot assign a role with permissions you do not hold');
+    expect(() => authSystem.createRole(employee.id, { id: 'mine', name: 'Mine' })).toThrow('Insufficient permissions');
+  });
+
+  test('deletes only unused custom roles', () => {
+    authSystem.createRole(admin.id, { id: 'contractor', name: 'Contractor', permissions: ['agents:read'] });
+    authSystem.updateUserRole(admin.id, employee.id, 'contractor');
+
+    expect(() => authSystem.deleteRole(admin.id, 'contractor')).toThrow('Role is assigned to 1 user(s)');
+    expect(() => authSystem.deleteRole(admin.id, 'guest')).toThrow('Built-in roles cannot be deleted');
+
+    authSystem.updateUserRole(admin.id, employee.id, 'employee');
+    expect(authSystem.deleteRole(admin.id, 'contractor').success).toBe(true);
+    expect(authSystem.roles.contractor).toBeUndefined();
+  });
+
+  test('explains effective permissions', () => {
+    const explanation = authSystem.explainPermissions(executive.id);
+    const byName = Object.fromEntries(explanation.permissions.map(entry => [entry.permission, entry]));
+
+    expect(explanation.role).toEqual({ id: 'executive', name: 'Executive' });
+    expect(byName['decisions:read:any']).toMatchObject({ allowed: true, grantedBy: 'decisions:read:any' });
+    expect(byName['conversations:write:own']).toMatchObject({ allowed: true, grantedBy: 'conversations:*:own' });
+    expect(byName['users:manage']).toMatchObject({ allowed: false, grantedBy: null });
+
+    expect(authSystem.explainPermissions(admin.id, employee.id).userId).toBe(employee.id);
+    expect(() => authSystem.explainPermissions(employee.id, admin.id)).toThrow('Insufficient permissions');
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * 🧪 Unit Tests for Persistent Storage
+ * Agentic Boardroom Repository and Adapter Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Store = require('../../src/storage/Store');
+const PostgresAdapter = require('../../src/storage/adapters/PostgresAdapter');
+const AuthSystem = require('../../src/auth/AuthSystem');
+const AgentChatSystem = require('../../src/agents/AgentChatSystem');
+
+describe('Storage', () => {
+  let dataDir;
+  const stores = [];
+
+  const openStore = () => {
+    const store = new Store({ driver: 'file', dataDir });
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'boardroom-data-'));
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.splice(0).map(store => store.close()));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('file repositories survive a restart with dates revived', async () => {
+    const store = openStore();
+    const createdAt = new Date('2024-01-02T03:04:05Z');
+    store.repository('notes').set('n1', { id: 'n1', text: 'hello', createdAt });
+    store.repository('notes').set('n2', { id: 'n2', text: 'gone' });
+    store.repository('notes').delete('n2');
+    await store.close();
+
+    const notes = openStore().repository('notes');
+
+    expect(notes.size).toBe(1);
+    expect(notes.get('n1').createdAt).toEqual(createdAt);
+    expect(notes.get('n1').createdAt).toBeInstanceOf(Date);
+  });
+
+  test('users and conversations persist across AuthSystem and AgentChatSystem restarts', async () => {
+    const store = openStore();
+    const authSystem = new AuthSystem({ store });
+    const { user } = await authSystem.register({
+      email: 'persist@example.com',
+      password: 'TestPassword123!',
+      firstName: 'Persist',
+      lastName: 'User'
+    });
+    const chatSystem = new AgentChatSystem(authSystem, undefined, { store });
+    const { conversation } = await chatSystem.startConversation(user.id, 'company_mascot');
+    await chatSystem.sendMessage(user.id, conversation.id, 'Remember me');
+    await store.close();
+
+    const restarted = openStore();
+    const restartedAuth = new AuthSystem({ store: restarted });
+    const restartedChat = new AgentChatSystem(restartedAuth, undefined, { store: restarted });
+
+    expect(restartedAuth.findUserByEmail('persist@example.com').id).toBe(user.id);
+    await expect(restartedAuth.login('persist@example.com', 'TestPassword123!')).resolves.toMatchObject({ success: true });
+    const stored = restartedChat.getConversation(user.id, conversation.id).conversation;
+    expect(stored.messages.map(message => message.type)).toEqual(['agent', 'user', 'agent']);
+    expect(stored.startedAt).toBeInstanceOf(Date);
+  });
+
+  test('scoped stores keep each namespace in its own collections', async () => {
+    const store = openStore();
+    store.repository('users').set('u1', { id: 'u1', tenant: 'default' });
+    store.scope('acme').repository('users').set('u1', { id: 'u1', tenant: 'acme' });
+
+    expect(store.scope('acme')).toBe(store.scope('acme'));
+    expect(() => store.scope('../etc')).toThrow('Invalid storage namespace');
+    await store.close();
+    expect(fs.existsSync(path.join(dataDir, 'acme__users.json'))).toBe(true);
+
+    const restarted = openStore();
+    expect(restarted.repository('users').get('u1').tenant).toBe('default');
+    expect(restarted.scope('acme').repository('users').get('u1').tenant).toBe('acme');
+    expect(restarted.scope('globex').repository('users').size).toBe(0);
+  });
+
+  test('file migrations are recorded once', async () => {
+    const store = openStore();
+
+    expect(await store.migrate()).toEqual(['001_create_records']);
+    expect(await store.migrate()).toEqual([]);
+    expect(fs.existsSync(path.join(dataDir, '_schema_migrations.json'))).toBe(true);
+  });
+
+  test('postgres adapter upserts JSONB records and hydrates repositories', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    const pool = {
+      query: jest.fn(async sql => (sql.startsWith('SELECT id, data')
+        ? { rows: [{ id: 'u1', data: { id: 'u1', createdAt: '2024-01-02T03:04:05.000Z' } }] }
+        : { rows: [] })),
+      connect: jest.fn().mockResolvedValue(client),
+      end: jest.fn()
+    };
+    const store = new Store({ driver: 'postgres', adapter: new PostgresAdapter({ pool }) });
+    const users = store.repository('users');
+
+    await store.initialize();
+    users.set('u2', { id: 'u2' });
+    await store.close();
+
+    expect(client.query).toHaveBeenCalledWith(expect.stringContaining('CREATE TABLE IF NOT EXISTS records'));
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(users.get('u1').createdAt).toBeInstanceOf(Date);
+    const upsert = pool.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO records'));
+    expect(upsert[1]).toEqual(['users', 'u2', JSON.stringify({ id: 'u2' })]);
+    expect(pool.end).toHaveBeenCalled();
+  });
+
+  test('postgres adapter reports failed writes until a retry succeeds', async () => {
+    let failing = true;
+    const pool = {
+      query: jest.fn(async (sql) => {
+        if (failing && !sql.startsWith('SELECT')) {
+          throw new Error('connection terminated');
+        }
+        return { rows: [] };
+      }),
+      end: jest.fn()
+    };
+    const store = new Store({ driver: 'postgres', adapter: new PostgresAdapter({ pool }) });
+    const users = store.repository('users');
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    users.set('u1', { id: 'u1' });
+    users.set('u2', { id: 'u2' });
+    users.delete('u2');
+
+    await expect(store.flush()).rejects.toThrow('2 storage write(s) failed: connection terminated');
+    expect(store.health()).toEqual({ healthy: false, failedWrites: 2, lastError: 'connection terminated' });
+
+    failing = false;
+    await store.flush();
+    expect(store.health()).toMatchObject({ healthy: true, failedWrites: 0 });
+    const retried = pool.query.mock.calls.slice(-2).map(([sql, params]) => [sql.split(' ')[0], params[1]]);
+    expect(retried).toEqual([['INSERT', 'u1'], ['DELETE', 'u2']]);
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * 🧪 Unit Tests for TOTP
+ * Agentic Boardroom RFC 6238 One-Time Password Tests
+ */
+
+const totp = require('../../src/auth/totp');
+
+describe('totp', () => {
+  // RFC 6238 appendix B: SHA1 key "12345678901234567890"
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('matches the RFC 6238 SHA1 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ];
+
+    for (const [seconds, code] of vectors) {
+      expect(totp.generateCode(rfcSecret, seconds * 1000, 8)).toBe(code);
+    }
+  });
+
+  test('round-trips base32 secrets', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+    expect(() => totp.base32Decode('not base32!')).toThrow('Invalid base32 secret');
+  });
+
+  test('accepts codes one step either side of the clock', () => {
+    const time = 1111111111 * 1000;
+    const counter = totp.counterAt(time);
+
+    expect(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, time), { time })).toBe(counter);
+    expect(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, time - 30000), { time })).toBe(counter - 1);
+    expect(totp.verifyCode(rfcSecret, totp.generateCode(rfcSecret, time + 90000), { time })).toBeNull();
+    expect(totp.verifyCode(rfcSecret, 'abc123', { time })).toBeNull();
+  });
+
+  test('builds otpauth URIs for authenticator apps', () => {
+    const uri = totp.otpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'ceo@example.com', issuer: 'Agentic Boardroom' });
+
+    expect(uri).toBe('otpauth://totp/Agentic%20Boardroom%3Aceo%40example.com' +
+      '?secret=JBSWY3DPEHPK3PXP&issuer=Agentic+Boardroom&algorithm=SHA1&digits=6&period=30');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * 📘 Agentic Boardroom - API Explorer
+ * Renders /api/v1/openapi.json and sends requests against this server
+ */
+
+(function () {
+  const TOKEN_KEY = 'boardroom.apiExplorer.token';
+  const nav = document.getElementById('tags');
+  const filter = document.getElementById('filter');
+  const tokenInput = document.getElementById('token');
+  const main = document.getElementById('operation');
+  let spec = null;
+
+  tokenInput.value = sessionStorage.getItem(TOKEN_KEY) || '';
+  tokenInput.addEventListener('change', () => sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim()));
+
+  const escape = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+  const element = (tag, attributes = {}, html = '') => {
+    const node = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => node.setAttribute(name, value));
+    node.innerHTML = html;
+    return node;
+  };
+
+  // Follow a local `#/components/...` reference
+  const resolve = (schema) => {
+    if (!schema || !schema.$ref) {
+      return schema || {};
+    }
+    return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+  };
+
+  const typeOf = (schema) => {
+    if (schema.$ref) {
+      return schema.$ref.split('/').pop();
+    }
+    if (schema.oneOf) {
+      return schema.oneOf.map(typeOf).join(' | ');
+    }
+    if (schema.enum) {
+      return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+    }
+    if (schema.type === 'array') {
+      return `${typeOf(schema.items || {})}[]`;
+    }
+    return [schema.type || 'any', schema.format].filter(Boolean).join(' · ');
+  };
+
+  // A skeleton request body with every documented property
+  const example = (schema, depth = 0) => {
+    schema = resolve(schema);
+    if (depth > 4) {
+      return null;
+    }
+    if (schema.oneOf) {
+      return example(schema.oneOf[0], depth + 1);
+    }
+    if (schema.enum) {
+      return schema.enum[0];
+    }
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .map(([name, property]) => [name, example(property, depth + 1)]));
+      case 'array':
+        return [example(schema.items || {}, depth + 1)];
+      case 'integer':
+      case 'number':
+        return schema.minimum || 0;
+      case 'boolean':
+        return false;
+      case 'string':
+        return schema.format === 'date-time' ? new Date().toISOString() : '';
+      default:
+        return null;
+    }
+  };
+
+  const schemaTable = (schema) => {
+    schema = resolve(schema);
+    if (schema.type !== 'object' || !schema.properties) {
+      return `<pre>${escape(typeOf(schema))}</pre>`;
+    }
+    const required = schema.required || [];
+    const rows = Object.entries(schema.properties).map(([name, property]) => {
+      const limits = ['minLength', 'maxLength', 'minimum', 'maximum', 'minItems', 'maxItems']
+        .filter((limit) => property[limit] !== undefined)
+        .map((limit) => `${limit} ${property[limit]}`)
+        .join(', ');
+      return `<tr><td class="path">${escape(name)}${required.includes(name) ? ' *' : ''}</td>` +
+        `<td>${escape(typeOf(property))}${property.nullable ? ' | null' : ''}</td><td class="muted">${escape(limits)}</td></tr>`;
+    });
+    return `<table><tr><th>Field</th><th>Type</th><th>Limits</th></tr>${rows.join('')}</table>`;
+  };
+
+  const operations = () => Object.entries(spec.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ path, method, operation })));
+
+  const renderNav = () => {
+    const query = filter.value.trim().toLowerCase();
+    const byTag = {};
+    operations()
+      .filter(({ path, operation }) => !query || `${path} ${operation.summary}`.toLowerCase().includes(query))
+      .forEach((entry) => {
+        const tag = entry.operation.tags[0];
+        (byTag[tag] = byTag[tag] || []).push(entry);
+      });
+
+    nav.innerHTML = '';
+    Object.entries(byTag).forEach(([tag, entries]) => {
+      nav.appendChild(element('h2', {}, escape(tag)));
+      entries.forEach((entry) => {
+        const button = element('button', { title: entry.operation.summary },
+          `<span class="method ${entry.method}">${entry.method}</span><span class="path">${escape(entry.path)}</span>`);
+        button.addEventListener('click', () => {
+          nav.querySelectorAll('button.active').forEach((active) => active.classList.remove('active'));
+          button.classList.add('active');
+          renderOperation(entry);
+        });
+        nav.appendChild(button);
+      });
+    });
+  };
+
+  const renderOperation = ({ path, method, operation }) => {
+    const parameters = (operation.parameters || []).map(resolve).filter((parameter) => parameter.in !== 'header');
+    const body = operation.requestBody && operation.requestBody.content['application/json'];
+    const responses = Object.entries(operation.responses).map(([status, response]) => {
+      const [contentType, content] = Object.entries(response.content)[0];
+      return `<h3>${escape(status)} <span class="muted">${escape(response.description)} · ${escape(contentType)}</span></h3>` +
+        schemaTable(content.schema);
+    });
+
+    main.innerHTML = `
+      <h2><span class="method ${method}">${method}</span> <span class="path">${escape(path)}</span></h2>
+      <p>${escape(operation.summary)}</p>
+      ${operation['x-required-permission'] ? `<p><span class="badge">${escape(operation['x-required-permission'])}</span></p>` : ''}
+      ${operation.security.length ? '' : '<p class="muted">No authentication required.</p>'}
+      <h3>Try it</h3>
+      ${parameters.length ? `<table>${parameters.map((parameter) => `<tr><td class="path">${escape(parameter.name)}` +
+        `${parameter.required ? ' *' : ''} <span class="muted">${parameter.in}</span></td>` +
+        `<td><input data-in="${parameter.in}" data-name="${escape(parameter.name)}" placeholder="${escape(typeOf(parameter.schema))}"></td></tr>`).join('')}</table>` : ''}
+      ${body ? `<textarea id="body">${escape(JSON.stringify(example(body.schema), null, 2))}</textarea>` : ''}
+      <button class="send" id="send">Send</button>
+      <pre id="result" hidden></pre>
+      ${body ? `<h3>Request body</h3>${schemaTable(body.schema)}` : ''}
+      <h3>Responses</h3>
+      ${responses.join('')}`;
+
+    document.getElementById('send').addEventListener('click', () => send(path, method, operation));
+  };
+
+  const send = async (path, method, operation) => {
+    const result = document.getElementById('result');
+    const query = new URLSearchParams();
+    let url = path;
+    main.querySelectorAll('input[data-in]').forEach((input) => {
+      if (!input.value) {
+        return;
+      }
+      if (input.dataset.in === 'path') {
+        url = url.replace(`{${input.dataset.name}}`, encodeURIComponent(input.value));
+      } else {
+        query.set(input.dataset.name, input.value);
+      }
+    });
+
+    const headers = { Accept: 'application/json' };
+    if (operation.security.length && tokenInput.value.trim()) {
+      headers.Authorization = `Bearer ${tokenInput.value.trim()}`;
+    }
+    const options = { method: method.toUpperCase(), headers };
+    const bodyInput = document.getElementById('body');
+    if (bodyInput) {
+      headers['Content-Type'] = 'application/json';
+      options.body = bodyInput.value;
+    }
+
+    result.hidden = false;
+    result.textContent = 'Sending...';
+    try {
+      const response = await fetch(`${spec.servers[0].url}${url}${query.toString() ? `?${query}` : ''}`, options);
+      const text = await response.text();
+      let pretty = text;
+      try {
+        pretty = JSON.stringify(JSON.parse(text), null, 2);
+      } catch (error) {
+        // not JSON (event stream, markdown): show as-is
+      }
+      result.textContent = `${response.status} ${response.statusText}\n\n${pretty}`;
+    } catch (error) {
+      result.textContent = `Request failed: ${error.message}`;
+    }
+  };
+
+  filter.addEventListener('input', renderNav);
+
+  fetch('/api/v1/openapi.json')
+    .then((response) => response.json())
+    .then((openApi) => {
+      spec = openApi;
+      renderNav();
+      main.innerHTML = `<h2>${escape(spec.info.title)} <span class="muted">${escape(spec.info.version)}</span></h2>` +
+        `<p>${escape(spec.info.description)}</p><p class="muted">${operations().length} operations. Pick one on the left.</p>`;
+    })
+    .catch((error) => {
+      main.innerHTML = `<p>Could not load the OpenAPI document: ${escape(error.message)}</p>`;
+    });
+})();